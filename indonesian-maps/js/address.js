@@ -0,0 +1,357 @@
+// Indonesian Maps API - Address normalisation and autocomplete
+//
+// A free-text address ("Ds. Pasirkaliki, Kec. Cicendo, Kota Bandung, Jabar")
+// is split into parts, and street-level parts and the postal code are set
+// aside. The remaining parts are matched level by level, provinsi first,
+// with the scoring of js/search.js. Once a level is found, the next one is
+// ranked among its children (the kode_* filters). Until then it is looked up
+// through the API's `search`. Independent of the DOM.
+
+import { abortErrorFor } from './errors.js';
+import { MAX_LIMIT } from './pagination.js';
+import { REGION_LEVELS } from './schema.js';
+import { parseName, rankEntries, remoteSearchTerm, scoreMatch } from './search.js';
+
+export const ADDRESS_LEVELS = ['province', 'city', 'district', 'village'];
+
+// parseName() kinds that name a level
+const KIND_LEVELS = {
+    provinsi: 'province',
+    kabupaten: 'city',
+    kota: 'city',
+    kecamatan: 'district',
+    desa: 'village',
+    kelurahan: 'village'
+};
+
+// First words of the parts below desa/kelurahan: street, house, RT/RW, hamlet
+const STREET_WORDS = new Set([
+    'jl', 'jln', 'jalan', 'gg', 'gang', 'no', 'nomor', 'rt', 'rw', 'blok', 'blk',
+    'komp', 'komplek', 'kompleks', 'perum', 'perumahan', 'dusun', 'dsn', 'kp', 'kampung',
+    'lingkungan', 'kav', 'kavling', 'ruko', 'gedung', 'gd', 'lt', 'lantai', 'apartemen', 'apt'
+]);
+
+const COUNTRY = /^(indonesia|republik indonesia)$/;
+
+const POSTAL_CODE = /\b\d{5}\b/g;
+
+// A type word inside a part starts a new one: "Ds. Cimekar Kec. Cileunyi"
+const TYPE_WORD = /\s+(?=(?:ds|desa|kel|kelurahan|kec|kecamatan|kab|kabupaten|kota|kodya|kotamadya|prov|propinsi|provinsi)\b\.?\s)/i;
+
+// Two candidates scoring the same ("Bandung": the kabupaten or the kota?)
+const AMBIGUITY_PENALTY = 0.8;
+
+// Suggestions below an ancestor named earlier in the text come first
+const CONTEXT_BONUS = 0.1;
+
+/**
+ * @typedef {object} AddressPart
+ * @property {string} raw As written, trimmed.
+ * @property {string|null} level From a type word ("Kec.", "Kota", ...), or null.
+ * @property {string|null} kind The type word's normalised form (kabupaten, kota, ...).
+ * @property {string} text Normalised place name (see parseName in js/search.js).
+ */
+
+// A type word on its own ("Desa", "Kec."), which is not a part by itself
+const isTypeWord = (piece) => {
+    const word = piece.trim().replace(/\.$/, '');
+    return !/\s/.test(word) && Boolean(KIND_LEVELS[parseName(`${word} x`).kind]);
+};
+
+// Splits at type words, keeping a lone type word with the name after it
+// ("Desa Kota Baru" stays one part)
+const splitAtTypeWords = (chunk) => chunk.split(TYPE_WORD).reduce((pieces, piece) => {
+    if (pieces.length > 0 && isTypeWord(pieces[pieces.length - 1])) {
+        pieces[pieces.length - 1] = `${pieces[pieces.length - 1]} ${piece}`;
+    } else {
+        pieces.push(piece);
+    }
+    return pieces;
+}, []);
+
+/**
+ * Splits an address into its place parts, in the order written (usually
+ * the most specific first), its street-level parts and its postal code.
+ * @returns {{ parts: AddressPart[], street: string[], postalCode: string|null }}
+ */
+export function parseAddress(text) {
+    const input = String(text || '');
+    const postalCodes = input.match(POSTAL_CODE);
+    const postalCode = postalCodes ? postalCodes[postalCodes.length - 1] : null;
+
+    const parts = [];
+    const street = [];
+    input.split(/[,;\n]+/).forEach((chunk) => {
+        splitAtTypeWords(chunk.replace(POSTAL_CODE, ' ').trim()).forEach((piece) => {
+            const raw = piece.trim();
+            if (!raw) return;
+            const { kind, text: name } = parseName(raw);
+            const first = (raw.toLowerCase().match(/[a-z0-9]+/) || [''])[0];
+            const level = KIND_LEVELS[kind] || null;
+
+            if (STREET_WORDS.has(first) || (!level && /\d/.test(raw))) {
+                street.push(raw);
+            } else if (name && !COUNTRY.test(name)) {
+                parts.push({ raw, level, kind, text: name });
+            }
+        });
+    });
+    return { parts, street, postalCode };
+}
+
+/**
+ * One line from street parts, region names (innermost first) and postal
+ * code: "Jl. Merdeka 5, Cimekar, Kecamatan Cileunyi, Kabupaten Bandung, Jawa Barat 40622".
+ */
+export function formatAddress({ street = [], names = [], postalCode = null }) {
+    const line = [...street, ...names].join(', ');
+    return postalCode ? `${line} ${postalCode}` : line;
+}
+
+const entryOf = (level, record) => ({
+    level,
+    code: record[REGION_LEVELS[level].code],
+    name: record[REGION_LEVELS[level].name],
+    record
+});
+
+// Kecamatan names carry no type word of their own
+const displayName = (level, name) => (level === 'district' ? `Kecamatan ${name}` : name);
+
+const checkAborted = (signal) => {
+    if (signal && signal.aborted) throw abortErrorFor(signal);
+};
+
+/**
+ * @param {object} options
+ * @param {object} options.client A js/client.js client.
+ * @param {number} [options.minScore] Lowest js/search.js score a level is accepted with.
+ */
+export function createAddressResolver({ client, minScore = 0.6 }) {
+    // Every record under a parent (provinces under null), loaded once. The
+    // shared load runs without the caller's signal; callers check theirs.
+    const lists = new Map();
+    const children = (level, parentCode) => {
+        const key = `${level}:${parentCode || ''}`;
+        if (!lists.has(key)) {
+            const parent = ADDRESS_LEVELS[ADDRESS_LEVELS.indexOf(level) - 1];
+            const params = parent ? { [REGION_LEVELS[parent].code]: parentCode } : {};
+            const promise = client.fetchAll(REGION_LEVELS[level].list, params, { limit: MAX_LIMIT });
+            promise.catch(() => lists.delete(key));
+            lists.set(key, promise);
+        }
+        return lists.get(key);
+    };
+
+    // Candidates through the API's substring search, retried with a broader
+    // term when nothing scores well enough (as in the omnibox)
+    const searchEntries = async (level, part, scope, signal) => {
+        let entries = [];
+        for (const broad of [false, true]) {
+            const search = remoteSearchTerm(part.raw, { broad });
+            if (search.length < 3) break;
+            const response = await client[REGION_LEVELS[level].list]({ ...scope, search, limit: 100 }, { signal });
+            entries = (response.data || []).map((record) => entryOf(level, record));
+            if (rankEntries(entries, part.raw, { limit: 1, minScore }).length > 0) break;
+        }
+        return entries;
+    };
+
+    // Codes and names of a record's level and of every level above it
+    const lineage = async (level, record) => {
+        const levels = ADDRESS_LEVELS.slice(0, ADDRESS_LEVELS.indexOf(level) + 1);
+        let parentCode = null;
+        const lineageEntries = [];
+        for (const current of levels) {
+            const code = record[REGION_LEVELS[current].code];
+            let name = current === level ? record[REGION_LEVELS[level].name] : null;
+            if (name === null && code) {
+                try {
+                    const match = (await children(current, parentCode)).find((candidate) => candidate[REGION_LEVELS[current].code] === code);
+                    name = match ? match[REGION_LEVELS[current].name] : null;
+                } catch (error) {
+                    name = null;
+                }
+            }
+            lineageEntries.push({ level: current, code: code || null, name });
+            parentCode = code;
+        }
+        return lineageEntries;
+    };
+
+    // The best candidate part for `level`: parts typed as that level first,
+    // then by score. Ranked among the children of `parentCode` when known.
+    const matchLevel = async (level, candidates, parentCode, scope, signal) => {
+        const pool = level === 'province' || parentCode
+            ? (await children(level, parentCode)).map((record) => entryOf(level, record))
+            : null;
+        checkAborted(signal);
+
+        let best = null;
+        for (const part of candidates) {
+            const entries = pool || await searchEntries(level, part, scope, signal);
+            const ranked = rankEntries(entries, part.raw, { limit: 5, minScore });
+            if (ranked.length === 0) continue;
+
+            const [top] = ranked;
+            const ties = ranked.slice(1).filter((entry) => entry.score === top.score && !(part.kind && entry.kind !== part.kind && top.kind === part.kind));
+            const score = ties.length > 0 ? top.score * AMBIGUITY_PENALTY : top.score;
+            const explicit = part.level === level;
+            if (!best || explicit > best.explicit || (explicit === best.explicit && score > best.score)) {
+                best = { part, entry: top, ties, score, explicit };
+            }
+        }
+        return best;
+    };
+
+    // Settles a tie by looking one level down: the only candidate with a
+    // child matching a part still to be resolved wins, unpenalised.
+    const settleTie = async (match, level, remaining, signal) => {
+        const next = ADDRESS_LEVELS[ADDRESS_LEVELS.indexOf(level) + 1];
+        const parts = remaining.filter((part) => part.level === next || part.level === null);
+        if (!next || parts.length === 0) return match;
+
+        const options = [match.entry, ...match.ties];
+        const scores = await Promise.all(options.map(async (entry) => {
+            const entries = (await children(next, entry.code)).map((record) => entryOf(next, record));
+            return Math.max(0, ...parts.map((part) => {
+                const [top] = rankEntries(entries, part.raw, { limit: 1, minScore });
+                return top ? top.score : 0;
+            }));
+        }));
+        checkAborted(signal);
+
+        const bestScore = Math.max(...scores);
+        const winners = options.filter((entry, i) => scores[i] === bestScore);
+        if (bestScore === 0 || winners.length > 1) return match;
+        return { ...match, entry: winners[0], ties: [], score: winners[0].score };
+    };
+
+    return {
+        /**
+         * Resolves an address to its desa/kelurahan, kecamatan,
+         * kabupaten/kota and provinsi. Every level found is
+         * `{ code, name, score, alternatives, part }`; levels implied by
+         * a deeper match instead carry `inferred: true` and its score.
+         * `confidence` (0 to 1) is the mean score of the matched parts,
+         * scaled by the share of place parts that matched.
+         */
+        async resolve(text, { signal } = {}) {
+            const { parts, street, postalCode } = parseAddress(text);
+            const places = parts.map((part, index) => ({ ...part, index }));
+            const used = new Set();
+            const levels = {};
+            const scope = {};
+            let parentCode = null;
+            // A part for a deeper level is written before its parent's part
+            let bound = places.length;
+
+            for (const level of ADDRESS_LEVELS) {
+                const candidates = places.filter((part) => !used.has(part.index) && part.index < bound && (part.level === level || part.level === null));
+                let match = candidates.length > 0 ? await matchLevel(level, candidates, parentCode, scope, signal) : null;
+                checkAborted(signal);
+                if (!match) {
+                    parentCode = null;
+                    continue;
+                }
+                if (match.ties.length > 0) {
+                    match = await settleTie(match, level, candidates.filter((part) => part.index < match.part.index), signal);
+                }
+                const alternatives = match.ties.map(({ code, name }) => ({ code, name }));
+
+                used.add(match.part.index);
+                bound = match.part.index;
+                const { record } = match.entry;
+                const score = Math.round(match.score * 1000) / 1000;
+                (await lineage(level, record)).forEach((ancestor) => {
+                    if (ancestor.level !== level && (levels[ancestor.level] || !ancestor.code)) return;
+                    levels[ancestor.level] = ancestor.level === level
+                        ? { code: ancestor.code, name: ancestor.name, score, alternatives, part: match.part.raw }
+                        : { code: ancestor.code, name: ancestor.name, score, inferred: true };
+                    scope[REGION_LEVELS[ancestor.level].code] = ancestor.code;
+                });
+                checkAborted(signal);
+                parentCode = match.entry.code;
+            }
+
+            const matched = ADDRESS_LEVELS.filter((level) => levels[level] && !levels[level].inferred);
+            const meanScore = matched.reduce((sum, level) => sum + levels[level].score, 0) / (matched.length || 1);
+            const confidence = places.length > 0 ? Math.round(meanScore * (matched.length / places.length) * 1000) / 1000 : 0;
+            const names = ADDRESS_LEVELS.slice().reverse()
+                .filter((level) => levels[level] && levels[level].name)
+                .map((level) => displayName(level, levels[level].name));
+
+            return {
+                input: String(text || ''),
+                province: levels.province || null,
+                city: levels.city || null,
+                district: levels.district || null,
+                village: levels.village || null,
+                kode_provinsi: levels.province ? levels.province.code : null,
+                kode_kabupaten_kota: levels.city ? levels.city.code : null,
+                kode_kecamatan: levels.district ? levels.district.code : null,
+                kode_desa_kelurahan: levels.village ? levels.village.code : null,
+                confidence,
+                postalCode,
+                street,
+                unmatched: places.filter((part) => !used.has(part.index)).map((part) => part.raw),
+                formatted: formatAddress({ street, names: names.length > 0 ? names : places.map((part) => part.raw), postalCode })
+            };
+        },
+
+        /**
+         * Regions for the part being typed (the last one), at its level if
+         * it has a type word, else at every level, best first. Earlier
+         * parts naming an ancestor favour that ancestor's regions. Each
+         * suggestion is `{ level, code, name, path, codes, label, score }`,
+         * `path` holding the ancestors' names, provinsi first.
+         */
+        async suggest(text, { limit = 8, signal } = {}) {
+            const { parts } = parseAddress(text);
+            const term = parts[parts.length - 1];
+            if (!term) return [];
+            const context = parts.slice(0, -1);
+
+            const groups = await Promise.all((term.level ? [term.level] : ADDRESS_LEVELS).map(async (level) => {
+                const entries = level === 'province'
+                    ? (await children('province', null)).map((record) => entryOf(level, record))
+                    : await searchEntries(level, term, {}, signal);
+                return rankEntries(entries, term.raw, { limit });
+            }));
+            checkAborted(signal);
+
+            const suggestions = await Promise.all(groups.flat().map(async (entry) => {
+                const ancestors = await lineage(entry.level, entry.record);
+                const path = ancestors.slice(0, -1).map((ancestor) => ancestor.name).filter(Boolean);
+                const named = context.some((part) => path.some((name) => scoreMatch(part.text, parseName(name).text) >= 0.8));
+                const codes = {};
+                ancestors.forEach((ancestor) => {
+                    codes[REGION_LEVELS[ancestor.level].code] = ancestor.code;
+                });
+                return {
+                    level: entry.level,
+                    code: entry.code,
+                    name: entry.name,
+                    path,
+                    codes,
+                    label: ancestors.slice().reverse()
+                        .filter((ancestor) => ancestor.name)
+                        .map((ancestor) => displayName(ancestor.level, ancestor.name))
+                        .join(', '),
+                    score: Math.min(1, entry.score + (named ? CONTEXT_BONUS : 0))
+                };
+            }));
+            checkAborted(signal);
+
+            return suggestions
+                .sort((a, b) => b.score - a.score || ADDRESS_LEVELS.indexOf(a.level) - ADDRESS_LEVELS.indexOf(b.level))
+                .slice(0, limit);
+        }
+    };
+}
+
+/** `text` with its place parts replaced by a suggestion's label, keeping street and postal code. */
+export function applySuggestion(text, suggestion) {
+    const { street, postalCode } = parseAddress(text);
+    return formatAddress({ street, names: [suggestion.label], postalCode });
+}
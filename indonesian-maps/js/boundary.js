@@ -0,0 +1,215 @@
+// Indonesian Maps API - Boundaries as GeoJSON and on the map
+//
+// `path` arrives as loosely nested [lat, lng] rings with no marker for which
+// ring is an outer shell and which a hole. We rebuild that from containment:
+// a ring inside an even number of other rings is a shell, inside an odd number
+// a hole of the smallest shell around it. The result is RFC 7946 GeoJSON
+// ([lng, lat] positions, closed rings, shells counter-clockwise and holes
+// clockwise) that Leaflet, exports and spatial lookups can share.
+
+import { pointInRing, ringArea, ringBounds, toRings } from './geometry.js';
+import { zoomBand } from './simplify.js';
+
+/** Leaflet path options per administrative level. */
+export const BOUNDARY_STYLES = {
+    province: { color: '#ff0000', weight: 2, opacity: 0.8, fillOpacity: 0.1, fillColor: '#ff0000' },
+    city: { color: '#0066cc', weight: 2, opacity: 0.8, fillOpacity: 0.15, fillColor: '#0066cc' },
+    district: { color: '#16a34a', weight: 2, opacity: 0.8, fillOpacity: 0.15, fillColor: '#16a34a' },
+    village: { color: '#ea580c', weight: 2, opacity: 0.8, fillOpacity: 0.2, fillColor: '#ea580c' },
+    island: { color: '#7c3aed', weight: 1, opacity: 0.8, fillOpacity: 0.1, fillColor: '#7c3aed' }
+};
+
+const contains = (outer, inner) => {
+    const [[minLat, minLng], [maxLat, maxLng]] = outer.bounds;
+    const [lat, lng] = inner.ring[0];
+    if (lat < minLat || lat > maxLat || lng < minLng || lng > maxLng) return false;
+    return outer.area > inner.area && pointInRing(inner.ring[0], outer.ring);
+};
+
+// Closes a [lat, lng] ring, orients it and converts it to [lng, lat].
+const toPositions = (ring, counterClockwise) => {
+    const oriented = (ringArea(ring) > 0) === counterClockwise ? ring : [...ring].reverse();
+    const positions = oriented.map(([lat, lng]) => [lng, lat]);
+    const [firstLng, firstLat] = positions[0];
+    const [lastLng, lastLat] = positions[positions.length - 1];
+    if (firstLng !== lastLng || firstLat !== lastLat) {
+        positions.push([firstLng, firstLat]);
+    }
+    return positions;
+};
+
+/**
+ * Converts an API `path` (JSON string or parsed array, any nesting depth)
+ * into a GeoJSON Polygon or MultiPolygon, or null when it holds no ring.
+ */
+export function pathToGeometry(path) {
+    const rings = toRings(path).map((ring) => ({ ring, area: Math.abs(ringArea(ring)), bounds: ringBounds(ring) }));
+    if (rings.length === 0) return null;
+
+    // Containers are listed smallest first, so the first shell found around
+    // a hole is the one it cuts into.
+    const bySize = [...rings].sort((a, b) => a.area - b.area);
+    rings.forEach((entry) => {
+        entry.containers = bySize.filter((other) => other !== entry && contains(other, entry));
+        entry.holes = [];
+    });
+
+    const shells = rings.filter((entry) => entry.containers.length % 2 === 0);
+    rings
+        .filter((entry) => entry.containers.length % 2 === 1)
+        .forEach((hole) => {
+            const parent = hole.containers.find((other) => other.containers.length === hole.containers.length - 1);
+            if (parent) parent.holes.push(hole);
+        });
+
+    const polygons = shells.map((shell) => [
+        toPositions(shell.ring, true),
+        ...shell.holes.map((hole) => toPositions(hole.ring, false))
+    ]);
+    return polygons.length === 1
+        ? { type: 'Polygon', coordinates: polygons[0] }
+        : { type: 'MultiPolygon', coordinates: polygons };
+}
+
+/** Wraps pathToGeometry() in a Feature; null when the path has no geometry. */
+export function pathToFeature(path, properties = {}) {
+    const geometry = pathToGeometry(path);
+    return geometry ? { type: 'Feature', properties, geometry } : null;
+}
+
+/**
+ * Checks a GeoJSON Polygon/MultiPolygon against RFC 7946 ring rules.
+ * Returns one `{ polygon, ring, problem }` entry per violation, where problem
+ * is 'too-few-positions', 'not-closed' or 'wrong-winding'; empty when valid.
+ */
+export function validateGeometry(geometry) {
+    if (!geometry || (geometry.type !== 'Polygon' && geometry.type !== 'MultiPolygon')) {
+        return [{ polygon: null, ring: null, problem: 'unsupported-type' }];
+    }
+    const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+    const issues = [];
+    polygons.forEach((polygon, polygonIndex) => {
+        polygon.forEach((positions, ringIndex) => {
+            const report = (problem) => issues.push({ polygon: polygonIndex, ring: ringIndex, problem });
+            if (positions.length < 4) {
+                report('too-few-positions');
+                return;
+            }
+            const first = positions[0];
+            const last = positions[positions.length - 1];
+            if (first[0] !== last[0] || first[1] !== last[1]) report('not-closed');
+
+            // ringArea() takes [lat, lng]; GeoJSON positions are [lng, lat].
+            const area = ringArea(positions.map(([lng, lat]) => [lat, lng]));
+            if ((ringIndex === 0) !== (area > 0)) report('wrong-winding');
+        });
+    });
+    return issues;
+}
+
+/** Number of polygons in a GeoJSON geometry, Feature or FeatureCollection. */
+export function polygonCount(geojson) {
+    if (!geojson) return 0;
+    switch (geojson.type) {
+        case 'FeatureCollection':
+            return geojson.features.reduce((sum, feature) => sum + polygonCount(feature), 0);
+        case 'Feature':
+            return polygonCount(geojson.geometry);
+        case 'Polygon':
+            return 1;
+        case 'MultiPolygon':
+            return geojson.coordinates.length;
+        default:
+            return 0;
+    }
+}
+
+/**
+ * Keeps at most one boundary layer per level on a Leaflet map.
+ *
+ * With a `simplifier` (js/simplify.js) each boundary is redrawn simplified
+ * for the current zoom, first when shown and again after every zoom; the
+ * full outline is drawn until the simplified one arrives.
+ *
+ * @param {object} options
+ * @param {object} options.map Leaflet map.
+ * @param {object} [options.styles] Path options keyed by level, merged over BOUNDARY_STYLES.
+ * @param {object} [options.leaflet] Leaflet namespace, the global `L` by default.
+ * @param {object|null} [options.simplifier] From createSimplifier(); none draws every point.
+ * @param {number} [options.canvasMinPolygons=Infinity] Boundaries with at least
+ *   this many polygons are drawn on one shared canvas instead of as SVG paths.
+ */
+export function createBoundaryRenderer({
+    map,
+    styles = {},
+    leaflet = globalThis.L,
+    simplifier = null,
+    canvasMinPolygons = Infinity
+}) {
+    // Per level: { layer, feature, key, drawn } where drawn is the geometry on the map
+    const boundaries = {};
+    let canvas = null;
+
+    // Redraws a level for the current zoom once its simplified geometry is
+    // ready, unless the boundary or the zoom band changed meanwhile
+    const refine = (level) => {
+        const boundary = boundaries[level];
+        if (!simplifier || !boundary) return;
+        const band = zoomBand(map.getZoom());
+        simplifier.simplify(boundary.feature.geometry, map.getZoom(), { key: boundary.key })
+            .then((geometry) => {
+                if (boundaries[level] !== boundary || zoomBand(map.getZoom()) !== band || boundary.drawn === geometry) return;
+                boundary.drawn = geometry;
+                boundary.layer.clearLayers();
+                boundary.layer.addData({ ...boundary.feature, geometry });
+            })
+            .catch((error) => console.warn(`Could not simplify the ${level} boundary:`, error));
+    };
+
+    if (simplifier) {
+        map.on('zoomend', () => Object.keys(boundaries).forEach(refine));
+    }
+
+    const renderer = {
+        /**
+         * Replaces the `level` boundary with `path` and returns the new layer,
+         * or null (nothing drawn) when the path holds no geometry. `key`
+         * (a region code) lets simplified versions be reused when the same
+         * boundary is shown again.
+         */
+        show(level, path, properties = {}, { key } = {}) {
+            renderer.clear(level);
+            const feature = pathToFeature(path, { level, ...properties });
+            if (!feature) return null;
+
+            const options = { style: { ...BOUNDARY_STYLES[level], ...styles[level] } };
+            if (polygonCount(feature) >= canvasMinPolygons) {
+                canvas = canvas || leaflet.canvas({ padding: 0.5 });
+                options.renderer = canvas;
+            }
+
+            const drawn = (simplifier && simplifier.peek(feature.geometry, map.getZoom(), { key })) || feature.geometry;
+            const layer = leaflet.geoJSON({ ...feature, geometry: drawn }, options).addTo(map);
+            boundaries[level] = { layer, feature, key, drawn };
+            refine(level);
+            return layer;
+        },
+
+        clear(level) {
+            if (boundaries[level]) {
+                map.removeLayer(boundaries[level].layer);
+                delete boundaries[level];
+            }
+        },
+
+        clearAll() {
+            Object.keys(boundaries).forEach((level) => renderer.clear(level));
+        },
+
+        get(level) {
+            return boundaries[level] ? boundaries[level].layer : null;
+        }
+    };
+
+    return renderer;
+}
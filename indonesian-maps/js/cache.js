@@ -0,0 +1,213 @@
+// Indonesian Maps API - Response cache
+//
+// In-memory LRU with per-endpoint TTLs, optional persistence (IndexedDB or
+// localStorage) and de-duplication of concurrent identical requests. The
+// client (js/client.js) consults it under `request()`, keyed by full URL, so
+// repeated geo lookups are served without touching the network.
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+// First matching rule wins; rules are tested against the request URL.
+export const DEFAULT_TTL_RULES = [
+    { match: /\/test(\?|$)/, ttl: 0 }, // connectivity check, never cached
+    { match: /\/geo(\?|$)/, ttl: 7 * DAY }, // boundaries and coordinates rarely change
+    { match: /\/complete(\?|$)/, ttl: DAY }
+];
+
+export const DEFAULT_TTL = HOUR;
+
+// Matchers accepted by ttl rules and invalidate(): a substring, a RegExp or
+// a predicate receiving the cache key (the request URL).
+const matches = (matcher, key) => {
+    if (matcher instanceof RegExp) return matcher.test(key);
+    if (typeof matcher === 'function') return Boolean(matcher(key));
+    return key.includes(String(matcher));
+};
+
+/**
+ * @typedef {object} CacheStore Persistence backend; every method may return a promise.
+ * @property {(key: string) => any} get
+ * @property {(key: string, entry: {value: any, expires: number}) => any} set
+ * @property {(key: string) => any} delete
+ * @property {() => string[] | Promise<string[]>} keys
+ * @property {() => any} clear
+ */
+
+/**
+ * @param {object} [options]
+ * @param {number} [options.maxEntries=200] In-memory LRU capacity.
+ * @param {number} [options.ttl] Default time-to-live in ms.
+ * @param {Array<{match: string|RegExp|Function, ttl: number}>} [options.rules] Per-endpoint TTLs.
+ * @param {CacheStore|null} [options.store] Optional persistent store.
+ */
+export function createResponseCache({ maxEntries = 200, ttl = DEFAULT_TTL, rules = DEFAULT_TTL_RULES, store = null } = {}) {
+    const memory = new Map();
+    const inflight = new Map();
+
+    const ttlFor = (key) => {
+        const rule = rules.find((candidate) => matches(candidate.match, key));
+        return rule ? rule.ttl : ttl;
+    };
+
+    // Persistence is best effort: quota errors or a blocked database must
+    // never fail the request that triggered them.
+    const persist = async (action, ...args) => {
+        if (!store) return undefined;
+        try {
+            return await store[action](...args);
+        } catch (error) {
+            console.warn(`Response cache store ${action} failed:`, error);
+            return undefined;
+        }
+    };
+
+    const remember = (key, entry) => {
+        memory.delete(key);
+        memory.set(key, entry);
+        while (memory.size > maxEntries) {
+            memory.delete(memory.keys().next().value);
+        }
+    };
+
+    const cache = {
+        async get(key) {
+            const now = Date.now();
+            const entry = memory.get(key);
+            if (entry) {
+                if (entry.expires > now) {
+                    remember(key, entry); // refresh LRU position
+                    return entry.value;
+                }
+                memory.delete(key);
+            }
+
+            const stored = await persist('get', key);
+            if (stored && stored.expires > now) {
+                remember(key, stored);
+                return stored.value;
+            }
+            if (stored) persist('delete', key);
+            return undefined;
+        },
+
+        async set(key, value, entryTtl = ttlFor(key)) {
+            if (entryTtl <= 0) return;
+            const entry = { value, expires: Date.now() + entryTtl };
+            remember(key, entry);
+            await persist('set', key, entry);
+        },
+
+        // Returns the cached value for `key` or runs `loader` once, sharing
+        // its promise with every concurrent caller asking for the same key.
+        wrap(key, loader) {
+            if (inflight.has(key)) return inflight.get(key);
+
+            const promise = (async () => {
+                const entryTtl = ttlFor(key);
+                if (entryTtl > 0) {
+                    const cached = await cache.get(key);
+                    if (cached !== undefined) return cached;
+                }
+                const value = await loader();
+                await cache.set(key, value, entryTtl);
+                return value;
+            })();
+
+            const settle = () => inflight.delete(key);
+            inflight.set(key, promise);
+            promise.then(settle, settle);
+            return promise;
+        },
+
+        /** Drops every entry whose key matches (substring, RegExp or predicate). */
+        async invalidate(matcher) {
+            Array.from(memory.keys())
+                .filter((key) => matches(matcher, key))
+                .forEach((key) => memory.delete(key));
+
+            const storedKeys = (await persist('keys')) || [];
+            await Promise.all(storedKeys.filter((key) => matches(matcher, key)).map((key) => persist('delete', key)));
+        },
+
+        async clear() {
+            memory.clear();
+            await persist('clear');
+        },
+
+        get size() {
+            return memory.size;
+        }
+    };
+
+    return cache;
+}
+
+/** Persists entries as JSON under a key prefix; returns null without localStorage. */
+export function createLocalStorageStore({ prefix = 'indonesian-maps-cache:', storage = globalThis.localStorage } = {}) {
+    if (!storage) return null;
+
+    const ownKeys = () => {
+        const keys = [];
+        for (let i = 0; i < storage.length; i++) {
+            const key = storage.key(i);
+            if (key && key.startsWith(prefix)) keys.push(key.slice(prefix.length));
+        }
+        return keys;
+    };
+
+    return {
+        get(key) {
+            const raw = storage.getItem(prefix + key);
+            return raw ? JSON.parse(raw) : undefined;
+        },
+        set(key, entry) {
+            storage.setItem(prefix + key, JSON.stringify(entry));
+        },
+        delete(key) {
+            storage.removeItem(prefix + key);
+        },
+        keys: ownKeys,
+        clear() {
+            ownKeys().forEach((key) => storage.removeItem(prefix + key));
+        }
+    };
+}
+
+/** Persists entries in an IndexedDB object store; returns null without IndexedDB. */
+export function createIndexedDBStore({ dbName = 'indonesian-maps-cache', storeName = 'responses', indexedDB = globalThis.indexedDB } = {}) {
+    if (!indexedDB) return null;
+
+    let dbPromise = null;
+    const open = () => {
+        if (!dbPromise) {
+            dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(dbName, 1);
+                request.onupgradeneeded = () => request.result.createObjectStore(storeName);
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return dbPromise;
+    };
+
+    const run = async (mode, operation) => {
+        const db = await open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeName, mode);
+            const request = operation(transaction.objectStore(storeName));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    };
+
+    return {
+        get: (key) => run('readonly', (store) => store.get(key)),
+        set: (key, entry) => run('readwrite', (store) => store.put(entry, key)),
+        delete: (key) => run('readwrite', (store) => store.delete(key)),
+        keys: () => run('readonly', (store) => store.getAllKeys()),
+        clear: () => run('readwrite', (store) => store.clear())
+    };
+}
@@ -0,0 +1,112 @@
+// Indonesian Maps API - Data classification for choropleth maps
+//
+// Splits a list of values into classes and maps each class to a colour.
+// Breaks are stored as class boundaries, [min, b1, ..., max], so class i
+// covers breaks[i]..breaks[i + 1] (the upper bound inclusive).
+
+// Sequential palettes (ColorBrewer), light to dark, indexed by class count.
+export const PALETTES = {
+    YlOrRd: {
+        3: ['#ffeda0', '#feb24c', '#f03b20'],
+        4: ['#ffffb2', '#fecc5c', '#fd8d3c', '#e31a1c'],
+        5: ['#ffffb2', '#fecc5c', '#fd8d3c', '#f03b20', '#bd0026'],
+        6: ['#ffffb2', '#fed976', '#feb24c', '#fd8d3c', '#f03b20', '#bd0026'],
+        7: ['#ffffb2', '#fed976', '#feb24c', '#fd8d3c', '#fc4e2a', '#e31a1c', '#b10026']
+    },
+    Blues: {
+        3: ['#deebf7', '#9ecae1', '#3182bd'],
+        4: ['#eff3ff', '#bdd7e7', '#6baed6', '#2171b5'],
+        5: ['#eff3ff', '#bdd7e7', '#6baed6', '#3182bd', '#08519c'],
+        6: ['#eff3ff', '#c6dbef', '#9ecae1', '#6baed6', '#3182bd', '#08519c'],
+        7: ['#eff3ff', '#c6dbef', '#9ecae1', '#6baed6', '#4292c6', '#2171b5', '#084594']
+    },
+    Greens: {
+        3: ['#e5f5e0', '#a1d99b', '#31a354'],
+        4: ['#edf8e9', '#bae4b3', '#74c476', '#238b45'],
+        5: ['#edf8e9', '#bae4b3', '#74c476', '#31a354', '#006d2c'],
+        6: ['#edf8e9', '#c7e9c0', '#a1d99b', '#74c476', '#31a354', '#006d2c'],
+        7: ['#edf8e9', '#c7e9c0', '#a1d99b', '#74c476', '#41ab5d', '#238b45', '#005a32']
+    }
+};
+
+export const NO_DATA_COLOR = '#d1d5db';
+
+const finiteSorted = (values) => values.filter(Number.isFinite).sort((a, b) => a - b);
+
+// Equal breaks collapse (e.g. many identical values in a quantile split);
+// keeping them would produce empty classes.
+const dedupe = (breaks) => breaks.filter((value, index) => index === 0 || value !== breaks[index - 1]);
+
+/** Class boundaries splitting the value range into equally wide classes. */
+export function equalIntervalBreaks(values, classes) {
+    const sorted = finiteSorted(values);
+    if (sorted.length === 0) return [];
+    const min = sorted[0];
+    const max = sorted[sorted.length - 1];
+    const step = (max - min) / classes;
+    const breaks = Array.from({ length: classes + 1 }, (_, i) => (i === classes ? max : min + step * i));
+    return dedupe(breaks);
+}
+
+/** Class boundaries putting (about) the same number of values in every class. */
+export function quantileBreaks(values, classes) {
+    const sorted = finiteSorted(values);
+    if (sorted.length === 0) return [];
+    const breaks = Array.from({ length: classes + 1 }, (_, i) => {
+        const position = (sorted.length - 1) * (i / classes);
+        const lower = Math.floor(position);
+        const upper = Math.ceil(position);
+        return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+    });
+    return dedupe(breaks);
+}
+
+export const CLASSIFICATION_METHODS = {
+    quantile: quantileBreaks,
+    equalInterval: equalIntervalBreaks
+};
+
+/** Index of the class holding `value`, or -1 for missing/out-of-range values. */
+export function classIndex(value, breaks) {
+    if (!Number.isFinite(value) || breaks.length === 0) return -1;
+    if (value < breaks[0] || value > breaks[breaks.length - 1]) return -1;
+    if (breaks.length === 1) return 0; // every value identical
+    for (let i = 1; i < breaks.length; i++) {
+        if (value <= breaks[i]) return i - 1;
+    }
+    return breaks.length - 2;
+}
+
+/**
+ * Classifies `values` and returns the colour lookup plus legend entries.
+ *
+ * @param {number[]} values Values to classify; non-finite ones are ignored.
+ * @param {object} [options]
+ * @param {'quantile'|'equalInterval'} [options.method='quantile']
+ * @param {number} [options.classes=5] Between 3 and 7.
+ * @param {string} [options.palette='YlOrRd'] Key of PALETTES.
+ */
+export function createClassification(values, { method = 'quantile', classes = 5, palette = 'YlOrRd' } = {}) {
+    const computeBreaks = CLASSIFICATION_METHODS[method];
+    if (!computeBreaks) throw new Error(`Unknown classification method: ${method}`);
+    const count = Math.min(Math.max(3, Math.round(classes)), 7);
+
+    const breaks = computeBreaks(values, count);
+    const classCount = Math.max(1, breaks.length - 1);
+    const colors = PALETTES[palette][Math.max(3, classCount)].slice(-classCount);
+
+    return {
+        method,
+        breaks,
+        colors,
+        colorFor(value) {
+            const index = classIndex(value, breaks);
+            return index === -1 ? NO_DATA_COLOR : colors[index];
+        },
+        legend() {
+            if (breaks.length === 0) return [];
+            if (breaks.length === 1) return [{ from: breaks[0], to: breaks[0], color: colors[0] }];
+            return colors.map((color, i) => ({ from: breaks[i], to: breaks[i + 1], color }));
+        }
+    };
+}
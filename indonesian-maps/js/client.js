@@ -0,0 +1,362 @@
+// Indonesian Maps API - Client SDK
+//
+// Standalone ES module wrapping every endpoint of the Indonesian Maps API
+// (the endpoint methods are generated from docs/openapi.json). It has no
+// DOM dependencies, so the same file is used by the map explorer in the
+// browser and can be imported from Node 18+ (or any runtime with a global
+// `fetch`; pass your own implementation otherwise).
+//
+//   import { createIndonesianMapsClient } from './js/client.js';
+//   const client = createIndonesianMapsClient({ baseUrl: 'http://localhost:3001/indonesian-maps' });
+//   const { data } = await client.getCities({ kode_provinsi: 32, limit: 100 });
+
+import { ENDPOINTS } from './endpoint-catalog.js';
+import { ApiError, abortErrorFor } from './errors.js';
+import { paginate, fetchAll } from './pagination.js';
+import { parseEnvelope } from './schema.js';
+
+export const DEFAULT_BASE_URL = 'https://api.sukmaaji.my.id/indonesian-maps';
+
+// Builds a query string from a params object, skipping empty values so that
+// optional filters can be passed through unconditionally.
+export const buildQuery = (params = {}) => {
+    const query = new URLSearchParams();
+    Object.entries(params).forEach(([key, value]) => {
+        if (value === undefined || value === null || value === '') return;
+        query.append(key, String(value));
+    });
+    return query.toString();
+};
+
+const encodeCode = (code) => encodeURIComponent(String(code));
+
+export const DEFAULT_TIMEOUT = 15000;
+export const DEFAULT_RETRIES = 2;
+export const DEFAULT_RETRY_DELAY = 500;
+const MAX_RETRY_DELAY = 8000;
+
+// Exponential backoff with up to 25% jitter; a Retry-After header wins.
+const backoffDelay = (attempt, baseDelay, error) => {
+    if (error.retryAfter !== null) return Math.min(error.retryAfter, MAX_RETRY_DELAY);
+    const delay = Math.min(baseDelay * 2 ** attempt, MAX_RETRY_DELAY);
+    return delay + Math.random() * delay * 0.25;
+};
+
+const parseRetryAfter = (response) => {
+    const header = response.headers && response.headers.get ? response.headers.get('Retry-After') : null;
+    if (!header) return null;
+    const seconds = Number(header);
+    if (Number.isFinite(seconds)) return seconds * 1000;
+    const date = Date.parse(header);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+const readErrorBody = async (response) => {
+    try {
+        return await response.json();
+    } catch (e) {
+        return null;
+    }
+};
+
+const now = () => (globalThis.performance ? globalThis.performance.now() : Date.now());
+
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+        reject(abortErrorFor(signal));
+        return;
+    }
+    const onAbort = () => {
+        clearTimeout(timer);
+        reject(abortErrorFor(signal));
+    };
+    const timer = setTimeout(() => {
+        if (signal) signal.removeEventListener('abort', onAbort);
+        resolve();
+    }, ms);
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+});
+
+// Lets one caller stop waiting on a promise that is shared with others (a
+// de-duplicated, cached request) without cancelling it for everybody.
+const raceAbort = (promise, signal) => {
+    if (!signal) return promise;
+    if (signal.aborted) return Promise.reject(abortErrorFor(signal));
+    return new Promise((resolve, reject) => {
+        const onAbort = () => reject(abortErrorFor(signal));
+        signal.addEventListener('abort', onAbort, { once: true });
+        promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+    });
+};
+
+// Paginated list methods usable with client.iterate() / client.fetchAll():
+// every operation of the spec that takes a `page` parameter.
+export const LIST_METHODS = ENDPOINTS
+    .filter((endpoint) => endpoint.params.some((param) => param.name === 'page'))
+    .map((endpoint) => endpoint.id);
+
+/**
+ * Creates a client bound to one API base URL.
+ *
+ * @param {object} [options]
+ * @param {string} [options.baseUrl] API root including the `/indonesian-maps` prefix.
+ * @param {typeof fetch} [options.fetch] fetch implementation, defaults to the global one.
+ * @param {boolean} [options.validate=true] Parse entity responses into the models
+ *   of schema.js (numbers coerced, `path` parsed); malformed records reject with a SchemaError.
+ * @param {object|null} [options.cache] Response cache from js/cache.js; raw JSON is
+ *   cached per URL and concurrent identical requests share one fetch.
+ * @param {number} [options.timeout=15000] Per-attempt timeout in ms (0 disables it).
+ * @param {number} [options.retries=2] Retries for 429/5xx responses, network errors and timeouts.
+ * @param {number} [options.retryDelay=500] Base delay in ms, doubled on every retry.
+ *
+ * Every endpoint method also takes a trailing `{ signal, timeout, retries }`
+ * object overriding these per call. Failures reject with an ApiError (see
+ * js/errors.js); an aborted signal rejects with the platform's AbortError.
+ */
+export function createIndonesianMapsClient({
+    baseUrl = DEFAULT_BASE_URL,
+    fetch: fetchImpl,
+    validate = true,
+    cache = null,
+    timeout = DEFAULT_TIMEOUT,
+    retries = DEFAULT_RETRIES,
+    retryDelay = DEFAULT_RETRY_DELAY
+} = {}) {
+    const doFetch = fetchImpl || (typeof fetch === 'function' ? fetch.bind(globalThis) : null);
+    if (!doFetch) {
+        throw new TypeError('createIndonesianMapsClient: no fetch implementation available, pass one via options.fetch');
+    }
+
+    const root = String(baseUrl).replace(/\/+$/, '');
+
+    // One fetch under the caller's signal and a timeout. `consume` reads the
+    // response before the timer is cleared, so a stalled body also times
+    // out; it gets `failed(error, fallback)` to report errors the same way.
+    // Only the timeout is turned into an ApiError, not the caller's abort.
+    const exchange = async (url, signal, attemptTimeout, consume) => {
+        const controller = new AbortController();
+        const onAbort = () => controller.abort(signal.reason);
+        let timedOut = false;
+
+        if (signal) {
+            if (signal.aborted) throw abortErrorFor(signal);
+            signal.addEventListener('abort', onAbort, { once: true });
+        }
+        const timer = attemptTimeout > 0
+            ? setTimeout(() => {
+                timedOut = true;
+                controller.abort(new DOMException(`Request timed out after ${attemptTimeout}ms`, 'TimeoutError'));
+            }, attemptTimeout)
+            : null;
+
+        const failed = (error, fallback) => {
+            if (signal && signal.aborted) return abortErrorFor(signal);
+            if (timedOut) {
+                return new ApiError(`Request timed out after ${attemptTimeout}ms`, { endpoint: url, timedOut: true, cause: error });
+            }
+            return fallback;
+        };
+
+        try {
+            let response;
+            try {
+                response = await doFetch(url, { signal: controller.signal, headers: { Accept: 'application/json' } });
+            } catch (error) {
+                throw failed(error, new ApiError(`Network error: ${error.message}`, { endpoint: url, cause: error }));
+            }
+            return await consume(response, failed);
+        } finally {
+            clearTimeout(timer);
+            if (signal) signal.removeEventListener('abort', onAbort);
+        }
+    };
+
+    const attempt = (url, signal, attemptTimeout) => exchange(url, signal, attemptTimeout, async (response, failed) => {
+        if (!response.ok) {
+            const body = await readErrorBody(response);
+            const detail = body && (body.error || body.message);
+            throw new ApiError(`HTTP error! status: ${response.status}${detail ? ` (${detail})` : ''}`, {
+                status: response.status,
+                endpoint: url,
+                body,
+                retryAfter: parseRetryAfter(response)
+            });
+        }
+
+        try {
+            return await response.json();
+        } catch (error) {
+            throw failed(error, new ApiError(`Invalid JSON response: ${error.message}`, { status: response.status, endpoint: url, cause: error }));
+        }
+    });
+
+    const load = async (url, { signal, timeout: callTimeout = timeout, retries: callRetries = retries } = {}) => {
+        for (let attemptIndex = 0; ; attemptIndex++) {
+            try {
+                return await attempt(url, signal, callTimeout);
+            } catch (error) {
+                if (!(error instanceof ApiError)) throw error;
+                error.attempts = attemptIndex + 1;
+                if (!error.retryable || attemptIndex >= callRetries) throw error;
+                await sleep(backoffDelay(attemptIndex, retryDelay, error), signal);
+            }
+        }
+    };
+
+    const fetchEntity = async (entity, path, params, options) => {
+        const envelope = await client.request(path, params, options);
+        return validate ? parseEnvelope(entity, envelope) : envelope;
+    };
+
+    // The first 404 from an unlisted /geo endpoint is kept per collection and
+    // every later call rejects with it at once, without a request: a page
+    // placing hundreds of kecamatan would otherwise ask for each in vain.
+    const missingGeo = {};
+    const fetchUnlistedGeo = async (entity, collection, code, options) => {
+        const path = `/${collection}/${encodeCode(code)}/geo`;
+        const missing = missingGeo[collection];
+        if (missing) {
+            throw new ApiError(missing.message, { status: missing.status, endpoint: client.buildUrl(path), body: missing.body });
+        }
+        try {
+            return await fetchEntity(entity, path, {}, options);
+        } catch (error) {
+            if (error instanceof ApiError && error.status === 404) missingGeo[collection] = error;
+            throw error;
+        }
+    };
+
+    const splitOptions = ({ signal, timeout: callTimeout, retries: callRetries, ...pageOptions } = {}) => ({
+        requestOptions: { signal, timeout: callTimeout, retries: callRetries },
+        pageOptions
+    });
+
+    const client = {
+        baseUrl: root,
+
+        // `path` may already carry a query string (the demo passes raw
+        // endpoints such as `/pulau?limit=10`); extra params are appended.
+        buildUrl(path = '', params = {}) {
+            const query = buildQuery(params);
+            const url = `${root}${path}`;
+            if (!query) return url;
+            return `${url}${url.includes('?') ? '&' : '?'}${query}`;
+        },
+
+        cache,
+
+        // With a cache the download is shared between callers, so aborting
+        // only stops this caller from waiting; the response is still cached.
+        async request(path = '', params = {}, options = {}) {
+            const url = client.buildUrl(path, params);
+            if (!cache) return load(url, options);
+            const { signal, ...sharedOptions } = options;
+            return raceAbort(cache.wrap(url, () => load(url, sharedOptions)), signal);
+        },
+
+        // One request, bypassing the cache and retries, that resolves whatever
+        // the HTTP status with the raw exchange (for the API playground):
+        //   { url, status, statusText, ok, headers, body, text, size, duration }
+        // `body` is the parsed JSON or null, `size` the body in bytes and
+        // `duration` milliseconds until the body was read. Network failures
+        // and timeouts still reject with an ApiError.
+        inspect(path = '', params = {}, { signal, timeout: callTimeout = timeout } = {}) {
+            const url = client.buildUrl(path, params);
+            const started = now();
+            return exchange(url, signal, callTimeout, async (response, failed) => {
+                let text;
+                try {
+                    text = await response.text();
+                } catch (error) {
+                    throw failed(error, new ApiError(`Network error: ${error.message}`, { status: response.status, endpoint: url, cause: error }));
+                }
+                const duration = now() - started;
+
+                let body = null;
+                try {
+                    body = JSON.parse(text);
+                } catch (e) {
+                    body = null;
+                }
+
+                const headers = {};
+                if (response.headers && response.headers.forEach) {
+                    response.headers.forEach((value, name) => {
+                        headers[name] = value;
+                    });
+                }
+
+                return {
+                    url,
+                    status: response.status,
+                    statusText: response.statusText || '',
+                    ok: response.ok,
+                    headers,
+                    body,
+                    text,
+                    size: new TextEncoder().encode(text).length,
+                    duration
+                };
+            });
+        },
+
+        // Drops cached responses whose URL matches a substring, RegExp or
+        // predicate; without a matcher the whole cache is cleared.
+        async invalidate(matcher) {
+            if (!cache) return;
+            await (matcher === undefined ? cache.clear() : cache.invalidate(matcher));
+        },
+
+        // Geo data for kecamatan and desa/kelurahan is not listed by the API
+        // (nor docs/openapi.json) yet; these reject with a 404 ApiError until it is.
+        getDistrictGeo(code, options = {}) {
+            return fetchUnlistedGeo('Kecamatan', 'kecamatan', code, options);
+        },
+
+        getVillageGeo(code, options = {}) {
+            return fetchUnlistedGeo('DesaKelurahan', 'desa-kelurahan', code, options);
+        },
+
+        // Pagination - walks every page of a list method, e.g.
+        //   for await (const desa of client.iterate('getVillages', { kode_kecamatan: '32.04.01' })) { ... }
+        //   const kecamatan = await client.fetchAll('getDistricts', { kode_provinsi: 32 }, { concurrency: 3 });
+        // Options: limit (page size), concurrency, maxItems (hard cap), plus
+        // signal/timeout/retries applied to every page request.
+        iterate(method, params = {}, options = {}) {
+            if (!LIST_METHODS.includes(method)) {
+                throw new TypeError(`iterate: "${method}" is not a paginated list method`);
+            }
+            const { requestOptions, pageOptions } = splitOptions(options);
+            return paginate((pageParams) => client[method]({ ...params, ...pageParams }, requestOptions), pageOptions);
+        },
+
+        fetchAll(method, params = {}, options = {}) {
+            if (!LIST_METHODS.includes(method)) {
+                return Promise.reject(new TypeError(`fetchAll: "${method}" is not a paginated list method`));
+            }
+            const { requestOptions, pageOptions } = splitOptions(options);
+            return fetchAll((pageParams) => client[method]({ ...params, ...pageParams }, requestOptions), pageOptions);
+        }
+    };
+
+    // One method per operation of docs/openapi.json, named after its
+    // operationId: path parameters come first as positional arguments, then
+    // the query params object (if the operation has query parameters) and
+    // the options, e.g. getCityGeo(code, options), getCities(params, options).
+    ENDPOINTS.forEach((endpoint) => {
+        const pathParams = endpoint.params.filter((param) => param.in === 'path');
+        const hasQuery = endpoint.params.some((param) => param.in === 'query');
+
+        client[endpoint.id] = (...args) => {
+            const params = hasQuery ? args[pathParams.length] || {} : {};
+            const options = args[pathParams.length + (hasQuery ? 1 : 0)] || {};
+            const path = pathParams.reduce(
+                (result, param, index) => result.replace(`{${param.name}}`, encodeCode(args[index])),
+                endpoint.path
+            );
+            return endpoint.entity ? fetchEntity(endpoint.entity, path, params, options) : client.request(path, params, options);
+        };
+    });
+
+    return client;
+}
@@ -0,0 +1,257 @@
+// Indonesian Maps API - Kemendagri region codes
+//
+// A region's code is its parent's code plus a segment of its own: two
+// digits for provinsi, kabupaten/kota and kecamatan, four for desa/kelurahan.
+// The API writes them dotted ("32.04.05.2003"); Kemendagri tables and most
+// spreadsheets write them compact ("3204052003"). Both are accepted here and
+// normalised to the dotted form the API filters on.
+
+import { abortErrorFor } from './errors.js';
+import { MAX_LIMIT } from './pagination.js';
+import { REGION_LEVELS } from './schema.js';
+
+export const CODE_LEVELS = ['province', 'city', 'district', 'village'];
+
+// Digits in each level's own segment
+export const SEGMENT_LENGTHS = { province: 2, city: 2, district: 2, village: 4 };
+
+// The dotted format of each level, as in the parameters of docs/openapi.json
+export const CODE_PATTERNS = {
+    province: /^\d{2}$/,
+    city: /^\d{2}\.\d{2}$/,
+    district: /^\d{2}\.\d{2}\.\d{2}$/,
+    village: /^\d{2}\.\d{2}\.\d{2}\.\d{4}$/
+};
+
+const LEVEL_LABELS = {
+    province: 'provinsi',
+    city: 'kabupaten/kota',
+    district: 'kecamatan',
+    village: 'desa/kelurahan'
+};
+
+const EXAMPLES = {
+    province: '32',
+    city: '32.04',
+    district: '32.04.05',
+    village: '32.04.05.2003'
+};
+
+// Compact length → dotted form, e.g. 6 digits → "dd.dd.dd"
+const COMPACT_LEVELS = new Map(CODE_LEVELS.map((level, index) => [
+    CODE_LEVELS.slice(0, index + 1).reduce((sum, current) => sum + SEGMENT_LENGTHS[current], 0),
+    level
+]));
+
+const splitCompact = (digits, level) => {
+    const segments = [];
+    let offset = 0;
+    for (const current of CODE_LEVELS.slice(0, CODE_LEVELS.indexOf(level) + 1)) {
+        segments.push(digits.slice(offset, offset + SEGMENT_LENGTHS[current]));
+        offset += SEGMENT_LENGTHS[current];
+    }
+    return segments.join('.');
+};
+
+/**
+ * The dotted code for `value`, or null if it is not a region code.
+ * Accepts dotted and compact strings and the numbers the API sometimes
+ * sends (32, and 32.1 for "32.10").
+ */
+export function normalizeCode(value) {
+    if (typeof value === 'number') {
+        if (!Number.isFinite(value) || value < 0) return null;
+        return normalizeCode(Number.isInteger(value) ? String(value) : value.toFixed(2));
+    }
+    if (typeof value !== 'string') return null;
+
+    const code = value.trim();
+    if (/^\d+$/.test(code) && COMPACT_LEVELS.has(code.length)) {
+        return splitCompact(code, COMPACT_LEVELS.get(code.length));
+    }
+    return CODE_LEVELS.some((level) => CODE_PATTERNS[level].test(code)) ? code : null;
+}
+
+/** The level of a code ('province' … 'village'), or null if it is not one. */
+export function codeLevel(value) {
+    const code = normalizeCode(value);
+    return code ? CODE_LEVELS[code.split('.').length - 1] : null;
+}
+
+/**
+ * Checks that `value` is a code, of `level` when given. `error` is an
+ * Indonesian message for forms, null when valid.
+ * @returns {{ valid: boolean, code: string|null, level: string|null, error: string|null }}
+ */
+export function validateCode(value, level = null) {
+    const raw = value === undefined || value === null ? '' : String(value).trim();
+    if (!raw) return { valid: false, code: null, level: null, error: 'Kode wajib diisi' };
+
+    const code = normalizeCode(value);
+    const found = code ? codeLevel(code) : null;
+    if (!code) {
+        const example = level ? EXAMPLES[level] : EXAMPLES.district;
+        return { valid: false, code: null, level: null, error: `Format kode tidak valid, contoh: ${example}` };
+    }
+    if (level && found !== level) {
+        return { valid: false, code, level: found, error: `Bukan kode ${LEVEL_LABELS[level]} (${LEVEL_LABELS[found]}), contoh: ${EXAMPLES[level]}` };
+    }
+    return { valid: true, code, level: found, error: null };
+}
+
+/** True if `value` is a code, of `level` when given. */
+export function isValidCode(value, level = null) {
+    return validateCode(value, level).valid;
+}
+
+/** The code of the region one level up ('32.04.05' → '32.04'), or null for provinsi and invalid codes. */
+export function parentCode(value) {
+    const code = normalizeCode(value);
+    if (!code || !code.includes('.')) return null;
+    return code.slice(0, code.lastIndexOf('.'));
+}
+
+/**
+ * The codes of a region and of its parents, provinsi first
+ * ('32.04.05' → ['32', '32.04', '32.04.05']), or [] for invalid codes.
+ */
+export function ancestorCodes(value) {
+    const code = normalizeCode(value);
+    if (!code) return [];
+    const segments = code.split('.');
+    return segments.map((segment, index) => segments.slice(0, index + 1).join('.'));
+}
+
+/** `value` dotted ("32.04.05.2003") or, with `compact`, as digits only ("3204052003"). */
+export function formatCode(value, { compact = false } = {}) {
+    const code = normalizeCode(value);
+    if (!code) return null;
+    return compact ? code.replace(/\./g, '') : code;
+}
+
+/**
+ * @typedef {object} DecodedCode
+ * @property {string} code Dotted.
+ * @property {string} compact Digits only.
+ * @property {string} level
+ * @property {{ province: string, city: string|null, district: string|null, village: string|null }} codes
+ *   The code of each level down to `level`, null below.
+ * @property {string|null} kind 'kabupaten' or 'kota' for kabupaten/kota
+ *   (kota are numbered from 71), 'kelurahan' or 'desa' for desa/kelurahan
+ *   (numbered from 1001 and 2001). Null for other levels and other numbers.
+ */
+
+/** Everything a code tells without asking the API, or null if it is not a code. */
+export function decodeCode(value) {
+    const code = normalizeCode(value);
+    if (!code) return null;
+
+    const level = codeLevel(code);
+    const ancestors = ancestorCodes(code);
+    const codes = {};
+    CODE_LEVELS.forEach((current, index) => {
+        codes[current] = ancestors[index] || null;
+    });
+
+    const segment = Number(code.slice(code.lastIndexOf('.') + 1));
+    let kind = null;
+    if (level === 'city') {
+        kind = segment >= 71 ? 'kota' : 'kabupaten';
+    } else if (level === 'village' && segment >= 1000 && segment < 3000) {
+        kind = segment < 2000 ? 'kelurahan' : 'desa';
+    }
+
+    return { code, compact: code.replace(/\./g, ''), level, codes, kind };
+}
+
+/**
+ * @typedef {object} CodeResolution
+ * @property {*} input The value as given.
+ * @property {string|null} code Dotted, null if `input` is not a code.
+ * @property {string|null} level
+ * @property {boolean} valid
+ * @property {boolean|null} exists Null when it could not be checked
+ *   (invalid code, or the API request failed).
+ * @property {string|null} name
+ * @property {object|null} record The API record, when it exists.
+ * @property {string|null} error
+ */
+
+/**
+ * Looks codes up through the API in batches: one list request per parent
+ * (every kecamatan of 32.04 answers all the 32.04.xx codes asked for), each
+ * list loaded once per resolver.
+ *
+ * @param {object} options
+ * @param {object} options.client A js/client.js client.
+ * @param {number} [options.concurrency=4] Lists fetched in parallel.
+ */
+export function createCodeResolver({ client, concurrency = 4 }) {
+    const lists = new Map();
+    const childrenOf = (level, parent) => {
+        const key = `${level}:${parent || ''}`;
+        if (!lists.has(key)) {
+            const parentLevel = CODE_LEVELS[CODE_LEVELS.indexOf(level) - 1];
+            const params = parentLevel ? { [REGION_LEVELS[parentLevel].code]: parent } : {};
+            const promise = client.fetchAll(REGION_LEVELS[level].list, params, { limit: MAX_LIMIT }).then((records) => new Map(
+                records.map((record) => [normalizeCode(record[REGION_LEVELS[level].code]), record])
+            ));
+            promise.catch(() => lists.delete(key));
+            lists.set(key, promise);
+        }
+        return lists.get(key);
+    };
+
+    return {
+        /**
+         * Resolves codes to their names and flags those that do not exist,
+         * in the order given.
+         * @param {Array<string|number>} values
+         * @returns {Promise<CodeResolution[]>}
+         */
+        async resolve(values, { signal } = {}) {
+            const results = Array.from(values, (input) => {
+                const { valid, code, level, error } = validateCode(input);
+                return { input, code, level, valid, exists: null, name: null, record: null, error };
+            });
+
+            const groups = new Map();
+            results.filter((result) => result.valid).forEach((result) => {
+                const key = `${result.level}:${parentCode(result.code) || ''}`;
+                if (!groups.has(key)) groups.set(key, { level: result.level, parent: parentCode(result.code), results: [] });
+                groups.get(key).results.push(result);
+            });
+
+            const queue = Array.from(groups.values());
+            const worker = async () => {
+                while (queue.length > 0) {
+                    if (signal && signal.aborted) return;
+                    const group = queue.shift();
+                    try {
+                        const records = await childrenOf(group.level, group.parent);
+                        group.results.forEach((result) => {
+                            const record = records.get(result.code) || null;
+                            result.exists = Boolean(record);
+                            result.record = record;
+                            result.name = record ? record[REGION_LEVELS[group.level].name] : null;
+                            result.error = record ? null : `Kode ${LEVEL_LABELS[group.level]} ${result.code} tidak ditemukan`;
+                        });
+                    } catch (error) {
+                        group.results.forEach((result) => {
+                            result.error = error.message;
+                        });
+                    }
+                }
+            };
+            await Promise.all(Array.from({ length: Math.min(Math.max(1, concurrency), queue.length) }, worker));
+            if (signal && signal.aborted) throw abortErrorFor(signal);
+            return results;
+        },
+
+        /** The codes among `values` that are valid but do not exist. */
+        async missing(values, options) {
+            const results = await this.resolve(values, options);
+            return results.filter((result) => result.exists === false).map((result) => result.code);
+        }
+    };
+}
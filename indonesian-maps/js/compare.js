@@ -0,0 +1,112 @@
+// Indonesian Maps API - Side-by-side region comparison
+//
+// Keeps the regions pinned for comparison, each with its own color, and
+// turns them into the rows of the comparison table. Loading the records and
+// drawing them lives in script.js.
+
+import { density } from './stats.js';
+
+// Distinct on the OSM, satellite and terrain base maps alike
+export const COMPARISON_COLORS = ['#2563eb', '#dc2626', '#16a34a', '#9333ea', '#ea580c', '#0891b2', '#ca8a04', '#db2777'];
+
+/**
+ * @typedef {object} PinnedRegion
+ * @property {string} key See regionKey().
+ * @property {string} level province or city.
+ * @property {string} code
+ * @property {string} name
+ * @property {object} record Detail and geo fields of the region merged.
+ * @property {number|null} childCount Kabupaten/kota of a province, kecamatan of a kabupaten/kota.
+ * @property {string} color
+ */
+
+/** Table rows, top to bottom. `numeric` rows get their highest and lowest marked. */
+export const COMPARISON_ROWS = [
+    { key: 'penduduk', label: 'Penduduk', numeric: true, value: (region) => region.record.penduduk },
+    { key: 'luas', label: 'Luas', numeric: true, value: (region) => region.record.luas },
+    { key: 'density', label: 'Kepadatan', numeric: true, value: (region) => density(region.record) },
+    { key: 'elv', label: 'Elevasi', numeric: true, value: (region) => region.record.elv },
+    { key: 'tz', label: 'Zona waktu', numeric: false, value: (region) => region.record.tz },
+    { key: 'ibukota', label: 'Ibu kota', numeric: false, value: (region) => region.record.ibukota },
+    { key: 'children', label: 'Wilayah di bawahnya', numeric: true, value: (region) => region.childCount }
+];
+
+export const regionKey = (level, code) => `${level}:${code}`;
+
+/**
+ * One entry per row: the value for every region (in pin order) and the
+ * indexes of the highest and lowest, which are null for non-numeric rows,
+ * fewer than two known values, or a tie across all of them.
+ * @returns {Array<{key: string, label: string, values: Array, highest: number|null, lowest: number|null}>}
+ */
+export function compareRegions(regions, rows = COMPARISON_ROWS) {
+    return rows.map((row) => {
+        const values = regions.map((region) => {
+            const value = row.value(region);
+            return value === undefined ? null : value;
+        });
+
+        let highest = null;
+        let lowest = null;
+        const known = values.map((value, index) => ({ value, index })).filter(({ value }) => Number.isFinite(value));
+        if (row.numeric && known.length > 1) {
+            const sorted = [...known].sort((a, b) => a.value - b.value);
+            if (sorted[0].value !== sorted[sorted.length - 1].value) {
+                lowest = sorted[0].index;
+                highest = sorted[sorted.length - 1].index;
+            }
+        }
+        return { key: row.key, label: row.label, values, highest, lowest };
+    });
+}
+
+/**
+ * Ordered set of pinned regions. Each gets the first color not in use, so
+ * unpinning and pinning again never leaves two regions sharing a color.
+ * @param {object} [options]
+ * @param {string[]} [options.colors]
+ */
+export function createPinboard({ colors = COMPARISON_COLORS } = {}) {
+    const pinned = new Map();
+
+    return {
+        max: colors.length,
+
+        /**
+         * Pins a region (without `key` and `color`) and returns the stored
+         * PinnedRegion; the existing one when already pinned, null when full.
+         */
+        add(region) {
+            const key = regionKey(region.level, region.code);
+            if (pinned.has(key)) return pinned.get(key);
+
+            const used = new Set(Array.from(pinned.values(), (entry) => entry.color));
+            const color = colors.find((candidate) => !used.has(candidate));
+            if (!color) return null;
+
+            const entry = { ...region, key, color };
+            pinned.set(key, entry);
+            return entry;
+        },
+
+        remove(key) {
+            return pinned.delete(key);
+        },
+
+        clear() {
+            pinned.clear();
+        },
+
+        has(key) {
+            return pinned.has(key);
+        },
+
+        list() {
+            return Array.from(pinned.values());
+        },
+
+        get size() {
+            return pinned.size;
+        }
+    };
+}
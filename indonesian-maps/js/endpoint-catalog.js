@@ -0,0 +1,24 @@
+// Indonesian Maps API - Endpoint catalog (generated)
+//
+// Generated from docs/openapi.json by scripts/generate-endpoints.mjs. Do not
+// edit by hand: change the spec and run `node scripts/generate-endpoints.mjs`.
+
+/** @type {import('./endpoints.js').Endpoint[]} */
+export const ENDPOINTS = [
+    {"id":"getInfo","group":"Utilitas","summary":"Info API","method":"GET","path":"","entity":null,"params":[]},
+    {"id":"test","group":"Utilitas","summary":"Tes koneksi","method":"GET","path":"/test","entity":null,"params":[]},
+    {"id":"getProvinces","group":"Provinsi","summary":"Daftar provinsi","method":"GET","path":"/provinsi","entity":"Province","params":[{"name":"search","in":"query","type":"string","maxLength":100,"example":"jawa","description":"Pencarian nama, tidak peka huruf besar/kecil"},{"name":"page","in":"query","type":"integer","minimum":1,"example":"1","description":"Nomor halaman (mulai dari 1)"},{"name":"limit","in":"query","type":"integer","minimum":1,"maximum":1000,"example":"10","description":"Jumlah item per halaman (bawaan 50, maks. 1000)"}]},
+    {"id":"getProvincesComplete","group":"Provinsi","summary":"Provinsi lengkap dengan data geo","method":"GET","path":"/provinsi/complete","entity":"Province","params":[{"name":"page","in":"query","type":"integer","minimum":1,"example":"1","description":"Nomor halaman (mulai dari 1)"},{"name":"limit","in":"query","type":"integer","minimum":1,"maximum":1000,"example":"10","description":"Jumlah item per halaman (bawaan 50, maks. 1000)"}]},
+    {"id":"getProvinceDetail","group":"Provinsi","summary":"Detail provinsi","method":"GET","path":"/provinsi/{kode_provinsi}","entity":"Province","params":[{"name":"kode_provinsi","in":"path","type":"string","pattern":"^\\d{2}$","required":true,"example":"32","description":"Kode provinsi, mis. 32"}]},
+    {"id":"getProvinceGeo","group":"Provinsi","summary":"Data geo provinsi","method":"GET","path":"/provinsi/{kode_provinsi}/geo","entity":"Province","params":[{"name":"kode_provinsi","in":"path","type":"string","pattern":"^\\d{2}$","required":true,"example":"32","description":"Kode provinsi, mis. 32"}]},
+    {"id":"getCities","group":"Kabupaten/Kota","summary":"Daftar kabupaten/kota","method":"GET","path":"/kabupaten-kota","entity":"KabupatenKota","params":[{"name":"kode_provinsi","in":"query","type":"string","pattern":"^\\d{2}$","example":"32","description":"Kode provinsi, mis. 32"},{"name":"search","in":"query","type":"string","maxLength":100,"example":"jawa","description":"Pencarian nama, tidak peka huruf besar/kecil"},{"name":"page","in":"query","type":"integer","minimum":1,"example":"1","description":"Nomor halaman (mulai dari 1)"},{"name":"limit","in":"query","type":"integer","minimum":1,"maximum":1000,"example":"10","description":"Jumlah item per halaman (bawaan 50, maks. 1000)"}]},
+    {"id":"getCitiesComplete","group":"Kabupaten/Kota","summary":"Kabupaten/kota lengkap dengan data geo","method":"GET","path":"/kabupaten-kota/complete","entity":"KabupatenKota","params":[{"name":"kode_provinsi","in":"query","type":"string","pattern":"^\\d{2}$","example":"32","description":"Kode provinsi, mis. 32"},{"name":"page","in":"query","type":"integer","minimum":1,"example":"1","description":"Nomor halaman (mulai dari 1)"},{"name":"limit","in":"query","type":"integer","minimum":1,"maximum":1000,"example":"10","description":"Jumlah item per halaman (bawaan 50, maks. 1000)"}]},
+    {"id":"getCityDetail","group":"Kabupaten/Kota","summary":"Detail kabupaten/kota","method":"GET","path":"/kabupaten-kota/{kode_kabupaten_kota}","entity":"KabupatenKota","params":[{"name":"kode_kabupaten_kota","in":"path","type":"string","pattern":"^\\d{2}\\.\\d{2}$","required":true,"example":"32.04","description":"Kode kabupaten/kota, mis. 32.04"}]},
+    {"id":"getCityGeo","group":"Kabupaten/Kota","summary":"Data geo kabupaten/kota","method":"GET","path":"/kabupaten-kota/{kode_kabupaten_kota}/geo","entity":"KabupatenKota","params":[{"name":"kode_kabupaten_kota","in":"path","type":"string","pattern":"^\\d{2}\\.\\d{2}$","required":true,"example":"32.04","description":"Kode kabupaten/kota, mis. 32.04"}]},
+    {"id":"getDistricts","group":"Kecamatan","summary":"Daftar kecamatan","method":"GET","path":"/kecamatan","entity":"Kecamatan","params":[{"name":"kode_provinsi","in":"query","type":"string","pattern":"^\\d{2}$","example":"32","description":"Kode provinsi, mis. 32"},{"name":"kode_kabupaten_kota","in":"query","type":"string","pattern":"^\\d{2}\\.\\d{2}$","example":"32.04","description":"Kode kabupaten/kota, mis. 32.04"},{"name":"search","in":"query","type":"string","maxLength":100,"example":"jawa","description":"Pencarian nama, tidak peka huruf besar/kecil"},{"name":"page","in":"query","type":"integer","minimum":1,"example":"1","description":"Nomor halaman (mulai dari 1)"},{"name":"limit","in":"query","type":"integer","minimum":1,"maximum":1000,"example":"10","description":"Jumlah item per halaman (bawaan 50, maks. 1000)"}]},
+    {"id":"getDistrictDetail","group":"Kecamatan","summary":"Detail kecamatan","method":"GET","path":"/kecamatan/{kode_kecamatan}","entity":"Kecamatan","params":[{"name":"kode_kecamatan","in":"path","type":"string","pattern":"^\\d{2}\\.\\d{2}\\.\\d{2}$","required":true,"example":"32.04.01","description":"Kode kecamatan, mis. 32.04.01"}]},
+    {"id":"getVillages","group":"Desa/Kelurahan","summary":"Daftar desa/kelurahan","method":"GET","path":"/desa-kelurahan","entity":"DesaKelurahan","params":[{"name":"kode_provinsi","in":"query","type":"string","pattern":"^\\d{2}$","example":"32","description":"Kode provinsi, mis. 32"},{"name":"kode_kabupaten_kota","in":"query","type":"string","pattern":"^\\d{2}\\.\\d{2}$","example":"32.04","description":"Kode kabupaten/kota, mis. 32.04"},{"name":"kode_kecamatan","in":"query","type":"string","pattern":"^\\d{2}\\.\\d{2}\\.\\d{2}$","example":"32.04.01","description":"Kode kecamatan, mis. 32.04.01"},{"name":"search","in":"query","type":"string","maxLength":100,"example":"jawa","description":"Pencarian nama, tidak peka huruf besar/kecil"},{"name":"page","in":"query","type":"integer","minimum":1,"example":"1","description":"Nomor halaman (mulai dari 1)"},{"name":"limit","in":"query","type":"integer","minimum":1,"maximum":1000,"example":"10","description":"Jumlah item per halaman (bawaan 50, maks. 1000)"}]},
+    {"id":"getVillageDetail","group":"Desa/Kelurahan","summary":"Detail desa/kelurahan","method":"GET","path":"/desa-kelurahan/{kode_desa_kelurahan}","entity":"DesaKelurahan","params":[{"name":"kode_desa_kelurahan","in":"path","type":"string","pattern":"^\\d{2}\\.\\d{2}\\.\\d{2}\\.\\d{4}$","required":true,"example":"32.04.01.2001","description":"Kode desa/kelurahan, mis. 32.04.01.2001"}]},
+    {"id":"getIslands","group":"Pulau","summary":"Daftar pulau","method":"GET","path":"/pulau","entity":"Pulau","params":[{"name":"kode_provinsi","in":"query","type":"string","pattern":"^\\d{2}$","example":"32","description":"Kode provinsi, mis. 32"},{"name":"kode_kabupaten_kota","in":"query","type":"string","pattern":"^\\d{2}\\.\\d{2}$","example":"32.04","description":"Kode kabupaten/kota, mis. 32.04"},{"name":"search","in":"query","type":"string","maxLength":100,"example":"jawa","description":"Pencarian nama, tidak peka huruf besar/kecil"},{"name":"page","in":"query","type":"integer","minimum":1,"example":"1","description":"Nomor halaman (mulai dari 1)"},{"name":"limit","in":"query","type":"integer","minimum":1,"maximum":1000,"example":"10","description":"Jumlah item per halaman (bawaan 50, maks. 1000)"}]},
+    {"id":"getIslandDetail","group":"Pulau","summary":"Detail pulau","method":"GET","path":"/pulau/{id}","entity":"Pulau","params":[{"name":"id","in":"path","type":"integer","minimum":1,"required":true,"example":"1","description":"ID pulau"}]}
+];
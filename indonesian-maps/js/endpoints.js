@@ -0,0 +1,93 @@
+// Indonesian Maps API - Endpoint catalog
+//
+// Every endpoint of the API with its parameters, as used by the playground
+// to build forms, validate input and assemble request paths. The entries
+// are generated from docs/openapi.json into js/endpoint-catalog.js (see
+// scripts/generate-endpoints.mjs). Paths are relative to the
+// `/indonesian-maps` root; `{name}` segments are path parameters.
+
+import { ENDPOINTS } from './endpoint-catalog.js';
+
+export { ENDPOINTS };
+
+/**
+ * @typedef {object} EndpointParam
+ * @property {string} name
+ * @property {'path'|'query'} in
+ * @property {'string'|'integer'} type
+ * @property {boolean} [required]
+ * @property {string} [pattern] Regular expression source the value must match.
+ * @property {number} [minimum]
+ * @property {number} [maximum]
+ * @property {number} [maxLength]
+ * @property {string} [example]
+ * @property {string} [description]
+ */
+
+/**
+ * @typedef {object} Endpoint
+ * @property {string} id The spec's operationId, also the client method name.
+ * @property {string} group
+ * @property {string} summary
+ * @property {string} method
+ * @property {string} path
+ * @property {string|null} entity Model in js/schema.js the response is parsed into.
+ * @property {EndpointParam[]} params
+ */
+
+export const findEndpoint = (id) => ENDPOINTS.find((endpoint) => endpoint.id === id) || null;
+
+// Why a single (trimmed, non-empty) value is invalid, or null
+const checkValue = (param, value) => {
+    if (param.type === 'integer') {
+        if (!/^-?\d+$/.test(value)) return 'Harus berupa bilangan bulat';
+        const number = Number(value);
+        if (param.minimum !== undefined && number < param.minimum) return `Minimal ${param.minimum}`;
+        if (param.maximum !== undefined && number > param.maximum) return `Maksimal ${param.maximum}`;
+    }
+    if (param.maxLength !== undefined && value.length > param.maxLength) return `Maksimal ${param.maxLength} karakter`;
+    if (param.pattern && !new RegExp(param.pattern).test(value)) {
+        return `Format tidak valid${param.example ? `, contoh: ${param.example}` : ''}`;
+    }
+    return null;
+};
+
+/**
+ * Checks form values against an endpoint's parameters.
+ * @param {Endpoint} endpoint
+ * @param {Object<string, string>} values Raw input by parameter name.
+ * @returns {{ values: Object<string, string>, errors: Object<string, string>, valid: boolean }}
+ *   `values` holds the trimmed, non-empty values of known parameters.
+ */
+export function validateParams(endpoint, values = {}) {
+    const cleaned = {};
+    const errors = {};
+    endpoint.params.forEach((param) => {
+        const value = String(values[param.name] === undefined || values[param.name] === null ? '' : values[param.name]).trim();
+        if (!value) {
+            if (param.required) errors[param.name] = 'Wajib diisi';
+            return;
+        }
+        const problem = checkValue(param, value);
+        if (problem) errors[param.name] = problem;
+        else cleaned[param.name] = value;
+    });
+    return { values: cleaned, errors, valid: Object.keys(errors).length === 0 };
+}
+
+/**
+ * Splits validated values into the request path (path parameters filled in)
+ * and the query parameters, e.g. for `client.buildUrl(path, query)`.
+ * @returns {{ path: string, query: Object<string, string> }}
+ */
+export function resolveRequest(endpoint, values) {
+    const query = {};
+    let path = endpoint.path;
+    endpoint.params.forEach((param) => {
+        const value = values[param.name];
+        if (value === undefined) return;
+        if (param.in === 'path') path = path.replace(`{${param.name}}`, encodeURIComponent(value));
+        else query[param.name] = value;
+    });
+    return { path, query };
+}
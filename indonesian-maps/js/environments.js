@@ -0,0 +1,179 @@
+// Indonesian Maps API - API environments
+//
+// The server the playground and the map explorer talk to. A named
+// environment or any http(s) base URL can be chosen in the settings panel,
+// which remembers it in localStorage, or for a single visit in the page URL:
+//
+//   index.html?api=local
+//   index.html?api=http://localhost:3001/indonesian-maps
+//
+// Every response is rendered into the page, so a link must not be able to
+// point it at a server of the sender's choosing: a base URL in `?api=` that
+// is not a named environment or the saved custom URL only takes effect once
+// the user has confirmed it in the settings panel.
+
+import { DEFAULT_BASE_URL } from './client.js';
+import { readJSON, writeJSON } from './storage.js';
+
+export const API_ENVIRONMENTS = {
+    production: { label: 'Produksi', baseUrl: DEFAULT_BASE_URL },
+    // There is no public staging server; set its URL to offer it
+    staging: { label: 'Staging', baseUrl: null },
+    // `npm run mock`, on the host docs/response.json was recorded against
+    local: { label: 'Lokal', baseUrl: 'http://localhost:3001/indonesian-maps' }
+};
+
+// Query parameter that overrides the remembered environment
+export const API_PARAM = 'api';
+
+// Confirmed ?api= base URLs kept, most recent last
+const MAX_TRUSTED = 10;
+
+export const CUSTOM_ENVIRONMENT = 'custom';
+
+/**
+ * `value` as a base URL without trailing slashes; throws an Error unless it
+ * is an absolute http(s) URL without query string or fragment.
+ */
+export function normalizeBaseUrl(value) {
+    const raw = String(value === undefined || value === null ? '' : value).trim();
+    let url;
+    try {
+        url = new URL(raw);
+    } catch (error) {
+        throw new Error(`Invalid API base URL: ${raw}`);
+    }
+    if (!/^https?:$/.test(url.protocol)) throw new Error(`API base URL must be http(s): ${raw}`);
+    if (url.search || url.hash) throw new Error('API base URL cannot have a query string or fragment');
+    return `${url.origin}${url.pathname}`.replace(/\/+$/, '');
+}
+
+/**
+ * Named environments plus one user-entered (persisted) base URL, and the
+ * remembered choice.
+ *
+ * @param {object} [options]
+ * @param {Object<string, {label: string, baseUrl: string|null}>} [options.environments]
+ *   Environments by id; one without `baseUrl` is listed but cannot be chosen.
+ * @param {Storage|null} [options.storage] Where the custom URL and the choice are kept.
+ * @param {string} [options.storageKey]
+ * @param {string} [options.defaultId] Used when nothing else was chosen.
+ */
+export function createEnvironmentRegistry({
+    environments = API_ENVIRONMENTS,
+    storage = globalThis.localStorage,
+    storageKey = 'indonesian-maps:api',
+    defaultId = 'production'
+} = {}) {
+    const saved = readJSON(storage, storageKey, {});
+    let custom = null;
+    if (saved.custom) {
+        try {
+            custom = normalizeBaseUrl(saved.custom);
+        } catch (error) {
+            console.warn('Ignoring saved API base URL:', error.message);
+        }
+    }
+    let preferred = saved.preferred || null;
+    let trusted = (Array.isArray(saved.trusted) ? saved.trusted : []).filter((url) => {
+        try {
+            return normalizeBaseUrl(url) === url;
+        } catch (error) {
+            return false;
+        }
+    });
+
+    const persist = () => writeJSON(storage, storageKey, { preferred, custom, trusted });
+    const customEntry = (baseUrl) => ({ id: CUSTOM_ENVIRONMENT, label: 'Kustom', baseUrl });
+
+    return {
+        /** Every environment as `{ id, label, baseUrl }`, the custom URL last. */
+        list() {
+            const named = Object.entries(environments).map(([id, { label, baseUrl }]) => ({ id, label, baseUrl: baseUrl || null }));
+            return custom ? [...named, customEntry(custom)] : named;
+        },
+
+        /** The environment with this id, or null if unknown or without a URL. */
+        get(id) {
+            if (id === CUSTOM_ENVIRONMENT) return custom ? customEntry(custom) : null;
+            const environment = Object.prototype.hasOwnProperty.call(environments, id) ? environments[id] : null;
+            return environment && environment.baseUrl ? { id, label: environment.label, baseUrl: environment.baseUrl } : null;
+        },
+
+        /**
+         * The environment an id or a base URL refers to, or null. A URL of a
+         * named environment resolves to it; any other valid URL to a custom
+         * entry, which is not stored.
+         */
+        resolve(value) {
+            const named = this.get(value);
+            if (named) return named;
+            let baseUrl;
+            try {
+                baseUrl = normalizeBaseUrl(value);
+            } catch (error) {
+                return null;
+            }
+            return this.list().find((environment) => environment.baseUrl === baseUrl) || customEntry(baseUrl);
+        },
+
+        /** Validates and stores the custom base URL and makes it the choice. */
+        setCustom(url) {
+            custom = normalizeBaseUrl(url);
+            preferred = CUSTOM_ENVIRONMENT;
+            persist();
+            return customEntry(custom);
+        },
+
+        /**
+         * Confirms a base URL for `?api=` links; it is remembered, the
+         * current choice is not changed. Throws like normalizeBaseUrl().
+         */
+        trust(url) {
+            const baseUrl = normalizeBaseUrl(url);
+            trusted = [...trusted.filter((entry) => entry !== baseUrl), baseUrl].slice(-MAX_TRUSTED);
+            persist();
+            return baseUrl;
+        },
+
+        /** Whether `?api=<baseUrl>` applies without asking: a named environment, the custom URL or a confirmed one. */
+        isTrusted(baseUrl) {
+            return this.list().some((environment) => environment.baseUrl === baseUrl) || trusted.includes(baseUrl);
+        },
+
+        get preferred() {
+            return preferred && this.get(preferred) ? preferred : null;
+        },
+
+        set preferred(id) {
+            preferred = id;
+            persist();
+        },
+
+        /**
+         * The environment to use, with the `source` of the choice: the
+         * `?api=` parameter of `search` ('query', not remembered), then the
+         * remembered choice ('saved'), then the default ('default'). A
+         * `?api=` base URL that is not trusted yet is returned as
+         * `unconfirmed` next to the choice that applies instead.
+         */
+        active(search = '') {
+            const requested = new URLSearchParams(search).get(API_PARAM);
+            let unconfirmed = null;
+            if (requested) {
+                const environment = this.resolve(requested);
+                if (environment && this.isTrusted(environment.baseUrl)) return { ...environment, source: 'query' };
+                if (environment) {
+                    unconfirmed = environment.baseUrl;
+                    console.warn(`Ignoring ${API_PARAM}=${requested} until it is confirmed in the API settings`);
+                } else {
+                    console.warn(`Ignoring unknown ${API_PARAM}=${requested}`);
+                }
+            }
+            const fallback = this.preferred
+                ? { ...this.get(this.preferred), source: 'saved' }
+                : { ...(this.get(defaultId) || this.list().find((environment) => environment.baseUrl)), source: 'default' };
+            return unconfirmed ? { ...fallback, unconfirmed } : fallback;
+        }
+    };
+}
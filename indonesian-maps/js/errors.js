@@ -0,0 +1,48 @@
+// Indonesian Maps API - Error types
+
+/**
+ * Raised for every failed API call: HTTP errors, network failures and
+ * timeouts. Caller-initiated aborts are not wrapped and keep surfacing as
+ * the platform's `AbortError`, see isAbortError().
+ */
+export class ApiError extends Error {
+    /**
+     * @param {string} message
+     * @param {object} [details]
+     * @param {number|null} [details.status] HTTP status, null for network errors and timeouts.
+     * @param {string|null} [details.endpoint] Full URL that was requested.
+     * @param {object|null} [details.body] Parsed error body, e.g. `{ success: false, error: "Province not found" }`.
+     * @param {boolean} [details.timedOut]
+     * @param {number|null} [details.retryAfter] Delay in ms requested by a `Retry-After` header.
+     * @param {number} [details.attempts] Number of attempts made, retries included.
+     * @param {unknown} [details.cause]
+     */
+    constructor(message, { status = null, endpoint = null, body = null, timedOut = false, retryAfter = null, attempts = 1, cause } = {}) {
+        super(message, cause === undefined ? undefined : { cause });
+        this.name = 'ApiError';
+        this.status = status;
+        this.endpoint = endpoint;
+        this.body = body;
+        this.timedOut = timedOut;
+        this.retryAfter = retryAfter;
+        this.attempts = attempts;
+    }
+
+    /** Rate limiting, server errors, timeouts and network failures are worth retrying. */
+    get retryable() {
+        if (this.status === null) return true;
+        return this.status === 429 || this.status >= 500;
+    }
+}
+
+export const isAbortError = (error) => Boolean(error) && error.name === 'AbortError';
+
+// What the client aborts an attempt with once its timeout has passed, as
+// AbortSignal.timeout() does; unlike an AbortError it did not come from the caller.
+export const isTimeoutError = (error) => Boolean(error) && error.name === 'TimeoutError';
+
+// The error to reject with once `signal` has fired, preferring its reason.
+export const abortErrorFor = (signal) => {
+    if (signal && signal.reason instanceof Error) return signal.reason;
+    return new DOMException('The operation was aborted.', 'AbortError');
+};
@@ -0,0 +1,249 @@
+// Indonesian Maps API - Export formats
+//
+// Serialises regions (a parsed API record plus its administrative level) to
+// GeoJSON, KML, GPX, CSV and WKT, and list endpoint rows to CSV. Everything
+// here returns strings; downloadFile() is the only browser-specific part.
+
+import { REGION_LEVELS } from './schema.js';
+import { pathToGeometry } from './boundary.js';
+
+export const EXPORT_FORMATS = {
+    geojson: { extension: 'geojson', mimeType: 'application/geo+json' },
+    kml: { extension: 'kml', mimeType: 'application/vnd.google-earth.kml+xml' },
+    gpx: { extension: 'gpx', mimeType: 'application/gpx+xml' },
+    csv: { extension: 'csv', mimeType: 'text/csv;charset=utf-8' },
+    wkt: { extension: 'wkt', mimeType: 'text/plain;charset=utf-8' }
+};
+
+/**
+ * @typedef {object} Region
+ * @property {string} level province, city, district or village.
+ * @property {string} code
+ * @property {string} name
+ * @property {object} properties Every scalar field of the record (ibukota, penduduk, luas, elv, tz, ...).
+ * @property {[number, number]|null} point Marker position as [lat, lng].
+ * @property {object|null} geometry GeoJSON Polygon/MultiPolygon of the boundary.
+ */
+
+/** Builds an exportable Region from a parsed record of the given level. */
+export function toRegion(level, record) {
+    const fields = REGION_LEVELS[level];
+    if (!fields) throw new Error(`Unknown region level: ${level}`);
+
+    const properties = { level };
+    Object.entries(record).forEach(([key, value]) => {
+        if (value === null || typeof value !== 'object') properties[key] = value;
+    });
+
+    const { lat, lng } = record;
+    return {
+        level,
+        code: String(record[fields.code]),
+        name: record[fields.name],
+        properties,
+        point: Number.isFinite(lat) && Number.isFinite(lng) ? [lat, lng] : null,
+        geometry: record.path ? pathToGeometry(record.path) : null
+    };
+}
+
+/** One Point and one boundary Feature per region; `role` tells them apart. */
+export function toGeoJSON(regions) {
+    const features = [];
+    regions.forEach((region) => {
+        if (region.point) {
+            features.push({
+                type: 'Feature',
+                properties: { ...region.properties, role: 'marker' },
+                geometry: { type: 'Point', coordinates: [region.point[1], region.point[0]] }
+            });
+        }
+        if (region.geometry) {
+            features.push({
+                type: 'Feature',
+                properties: { ...region.properties, role: 'boundary' },
+                geometry: region.geometry
+            });
+        }
+    });
+    return JSON.stringify({ type: 'FeatureCollection', features }, null, 2);
+}
+
+const polygonsOf = (geometry) => {
+    if (!geometry) return [];
+    return geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+};
+
+// WKT and KML/GPX coordinate lists come out of GeoJSON positions as-is.
+const wktRing = (positions) => `(${positions.map(([lng, lat]) => `${lng} ${lat}`).join(', ')})`;
+const wktPolygon = (polygon) => `(${polygon.map(wktRing).join(', ')})`;
+
+/** WKT for a GeoJSON Point, Polygon or MultiPolygon (x = longitude). */
+export function toWKT(geometry) {
+    if (!geometry) return '';
+    switch (geometry.type) {
+        case 'Point':
+            return `POINT (${geometry.coordinates[0]} ${geometry.coordinates[1]})`;
+        case 'Polygon':
+            return `POLYGON ${wktPolygon(geometry.coordinates)}`;
+        case 'MultiPolygon':
+            return `MULTIPOLYGON (${geometry.coordinates.map(wktPolygon).join(', ')})`;
+        default:
+            throw new Error(`Unsupported geometry type for WKT: ${geometry.type}`);
+    }
+}
+
+const escapeXml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+
+const kmlCoordinates = (positions) => positions.map(([lng, lat]) => `${lng},${lat}`).join(' ');
+
+const kmlPolygon = ([outer, ...holes]) => [
+    '<Polygon><outerBoundaryIs><LinearRing><coordinates>',
+    kmlCoordinates(outer),
+    '</coordinates></LinearRing></outerBoundaryIs>',
+    ...holes.map((hole) => `<innerBoundaryIs><LinearRing><coordinates>${kmlCoordinates(hole)}</coordinates></LinearRing></innerBoundaryIs>`),
+    '</Polygon>'
+].join('');
+
+const kmlPlacemark = (region) => {
+    const geometries = [];
+    if (region.point) geometries.push(`<Point><coordinates>${region.point[1]},${region.point[0]}</coordinates></Point>`);
+    polygonsOf(region.geometry).forEach((polygon) => geometries.push(kmlPolygon(polygon)));
+
+    const data = Object.entries(region.properties)
+        .filter(([, value]) => value !== null && value !== undefined)
+        .map(([key, value]) => `<Data name="${escapeXml(key)}"><value>${escapeXml(value)}</value></Data>`)
+        .join('');
+
+    return [
+        '  <Placemark>',
+        `    <name>${escapeXml(region.name)}</name>`,
+        `    <ExtendedData>${data}</ExtendedData>`,
+        `    <MultiGeometry>${geometries.join('')}</MultiGeometry>`,
+        '  </Placemark>'
+    ].join('\n');
+};
+
+/** KML document with one Placemark (marker + boundary + attributes) per region. */
+export function toKML(regions, { name = 'Indonesian Maps API export' } = {}) {
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<kml xmlns="http://www.opengis.net/kml/2.2">',
+        '<Document>',
+        `  <name>${escapeXml(name)}</name>`,
+        ...regions.map(kmlPlacemark),
+        '</Document>',
+        '</kml>'
+    ].join('\n');
+}
+
+/**
+ * GPX 1.1 with a waypoint per marker and a track per boundary, one segment
+ * per ring. GPX has no polygons, so holes come out as plain segments.
+ */
+export function toGPX(regions, { creator = 'Indonesian Maps API' } = {}) {
+    const waypoints = regions
+        .filter((region) => region.point)
+        .map((region) => `  <wpt lat="${region.point[0]}" lon="${region.point[1]}"><name>${escapeXml(region.name)}</name><desc>${escapeXml(`${region.level} ${region.code}`)}</desc></wpt>`);
+
+    const tracks = regions
+        .filter((region) => region.geometry)
+        .map((region) => {
+            const segments = polygonsOf(region.geometry)
+                .flat()
+                .map((ring) => `<trkseg>${ring.map(([lng, lat]) => `<trkpt lat="${lat}" lon="${lng}"/>`).join('')}</trkseg>`);
+            return `  <trk><name>${escapeXml(region.name)}</name>${segments.join('')}</trk>`;
+        });
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<gpx version="1.1" creator="${escapeXml(creator)}" xmlns="http://www.topografix.com/GPX/1/1">`,
+        ...waypoints,
+        ...tracks,
+        '</gpx>'
+    ].join('\n');
+}
+
+const csvCell = (value) => {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\r\n;]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * RFC 4180 CSV. Columns default to the union of the rows' keys in first-seen
+ * order; nested values (e.g. `path`) are skipped unless listed explicitly.
+ * With `bom` (the default) the file starts with a UTF-8 BOM so Excel opens
+ * names like "Kabupaten Bireuën" correctly.
+ */
+export function toCSV(rows, { columns = null, bom = true } = {}) {
+    const header = columns || rows.reduce((keys, row) => {
+        Object.entries(row).forEach(([key, value]) => {
+            if ((value === null || typeof value !== 'object') && !keys.includes(key)) keys.push(key);
+        });
+        return keys;
+    }, []);
+
+    const lines = [
+        header.map(csvCell).join(','),
+        ...rows.map((row) => header.map((key) => {
+            const value = row[key];
+            return csvCell(value !== null && typeof value === 'object' ? JSON.stringify(value) : value);
+        }).join(','))
+    ];
+    return (bom ? '\uFEFF' : '') + lines.join('\r\n') + '\r\n';
+}
+
+/** Region attributes as CSV rows, with lat/lng and the boundary as a `wkt` column. */
+export function regionsToCSV(regions, options = {}) {
+    const rows = regions.map((region) => ({
+        ...region.properties,
+        lat: region.point ? region.point[0] : null,
+        lng: region.point ? region.point[1] : null,
+        wkt: toWKT(region.geometry)
+    }));
+    // The long wkt column goes last, after the attributes of every level
+    const columns = [...new Set([...rows.flatMap((row) => Object.keys(row)).filter((key) => key !== 'wkt'), 'wkt'])];
+    return toCSV(rows, { columns, ...options });
+}
+
+/** One WKT geometry per line, boundaries first falling back to the marker. */
+export function regionsToWKT(regions) {
+    return regions
+        .map((region) => {
+            if (region.geometry) return toWKT(region.geometry);
+            if (region.point) return toWKT({ type: 'Point', coordinates: [region.point[1], region.point[0]] });
+            return '';
+        })
+        .filter(Boolean)
+        .join('\n') + '\n';
+}
+
+/** Serialises regions in one of EXPORT_FORMATS. */
+export function serializeRegions(format, regions) {
+    switch (format) {
+        case 'geojson': return toGeoJSON(regions);
+        case 'kml': return toKML(regions);
+        case 'gpx': return toGPX(regions);
+        case 'csv': return regionsToCSV(regions);
+        case 'wkt': return regionsToWKT(regions);
+        default: throw new Error(`Unknown export format: ${format}`);
+    }
+}
+
+/** Saves `content` through a temporary object URL (browser only). */
+export function downloadFile(filename, content, mimeType) {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
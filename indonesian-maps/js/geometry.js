@@ -0,0 +1,131 @@
+// Indonesian Maps API - Geometry helpers for boundary `path` data
+//
+// The API sends boundaries as [lat, lng] pairs nested at varying depth: a
+// single ring (kabupaten/kota), a list of rings (provinsi) or a list of
+// polygons, each a list of rings. These helpers normalise that shape and
+// derive planar measures from it (lng as x, lat as y), which is accurate
+// enough for placing markers at the scale of one region.
+
+const isPoint = (value) => Array.isArray(value) && value.length >= 2 && typeof value[0] !== 'object';
+
+/**
+ * Flattens any supported `path` shape into a list of rings of numeric
+ * [lat, lng] points. Invalid points are dropped, as are rings left with
+ * fewer than three points.
+ */
+export function toRings(path) {
+    let parsed = path;
+    if (typeof parsed === 'string') {
+        parsed = JSON.parse(parsed);
+    }
+    if (!Array.isArray(parsed) || parsed.length === 0) return [];
+
+    const rings = [];
+    const collect = (node) => {
+        if (!Array.isArray(node) || node.length === 0) return;
+        if (isPoint(node[0])) {
+            const ring = node
+                .filter(isPoint)
+                .map((point) => [parseFloat(point[0]), parseFloat(point[1])])
+                .filter(([lat, lng]) => Number.isFinite(lat) && Number.isFinite(lng));
+            if (ring.length >= 3) rings.push(ring);
+            return;
+        }
+        node.forEach(collect);
+    };
+    collect(parsed);
+    return rings;
+}
+
+/** Signed shoelace area of a ring in square degrees (positive = counter-clockwise). */
+export function ringArea(ring) {
+    let area = 0;
+    for (let i = 0; i < ring.length; i++) {
+        const [y1, x1] = ring[i];
+        const [y2, x2] = ring[(i + 1) % ring.length];
+        area += x1 * y2 - x2 * y1;
+    }
+    return area / 2;
+}
+
+/** Even-odd (ray casting) test of a [lat, lng] point against one ring. */
+export function pointInRing([lat, lng], ring) {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const [yi, xi] = ring[i];
+        const [yj, xj] = ring[j];
+        if ((yi > lat) !== (yj > lat) && lng < ((xj - xi) * (lat - yi)) / (yj - yi) + xi) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+/**
+ * Whether a [lat, lng] point lies inside a set of rings, counting even-odd
+ * across all of them: a point in a hole is inside both the hole and its
+ * shell, hence outside.
+ */
+export function ringsContain(rings, point) {
+    return rings.filter((ring) => pointInRing(point, ring)).length % 2 === 1;
+}
+
+/** Whether a [lat, lng] point lies inside a boundary `path`. */
+export function pathContains(path, point) {
+    return ringsContain(toRings(path), point);
+}
+
+/** [[minLat, minLng], [maxLat, maxLng]] of a ring. */
+export function ringBounds(ring) {
+    let minLat = Infinity;
+    let minLng = Infinity;
+    let maxLat = -Infinity;
+    let maxLng = -Infinity;
+    ring.forEach(([lat, lng]) => {
+        minLat = Math.min(minLat, lat);
+        minLng = Math.min(minLng, lng);
+        maxLat = Math.max(maxLat, lat);
+        maxLng = Math.max(maxLng, lng);
+    });
+    return [[minLat, minLng], [maxLat, maxLng]];
+}
+
+const ringCentroid = (ring) => {
+    const area = ringArea(ring);
+    if (Math.abs(area) < 1e-12) {
+        const sum = ring.reduce((acc, [lat, lng]) => [acc[0] + lat, acc[1] + lng], [0, 0]);
+        return { lat: sum[0] / ring.length, lng: sum[1] / ring.length, weight: 0 };
+    }
+    let cx = 0;
+    let cy = 0;
+    for (let i = 0; i < ring.length; i++) {
+        const [y1, x1] = ring[i];
+        const [y2, x2] = ring[(i + 1) % ring.length];
+        const cross = x1 * y2 - x2 * y1;
+        cx += (x1 + x2) * cross;
+        cy += (y1 + y2) * cross;
+    }
+    return { lat: cy / (6 * area), lng: cx / (6 * area), weight: Math.abs(area) };
+};
+
+/**
+ * Area-weighted centroid of a boundary as [lat, lng], or null when the path
+ * holds no usable ring. Deterministic: the same path always gives the same point.
+ */
+export function centroid(path) {
+    const rings = toRings(path);
+    if (rings.length === 0) return null;
+
+    const centroids = rings.map(ringCentroid);
+    const totalWeight = centroids.reduce((sum, c) => sum + c.weight, 0);
+    if (totalWeight === 0) {
+        return [
+            centroids.reduce((sum, c) => sum + c.lat, 0) / centroids.length,
+            centroids.reduce((sum, c) => sum + c.lng, 0) / centroids.length
+        ];
+    }
+    return [
+        centroids.reduce((sum, c) => sum + c.lat * c.weight, 0) / totalWeight,
+        centroids.reduce((sum, c) => sum + c.lng * c.weight, 0) / totalWeight
+    ];
+}
@@ -0,0 +1,397 @@
+// Indonesian Maps API - Offline dataset
+//
+// A snapshot of the API kept on the device: every provinsi and
+// kabupaten/kota with its boundary, plus the kecamatan and desa/kelurahan
+// of the provinces chosen. createOfflineFetch() puts it behind a js/client.js
+// client: when the network fails, requests are answered from the snapshot
+// the way the API answers them (kode_* filters, `search`, pagination, detail
+// and /geo), so nothing above the client needs to know it is offline.
+
+import { ancestorCodes, normalizeCode } from './codes.js';
+import { abortErrorFor, isAbortError, isTimeoutError } from './errors.js';
+import { REGION_LEVELS } from './schema.js';
+
+export const DATASET_VERSION = 1;
+
+// Set on every response answered from the dataset, to the snapshot's date
+export const OFFLINE_HEADER = 'X-Offline-Dataset';
+
+// API collections by path segment. Only provinsi and kabupaten/kota have
+// /geo and /complete, and only they are downloaded for the whole country.
+export const OFFLINE_COLLECTIONS = {
+    provinsi: { level: 'province', filters: [], geo: true, singular: 'province', plural: 'provinces' },
+    'kabupaten-kota': { level: 'city', filters: ['kode_provinsi'], geo: true, singular: 'regency/city', plural: 'regencies/cities' },
+    kecamatan: { level: 'district', filters: ['kode_provinsi', 'kode_kabupaten_kota'], geo: false, singular: 'district', plural: 'districts' },
+    'desa-kelurahan': {
+        level: 'village',
+        filters: ['kode_provinsi', 'kode_kabupaten_kota', 'kode_kecamatan'],
+        geo: false,
+        singular: 'village',
+        plural: 'villages'
+    }
+};
+
+const COLLECTION_NAMES = Object.keys(OFFLINE_COLLECTIONS);
+
+// Fields only /geo and /complete return; lists and details leave them out
+const GEO_FIELDS = ['path', 'ibukota', 'lat', 'lng', 'elv', 'tz', 'luas', 'penduduk', 'status'];
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 1000;
+
+const codeField = (collection) => REGION_LEVELS[OFFLINE_COLLECTIONS[collection].level].code;
+const nameField = (collection) => REGION_LEVELS[OFFLINE_COLLECTIONS[collection].level].name;
+const codeOf = (collection, record) => normalizeCode(record[codeField(collection)]);
+
+/**
+ * @typedef {object} DatasetManifest
+ * @property {number} version DATASET_VERSION when downloaded.
+ * @property {string} createdAt ISO date of the last download.
+ * @property {string|null} baseUrl The API server it was downloaded from.
+ * @property {string[]} provinces Provinces whose kecamatan and desa/kelurahan are included.
+ * @property {Object<string, number>} counts Records per collection.
+ */
+
+/**
+ * @typedef {object} DatasetStore Where the snapshot is kept; every method returns a promise.
+ * @property {(collection: string) => Promise<object[]>} getAll
+ * @property {(collection: string, records: object[]) => Promise<void>} putAll Adds or replaces records by code.
+ * @property {(collection: string) => Promise<number>} count
+ * @property {() => Promise<DatasetManifest|null>} getManifest
+ * @property {(manifest: DatasetManifest) => Promise<void>} setManifest
+ * @property {() => Promise<void>} clear
+ */
+
+/** A DatasetStore that lasts as long as the page (and for tests). */
+export function createMemoryDatasetStore() {
+    const collections = new Map(COLLECTION_NAMES.map((name) => [name, new Map()]));
+    let manifest = null;
+
+    return {
+        async getAll(collection) {
+            return Array.from(collections.get(collection).values());
+        },
+        async putAll(collection, records) {
+            records.forEach((record) => collections.get(collection).set(codeOf(collection, record), record));
+        },
+        async count(collection) {
+            return collections.get(collection).size;
+        },
+        async getManifest() {
+            return manifest;
+        },
+        async setManifest(value) {
+            manifest = value;
+        },
+        async clear() {
+            collections.forEach((records) => records.clear());
+            manifest = null;
+        }
+    };
+}
+
+/** A DatasetStore in IndexedDB, one object store per collection; null without IndexedDB. */
+export function createIndexedDBDatasetStore({ dbName = 'indonesian-maps-offline', indexedDB = globalThis.indexedDB } = {}) {
+    if (!indexedDB) return null;
+
+    const META = 'meta';
+    let dbPromise = null;
+    const open = () => {
+        if (!dbPromise) {
+            dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(dbName, DATASET_VERSION);
+                request.onupgradeneeded = () => {
+                    [...COLLECTION_NAMES, META].forEach((name) => {
+                        if (!request.result.objectStoreNames.contains(name)) request.result.createObjectStore(name);
+                    });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return dbPromise;
+    };
+
+    const run = async (names, mode, operation) => {
+        const db = await open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(names, mode);
+            const request = operation(transaction);
+            transaction.oncomplete = () => resolve(request ? request.result : undefined);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    };
+
+    return {
+        getAll: (collection) => run(collection, 'readonly', (transaction) => transaction.objectStore(collection).getAll()),
+        putAll: (collection, records) => run(collection, 'readwrite', (transaction) => {
+            const store = transaction.objectStore(collection);
+            records.forEach((record) => store.put(record, codeOf(collection, record)));
+            return null;
+        }),
+        count: (collection) => run(collection, 'readonly', (transaction) => transaction.objectStore(collection).count()),
+        getManifest: async () => (await run(META, 'readonly', (transaction) => transaction.objectStore(META).get('manifest'))) || null,
+        setManifest: (manifest) => run(META, 'readwrite', (transaction) => transaction.objectStore(META).put(manifest, 'manifest')),
+        clear: () => run([...COLLECTION_NAMES, META], 'readwrite', (transaction) => {
+            [...COLLECTION_NAMES, META].forEach((name) => transaction.objectStore(name).clear());
+            return null;
+        })
+    };
+}
+
+/**
+ * Downloads a snapshot into `store`, adding to what is already there.
+ * `sources` load the records; script.js passes apiService methods, which
+ * rebuild /complete from /geo while it fails:
+ *
+ *   provinces()          every provinsi, with geo fields
+ *   cities(province)     the kabupaten/kota of a provinsi, with geo fields
+ *   districts(province)  its kecamatan
+ *   villages(province)   its desa/kelurahan
+ *
+ * `onProgress({ done, total, label })` is called before every step.
+ * @returns {Promise<DatasetManifest>}
+ */
+export async function downloadDataset({ store, sources, provinces: detailed = [], baseUrl = null, onProgress = () => {}, signal } = {}) {
+    const checkAborted = () => {
+        if (signal && signal.aborted) throw abortErrorFor(signal);
+    };
+    const wanted = Array.from(new Set(detailed.map(normalizeCode).filter(Boolean)));
+
+    onProgress({ done: 0, total: null, label: 'provinsi' });
+    const provinces = await sources.provinces();
+    checkAborted();
+    await store.putAll('provinsi', provinces);
+
+    const total = 1 + provinces.length + wanted.length * 2;
+    let done = 1;
+    const step = async (label, load, collection) => {
+        onProgress({ done, total, label });
+        const records = await load();
+        checkAborted();
+        await store.putAll(collection, records);
+        done++;
+    };
+
+    for (const province of provinces) {
+        await step(`kabupaten/kota ${province.nama_provinsi}`, () => sources.cities(province.kode_provinsi), 'kabupaten-kota');
+    }
+    for (const code of wanted) {
+        const province = provinces.find((candidate) => normalizeCode(candidate.kode_provinsi) === code);
+        const name = province ? province.nama_provinsi : code;
+        await step(`kecamatan ${name}`, () => sources.districts(code), 'kecamatan');
+        await step(`desa/kelurahan ${name}`, () => sources.villages(code), 'desa-kelurahan');
+    }
+
+    const previous = await store.getManifest();
+    const kept = previous && previous.version === DATASET_VERSION ? previous.provinces : [];
+    const counts = {};
+    for (const collection of COLLECTION_NAMES) {
+        counts[collection] = await store.count(collection);
+    }
+    const manifest = {
+        version: DATASET_VERSION,
+        createdAt: new Date().toISOString(),
+        baseUrl,
+        provinces: Array.from(new Set([...kept, ...wanted])).sort(),
+        counts
+    };
+    await store.setManifest(manifest);
+    onProgress({ done: total, total, label: null });
+    return manifest;
+}
+
+const envelope = (message, data, extra = {}) => ({ success: true, message, ...extra, data });
+const failure = (status, error) => ({ status, body: { success: false, error, message: 'Request failed' } });
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+
+const withoutGeo = (record) => {
+    const base = { ...record };
+    GEO_FIELDS.forEach((field) => delete base[field]);
+    return base;
+};
+
+const hasGeo = (record) => record.path !== undefined && record.path !== null;
+
+const positiveInteger = (value, fallback) => {
+    const number = Number(value);
+    return Number.isInteger(number) && number >= 1 ? number : fallback;
+};
+
+/**
+ * Answers API requests from a DatasetStore. The records are read into
+ * memory on the first request; call reload() after the store changes.
+ */
+export function createOfflineResponder({ store }) {
+    let snapshot = null;
+    const load = () => {
+        if (!snapshot) {
+            snapshot = (async () => {
+                const manifest = await store.getManifest();
+                if (!manifest || manifest.version !== DATASET_VERSION) return null;
+                const records = {};
+                const byCode = {};
+                for (const collection of COLLECTION_NAMES) {
+                    records[collection] = (await store.getAll(collection))
+                        .sort((a, b) => codeOf(collection, a).localeCompare(codeOf(collection, b), 'en', { numeric: true }));
+                    byCode[collection] = new Map(records[collection].map((record) => [codeOf(collection, record), record]));
+                }
+                return { manifest, records, byCode };
+            })();
+            snapshot.catch(() => {
+                snapshot = null;
+            });
+        }
+        return snapshot;
+    };
+
+    // Kecamatan and desa/kelurahan are only there for the provinces chosen
+    const coverageError = (data, collection, code) => {
+        if (OFFLINE_COLLECTIONS[collection].geo || !code) return null;
+        const [province] = ancestorCodes(code);
+        if (!province || data.manifest.provinces.includes(province)) return null;
+        return failure(404, `${capitalize(OFFLINE_COLLECTIONS[collection].plural)} of province ${province} are not in the offline dataset`);
+    };
+
+    const list = (data, collection, query, complete) => {
+        const config = OFFLINE_COLLECTIONS[collection];
+        const filters = config.filters
+            .filter((name) => query.get(name))
+            .map((name) => [name, normalizeCode(query.get(name)) || query.get(name)]);
+        if (filters.length > 0) {
+            const uncovered = coverageError(data, collection, filters[filters.length - 1][1]);
+            if (uncovered) return uncovered;
+        }
+
+        const search = (query.get('search') || '').trim().toLowerCase();
+        const matches = data.records[collection].filter((record) => (
+            filters.every(([name, code]) => normalizeCode(record[name]) === code)
+            && (!search || String(record[nameField(collection)]).toLowerCase().includes(search))
+        ));
+
+        const page = positiveInteger(query.get('page'), 1);
+        const limit = Math.min(positiveInteger(query.get('limit'), DEFAULT_LIMIT), MAX_LIMIT);
+        const rows = matches.slice((page - 1) * limit, page * limit).map((record) => (complete ? record : withoutGeo(record)));
+        return {
+            status: 200,
+            body: envelope(`Successfully retrieved ${rows.length} ${config.plural}`, rows, {
+                total: matches.length,
+                page,
+                limit,
+                totalPages: Math.ceil(matches.length / limit)
+            })
+        };
+    };
+
+    return {
+        reload() {
+            snapshot = null;
+        },
+
+        /** The manifest of the stored snapshot, or null without one. */
+        async manifest() {
+            const data = await load();
+            return data ? data.manifest : null;
+        },
+
+        /**
+         * `{ status, body }` for an API path (below the base URL) and its
+         * query, or null without a snapshot. Endpoints the snapshot does not
+         * hold (pulau, /test) get a 404: a 5xx would have the client retry a
+         * request that cannot succeed until the dataset is downloaded again.
+         */
+        async answer(path, query = new URLSearchParams()) {
+            const data = await load();
+            if (!data) return null;
+
+            const [collection, code, suffix, ...rest] = path.replace(/^\/+|\/+$/g, '').split('/').map(decodeURIComponent);
+            const config = OFFLINE_COLLECTIONS[collection];
+            if (!config || rest.length > 0) return failure(404, 'Not available in the offline dataset');
+
+            if (code === undefined) return list(data, collection, query, false);
+            if (code === 'complete' && suffix === undefined) {
+                return config.geo ? list(data, collection, query, true) : failure(404, 'Endpoint not found');
+            }
+
+            const normalized = normalizeCode(code);
+            const uncovered = coverageError(data, collection, normalized);
+            if (uncovered) return uncovered;
+            const record = normalized ? data.byCode[collection].get(normalized) : null;
+
+            if (suffix === undefined) {
+                if (!record) return failure(404, `${capitalize(config.singular)} not found`);
+                return { status: 200, body: envelope(`Successfully retrieved ${config.singular} ${record[nameField(collection)]}`, withoutGeo(record)) };
+            }
+            if (suffix !== 'geo' || !config.geo) return failure(404, 'Endpoint not found');
+            if (!record || !hasGeo(record)) return failure(404, `${capitalize(config.singular)} geo data not found`);
+            return { status: 200, body: envelope(`Successfully retrieved geo data for ${config.singular} ${record[nameField(collection)]}`, record) };
+        }
+    };
+}
+
+// A signal aborted by whoever made the request. The client's per-attempt
+// timeout aborts with a TimeoutError instead: a stalled connection is
+// answered from the dataset like a failed one.
+const callerAborted = (signal) => Boolean(signal) && signal.aborted && !isTimeoutError(signal.reason);
+
+// `promise`, or a rejection once `signal` fires, for a fetch that never settles
+const untilAborted = (promise, signal) => {
+    if (!signal) return promise;
+    return new Promise((resolve, reject) => {
+        const onAbort = () => reject(abortErrorFor(signal));
+        if (signal.aborted) onAbort();
+        else signal.addEventListener('abort', onAbort, { once: true });
+        promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+    });
+};
+
+/**
+ * A fetch for createIndonesianMapsClient({ fetch }) that uses the network
+ * while it can and the snapshot when it cannot: while `isOnline()` is false,
+ * or when a request fails with a network error or times out. Only an abort
+ * by the caller is passed on as such. Requests outside `baseUrl`,
+ * and every request without a snapshot downloaded from that same server,
+ * fail as they would have.
+ *
+ * @param {object} options
+ * @param {ReturnType<typeof createOfflineResponder>} options.responder
+ * @param {string} options.baseUrl The client's base URL.
+ * @param {typeof fetch} options.fetch The network fetch.
+ * @param {() => boolean} [options.isOnline] e.g. () => navigator.onLine
+ * @param {(url: string) => void} [options.onOfflineAnswer] Called for every request answered locally.
+ */
+export function createOfflineFetch({ responder, baseUrl, fetch: networkFetch, isOnline = () => true, onOfflineAnswer = () => {} }) {
+    const root = String(baseUrl).replace(/\/+$/, '');
+
+    return async (input, init = {}) => {
+        const url = String(input);
+        const { signal } = init;
+        let networkError = null;
+        if (isOnline()) {
+            try {
+                return await untilAborted(networkFetch(input, init), signal);
+            } catch (error) {
+                if (callerAborted(signal)) throw abortErrorFor(signal);
+                if (isAbortError(error) && !(signal && signal.aborted)) throw error;
+                networkError = error;
+            }
+        }
+        if (callerAborted(signal)) throw abortErrorFor(signal);
+
+        const below = url === root || url.startsWith(`${root}/`) || url.startsWith(`${root}?`);
+        // A snapshot of another server (the API setting changed since) must
+        // not stand in for this one
+        const manifest = below ? await responder.manifest() : null;
+        const sameServer = Boolean(manifest) && String(manifest.baseUrl).replace(/\/+$/, '') === root;
+        const parsed = sameServer ? new URL(url) : null;
+        const local = parsed ? await responder.answer(parsed.pathname.slice(new URL(root).pathname.replace(/\/+$/, '').length), parsed.searchParams) : null;
+        if (!local) throw networkError || new TypeError(`Failed to fetch ${url}: offline and no offline dataset`);
+
+        onOfflineAnswer(url);
+        return new Response(JSON.stringify(local.body), {
+            status: local.status,
+            headers: { 'Content-Type': 'application/json', [OFFLINE_HEADER]: manifest.createdAt }
+        });
+    };
+}
@@ -0,0 +1,101 @@
+// Indonesian Maps API - Pagination helpers
+//
+// List endpoints return at most `limit` (max 1000) records per call together
+// with `total`, `page`, `limit` and `totalPages`. These helpers walk `page`
+// until that metadata says we are done, so callers never silently truncate.
+
+export const MAX_LIMIT = 1000;
+
+// Marks a promise as handled so that pages still in flight when iteration
+// stops early (hard cap reached, consumer broke out) do not surface as
+// unhandled rejections. The original promise still rejects when awaited.
+const track = (promise) => {
+    promise.catch(() => {});
+    return promise;
+};
+
+const itemsOf = (response, page) => {
+    if (!response || response.success === false) {
+        throw new Error((response && (response.error || response.message)) || `Failed to fetch page ${page}`);
+    }
+    return Array.isArray(response.data) ? response.data : [];
+};
+
+const toCount = (value) => (value === null || value === undefined || value === '' ? NaN : Number(value));
+
+const totalPagesOf = (response, limit) => {
+    const totalPages = toCount(response.totalPages);
+    if (Number.isFinite(totalPages)) return totalPages;
+    const total = toCount(response.total);
+    if (Number.isFinite(total)) return Math.ceil(total / limit);
+    return null;
+};
+
+/**
+ * Iterates over every record of a paginated list, in page order.
+ *
+ * @param {(params: {page: number, limit: number}) => Promise<object>} fetchPage
+ *   Fetches one page and resolves to the API envelope.
+ * @param {object} [options]
+ * @param {number} [options.limit=1000] Page size requested from the API (capped at 1000).
+ * @param {number} [options.concurrency=1] Pages fetched in parallel once the
+ *   page count is known from the first response.
+ * @param {number} [options.maxItems=Infinity] Hard cap on yielded records; no
+ *   page beyond the one that reaches it is requested.
+ */
+export async function* paginate(fetchPage, { limit = MAX_LIMIT, concurrency = 1, maxItems = Infinity } = {}) {
+    const pageSize = Math.min(Math.max(1, Math.floor(limit)), MAX_LIMIT);
+    let remaining = maxItems;
+
+    const take = (items) => {
+        const taken = items.slice(0, Math.max(0, remaining));
+        remaining -= taken.length;
+        return taken;
+    };
+
+    const firstResponse = await fetchPage({ page: 1, limit: pageSize });
+    const firstItems = itemsOf(firstResponse, 1);
+    yield* take(firstItems);
+
+    const totalPages = totalPagesOf(firstResponse, pageSize);
+
+    if (totalPages === null) {
+        // No pagination metadata: keep going until a short page comes back.
+        let page = 1;
+        let items = firstItems;
+        while (remaining > 0 && items.length === pageSize) {
+            page += 1;
+            items = itemsOf(await fetchPage({ page, limit: pageSize }), page);
+            yield* take(items);
+        }
+        return;
+    }
+
+    const lastPage = Math.min(totalPages, Math.ceil(maxItems / pageSize));
+    const pending = [];
+    let nextPage = 2;
+
+    const schedule = () => {
+        while (nextPage <= lastPage && pending.length < Math.max(1, concurrency)) {
+            const page = nextPage++;
+            pending.push({ page, response: track(fetchPage({ page, limit: pageSize })) });
+        }
+    };
+
+    schedule();
+    while (pending.length > 0 && remaining > 0) {
+        const { page, response } = pending.shift();
+        const items = itemsOf(await response, page);
+        schedule();
+        yield* take(items);
+    }
+}
+
+/** Collects every record of a paginated list into an array. */
+export async function fetchAll(fetchPage, options = {}) {
+    const items = [];
+    for await (const item of paginate(fetchPage, options)) {
+        items.push(item);
+    }
+    return items;
+}
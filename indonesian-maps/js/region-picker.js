@@ -0,0 +1,471 @@
+// Indonesian Maps API - <id-region-picker> custom element
+//
+// The provinsi → kabupaten/kota → kecamatan → desa/kelurahan cascade as a
+// form control for any page or framework:
+//
+//   <script type="module" src="js/region-picker.js"></script>
+//   <form>
+//     <id-region-picker name="wilayah" depth="district" value="32.04" required></id-region-picker>
+//   </form>
+//
+// Attributes: `depth` (province, city, district or village, the default),
+// `base-url`, `value` (the initial code; its parents are selected with it),
+// `lang` (id or en), `name`, `required` and `disabled`. The form value is
+// the code of the deepest selected region. Every selection made by the user
+// fires a `change` event whose `detail` holds `{ value, complete, path }`.
+// Setting the `client` property shares a js/client.js client and its cache.
+
+import { createResponseCache } from './cache.js';
+import { DEFAULT_BASE_URL, createIndonesianMapsClient } from './client.js';
+import { ancestorCodes } from './codes.js';
+import { isAbortError } from './errors.js';
+import { MAX_LIMIT } from './pagination.js';
+import { REGION_LEVELS } from './schema.js';
+
+export const PICKER_LEVELS = ['province', 'city', 'district', 'village'];
+
+export const PICKER_TEXT = {
+    id: {
+        labels: { province: 'Provinsi', city: 'Kabupaten/Kota', district: 'Kecamatan', village: 'Desa/Kelurahan' },
+        placeholder: (label) => `Pilih ${label.toLowerCase()}...`,
+        required: (label) => `Pilih ${label.toLowerCase()}.`,
+        loading: 'Memuat...',
+        failed: 'Gagal memuat data'
+    },
+    en: {
+        labels: { province: 'Province', city: 'Regency/City', district: 'District', village: 'Village' },
+        placeholder: (label) => `Select a ${label.toLowerCase()}...`,
+        required: (label) => `Select a ${label.toLowerCase()}.`,
+        loading: 'Loading...',
+        failed: 'Could not load data'
+    }
+};
+
+const STYLE = `
+    :host { display: grid; gap: 0.75rem; }
+    :host([hidden]), [hidden] { display: none !important; }
+    label { display: grid; gap: 0.25rem; }
+    span { font-size: 0.875rem; font-weight: 500; }
+    select {
+        font: inherit; padding: 0.5rem 0.75rem; border: 1px solid #d1d5db;
+        border-radius: 0.375rem; background-color: white; color: inherit;
+    }
+    select:disabled { background-color: #f3f4f6; cursor: not-allowed; }
+`;
+
+// Pickers without a client of their own share one per base URL, so several
+// pickers on a page download each list once
+const sharedClients = new Map();
+
+const clientFor = (baseUrl) => {
+    const root = baseUrl.replace(/\/+$/, '');
+    if (!sharedClients.has(root)) {
+        sharedClients.set(root, createIndonesianMapsClient({ baseUrl: root, cache: createResponseCache() }));
+    }
+    return sharedClients.get(root);
+};
+
+const codeOf = (level, record) => record[REGION_LEVELS[level].code];
+
+// Lets the module load where there is no DOM (Node scripts); nothing is defined there
+const HTMLElementBase = typeof HTMLElement === 'undefined' ? class {} : HTMLElement;
+
+export class RegionPicker extends HTMLElementBase {
+    static formAssociated = true;
+
+    static observedAttributes = ['depth', 'base-url', 'value', 'lang', 'name', 'required', 'disabled'];
+
+    #internals = null;
+    #fallbackInput = null;
+    #client = null;
+    #rows = {};
+    #labels = {};
+    #selects = {};
+    #records = {};     // level → the records listed, null until loaded
+    #selected = {};    // level → the selected record
+    #status = {};      // level → 'loading' | 'failed' | undefined
+    #controllers = {}; // level → AbortController of the list in flight
+    #generation = 0;   // bumped by every selection, to drop stale ones
+    #ready = null;
+    #dirty = false;
+    #formDisabled = false;
+    #resetForm = null; // the form listened to for resets, without form association
+    #onFormReset = () => this.formResetCallback();
+
+    constructor() {
+        super();
+        // Without setFormValue (older browsers, jsdom) a hidden input in the
+        // light DOM submits the value instead; see #syncForm()
+        if (typeof this.attachInternals === 'function') {
+            const internals = this.attachInternals();
+            if (typeof internals.setFormValue === 'function') this.#internals = internals;
+        }
+
+        const root = this.attachShadow({ mode: 'open' });
+        const style = document.createElement('style');
+        style.textContent = STYLE;
+        root.appendChild(style);
+
+        PICKER_LEVELS.forEach((level) => {
+            const row = document.createElement('label');
+            row.setAttribute('part', `label label-${level}`);
+            const text = document.createElement('span');
+            const select = document.createElement('select');
+            select.setAttribute('part', `select select-${level}`);
+            select.dataset.level = level;
+            select.appendChild(document.createElement('option'));
+            select.addEventListener('change', () => this.#onUserSelect(level, select.value));
+            row.append(text, select);
+            root.appendChild(row);
+
+            this.#rows[level] = row;
+            this.#labels[level] = text;
+            this.#selects[level] = select;
+        });
+    }
+
+    connectedCallback() {
+        this.#render();
+        if (!this.#internals) {
+            this.#resetForm = this.closest('form');
+            if (this.#resetForm) this.#resetForm.addEventListener('reset', this.#onFormReset);
+        }
+        if (!this.#ready) this.#ready = this.select(this.defaultValue);
+    }
+
+    disconnectedCallback() {
+        if (this.#resetForm) this.#resetForm.removeEventListener('reset', this.#onFormReset);
+        this.#resetForm = null;
+    }
+
+    attributeChangedCallback(name, oldValue, newValue) {
+        if (oldValue === newValue) return;
+        switch (name) {
+            case 'base-url':
+                if (!this.#client) this.#restart();
+                break;
+            case 'depth':
+                this.#render();
+                this.#restart();
+                break;
+            case 'value':
+                if (this.isConnected && !this.#dirty) this.#ready = this.select(this.defaultValue);
+                break;
+            default:
+                this.#render();
+                this.#syncForm();
+        }
+    }
+
+    // Form-associated callbacks
+    formResetCallback() {
+        this.#dirty = false;
+        this.#ready = this.select(this.defaultValue);
+    }
+
+    formDisabledCallback(disabled) {
+        this.#formDisabled = disabled;
+        this.#render();
+    }
+
+    formStateRestoreCallback(state) {
+        if (typeof state === 'string') this.#ready = this.select(state);
+    }
+
+    /** The deepest level offered, from the `depth` attribute. */
+    get depth() {
+        const depth = this.getAttribute('depth');
+        return PICKER_LEVELS.includes(depth) ? depth : 'village';
+    }
+
+    set depth(value) {
+        this.setAttribute('depth', value);
+    }
+
+    /** Code of the deepest selected region, or ''. */
+    get value() {
+        const path = this.path;
+        return path.length > 0 ? path[path.length - 1].code : '';
+    }
+
+    set value(code) {
+        this.#ready = this.select(code);
+    }
+
+    get defaultValue() {
+        return this.getAttribute('value') || '';
+    }
+
+    set defaultValue(code) {
+        this.setAttribute('value', code);
+    }
+
+    /** The selected regions, provinsi first, as `{ level, code, name }`. */
+    get path() {
+        const path = [];
+        this.#levels().every((level) => {
+            const record = this.#selected[level];
+            if (record) path.push({ level, code: codeOf(level, record), name: record[REGION_LEVELS[level].name] });
+            return Boolean(record);
+        });
+        return path;
+    }
+
+    /** Whether a region is selected at every level down to `depth`. */
+    get complete() {
+        return this.path.length === this.#levels().length;
+    }
+
+    /** Settles once the latest selection (or the first load) is done. */
+    get ready() {
+        return this.#ready || Promise.resolve(false);
+    }
+
+    get client() {
+        return this.#client || clientFor(this.getAttribute('base-url') || DEFAULT_BASE_URL);
+    }
+
+    set client(client) {
+        this.#client = client;
+        this.#restart();
+    }
+
+    get name() {
+        return this.getAttribute('name') || '';
+    }
+
+    set name(value) {
+        this.setAttribute('name', value);
+    }
+
+    get required() {
+        return this.hasAttribute('required');
+    }
+
+    set required(value) {
+        this.toggleAttribute('required', Boolean(value));
+    }
+
+    get disabled() {
+        return this.hasAttribute('disabled');
+    }
+
+    set disabled(value) {
+        this.toggleAttribute('disabled', Boolean(value));
+    }
+
+    get form() {
+        return this.#internals ? this.#internals.form : this.closest('form');
+    }
+
+    get validity() {
+        if (this.#internals) return this.#internals.validity;
+        const valueMissing = Boolean(this.#missingLevel());
+        return { valueMissing, valid: !valueMissing };
+    }
+
+    get validationMessage() {
+        if (this.#internals) return this.#internals.validationMessage;
+        const missing = this.#missingLevel();
+        return missing ? this.#text().required(this.#text().labels[missing]) : '';
+    }
+
+    checkValidity() {
+        if (this.#internals) return this.#internals.checkValidity();
+        const valid = !this.#missingLevel();
+        if (!valid) this.dispatchEvent(new Event('invalid', { cancelable: true }));
+        return valid;
+    }
+
+    reportValidity() {
+        if (this.#internals) return this.#internals.reportValidity();
+        const valid = this.checkValidity();
+        if (!valid) this.#selects[this.#missingLevel()].focus();
+        return valid;
+    }
+
+    /**
+     * Selects a region with its parents, loading every list on the way;
+     * levels below `depth` are ignored. Resolves to false when a code is
+     * not listed or a newer selection took over.
+     */
+    async select(code) {
+        const generation = ++this.#generation;
+        const codes = ancestorCodes(code).slice(0, this.#levels().length);
+
+        if (!this.#records.province && !(await this.#load('province', null))) return false;
+        if (generation !== this.#generation) return false;
+
+        let found = true;
+        for (let index = 0; index < codes.length; index++) {
+            const level = PICKER_LEVELS[index];
+            const record = (this.#records[level] || []).find((candidate) => codeOf(level, candidate) === codes[index]);
+            if (!record) {
+                found = false;
+                break;
+            }
+            await this.#choose(level, record);
+            if (generation !== this.#generation) return false;
+        }
+        if (!found || codes.length === 0) {
+            const level = PICKER_LEVELS[found ? 0 : this.path.length];
+            if (level) this.#choose(level, null);
+        }
+        this.#syncForm();
+        return found;
+    }
+
+    #levels() {
+        return PICKER_LEVELS.slice(0, PICKER_LEVELS.indexOf(this.depth) + 1);
+    }
+
+    #text() {
+        const lang = (this.getAttribute('lang') || '').toLowerCase().split('-')[0];
+        return PICKER_TEXT[lang] || PICKER_TEXT.id;
+    }
+
+    #missingLevel() {
+        if (!this.required || this.complete) return null;
+        return this.#levels()[this.path.length];
+    }
+
+    // Starts over from the current value, e.g. with another client
+    #restart() {
+        if (!this.isConnected) return;
+        const value = this.value || this.defaultValue;
+        Object.values(this.#controllers).forEach((controller) => controller.abort());
+        this.#controllers = {};
+        this.#records = {};
+        this.#selected = {};
+        this.#status = {};
+        PICKER_LEVELS.forEach((level) => this.#fill(level, null));
+        this.#ready = this.select(value);
+    }
+
+    async #onUserSelect(level, code) {
+        this.#generation++;
+        this.#dirty = true;
+        const record = code ? (this.#records[level] || []).find((candidate) => codeOf(level, candidate) === code) : null;
+        const loading = this.#choose(level, record || null);
+        this.#syncForm();
+        this.dispatchEvent(new CustomEvent('change', {
+            bubbles: true,
+            composed: true,
+            detail: { value: this.value, complete: this.complete, path: this.path }
+        }));
+        await loading;
+    }
+
+    // Sets one level and clears every level below it; resolves once the
+    // list of the next level (if within `depth`) is loaded
+    #choose(level, record) {
+        this.#selected[level] = record;
+        this.#selects[level].value = record ? codeOf(level, record) : '';
+
+        const index = PICKER_LEVELS.indexOf(level);
+        PICKER_LEVELS.slice(index + 1).forEach((deeper) => {
+            if (this.#controllers[deeper]) this.#controllers[deeper].abort();
+            delete this.#selected[deeper];
+            delete this.#status[deeper];
+            this.#fill(deeper, null);
+        });
+
+        const next = this.#levels()[index + 1];
+        return record && next ? this.#load(next, codeOf(level, record)) : Promise.resolve(true);
+    }
+
+    async #load(level, parentCode) {
+        if (this.#controllers[level]) this.#controllers[level].abort();
+        const controller = new AbortController();
+        this.#controllers[level] = controller;
+        this.#status[level] = 'loading';
+        this.#fill(level, null);
+
+        const parent = PICKER_LEVELS[PICKER_LEVELS.indexOf(level) - 1];
+        try {
+            const records = await this.client.fetchAll(REGION_LEVELS[level].list, parent ? { [REGION_LEVELS[parent].code]: parentCode } : {}, {
+                limit: MAX_LIMIT,
+                signal: controller.signal
+            });
+            if (controller.signal.aborted) return false;
+            delete this.#status[level];
+            this.#fill(level, records);
+            return true;
+        } catch (error) {
+            if (isAbortError(error)) return false;
+            console.error(`Error loading ${level} options:`, error);
+            this.#status[level] = 'failed';
+            this.#fill(level, null);
+            return false;
+        } finally {
+            if (this.#controllers[level] === controller) delete this.#controllers[level];
+        }
+    }
+
+    #fill(level, records) {
+        const select = this.#selects[level];
+        const { name } = REGION_LEVELS[level];
+        this.#records[level] = records;
+        while (select.options.length > 1) select.remove(1);
+        (records || []).forEach((record) => {
+            const option = document.createElement('option');
+            option.value = codeOf(level, record);
+            option.textContent = record[name];
+            select.appendChild(option);
+        });
+        this.#render();
+    }
+
+    #render() {
+        const text = this.#text();
+        const levels = this.#levels();
+        const disabled = this.disabled || this.#formDisabled;
+        PICKER_LEVELS.forEach((level) => {
+            const label = text.labels[level];
+            const select = this.#selects[level];
+            this.#rows[level].hidden = !levels.includes(level);
+            this.#labels[level].textContent = label;
+            if (this.#status[level] === 'loading') select.options[0].textContent = text.loading;
+            else if (this.#status[level] === 'failed') select.options[0].textContent = text.failed;
+            else select.options[0].textContent = text.placeholder(label);
+            select.disabled = disabled || !this.#records[level];
+        });
+    }
+
+    #syncForm() {
+        const value = this.value;
+        if (this.#internals) {
+            this.#internals.setFormValue(value || null, value);
+            const missing = this.#missingLevel();
+            if (missing) {
+                this.#internals.setValidity({ valueMissing: true }, this.#text().required(this.#text().labels[missing]), this.#selects[missing]);
+            } else {
+                this.#internals.setValidity({});
+            }
+            return;
+        }
+
+        if (!this.name || !this.isConnected) {
+            if (this.#fallbackInput) this.#fallbackInput.remove();
+            this.#fallbackInput = null;
+            return;
+        }
+        if (!this.#fallbackInput) {
+            this.#fallbackInput = document.createElement('input');
+            this.#fallbackInput.type = 'hidden';
+            this.appendChild(this.#fallbackInput);
+        }
+        this.#fallbackInput.name = this.name;
+        this.#fallbackInput.value = value;
+        this.#fallbackInput.disabled = this.disabled || this.#formDisabled;
+    }
+}
+
+/** Registers the element under `tagName`, once. */
+export function defineRegionPicker(tagName = 'id-region-picker', registry = globalThis.customElements) {
+    if (!registry || registry.get(tagName)) return;
+    // A constructor can only be registered once, other names get a subclass
+    registry.define(tagName, tagName === 'id-region-picker' ? RegionPicker : class extends RegionPicker {});
+}
+
+defineRegionPicker();
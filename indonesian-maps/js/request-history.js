@@ -0,0 +1,74 @@
+// Indonesian Maps API - Playground request history
+//
+// The last requests sent from the playground, newest first, kept in
+// localStorage so they can be replayed after a reload.
+
+import { readJSON, writeJSON } from './storage.js';
+
+/**
+ * @typedef {object} HistoryEntry
+ * @property {string} id
+ * @property {string} endpointId See js/endpoints.js.
+ * @property {Object<string, string>} values Parameter values as sent.
+ * @property {string} url
+ * @property {number|null} status Null when no response arrived.
+ * @property {boolean} ok
+ * @property {number|null} duration Milliseconds.
+ * @property {number|null} size Response body in bytes.
+ * @property {string|null} error
+ * @property {string} timestamp ISO 8601.
+ */
+
+/**
+ * @param {object} [options]
+ * @param {Storage|null} [options.storage]
+ * @param {string} [options.storageKey]
+ * @param {number} [options.limit=25] Older entries are dropped beyond it.
+ */
+export function createRequestHistory({ storage = globalThis.localStorage, storageKey = 'indonesian-maps:playground-history', limit = 25 } = {}) {
+    let entries = readJSON(storage, storageKey, []);
+    if (!Array.isArray(entries)) entries = [];
+
+    const persist = () => writeJSON(storage, storageKey, entries);
+
+    return {
+        /** @returns {HistoryEntry[]} Newest first. */
+        list() {
+            return entries.slice();
+        },
+
+        get(id) {
+            return entries.find((entry) => entry.id === id) || null;
+        },
+
+        /** Records a request and returns the stored entry. */
+        add(request) {
+            const timestamp = new Date().toISOString();
+            const entry = {
+                id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+                endpointId: request.endpointId,
+                values: { ...request.values },
+                url: request.url,
+                status: request.status === undefined ? null : request.status,
+                ok: Boolean(request.ok),
+                duration: request.duration === undefined ? null : request.duration,
+                size: request.size === undefined ? null : request.size,
+                error: request.error || null,
+                timestamp
+            };
+            entries = [entry, ...entries].slice(0, limit);
+            persist();
+            return entry;
+        },
+
+        remove(id) {
+            entries = entries.filter((entry) => entry.id !== id);
+            persist();
+        },
+
+        clear() {
+            entries = [];
+            persist();
+        }
+    };
+}
@@ -0,0 +1,67 @@
+// Indonesian Maps API - Reverse geocoding
+//
+// The API has no "which region contains this point" endpoint, so lookups run
+// client-side: point-in-polygon tests against the boundary `path` of every
+// province, then of the kabupaten/kota inside the matching province.
+
+import { ringBounds, ringsContain, toRings } from './geometry.js';
+
+// Rings and overall bounds per record, computed on first use
+const shapes = new WeakMap();
+
+const shapeOf = (record) => {
+    if (!shapes.has(record)) {
+        const rings = record.path ? toRings(record.path) : [];
+        const bounds = rings.length > 0
+            ? rings.map(ringBounds).reduce(([[minLat, minLng], [maxLat, maxLng]], [[a, b], [c, d]]) => [
+                [Math.min(minLat, a), Math.min(minLng, b)],
+                [Math.max(maxLat, c), Math.max(maxLng, d)]
+            ])
+            : null;
+        shapes.set(record, { rings, bounds });
+    }
+    return shapes.get(record);
+};
+
+const inBounds = ([[minLat, minLng], [maxLat, maxLng]], [lat, lng]) => lat >= minLat && lat <= maxLat && lng >= minLng && lng <= maxLng;
+
+/** First record whose boundary contains the [lat, lng] point, or null. */
+export function findContaining(records, point) {
+    return records.find((record) => {
+        const { rings, bounds } = shapeOf(record);
+        return bounds !== null && inBounds(bounds, point) && ringsContain(rings, point);
+    }) || null;
+}
+
+/**
+ * @param {object} loaders
+ * @param {(options: object) => Promise<object[]>} loaders.loadProvinces
+ *   Every province with its `path`.
+ * @param {(provinceCode: string, options: object) => Promise<object[]>} loaders.loadCities
+ *   Every kabupaten/kota of a province with its `path`.
+ */
+export function createReverseGeocoder({ loadProvinces, loadCities }) {
+    // Loaded lists are kept so that repeated lookups reuse the parsed rings
+    let provinces = null;
+    const citiesByProvince = new Map();
+
+    return {
+        /**
+         * Resolves the province and kabupaten/kota containing a [lat, lng]
+         * point; either is null when no boundary contains it (e.g. at sea).
+         */
+        async locate(point, { signal } = {}) {
+            if (!provinces) {
+                provinces = await loadProvinces({ signal });
+            }
+            const province = findContaining(provinces, point);
+            if (!province) return { province: null, city: null };
+
+            const code = String(province.kode_provinsi);
+            if (!citiesByProvince.has(code)) {
+                citiesByProvince.set(code, await loadCities(code, { signal }));
+            }
+            return { province, city: findContaining(citiesByProvince.get(code), point) };
+        }
+    };
+}
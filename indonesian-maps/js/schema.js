@@ -0,0 +1,292 @@
+// Indonesian Maps API - Response models and runtime validation
+//
+// The API is loose about types: the same field comes back as a number from
+// list endpoints and as a string from /geo endpoints (`kode_provinsi: 32` vs
+// `"32"`), numeric attributes are strings (`"luas": "37053.331"`), regency
+// codes lose their trailing zero when serialised as numbers (`32.1` for
+// "32.10") and `path` is a JSON string. The parsers below turn raw records
+// into consistent models and throw a SchemaError for anything malformed.
+
+/**
+ * @typedef {Array<[number, number]>} Ring Closed or open list of [lat, lng] points.
+ * @typedef {Ring | Ring[]} BoundaryPath Single polygon or list of polygons, as sent by the API.
+ */
+
+/**
+ * @typedef {object} Province
+ * @property {string} kode_provinsi e.g. "32"
+ * @property {string} nama_provinsi
+ * @property {string|null} [ibukota]
+ * @property {number|null} [lat]
+ * @property {number|null} [lng]
+ * @property {number|null} [elv] Elevation in metres.
+ * @property {number|null} [tz] UTC offset in hours.
+ * @property {number|null} [luas] Area in km².
+ * @property {number|null} [penduduk] Population.
+ * @property {BoundaryPath|null} [path]
+ * @property {number|null} [status]
+ */
+
+/**
+ * @typedef {object} KabupatenKota
+ * @property {string} kode_kabupaten_kota e.g. "32.04"
+ * @property {string} kode_provinsi
+ * @property {string} nama_kabupaten_kota
+ * @property {string|null} [tipe] "Kabupaten" or "Kota" when provided by the API.
+ * @property {string|null} [ibukota]
+ * @property {number|null} [lat]
+ * @property {number|null} [lng]
+ * @property {number|null} [elv]
+ * @property {number|null} [tz]
+ * @property {number|null} [luas]
+ * @property {number|null} [penduduk]
+ * @property {BoundaryPath|null} [path]
+ * @property {number|null} [status]
+ */
+
+/**
+ * @typedef {object} Kecamatan
+ * @property {string} kode_kecamatan e.g. "32.04.05"
+ * @property {string} kode_kabupaten_kota
+ * @property {string} kode_provinsi
+ * @property {string} nama_kecamatan
+ * @property {string|null} [nama_kabupaten_kota]
+ * @property {string|null} [nama_provinsi]
+ * @property {number|null} [lat] Geo fields as on Province, from /kecamatan/{kode}/geo.
+ * @property {number|null} [lng]
+ * @property {BoundaryPath|null} [path]
+ */
+
+/**
+ * @typedef {object} DesaKelurahan
+ * @property {string} kode_desa_kelurahan e.g. "11.01.01.2001"
+ * @property {string} kode_kecamatan
+ * @property {string} kode_kabupaten_kota
+ * @property {string} kode_provinsi
+ * @property {string} nama_desa_kelurahan
+ * @property {string|null} [nama_kecamatan]
+ * @property {string|null} [nama_kabupaten_kota]
+ * @property {string|null} [nama_provinsi]
+ * @property {number|null} [lat] Geo fields as on Province, from /desa-kelurahan/{kode}/geo.
+ * @property {number|null} [lng]
+ * @property {BoundaryPath|null} [path]
+ */
+
+/**
+ * @typedef {object} Pulau
+ * @property {number} id
+ * @property {string} kode_pulau e.g. "11.01.40001"
+ * @property {string} nama_pulau
+ * @property {string|null} [kode_provinsi]
+ * @property {string|null} [kode_kabupaten_kota]
+ * @property {number|null} [latitude]
+ * @property {number|null} [longitude]
+ * @property {string|null} [notes]
+ */
+
+export class SchemaError extends Error {
+    constructor(entity, field, message, record) {
+        super(`Invalid ${entity}: ${field ? `${field} ` : ''}${message}`);
+        this.name = 'SchemaError';
+        this.entity = entity;
+        this.field = field;
+        this.record = record;
+    }
+}
+
+const isBlank = (value) => value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+
+// Coercers return the normalised value or throw InvalidValue, which
+// parseRecord turns into a SchemaError naming the entity and field.
+class InvalidValue extends Error {}
+
+const invalid = (message) => {
+    throw new InvalidValue(message);
+};
+
+const coercers = {
+    string(value) {
+        if (typeof value === 'string') return value.trim();
+        if (typeof value === 'number') return String(value);
+        invalid('must be a string');
+    },
+
+    number(value) {
+        const number = typeof value === 'number' ? value : Number(String(value).trim());
+        if (!Number.isFinite(number)) invalid(`must be numeric, got ${JSON.stringify(value)}`);
+        return number;
+    },
+
+    integer(value) {
+        const number = coercers.number(value);
+        if (!Number.isInteger(number)) invalid(`must be an integer, got ${JSON.stringify(value)}`);
+        return number;
+    },
+
+    // Administrative codes are dotted strings ("32", "32.04", "32.04.05").
+    // Numeric codes are only ever province (32) or regency (32.04) level, so
+    // fractional numbers are padded back to two digits.
+    code(value) {
+        let code;
+        if (typeof value === 'number') {
+            if (!Number.isFinite(value) || value < 0) invalid(`must be a code, got ${value}`);
+            code = Number.isInteger(value) ? String(value) : value.toFixed(2);
+        } else if (typeof value === 'string') {
+            code = value.trim();
+        } else {
+            invalid('must be a code string or number');
+        }
+        if (!/^\d+(\.\d+)*$/.test(code)) invalid(`must be a dotted numeric code, got ${JSON.stringify(value)}`);
+        return code;
+    },
+
+    path(value) {
+        let path = value;
+        if (typeof path === 'string') {
+            try {
+                path = JSON.parse(path);
+            } catch (e) {
+                invalid(`is not valid JSON (${e.message})`);
+            }
+        }
+        if (!Array.isArray(path) || path.length === 0) invalid('must be a non-empty coordinate array');
+        return path;
+    }
+};
+
+const required = (type) => ({ type, required: true });
+const optional = (type) => ({ type, required: false });
+
+const geoFields = {
+    ibukota: optional('string'),
+    lat: optional('number'),
+    lng: optional('number'),
+    elv: optional('number'),
+    tz: optional('number'),
+    luas: optional('number'),
+    penduduk: optional('number'),
+    path: optional('path'),
+    status: optional('number')
+};
+
+export const schemas = {
+    Province: {
+        kode_provinsi: required('code'),
+        nama_provinsi: required('string'),
+        ...geoFields
+    },
+    KabupatenKota: {
+        kode_kabupaten_kota: required('code'),
+        kode_provinsi: required('code'),
+        nama_kabupaten_kota: required('string'),
+        tipe: optional('string'),
+        ...geoFields
+    },
+    Kecamatan: {
+        kode_kecamatan: required('code'),
+        kode_kabupaten_kota: required('code'),
+        kode_provinsi: required('code'),
+        nama_kecamatan: required('string'),
+        nama_kabupaten_kota: optional('string'),
+        nama_provinsi: optional('string'),
+        ...geoFields
+    },
+    DesaKelurahan: {
+        kode_desa_kelurahan: required('code'),
+        kode_kecamatan: required('code'),
+        kode_kabupaten_kota: required('code'),
+        kode_provinsi: required('code'),
+        nama_desa_kelurahan: required('string'),
+        nama_kecamatan: optional('string'),
+        nama_kabupaten_kota: optional('string'),
+        nama_provinsi: optional('string'),
+        ...geoFields
+    },
+    Pulau: {
+        id: required('integer'),
+        kode_pulau: required('code'),
+        nama_pulau: required('string'),
+        kode_provinsi: optional('code'),
+        kode_kabupaten_kota: optional('code'),
+        latitude: optional('number'),
+        longitude: optional('number'),
+        notes: optional('string')
+    }
+};
+
+/**
+ * Model, key fields and client list method of each administrative level,
+ * from provinsi down to desa. A level's list is filtered by the `code`
+ * field of the level above it.
+ */
+export const REGION_LEVELS = {
+    province: { entity: 'Province', code: 'kode_provinsi', name: 'nama_provinsi', list: 'getProvinces' },
+    city: { entity: 'KabupatenKota', code: 'kode_kabupaten_kota', name: 'nama_kabupaten_kota', list: 'getCities' },
+    district: { entity: 'Kecamatan', code: 'kode_kecamatan', name: 'nama_kecamatan', list: 'getDistricts' },
+    village: { entity: 'DesaKelurahan', code: 'kode_desa_kelurahan', name: 'nama_desa_kelurahan', list: 'getVillages' }
+};
+
+/**
+ * Validates and coerces one raw record. Fields not described by the schema
+ * are passed through untouched; blank optional fields become `null`.
+ */
+export function parseRecord(entity, raw) {
+    const schema = schemas[entity];
+    if (!schema) throw new TypeError(`Unknown entity "${entity}"`);
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+        throw new SchemaError(entity, null, `expected an object, got ${Array.isArray(raw) ? 'array' : typeof raw}`, raw);
+    }
+
+    const record = { ...raw };
+    Object.entries(schema).forEach(([field, spec]) => {
+        const value = raw[field];
+        if (isBlank(value)) {
+            if (spec.required) throw new SchemaError(entity, field, 'is required', raw);
+            if (field in raw) record[field] = null;
+            return;
+        }
+        try {
+            record[field] = coercers[spec.type](value);
+        } catch (error) {
+            if (!(error instanceof InvalidValue)) throw error;
+            throw new SchemaError(entity, field, error.message, raw);
+        }
+    });
+    return record;
+}
+
+/** Parses every record of a list, reporting the index of the first bad one. */
+export function parseList(entity, rawList) {
+    if (!Array.isArray(rawList)) {
+        throw new SchemaError(entity, null, 'expected a list of records', rawList);
+    }
+    return rawList.map((raw, index) => {
+        try {
+            return parseRecord(entity, raw);
+        } catch (error) {
+            if (error instanceof SchemaError) {
+                error.message = error.message.replace(`Invalid ${entity}:`, `Invalid ${entity} at index ${index}:`);
+                error.index = index;
+            }
+            throw error;
+        }
+    });
+}
+
+export const parseProvince = (raw) => parseRecord('Province', raw);
+export const parseKabupatenKota = (raw) => parseRecord('KabupatenKota', raw);
+export const parseKecamatan = (raw) => parseRecord('Kecamatan', raw);
+export const parseDesaKelurahan = (raw) => parseRecord('DesaKelurahan', raw);
+export const parsePulau = (raw) => parseRecord('Pulau', raw);
+
+/**
+ * Parses the `data` of an API envelope (a single record or a list) in place
+ * of the raw one. Unsuccessful envelopes are returned unchanged.
+ */
+export function parseEnvelope(entity, envelope) {
+    if (!envelope || envelope.success === false || envelope.data === undefined || envelope.data === null) {
+        return envelope;
+    }
+    const data = Array.isArray(envelope.data) ? parseList(entity, envelope.data) : parseRecord(entity, envelope.data);
+    return { ...envelope, data };
+}
@@ -0,0 +1,231 @@
+// Indonesian Maps API - Fuzzy region name search
+//
+// Names are compared after normalisation: lower case without diacritics,
+// administrative prefixes ("Kabupaten", "Kab.", "Kota", "Provinsi", ...)
+// removed, pre-1972 spelling modernised ("Djakarta", "Tjirebon", "Soerabaja")
+// and common nicknames expanded ("Jogja", "Jabar"). What remains is scored
+// by exact, prefix and substring matches, then by edit distance for typos.
+
+// Leading words naming the administrative type rather than the place.
+const TYPE_PREFIXES = {
+    provinsi: 'provinsi',
+    propinsi: 'provinsi',
+    prov: 'provinsi',
+    kabupaten: 'kabupaten',
+    kab: 'kabupaten',
+    kota: 'kota',
+    kotamadya: 'kota',
+    kotamadia: 'kota',
+    kodya: 'kota',
+    kecamatan: 'kecamatan',
+    kec: 'kecamatan',
+    desa: 'desa',
+    ds: 'desa',
+    kelurahan: 'kelurahan',
+    kel: 'kelurahan',
+    pulau: 'pulau',
+    p: 'pulau'
+};
+
+/** Nicknames and abbreviations, matched per word after spelling modernisation. */
+export const ALIASES = {
+    jogja: 'yogyakarta',
+    jogjakarta: 'yogyakarta',
+    jogya: 'yogyakarta',
+    yogya: 'yogyakarta',
+    yogyakarto: 'yogyakarta',
+    diy: 'di yogyakarta',
+    jkt: 'jakarta',
+    jabar: 'jawa barat',
+    jateng: 'jawa tengah',
+    jatim: 'jawa timur',
+    sumut: 'sumatera utara',
+    sumbar: 'sumatera barat',
+    sumsel: 'sumatera selatan',
+    sumatra: 'sumatera',
+    kalbar: 'kalimantan barat',
+    kalteng: 'kalimantan tengah',
+    kalsel: 'kalimantan selatan',
+    kaltim: 'kalimantan timur',
+    kaltara: 'kalimantan utara',
+    sulut: 'sulawesi utara',
+    sulteng: 'sulawesi tengah',
+    sulsel: 'sulawesi selatan',
+    sultra: 'sulawesi tenggara',
+    sulbar: 'sulawesi barat',
+    ntb: 'nusa tenggara barat',
+    ntt: 'nusa tenggara timur',
+    babel: 'kepulauan bangka belitung',
+    kepri: 'kepulauan riau',
+    jakpus: 'jakarta pusat',
+    jakut: 'jakarta utara',
+    jakbar: 'jakarta barat',
+    jaksel: 'jakarta selatan',
+    jaktim: 'jakarta timur'
+};
+
+const words = (text) => String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+
+// Van Ophuijsen spelling still shows up in older sources and user input.
+// Its "j" is today's "y", but only words with other old-spelling markers
+// are rewritten so that "jakarta" stays as it is.
+const modernise = (word) => {
+    if (!/dj|tj|oe/.test(word)) return word;
+    return word
+        .replace(/tj/g, 'c')
+        .replace(/oe/g, 'u')
+        .split('dj')
+        .map((part) => part.replace(/j/g, 'y'))
+        .join('j');
+};
+
+/**
+ * Splits a name into its administrative type (from a leading prefix, or
+ * null) and the normalised place name used for matching.
+ * @returns {{ kind: string|null, text: string }}
+ */
+export function parseName(name) {
+    const tokens = words(name);
+    let kind = null;
+    while (tokens.length > 1 && TYPE_PREFIXES[tokens[0]]) {
+        kind = kind || TYPE_PREFIXES[tokens[0]];
+        tokens.shift();
+    }
+
+    const text = tokens
+        .map(modernise)
+        .map((word) => ALIASES[word] || word)
+        .join(' ')
+        .replace(/\bdaerah istimewa\b/g, 'di')
+        .replace(/\bd i\b/g, 'di')
+        .replace(/\bdaerah khusus ibukota\b/g, 'dki');
+    return { kind, text };
+}
+
+export const normalizeName = (name) => parseName(name).text;
+
+/** Optimal string alignment distance (Levenshtein plus adjacent transpositions). */
+export function editDistance(a, b) {
+    if (a === b) return 0;
+    if (!a.length) return b.length;
+    if (!b.length) return a.length;
+
+    let beforePrevious = null;
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+            if (beforePrevious && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                current[j] = Math.min(current[j], beforePrevious[j - 2] + 1);
+            }
+        }
+        beforePrevious = previous;
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+const similarity = (a, b) => 1 - editDistance(a, b) / Math.max(a.length, b.length);
+
+/**
+ * Scores how well a normalised query matches a normalised name, from 0 (no
+ * match) to 1 (identical). Prefix and substring matches outrank typo matches.
+ */
+export function scoreMatch(query, name) {
+    if (!query || !name) return 0;
+    if (name === query) return 1;
+    if (name.startsWith(query)) return 0.9;
+
+    const nameWords = name.split(' ');
+    if (nameWords.some((word) => word.startsWith(query))) return 0.8;
+    if (name.includes(query)) return 0.7;
+
+    // Typo tolerance: compare against the whole name and against every run
+    // of as many words as the query has, so "bandng" still finds "bandung
+    // barat". Too little overlap counts as no match at all.
+    const span = query.split(' ').length;
+    let best = similarity(query, name);
+    for (let i = 0; i + span <= nameWords.length; i++) {
+        best = Math.max(best, similarity(query, nameWords.slice(i, i + span).join(' ')));
+    }
+    return best >= 0.6 ? best * 0.7 : 0;
+}
+
+// Ties go to the higher administrative level, then to the shorter name.
+const LEVEL_BONUS = { province: 0.03, city: 0.02, district: 0.01, village: 0, island: 0 };
+const KIND_BONUS = 0.05;
+
+/**
+ * @typedef {object} SearchEntry
+ * @property {string} level province, city, district, village or island.
+ * @property {string} code
+ * @property {string} name Display name as sent by the API.
+ * @property {string[]} [path] Names of the ancestors, outermost first.
+ * @property {object} [codes] Codes of the entry and its ancestors keyed by level.
+ * @property {object} [record] The API record itself.
+ */
+
+const prepare = (entry) => {
+    if (entry.key !== undefined) return entry;
+    const { kind, text } = parseName(entry.name);
+    return { ...entry, kind, key: text };
+};
+
+/**
+ * Ranks entries against a query, best first, dropping those scoring under
+ * `minScore`. Returned entries carry a `score`.
+ */
+export function rankEntries(entries, query, { limit = 10, minScore = 0.4 } = {}) {
+    const { kind, text } = parseName(query);
+    if (!text) return [];
+
+    return entries
+        .map(prepare)
+        .map((entry) => {
+            const score = scoreMatch(text, entry.key);
+            if (score < minScore) return null;
+            const bonus = (LEVEL_BONUS[entry.level] || 0) + (kind && kind === entry.kind ? KIND_BONUS : 0);
+            return { entry, score, rank: score + bonus };
+        })
+        .filter(Boolean)
+        .sort((a, b) => b.rank - a.rank || a.entry.name.length - b.entry.name.length)
+        .slice(0, limit)
+        .map(({ entry, score }) => ({ ...entry, score }));
+}
+
+/**
+ * The term to send as the API's `search` parameter, which only does
+ * case-insensitive substring matching. With `broad`, only the first four
+ * letters of the longest word are sent, so a misspelt query still returns
+ * candidates for rankEntries() to sort out.
+ */
+export function remoteSearchTerm(query, { broad = false } = {}) {
+    const { text } = parseName(query);
+    if (!broad) return text;
+    const longest = text.split(' ').reduce((a, b) => (b.length > a.length ? b : a), '');
+    return longest.slice(0, 4);
+}
+
+/** In-memory index over SearchEntry records, normalised once when added. */
+export function createSearchIndex(entries = []) {
+    const items = entries.map(prepare);
+
+    return {
+        add(more) {
+            more.forEach((entry) => items.push(prepare(entry)));
+        },
+        search(query, options) {
+            return rankEntries(items, query, options);
+        },
+        get size() {
+            return items.length;
+        }
+    };
+}
@@ -0,0 +1,16 @@
+// Indonesian Maps API - Simplification worker
+//
+// Module worker started by createSimplifier() (js/simplify.js). Each message
+// `{ id, geometry, tolerance, method }` is answered with `{ id, geometry }`,
+// or `{ id, error }` when simplifyGeometry() throws.
+
+import { simplifyGeometry } from './simplify.js';
+
+self.addEventListener('message', ({ data }) => {
+    const { id, geometry, tolerance, method } = data;
+    try {
+        self.postMessage({ id, geometry: simplifyGeometry(geometry, tolerance, { method }) });
+    } catch (error) {
+        self.postMessage({ id, error: error.message });
+    }
+});
@@ -0,0 +1,361 @@
+// Indonesian Maps API - Boundary simplification per zoom level
+//
+// Provinces such as Papua or Kalimantan Timur arrive as thousands of points
+// over hundreds of islands, far more than a screen at provincial zoom can
+// show. Geometries are simplified to a tolerance of about one screen pixel
+// for the current zoom band, so an outline never looks different from the
+// full one while costing a fraction of the points to draw. The work runs in
+// a Web Worker (js/simplify-worker.js) where there is one, and each result
+// is kept per zoom band for the next zoom in or out.
+
+/** Algorithms simplifyGeometry() accepts. */
+export const SIMPLIFICATION_METHODS = ['douglas-peucker', 'visvalingam'];
+
+/** From this zoom band on, geometries are drawn in full. */
+export const FULL_DETAIL_ZOOM = 14;
+
+/** Screen pixels a simplified outline may deviate by. */
+export const DEFAULT_PIXEL_TOLERANCE = 1;
+
+// Squared distance from point p to the segment a-b ([x, y] positions)
+const segmentDistanceSq = ([px, py], [ax, ay], [bx, by]) => {
+    let dx = bx - ax;
+    let dy = by - ay;
+    let x = ax;
+    let y = ay;
+    if (dx !== 0 || dy !== 0) {
+        const t = ((px - ax) * dx + (py - ay) * dy) / (dx * dx + dy * dy);
+        if (t > 1) {
+            x = bx;
+            y = by;
+        } else if (t > 0) {
+            x += dx * t;
+            y += dy * t;
+        }
+    }
+    dx = px - x;
+    dy = py - y;
+    return dx * dx + dy * dy;
+};
+
+const triangleArea = ([ax, ay], [bx, by], [cx, cy]) => Math.abs((bx - ax) * (cy - ay) - (cx - ax) * (by - ay)) / 2;
+
+/**
+ * Douglas–Peucker: keeps the points farther than `tolerance` from the line
+ * between the points kept around them. The first and last point are always
+ * kept, so a closed ring stays closed.
+ */
+export function douglasPeucker(points, tolerance) {
+    if (points.length <= 3 || !(tolerance > 0)) return points;
+
+    const keep = new Uint8Array(points.length);
+    keep[0] = 1;
+    keep[points.length - 1] = 1;
+    const sqTolerance = tolerance * tolerance;
+    const stack = [[0, points.length - 1]];
+    while (stack.length > 0) {
+        const [first, last] = stack.pop();
+        let maxDistance = sqTolerance;
+        let index = -1;
+        for (let i = first + 1; i < last; i++) {
+            const distance = segmentDistanceSq(points[i], points[first], points[last]);
+            if (distance > maxDistance) {
+                maxDistance = distance;
+                index = i;
+            }
+        }
+        if (index !== -1) {
+            keep[index] = 1;
+            stack.push([first, index], [index, last]);
+        }
+    }
+    return points.filter((point, i) => keep[i] === 1);
+}
+
+/**
+ * Visvalingam–Whyatt: repeatedly drops the point whose triangle with its
+ * neighbours has the smallest area, while that area is below `minArea`.
+ * Smoother than Douglas–Peucker on coastlines; the ends are always kept.
+ */
+export function visvalingam(points, minArea) {
+    if (points.length <= 3 || !(minArea > 0)) return points;
+
+    const last = points.length - 1;
+    const prev = new Int32Array(points.length);
+    const next = new Int32Array(points.length);
+    const areas = new Float64Array(points.length);
+    const removed = new Uint8Array(points.length);
+
+    // Binary min-heap of [area, index]; entries whose area has since
+    // changed are skipped when they come up
+    const heap = [];
+    const push = (entry) => {
+        heap.push(entry);
+        let i = heap.length - 1;
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (heap[parent][0] <= heap[i][0]) break;
+            [heap[parent], heap[i]] = [heap[i], heap[parent]];
+            i = parent;
+        }
+    };
+    const pop = () => {
+        const top = heap[0];
+        const end = heap.pop();
+        if (heap.length > 0) {
+            heap[0] = end;
+            let i = 0;
+            for (;;) {
+                const left = 2 * i + 1;
+                const right = left + 1;
+                let smallest = i;
+                if (left < heap.length && heap[left][0] < heap[smallest][0]) smallest = left;
+                if (right < heap.length && heap[right][0] < heap[smallest][0]) smallest = right;
+                if (smallest === i) break;
+                [heap[smallest], heap[i]] = [heap[i], heap[smallest]];
+                i = smallest;
+            }
+        }
+        return top;
+    };
+
+    for (let i = 0; i <= last; i++) {
+        prev[i] = i - 1;
+        next[i] = i + 1;
+    }
+    for (let i = 1; i < last; i++) {
+        areas[i] = triangleArea(points[i - 1], points[i], points[i + 1]);
+        push([areas[i], i]);
+    }
+
+    while (heap.length > 0) {
+        const [area, i] = pop();
+        if (removed[i] === 1 || area !== areas[i]) continue;
+        if (area >= minArea) break;
+
+        removed[i] = 1;
+        next[prev[i]] = next[i];
+        prev[next[i]] = prev[i];
+        [prev[i], next[i]].forEach((j) => {
+            if (j === 0 || j === last) return;
+            // An effective area never falls below the one just removed
+            areas[j] = Math.max(area, triangleArea(points[prev[j]], points[j], points[next[j]]));
+            push([areas[j], j]);
+        });
+    }
+    return points.filter((point, i) => removed[i] === 0);
+}
+
+const ringExtent = (ring) => {
+    let minX = Infinity;
+    let minY = Infinity;
+    let maxX = -Infinity;
+    let maxY = -Infinity;
+    ring.forEach(([x, y]) => {
+        minX = Math.min(minX, x);
+        minY = Math.min(minY, y);
+        maxX = Math.max(maxX, x);
+        maxY = Math.max(maxY, y);
+    });
+    return Math.max(maxX - minX, maxY - minY);
+};
+
+/**
+ * Simplifies a GeoJSON Polygon or MultiPolygon to `tolerance` degrees.
+ * Rings stay closed with at least four positions; islands and holes
+ * smaller than the tolerance are left out, though the largest polygon is
+ * always kept. Other geometries, and a tolerance of 0, come back unchanged.
+ *
+ * @param {object} geometry
+ * @param {number} tolerance
+ * @param {object} [options]
+ * @param {string} [options.method='douglas-peucker'] One of SIMPLIFICATION_METHODS.
+ */
+export function simplifyGeometry(geometry, tolerance, { method = 'douglas-peucker' } = {}) {
+    if (!geometry || !(tolerance > 0) || (geometry.type !== 'Polygon' && geometry.type !== 'MultiPolygon')) {
+        return geometry;
+    }
+    if (!SIMPLIFICATION_METHODS.includes(method)) {
+        throw new Error(`Unknown simplification method: ${method}`);
+    }
+
+    const simplifyRing = method === 'visvalingam'
+        ? (ring) => visvalingam(ring, tolerance * tolerance)
+        : (ring) => douglasPeucker(ring, tolerance);
+    // A ring reduced below a closed triangle keeps its full outline
+    const ringAtTolerance = (ring) => {
+        const simplified = simplifyRing(ring);
+        return simplified.length >= 4 ? simplified : ring;
+    };
+
+    const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+    const extents = polygons.map(([shell]) => ringExtent(shell));
+    const largest = extents.indexOf(Math.max(...extents));
+    const simplified = polygons
+        .filter((polygon, i) => i === largest || extents[i] >= tolerance)
+        .map(([shell, ...holes]) => [
+            ringAtTolerance(shell),
+            ...holes.filter((hole) => ringExtent(hole) >= tolerance).map(ringAtTolerance)
+        ]);
+
+    return simplified.length === 1
+        ? { type: 'Polygon', coordinates: simplified[0] }
+        : { type: 'MultiPolygon', coordinates: simplified };
+}
+
+/** Whole zoom level used to share simplified versions, capped at FULL_DETAIL_ZOOM. */
+export function zoomBand(zoom) {
+    return Math.min(Math.max(Math.floor(zoom) || 0, 0), FULL_DETAIL_ZOOM);
+}
+
+/**
+ * Degrees covered by `pixels` screen pixels at a zoom band (Web Mercator
+ * at the equator, which Indonesia straddles); 0 from FULL_DETAIL_ZOOM on.
+ */
+export function toleranceForZoom(zoom, { pixels = DEFAULT_PIXEL_TOLERANCE } = {}) {
+    const band = zoomBand(zoom);
+    return band >= FULL_DETAIL_ZOOM ? 0 : (pixels * 360) / (256 * 2 ** band);
+}
+
+const defaultWorker = () => (typeof Worker === 'function'
+    ? new Worker(new URL('./simplify-worker.js', import.meta.url), { type: 'module' })
+    : null);
+
+/**
+ * Simplifies geometries for a zoom level, off the main thread when a worker
+ * can be started and on it otherwise (or once the worker fails).
+ *
+ * Results are cached per zoom band: under `key` (a region code, say) across
+ * calls with freshly parsed geometries, up to `maxEntries` keys, and without
+ * one for as long as the geometry object itself is kept.
+ *
+ * @param {object} [options]
+ * @param {string} [options.method='douglas-peucker'] One of SIMPLIFICATION_METHODS.
+ * @param {number} [options.pixels] Screen pixels of tolerance, DEFAULT_PIXEL_TOLERANCE by default.
+ * @param {number} [options.maxEntries=50] Keyed geometries to keep.
+ * @param {() => Worker|null} [options.createWorker] Starts the worker; a module
+ *   worker running js/simplify-worker.js by default, null where there is none.
+ */
+export function createSimplifier({
+    method = 'douglas-peucker',
+    pixels = DEFAULT_PIXEL_TOLERANCE,
+    maxEntries = 50,
+    createWorker = defaultWorker
+} = {}) {
+    const keyed = new Map();
+    const unkeyed = new WeakMap();
+    const pending = new Map();
+    let worker;
+    let nextId = 0;
+
+    const onMainThread = (geometry, tolerance) => new Promise((resolve) => {
+        resolve(simplifyGeometry(geometry, tolerance, { method }));
+    });
+
+    const stopWorker = () => {
+        if (worker) worker.terminate();
+        worker = null;
+    };
+
+    const startWorker = () => {
+        if (worker !== undefined) return worker;
+        try {
+            worker = createWorker();
+        } catch (error) {
+            console.warn('Simplification worker unavailable:', error);
+            worker = null;
+        }
+        if (!worker) return worker;
+
+        worker.addEventListener('message', ({ data }) => {
+            const job = pending.get(data.id);
+            if (!job) return;
+            pending.delete(data.id);
+            if (data.error) job.reject(new Error(data.error));
+            else job.resolve(data.geometry);
+        });
+        // Jobs the worker leaves behind finish on the main thread
+        worker.addEventListener('error', (event) => {
+            console.warn('Simplification worker failed:', event.message || event);
+            stopWorker();
+            const jobs = Array.from(pending.values());
+            pending.clear();
+            jobs.forEach((job) => onMainThread(job.geometry, job.tolerance).then(job.resolve, job.reject));
+        });
+        return worker;
+    };
+
+    const run = (geometry, tolerance) => {
+        if (!startWorker()) return onMainThread(geometry, tolerance);
+        return new Promise((resolve, reject) => {
+            const id = ++nextId;
+            pending.set(id, { geometry, tolerance, resolve, reject });
+            worker.postMessage({ id, geometry, tolerance, method });
+        });
+    };
+
+    // Results per zoom band of one geometry: { promise, geometry } where
+    // geometry is set once the promise resolves
+    const bandsFor = (geometry, key) => {
+        if (key === undefined || key === null) {
+            if (!unkeyed.has(geometry)) unkeyed.set(geometry, new Map());
+            return unkeyed.get(geometry);
+        }
+        const bands = keyed.get(key) || new Map();
+        keyed.delete(key);
+        keyed.set(key, bands);
+        if (keyed.size > maxEntries) keyed.delete(keyed.keys().next().value);
+        return bands;
+    };
+
+    return {
+        /**
+         * Resolves with `geometry` simplified for `zoom`, or `geometry` itself
+         * at full detail.
+         *
+         * @param {object} geometry GeoJSON Polygon or MultiPolygon.
+         * @param {number} zoom Map zoom.
+         * @param {object} [options]
+         * @param {string} [options.key] Identifies the geometry across calls.
+         * @returns {Promise<object>}
+         */
+        simplify(geometry, zoom, { key } = {}) {
+            const band = zoomBand(zoom);
+            if (!geometry || band >= FULL_DETAIL_ZOOM) return Promise.resolve(geometry);
+
+            const bands = bandsFor(geometry, key);
+            if (!bands.has(band)) {
+                const entry = { geometry: null };
+                entry.promise = run(geometry, toleranceForZoom(band, { pixels })).then(
+                    (simplified) => {
+                        entry.geometry = simplified;
+                        return simplified;
+                    },
+                    (error) => {
+                        bands.delete(band);
+                        throw error;
+                    }
+                );
+                bands.set(band, entry);
+            }
+            return bands.get(band).promise;
+        },
+
+        /** The simplified geometry for `zoom` if it is already cached, else null. */
+        peek(geometry, zoom, { key } = {}) {
+            const band = zoomBand(zoom);
+            if (!geometry || band >= FULL_DETAIL_ZOOM) return geometry || null;
+            const entry = bandsFor(geometry, key).get(band);
+            return entry ? entry.geometry : null;
+        },
+
+        /** Stops the worker, rejecting what it was still working on; later calls start a new one. */
+        terminate() {
+            stopWorker();
+            worker = undefined;
+            const jobs = Array.from(pending.values());
+            pending.clear();
+            jobs.forEach((job) => job.reject(new Error('Simplifier terminated')));
+        }
+    };
+}
@@ -0,0 +1,69 @@
+// Indonesian Maps API - Code snippets for a request
+//
+// The playground's "copy as" output: the same GET request as cURL, fetch,
+// axios and Python (requests). Query parameters stay in the URL for cURL
+// and fetch and are spelled out as `params` for axios and requests.
+
+export const SNIPPET_FORMATS = {
+    curl: { label: 'cURL', language: 'bash' },
+    fetch: { label: 'fetch', language: 'javascript' },
+    axios: { label: 'axios', language: 'javascript' },
+    python: { label: 'Python (requests)', language: 'python' }
+};
+
+const shellString = (value) => `'${String(value).replace(/'/g, `'\\''`)}'`;
+const jsString = (value) => `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'").replace(/\n/g, '\\n')}'`;
+// JSON string literals are valid Python string literals
+const pyString = (value) => JSON.stringify(String(value));
+
+const jsKey = (key) => (/^[A-Za-z_$][\w$]*$/.test(key) ? key : jsString(key));
+
+const splitUrl = (url) => {
+    const parsed = new URL(url);
+    const params = Array.from(parsed.searchParams.entries());
+    parsed.search = '';
+    return { base: parsed.toString(), params };
+};
+
+const generators = {
+    curl: (url) => `curl -sS ${shellString(url)} \\\n  -H 'Accept: application/json'`,
+
+    fetch: (url) => [
+        `const response = await fetch(${jsString(url)}, {`,
+        "    headers: { Accept: 'application/json' }",
+        '});',
+        'if (!response.ok) throw new Error(`HTTP ${response.status}`);',
+        'const data = await response.json();'
+    ].join('\n'),
+
+    axios: (url) => {
+        const { base, params } = splitUrl(url);
+        const lines = ["import axios from 'axios';", '', `const { data } = await axios.get(${jsString(base)}, {`];
+        if (params.length > 0) {
+            lines.push(`    params: { ${params.map(([key, value]) => `${jsKey(key)}: ${jsString(value)}`).join(', ')} },`);
+        }
+        lines.push("    headers: { Accept: 'application/json' }", '});');
+        return lines.join('\n');
+    },
+
+    python: (url) => {
+        const { base, params } = splitUrl(url);
+        const lines = ['import requests', '', 'response = requests.get(', `    ${pyString(base)},`];
+        if (params.length > 0) {
+            lines.push(`    params={${params.map(([key, value]) => `${pyString(key)}: ${pyString(value)}`).join(', ')}},`);
+        }
+        lines.push('    headers={"Accept": "application/json"},', '    timeout=15,', ')', 'response.raise_for_status()', 'data = response.json()');
+        return lines.join('\n');
+    }
+};
+
+/**
+ * Source code performing a GET of `url` in one of SNIPPET_FORMATS.
+ * @param {keyof SNIPPET_FORMATS} format
+ * @param {string} url Absolute URL including the query string.
+ */
+export function toSnippet(format, url) {
+    const generate = generators[format];
+    if (!generate) throw new Error(`Unknown snippet format: ${format}`);
+    return generate(url);
+}
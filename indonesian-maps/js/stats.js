@@ -0,0 +1,83 @@
+// Indonesian Maps API - Aggregations for the statistics dashboard
+//
+// Pure functions over parsed records (see js/schema.js); chart rendering
+// lives in script.js.
+
+import { decodeCode } from './codes.js';
+
+export const TIMEZONES = {
+    7: 'WIB',
+    8: 'WITA',
+    9: 'WIT'
+};
+
+/**
+ * 'Kabupaten' or 'Kota' for a kabupaten/kota record. Uses `tipe` when the
+ * API sends it, then the name prefix ("Kota Bandung", "Kabupaten Bandung",
+ * "Kab. Bandung"), then the Kemendagri numbering where kota codes start at
+ * 71 ("32.73"). Null when none of these tells.
+ */
+export function cityType(record) {
+    const source = String(record.tipe || record.nama_kabupaten_kota || '').trim().toLowerCase();
+    if (/^kota\b/.test(source)) return 'Kota';
+    if (/^(kabupaten|kab\.?)(\s|$)/.test(source)) return 'Kabupaten';
+
+    const decoded = decodeCode(record.kode_kabupaten_kota);
+    if (decoded && decoded.level === 'city') return decoded.kind === 'kota' ? 'Kota' : 'Kabupaten';
+    return null;
+}
+
+/** Population per km², or null without both a population and a positive area. */
+export function density(record) {
+    return Number.isFinite(record.penduduk) && record.luas > 0 ? record.penduduk / record.luas : null;
+}
+
+/** Counts records per key; records whose key is null/undefined count under `missingKey`. */
+export function countBy(records, keyOf, missingKey = null) {
+    const counts = new Map();
+    records.forEach((record) => {
+        const raw = keyOf(record);
+        const key = raw === null || raw === undefined ? missingKey : raw;
+        counts.set(key, (counts.get(key) || 0) + 1);
+    });
+    return counts;
+}
+
+/**
+ * Records with a finite value, sorted by it (largest first by default).
+ * @returns {Array<{record: object, value: number}>}
+ */
+export function rankBy(records, valueOf, { descending = true, limit = Infinity } = {}) {
+    return records
+        .map((record) => ({ record, value: valueOf(record) }))
+        .filter(({ value }) => Number.isFinite(value))
+        .sort((a, b) => (descending ? b.value - a.value : a.value - b.value))
+        .slice(0, limit);
+}
+
+/** `{ kabupaten, kota, other }` counts per kode_provinsi. */
+export function cityTypesByProvince(cities) {
+    const counts = new Map();
+    cities.forEach((city) => {
+        const key = String(city.kode_provinsi);
+        const entry = counts.get(key) || { kabupaten: 0, kota: 0, other: 0 };
+        const type = cityType(city);
+        if (type === 'Kota') entry.kota += 1;
+        else if (type === 'Kabupaten') entry.kabupaten += 1;
+        else entry.other += 1;
+        counts.set(key, entry);
+    });
+    return counts;
+}
+
+/** Region counts per timezone, ordered west to east; unknown `tz` comes last. */
+export function timezoneDistribution(records) {
+    const counts = countBy(records, (record) => (Number.isFinite(record.tz) ? record.tz : null));
+    const labelOf = (tz) => {
+        if (tz === null) return 'Tidak diketahui';
+        return TIMEZONES[tz] ? `${TIMEZONES[tz]} (UTC+${tz})` : `UTC+${tz}`;
+    };
+    return Array.from(counts.entries())
+        .sort(([a], [b]) => (a === null) - (b === null) || a - b)
+        .map(([tz, count]) => ({ tz, label: labelOf(tz), count }));
+}
@@ -0,0 +1,27 @@
+// Indonesian Maps API - JSON in Web Storage
+//
+// localStorage may be missing or throw (private mode, quota exceeded). What
+// is kept there is a convenience (remembered choices, history), so failures
+// fall back to defaults instead of surfacing.
+
+/** Parsed JSON stored under `key`, or `fallback` when absent or unreadable. */
+export function readJSON(storage, key, fallback) {
+    try {
+        const raw = storage && storage.getItem(key);
+        return raw ? JSON.parse(raw) : fallback;
+    } catch (error) {
+        return fallback;
+    }
+}
+
+/** Stores `value` as JSON; returns false (after a warning) when it could not. */
+export function writeJSON(storage, key, value) {
+    try {
+        if (!storage) return false;
+        storage.setItem(key, JSON.stringify(value));
+        return true;
+    } catch (error) {
+        console.warn(`Could not persist ${key}:`, error);
+        return false;
+    }
+}
@@ -0,0 +1,184 @@
+// Indonesian Maps API - Base map (tile) providers
+//
+// Every base layer the explorer can show is described by a plain provider
+// object, so sources can be added through configuration instead of code:
+//
+//   { label, type: 'xyz' | 'wms' | 'none', url, options }
+//
+// 'wms' providers also take `layers` (and optionally `format`); 'none'
+// draws no tiles at all, for boundary-only or fully offline viewing.
+
+import { readJSON, writeJSON } from './storage.js';
+
+export const TILE_PROVIDERS = {
+    osm: {
+        label: 'OpenStreetMap',
+        type: 'xyz',
+        url: 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png',
+        options: { maxZoom: 19, attribution: '© OpenStreetMap contributors' }
+    },
+    satellite: {
+        label: 'Satelit',
+        type: 'xyz',
+        url: 'https://{s}.google.com/vt/lyrs=s&x={x}&y={y}&z={z}',
+        options: { maxZoom: 20, subdomains: ['mt0', 'mt1', 'mt2', 'mt3'], attribution: '© Google' }
+    },
+    terrain: {
+        label: 'Topografi',
+        type: 'xyz',
+        url: 'https://{s}.tile.opentopomap.org/{z}/{x}/{y}.png',
+        options: { maxZoom: 17, attribution: '© OpenTopoMap contributors' }
+    },
+    light: {
+        label: 'Terang (tanpa label)',
+        type: 'xyz',
+        url: 'https://{s}.basemaps.cartocdn.com/light_nolabels/{z}/{x}/{y}{r}.png',
+        options: { maxZoom: 19, subdomains: 'abcd', attribution: '© OpenStreetMap contributors © CARTO' }
+    },
+    none: {
+        label: 'Tanpa peta dasar',
+        type: 'none'
+    }
+};
+
+// Layer names used in map links shared before providers had ids
+export const PROVIDER_ALIASES = {
+    OpenStreetMap: 'osm',
+    Satellite: 'satellite',
+    Terrain: 'terrain'
+};
+
+const PROVIDER_TYPES = ['xyz', 'wms', 'none'];
+
+/**
+ * Checks a provider description and returns a normalised copy; throws an
+ * Error naming the problem otherwise.
+ */
+export function validateProvider(provider) {
+    if (!provider || typeof provider !== 'object') throw new Error('Tile provider must be an object');
+
+    const type = provider.type || 'xyz';
+    if (!PROVIDER_TYPES.includes(type)) throw new Error(`Unknown tile provider type: ${type}`);
+
+    const label = String(provider.label || '').trim();
+    if (!label) throw new Error('Tile provider needs a label');
+    if (type === 'none') return { label, type };
+
+    let url;
+    try {
+        url = new URL(String(provider.url || '').replace(/[{}]/g, ''), 'http://localhost');
+    } catch (error) {
+        throw new Error(`Invalid tile URL: ${provider.url}`);
+    }
+    if (!/^https?:$/.test(url.protocol) || !/^(https?:)?\/\//.test(provider.url)) {
+        throw new Error(`Tile URL must be absolute http(s): ${provider.url}`);
+    }
+    if (type === 'xyz' && !['{z}', '{x}', '{y}'].every((part) => provider.url.includes(part))) {
+        throw new Error('XYZ tile URL must contain {z}, {x} and {y}');
+    }
+    if (type === 'wms' && !String(provider.layers || '').trim()) {
+        throw new Error('WMS provider needs `layers`');
+    }
+
+    return {
+        label,
+        type,
+        url: provider.url,
+        ...(type === 'wms' ? { layers: String(provider.layers).trim(), format: provider.format || 'image/png' } : {}),
+        options: { ...provider.options }
+    };
+}
+
+/**
+ * Leaflet layer for a provider, or null for the 'none' provider.
+ * @param {object} provider
+ * @param {object} [leaflet] Leaflet namespace, the global `L` by default.
+ */
+export function createTileLayer(provider, leaflet = globalThis.L) {
+    switch (provider.type || 'xyz') {
+        case 'none':
+            return null;
+        case 'wms':
+            return leaflet.tileLayer.wms(provider.url, {
+                layers: provider.layers,
+                format: provider.format || 'image/png',
+                transparent: false,
+                ...provider.options
+            });
+        default:
+            return leaflet.tileLayer(provider.url, provider.options);
+    }
+}
+
+/**
+ * Built-in plus user-added (custom, persisted) providers, and the
+ * remembered choice.
+ *
+ * @param {object} [options]
+ * @param {Object<string, object>} [options.providers] Built-in providers by id.
+ * @param {Storage|null} [options.storage] Where custom sources and the choice are kept.
+ * @param {string} [options.storageKey]
+ */
+export function createTileRegistry({ providers = TILE_PROVIDERS, storage = globalThis.localStorage, storageKey = 'indonesian-maps:tiles' } = {}) {
+    const saved = readJSON(storage, storageKey, {});
+    const custom = {};
+    Object.entries(saved.custom || {}).forEach(([id, provider]) => {
+        try {
+            custom[id] = validateProvider(provider);
+        } catch (error) {
+            console.warn(`Ignoring saved tile provider ${id}:`, error.message);
+        }
+    });
+    let preferred = saved.preferred || null;
+
+    const persist = () => writeJSON(storage, storageKey, { preferred, custom });
+
+    return {
+        /** Every provider as `{ id, custom, ...provider }`, built-ins first. */
+        list() {
+            return [
+                ...Object.entries(providers).map(([id, provider]) => ({ id, custom: false, ...provider })),
+                ...Object.entries(custom).map(([id, provider]) => ({ id, custom: true, ...provider }))
+            ];
+        },
+
+        get(id) {
+            return providers[id] || custom[id] || null;
+        },
+
+        /** The id a provider id or legacy alias refers to, or null if unknown. */
+        resolve(id) {
+            if (this.get(id)) return id;
+            const alias = PROVIDER_ALIASES[id];
+            return alias && this.get(alias) ? alias : null;
+        },
+
+        /** Validates, stores and returns the id of a custom provider. */
+        addCustom(provider) {
+            const normalised = validateProvider(provider);
+            let id = `custom-${normalised.label.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'source'}`;
+            for (let n = 2; providers[id] || custom[id]; n++) {
+                id = id.replace(/(-\d+)?$/, `-${n}`);
+            }
+            custom[id] = normalised;
+            persist();
+            return id;
+        },
+
+        removeCustom(id) {
+            if (!custom[id]) return;
+            delete custom[id];
+            if (preferred === id) preferred = null;
+            persist();
+        },
+
+        get preferred() {
+            return preferred && this.get(preferred) ? preferred : null;
+        },
+
+        set preferred(id) {
+            preferred = id;
+            persist();
+        }
+    };
+}
@@ -0,0 +1,246 @@
+// Indonesian Maps API - Administrative hierarchy tree
+//
+// A lazily loaded provinsi → kabupaten/kota → kecamatan → desa/kelurahan
+// tree, independent of the DOM: script.js renders visible() as an ARIA
+// tree and feeds key presses through keyAction().
+
+import { REGION_LEVELS } from './schema.js';
+import { parseName } from './search.js';
+
+export const TREE_LEVELS = ['province', 'city', 'district', 'village'];
+
+/** The level below `level` (null for the root), or null below desa/kelurahan. */
+export const childLevel = (level) => (level === null ? TREE_LEVELS[0] : TREE_LEVELS[TREE_LEVELS.indexOf(level) + 1] || null);
+
+/**
+ * @typedef {object} TreeNode
+ * @property {string|null} level null for the root.
+ * @property {string|null} code
+ * @property {string} name
+ * @property {string|null} parentCode null for provinces (and the root).
+ * @property {string[]|null} children Child codes once loaded.
+ * @property {number|null} count Number of children, known before they load.
+ * @property {boolean} expanded
+ * @property {boolean} loading
+ * @property {Error|null} error From the last failed load.
+ * @property {object|null} record The API record.
+ */
+
+/**
+ * @param {object} options
+ * @param {(node: TreeNode, options: {signal?: AbortSignal}) => Promise<object[]>} options.loadChildren
+ *   Every child record of a node; the root's children are the provinces.
+ * @param {(node: TreeNode) => Promise<number|null>} [options.countChildren]
+ *   Child count of a node without loading the children; run for every
+ *   child once a node's children are loaded.
+ * @param {() => void} [options.onChange] Called whenever what visible() returns may have changed.
+ */
+export function createHierarchyTree({ loadChildren, countChildren = null, onChange = () => {} }) {
+    const root = { level: null, code: null, name: '', parentCode: null, children: null, count: null, expanded: true, loading: false, error: null, record: null };
+    const nodes = new Map();
+    const pending = new Map();
+
+    const nodeOf = (code) => (code === null ? root : nodes.get(code) || null);
+
+    const toNode = (level, record, parentCode) => {
+        const { code, name } = REGION_LEVELS[level];
+        return {
+            level,
+            code: String(record[code]),
+            name: record[name] || String(record[code]),
+            parentCode,
+            children: childLevel(level) ? null : [],
+            count: childLevel(level) ? null : 0,
+            expanded: false,
+            loading: false,
+            error: null,
+            record
+        };
+    };
+
+    // Counts fill in one by one; a failed count just stays unknown
+    const countAll = async (codes) => {
+        for (const code of codes) {
+            const node = nodes.get(code);
+            if (!node || node.count !== null || node.children !== null) continue;
+            try {
+                node.count = await countChildren(node);
+                onChange();
+            } catch (error) {
+                console.warn(`Could not count children of ${code}:`, error);
+            }
+        }
+    };
+
+    const load = (code = null, { signal } = {}) => {
+        const node = nodeOf(code);
+        if (!node) return Promise.reject(new Error(`Unknown tree node: ${code}`));
+        if (node.children !== null) return Promise.resolve(node.children);
+        if (pending.has(code)) return pending.get(code);
+
+        const level = childLevel(node.level);
+        node.loading = true;
+        node.error = null;
+        onChange();
+
+        const promise = loadChildren(node, { signal })
+            .then((records) => {
+                node.children = records.map((record) => {
+                    const child = toNode(level, record, node.code);
+                    nodes.set(child.code, child);
+                    return child.code;
+                });
+                node.count = node.children.length;
+                if (countChildren && childLevel(level)) {
+                    countAll(node.children);
+                }
+                return node.children;
+            })
+            .catch((error) => {
+                node.error = error;
+                throw error;
+            })
+            .finally(() => {
+                node.loading = false;
+                pending.delete(code);
+                onChange();
+            });
+        pending.set(code, promise);
+        return promise;
+    };
+
+    return {
+        root,
+        load,
+
+        get(code) {
+            return nodes.get(code) || null;
+        },
+
+        /** Codes of a node and its ancestors keyed by level, as mapManager.jumpTo() takes them. */
+        pathOf(code) {
+            const codes = {};
+            for (let node = nodes.get(code); node; node = nodes.get(node.parentCode)) {
+                codes[node.level] = node.code;
+            }
+            return codes;
+        },
+
+        async expand(code, options) {
+            const node = nodes.get(code);
+            if (!node || !childLevel(node.level)) return;
+            node.expanded = true;
+            onChange();
+            try {
+                await load(code, options);
+            } catch (error) {
+                node.expanded = false;
+                onChange();
+                throw error;
+            }
+        },
+
+        collapse(code) {
+            const node = nodes.get(code);
+            if (node && node.expanded) {
+                node.expanded = false;
+                onChange();
+            }
+        },
+
+        async toggle(code) {
+            const node = nodes.get(code);
+            if (node && node.expanded) this.collapse(code);
+            else await this.expand(code);
+        },
+
+        /**
+         * Loads and expands the ancestors of a selection (`{ province, city,
+         * district, village }`) so that its deepest code is visible; returns
+         * that code, or null when the selection is empty or not found.
+         */
+        async reveal(selection, options) {
+            let parent = null;
+            let deepest = null;
+            for (const level of TREE_LEVELS) {
+                const code = selection[level];
+                if (!code) break;
+                const children = await load(parent, options);
+                if (!children.includes(String(code))) break;
+                if (parent !== null) nodes.get(parent).expanded = true;
+                deepest = String(code);
+                parent = deepest;
+            }
+            onChange();
+            return deepest;
+        },
+
+        /**
+         * Nodes on screen in display order, with what ARIA needs to describe
+         * a flattened tree: depth (aria-level, 1-based), position among
+         * siblings and sibling count.
+         * @returns {Array<{node: TreeNode, depth: number, posInSet: number, setSize: number}>}
+         */
+        visible() {
+            const rows = [];
+            const walk = (parent, depth) => {
+                (parent.children || []).forEach((code, index, siblings) => {
+                    const node = nodes.get(code);
+                    rows.push({ node, depth, posInSet: index + 1, setSize: siblings.length });
+                    if (node.expanded && node.children) walk(node, depth + 1);
+                });
+            };
+            walk(root, 1);
+            return rows;
+        }
+    };
+}
+
+/**
+ * What a key press on the focused node does, following the WAI-ARIA tree
+ * view pattern: arrows move (Right/Left also expand, collapse or go to the
+ * parent), Home/End jump, Enter/Space select, `*` expands all siblings and
+ * a printable character focuses the next node whose name, without its
+ * "Kabupaten"/"Kota" prefix, starts with it.
+ *
+ * @param {string} key KeyboardEvent.key
+ * @param {string} code The focused node.
+ * @param {ReturnType<ReturnType<typeof createHierarchyTree>['visible']>} rows
+ * @returns {{type: 'focus'|'expand'|'collapse'|'select'|'expandSiblings', code: string}|null}
+ */
+export function keyAction(key, code, rows) {
+    const index = rows.findIndex((row) => row.node.code === code);
+    if (index === -1) return rows.length > 0 ? { type: 'focus', code: rows[0].node.code } : null;
+
+    const { node, depth } = rows[index];
+    const canExpand = childLevel(node.level) !== null && node.count !== 0;
+    const focus = (row) => (row ? { type: 'focus', code: row.node.code } : null);
+
+    switch (key) {
+        case 'ArrowDown':
+            return focus(rows[index + 1]);
+        case 'ArrowUp':
+            return focus(rows[index - 1]);
+        case 'Home':
+            return focus(rows[0]);
+        case 'End':
+            return focus(rows[rows.length - 1]);
+        case 'ArrowRight':
+            if (canExpand && !node.expanded) return { type: 'expand', code };
+            return rows[index + 1] && rows[index + 1].depth > depth ? focus(rows[index + 1]) : null;
+        case 'ArrowLeft':
+            if (node.expanded) return { type: 'collapse', code };
+            return node.parentCode !== null ? { type: 'focus', code: node.parentCode } : null;
+        case 'Enter':
+        case ' ':
+            return { type: 'select', code };
+        case '*':
+            return { type: 'expandSiblings', code };
+        default: {
+            if (key.length !== 1 || !/\S/.test(key)) return null;
+            const letter = key.toLowerCase();
+            const ordered = [...rows.slice(index + 1), ...rows.slice(0, index)];
+            return focus(ordered.find((row) => parseName(row.node.name).text.startsWith(letter)));
+        }
+    }
+}
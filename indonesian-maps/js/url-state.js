@@ -0,0 +1,109 @@
+// Indonesian Maps API - Map state in the URL
+//
+// The map explorer's selection and viewport are mirrored into the query
+// string (the hash is taken by the page's section anchors), e.g.
+//
+//   ?provinsi=32&kabupaten_kota=32.04&kecamatan=32.04.05&center=-7.02,107.53&zoom=11&layer=osm
+
+import { codeLevel, normalizeCode, parentCode } from './codes.js';
+
+/**
+ * @typedef {object} MapState
+ * @property {string|null} province
+ * @property {string|null} city
+ * @property {string|null} district
+ * @property {string|null} village
+ * @property {[number, number]|null} center [lat, lng]
+ * @property {number|null} zoom
+ * @property {string|null} layer Tile provider id (see js/tile-providers.js).
+ */
+
+// Query parameter per selection level, named after the API's entities
+export const LEVEL_PARAMS = {
+    province: 'provinsi',
+    city: 'kabupaten_kota',
+    district: 'kecamatan',
+    village: 'desa_kelurahan'
+};
+
+const LEVELS = Object.keys(LEVEL_PARAMS);
+
+const emptyState = () => ({
+    province: null,
+    city: null,
+    district: null,
+    village: null,
+    center: null,
+    zoom: null,
+    layer: null
+});
+
+/**
+ * Reads a MapState from a query string (or URLSearchParams). Compact codes
+ * ("3204") are read as dotted ones. Malformed values, codes of another
+ * level and codes outside the region above are dropped, and so is every
+ * level below a dropped one: a kecamatan without its kabupaten/kota cannot
+ * be replayed.
+ */
+export function parseMapState(search) {
+    const params = search instanceof URLSearchParams ? search : new URLSearchParams(search);
+    const state = emptyState();
+
+    let parent = null;
+    for (const level of LEVELS) {
+        const code = normalizeCode(params.get(LEVEL_PARAMS[level]) || '');
+        if (!code || codeLevel(code) !== level || parentCode(code) !== parent) break;
+        state[level] = code;
+        parent = code;
+    }
+
+    // Number('') is 0, so empty parts are rejected before converting
+    const centerParts = (params.get('center') || '').split(',');
+    const center = centerParts.map(Number);
+    if (center.length === 2 && centerParts.every((part) => part.trim() !== '') && center.every(Number.isFinite)
+        && Math.abs(center[0]) <= 90 && Math.abs(center[1]) <= 180) {
+        state.center = center;
+    }
+
+    const zoomParam = (params.get('zoom') || '').trim();
+    const zoom = Number(zoomParam);
+    if (zoomParam !== '' && Number.isInteger(zoom) && zoom >= 0 && zoom <= 22) {
+        state.zoom = zoom;
+    }
+
+    state.layer = params.get('layer') || null;
+    return state;
+}
+
+/**
+ * Writes a MapState into `search`, keeping unrelated parameters. Coordinates
+ * are rounded to 5 decimals (about 1 m).
+ * @returns {string} The query string, with leading "?" or empty.
+ */
+export function serializeMapState(state, search = '') {
+    const params = new URLSearchParams(search);
+    LEVELS.forEach((level) => params.delete(LEVEL_PARAMS[level]));
+    ['center', 'zoom', 'layer'].forEach((name) => params.delete(name));
+
+    for (const level of LEVELS) {
+        if (!state[level]) break;
+        params.set(LEVEL_PARAMS[level], state[level]);
+    }
+    if (state.center) {
+        params.set('center', state.center.map((value) => Number(value.toFixed(5))).join(','));
+    }
+    if (Number.isInteger(state.zoom)) {
+        params.set('zoom', String(state.zoom));
+    }
+    if (state.layer) {
+        params.set('layer', state.layer);
+    }
+
+    const query = params.toString().replace(/%2C/g, ',');
+    return query ? `?${query}` : '';
+}
+
+/** Whether two states select the same regions (viewport and layer ignored). */
+export function sameSelection(a, b) {
+    return LEVELS.every((level) => (a[level] || null) === (b[level] || null));
+}
@@ -1,14 +1,59 @@
 // Indonesian Maps API Documentation - Main JavaScript File
 
+import { createIndonesianMapsClient } from './js/client.js';
+import { createResponseCache, createIndexedDBStore, createLocalStorageStore } from './js/cache.js';
+import { ApiError, isAbortError } from './js/errors.js';
+import { centroid } from './js/geometry.js';
+import { BOUNDARY_STYLES, createBoundaryRenderer, pathToFeature, polygonCount } from './js/boundary.js';
+import { createSimplifier } from './js/simplify.js';
+import { NO_DATA_COLOR, createClassification } from './js/classify.js';
+import { countBy, cityTypesByProvince, density, rankBy, timezoneDistribution } from './js/stats.js';
+import { createSearchIndex, rankEntries, remoteSearchTerm } from './js/search.js';
+import { createReverseGeocoder } from './js/reverse-geocode.js';
+import { parseMapState, sameSelection, serializeMapState } from './js/url-state.js';
+import { EXPORT_FORMATS, downloadFile, serializeRegions, toCSV, toRegion } from './js/export.js';
+import { REGION_LEVELS } from './js/schema.js';
+import { TILE_PROVIDERS, createTileLayer, createTileRegistry } from './js/tile-providers.js';
+import { compareRegions, createPinboard, regionKey } from './js/compare.js';
+import { childLevel, createHierarchyTree, keyAction } from './js/tree.js';
+import { ENDPOINTS, findEndpoint, resolveRequest, validateParams } from './js/endpoints.js';
+import { SNIPPET_FORMATS, toSnippet } from './js/snippets.js';
+import { createRequestHistory } from './js/request-history.js';
+import { API_ENVIRONMENTS, API_PARAM, createEnvironmentRegistry } from './js/environments.js';
+import './js/region-picker.js';
+import { applySuggestion, createAddressResolver } from './js/address.js';
+import { createCodeResolver, isValidCode } from './js/codes.js';
+import {
+    createIndexedDBDatasetStore, createMemoryDatasetStore, createOfflineFetch, createOfflineResponder, downloadDataset
+} from './js/offline.js';
+
 // Configuration
 const CONFIG = {
-    API_BASE_URL: 'https://api.sukmaaji.my.id/indonesian-maps',
+    // Servers offered by the API settings panel (see js/environments.js);
+    // `?api=<id or URL>` picks one for a single visit
+    API_ENVIRONMENTS,
+    DEFAULT_API_ENVIRONMENT: 'production',
     DEFAULT_COORDINATE: [-6.8055, 110.8392], // Kudus, Jawa Tengah
     DEFAULT_ZOOM: 6,
     INDONESIA_BOUNDS: [
         [-13, 93],
         [8, 145],
     ],
+    CACHE_MAX_ENTRIES: 300,
+    REQUEST_TIMEOUT: 15000,
+    REQUEST_RETRIES: 2,
+    GEO_CONCURRENCY: 4,
+    // Base maps offered by the layer selector (see js/tile-providers.js);
+    // self-hosted XYZ or WMS sources can be added here
+    TILE_PROVIDERS,
+    DEFAULT_TILE_PROVIDER: 'osm',
+    // Boundaries are redrawn simplified to about this many screen pixels
+    // for each zoom (see js/simplify.js); 0 draws every point
+    SIMPLIFY_PIXELS: 1,
+    SIMPLIFY_METHOD: 'douglas-peucker',
+    // Maps with at least this many polygons at once (Papua, Maluku, every
+    // province in the choropleth) draw on a canvas instead of as SVG paths
+    CANVAS_MIN_POLYGONS: 100,
 };
 
 // Global variables
@@ -18,8 +63,8 @@ let currentProvinceLayer = null;
 let currentCityLayer = null;
 let currentDistrictLayer = null;
 let currentVillageLayer = null;
-let provinceBoundariesLayer = null;
-let cityBoundariesLayer = null;
+let currentIslandLayer = null;
+let boundaryRenderer;
 let chartInstances = {};
 let selectedLocation = {
     province: null,
@@ -44,6 +89,37 @@ const utils = {
         return isNaN(numPop) ? 'N/A' : utils.formatNumber(numPop);
     },
 
+    formatElevation: (elv) => {
+        return Number.isFinite(elv) ? utils.formatNumber(elv) + ' m' : 'N/A';
+    },
+
+    escapeHtml: (value) => String(value).replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`),
+
+    formatBytes: (bytes) => {
+        if (!Number.isFinite(bytes)) return 'N/A';
+        if (bytes < 1024) return `${bytes} B`;
+        if (bytes < 1024 * 1024) return `${utils.formatNumber(Math.round(bytes / 102.4) / 10)} KB`;
+        return `${utils.formatNumber(Math.round(bytes / (1024 * 102.4)) / 10)} MB`;
+    },
+
+    formatTimezone: (tz) => {
+        return Number.isFinite(tz) ? `UTC+${tz}` : 'N/A';
+    },
+
+    // Runs `task` over `items` with at most `limit` calls in flight; results keep item order
+    mapConcurrent: async (items, limit, task) => {
+        const results = new Array(items.length);
+        let next = 0;
+        const worker = async () => {
+            while (next < items.length) {
+                const index = next++;
+                results[index] = await task(items[index], index);
+            }
+        };
+        await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+        return results;
+    },
+
     debounce: (func, wait) => {
         let timeout;
         return function executedFunction(...args) {
@@ -83,113 +159,593 @@ const utils = {
 };
 
 // API service
-const apiService = {
-    async fetchData(endpoint) {
-        try {
-            const fullUrl = `${CONFIG.API_BASE_URL}${endpoint}`;
-            console.log('Fetching:', fullUrl); // Debug log
+const responseCache = createResponseCache({
+    maxEntries: CONFIG.CACHE_MAX_ENTRIES,
+    store: createIndexedDBStore() || createLocalStorageStore()
+});
 
-            const response = await fetch(fullUrl);
+const apiEnvironments = createEnvironmentRegistry({
+    environments: CONFIG.API_ENVIRONMENTS,
+    defaultId: CONFIG.DEFAULT_API_ENVIRONMENT
+});
+const apiEnvironment = apiEnvironments.active(window.location.search);
+
+// Requests that fail for lack of a network are answered from the offline
+// dataset, when one has been downloaded (see offlineManager)
+const offlineDataset = createIndexedDBDatasetStore() || createMemoryDatasetStore();
+const offlineResponder = createOfflineResponder({ store: offlineDataset });
+
+const client = createIndonesianMapsClient({
+    baseUrl: apiEnvironment.baseUrl,
+    fetch: createOfflineFetch({
+        responder: offlineResponder,
+        baseUrl: apiEnvironment.baseUrl,
+        fetch: (input, init) => window.fetch(input, init),
+        isOnline: () => navigator.onLine !== false,
+        onOfflineAnswer: () => offlineManager.showOfflineAnswer()
+    }),
+    cache: responseCache,
+    timeout: CONFIG.REQUEST_TIMEOUT,
+    retries: CONFIG.REQUEST_RETRIES
+});
 
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
-            }
+const apiService = {
+    client,
 
-            const data = await response.json();
-            return data;
+    // /complete list methods that failed on this page, see withGeoFallback()
+    unavailableComplete: new Set(),
+
+    async fetchData(endpoint) {
+        try {
+            console.log('Fetching:', client.buildUrl(endpoint)); // Debug log
+            return await client.request(endpoint);
         } catch (error) {
             console.error('API fetch error:', error);
             throw error;
         }
-    }, async getProvinces() {
-        return await this.fetchData('/provinsi');
+    },
+
+    async getProvinces() {
+        return await client.getProvinces();
     },
 
     async getProvinceDetail(code) {
-        return await this.fetchData(`/provinsi/${code}`);
+        return await client.getProvinceDetail(code);
     },
 
-    async getProvinceGeo(code) {
-        return await this.fetchData(`/provinsi/${code}/geo`);
+    async getProvinceGeo(code, options = {}) {
+        return await client.getProvinceGeo(code, options);
     },
 
     async getCities(provinceCode = null, limit = 50) {
-        const params = new URLSearchParams({ limit: limit.toString() });
-        if (provinceCode) {
-            params.append('kode_provinsi', provinceCode);
-        }
-        return await this.fetchData(`/kabupaten-kota?${params}`);
+        return await client.getCities({ kode_provinsi: provinceCode, limit });
     },
 
     async getCityDetail(code) {
-        return await this.fetchData(`/kabupaten-kota/${code}`);
+        return await client.getCityDetail(code);
     },
 
-    async getCityGeo(code) {
-        return await this.fetchData(`/kabupaten-kota/${code}/geo`);
+    async getCityGeo(code, options = {}) {
+        return await client.getCityGeo(code, options);
     },
 
     async getDistricts(cityCode = null, limit = 50) {
-        const params = new URLSearchParams({ limit: limit.toString() });
-        if (cityCode) {
-            params.append('kode_kabupaten_kota', cityCode);
-        }
-        return await this.fetchData(`/kecamatan?${params}`);
+        return await client.getDistricts({ kode_kabupaten_kota: cityCode, limit });
+    },
+
+    async getDistrictDetail(code, options = {}) {
+        return await client.getDistrictDetail(code, options);
     },
 
-    async getDistrictDetail(code) {
-        return await this.fetchData(`/kecamatan/${code}`);
+    async getDistrictGeo(code, options = {}) {
+        return await client.getDistrictGeo(code, options);
     },
 
     async getVillages(districtCode = null, limit = 50) {
-        const params = new URLSearchParams({ limit: limit.toString() });
-        if (districtCode) {
-            params.append('kode_kecamatan', districtCode);
-        }
-        return await this.fetchData(`/desa-kelurahan?${params}`);
+        return await client.getVillages({ kode_kecamatan: districtCode, limit });
+    },
+
+    async getVillageDetail(code, options = {}) {
+        return await client.getVillageDetail(code, options);
     },
 
-    async getVillageDetail(code) {
-        return await this.fetchData(`/desa-kelurahan/${code}`);
+    async getVillageGeo(code, options = {}) {
+        return await client.getVillageGeo(code, options);
     },
 
     async getIslands(limit = 50) {
-        return await this.fetchData(`/pulau?limit=${limit}`);
+        return await client.getIslands({ limit });
+    },
+
+    // Drops cached responses, e.g. apiService.invalidate('/provinsi/32');
+    // without an argument the whole cache (memory and persisted) is cleared.
+    async invalidate(matcher) {
+        await client.invalidate(matcher);
+    },
+
+    // Walks every page of a client list method (see js/pagination.js), so
+    // the selectors below never drop entries past the first page.
+    async fetchAll(method, params = {}, options = {}) {
+        return await client.fetchAll(method, params, { concurrency: 3, ...options });
+    },
+
+    async getAllCities(provinceCode, options = {}) {
+        return await this.fetchAll('getCities', { kode_provinsi: provinceCode }, options);
+    },
+
+    async getAllDistricts(cityCode, options = {}) {
+        return await this.fetchAll('getDistricts', { kode_kabupaten_kota: cityCode }, options);
+    },
+
+    async getAllVillages(districtCode, options = {}) {
+        return await this.fetchAll('getVillages', { kode_kecamatan: districtCode }, options);
+    },
+
+    // Number of kabupaten/kota, kecamatan or desa/kelurahan directly under a
+    // region: the `total` of a one-record page of its child list
+    async getChildCount(level, code) {
+        const loaders = {
+            province: () => this.getCities(code, 1),
+            city: () => this.getDistricts(code, 1),
+            district: () => this.getVillages(code, 1)
+        };
+        if (!loaders[level]) return null;
+        const total = Number((await loaders[level]()).total);
+        return Number.isFinite(total) ? total : null;
+    },
+
+    // The API's own `search` (case-insensitive substring match) on one list method
+    async searchList(method, search, { limit = 50, ...options } = {}) {
+        return await client[method]({ search, limit }, options);
+    },
+
+    // Every province with its geo fields (penduduk, luas, path, ...)
+    async getProvincesWithGeo(options = {}) {
+        return await this.withGeoFallback(
+            'getProvincesComplete',
+            () => this.fetchAll('getProvincesComplete', {}, { ...options, retries: 0 }),
+            () => this.fetchAll('getProvinces', {}, options),
+            (province) => this.getProvinceGeo(province.kode_provinsi, options)
+        );
+    },
+
+    // Every kabupaten/kota of a province with its geo fields
+    async getCitiesWithGeo(provinceCode, options = {}) {
+        return await this.withGeoFallback(
+            'getCitiesComplete',
+            () => this.fetchAll('getCitiesComplete', { kode_provinsi: provinceCode }, { ...options, retries: 0 }),
+            () => this.getAllCities(provinceCode, options),
+            (city) => this.getCityGeo(city.kode_kabupaten_kota, options)
+        );
+    },
+
+    // The /complete endpoints currently fail server-side (500); until they
+    // work, rebuild their result from the list plus one cached /geo request
+    // per record. Records whose geo request fails are kept without geo fields.
+    // `loadComplete` is not retried, and once the server has failed `method`
+    // it is not asked again until the page is reloaded.
+    async withGeoFallback(method, loadComplete, loadList, loadGeo) {
+        if (!this.unavailableComplete.has(method)) {
+            try {
+                return await loadComplete();
+            } catch (error) {
+                if (!(error instanceof ApiError) || !(error.status === 404 || error.retryable)) throw error;
+                // Unlike a network failure or a timeout, the server's answer will not change
+                if (error.status === 404 || error.status >= 500) this.unavailableComplete.add(method);
+                console.warn('Complete endpoint unavailable, loading geo data per record:', error.message);
+            }
+        }
+
+        const records = await loadList();
+        return await utils.mapConcurrent(records, CONFIG.GEO_CONCURRENCY, async (record) => {
+            try {
+                const response = await loadGeo(record);
+                return { ...record, ...response.data };
+            } catch (error) {
+                if (isAbortError(error)) throw error;
+                console.warn('Geo data unavailable for record:', record, error);
+                return record;
+            }
+        });
+    }
+};
+
+// Offline mode: the dataset snapshot (js/offline.js) and the service worker (sw.js)
+const offlineManager = {
+    controller: null,
+
+    init() {
+        this.registerServiceWorker();
+        window.addEventListener('online', () => this.renderIndicator());
+        window.addEventListener('offline', () => this.renderIndicator());
+        this.renderIndicator();
+
+        const downloadButton = document.getElementById('offline-download');
+        if (downloadButton) {
+            downloadButton.addEventListener('click', () => (this.controller ? this.controller.abort() : this.download()));
+        }
+        const clearButton = document.getElementById('offline-clear');
+        if (clearButton) {
+            clearButton.addEventListener('click', () => this.clear());
+        }
+
+        this.renderSummary();
+        this.loadProvinceOptions();
+    },
+
+    registerServiceWorker() {
+        if (!('serviceWorker' in navigator)) return;
+        navigator.serviceWorker.register('sw.js').catch((error) => {
+            console.warn('Service worker registration failed:', error);
+        });
+    },
+
+    async loadProvinceOptions() {
+        const selector = document.getElementById('offline-provinces');
+        if (!selector) return;
+        try {
+            const [provinces, manifest] = await Promise.all([apiService.fetchAll('getProvinces'), offlineResponder.manifest()]);
+            const included = manifest ? manifest.provinces : [];
+            selector.innerHTML = '';
+            provinces.forEach((province) => {
+                const option = document.createElement('option');
+                option.value = province.kode_provinsi;
+                option.textContent = province.nama_provinsi;
+                option.selected = included.includes(province.kode_provinsi);
+                selector.appendChild(option);
+            });
+        } catch (error) {
+            console.warn('Offline province options unavailable:', error);
+        }
+    },
+
+    selectedProvinces() {
+        const selector = document.getElementById('offline-provinces');
+        return selector ? Array.from(selector.selectedOptions).map((option) => option.value) : [];
+    },
+
+    async download() {
+        if (navigator.onLine === false) {
+            this.setStatus('Tidak ada koneksi internet.');
+            return null;
+        }
+
+        this.controller = new AbortController();
+        const { signal } = this.controller;
+        const options = { signal };
+        this.setBusy(true);
+        try {
+            const manifest = await downloadDataset({
+                store: offlineDataset,
+                baseUrl: client.baseUrl,
+                provinces: this.selectedProvinces(),
+                signal,
+                sources: {
+                    provinces: () => apiService.getProvincesWithGeo(options),
+                    cities: (code) => apiService.getCitiesWithGeo(code, options),
+                    districts: (code) => apiService.fetchAll('getDistricts', { kode_provinsi: code }, options),
+                    villages: (code) => apiService.fetchAll('getVillages', { kode_provinsi: code }, options)
+                },
+                onProgress: (progress) => this.renderProgress(progress)
+            });
+            offlineResponder.reload();
+            this.setStatus('Data offline tersimpan.');
+            await this.renderSummary();
+            return manifest;
+        } catch (error) {
+            if (isAbortError(error)) {
+                this.setStatus('Unduhan dibatalkan. Data yang sudah tersimpan tetap ada.');
+            } else {
+                console.error('Offline download error:', error);
+                this.setStatus(`Unduhan gagal: ${error.message}`);
+            }
+            return null;
+        } finally {
+            this.controller = null;
+            this.setBusy(false);
+        }
+    },
+
+    async clear() {
+        if (this.controller) return;
+        await offlineDataset.clear();
+        offlineResponder.reload();
+        this.setStatus('Data offline dihapus.');
+        await this.renderSummary();
+    },
+
+    async renderSummary() {
+        const summary = document.getElementById('offline-summary');
+        if (!summary) return;
+        const manifest = await offlineResponder.manifest().catch(() => null);
+        if (!manifest) {
+            summary.textContent = 'Belum ada data offline.';
+            return;
+        }
+
+        const { counts } = manifest;
+        const date = new Date(manifest.createdAt).toLocaleDateString('id-ID', { day: 'numeric', month: 'short', year: 'numeric' });
+        const parts = [
+            `${utils.formatNumber(counts.provinsi)} provinsi`,
+            `${utils.formatNumber(counts['kabupaten-kota'])} kabupaten/kota`
+        ];
+        if (manifest.provinces.length > 0) {
+            parts.push(`${utils.formatNumber(counts.kecamatan)} kecamatan`, `${utils.formatNumber(counts['desa-kelurahan'])} desa/kelurahan`);
+        }
+        summary.textContent = `Tersimpan ${date}: ${parts.join(', ')}.`;
+    },
+
+    renderProgress({ done, total, label }) {
+        const progress = document.getElementById('offline-progress');
+        if (progress) {
+            // Without a total the bar is indeterminate
+            if (total) {
+                progress.value = done / total;
+            } else {
+                progress.removeAttribute('value');
+            }
+        }
+        if (label) this.setStatus(`Mengunduh ${label}...`);
+    },
+
+    setBusy(busy) {
+        const progress = document.getElementById('offline-progress');
+        if (progress) {
+            progress.classList.toggle('hidden', !busy);
+            progress.value = 0;
+        }
+        const label = document.querySelector('#offline-download span');
+        if (label) label.textContent = busy ? 'Batalkan' : 'Unduh';
+        const clearButton = document.getElementById('offline-clear');
+        if (clearButton) clearButton.disabled = busy;
+    },
+
+    renderIndicator() {
+        const indicator = document.getElementById('offline-indicator');
+        if (indicator) indicator.classList.toggle('hidden', navigator.onLine !== false);
+    },
+
+    // Answers from the dataset can come while the browser still thinks it is online
+    showOfflineAnswer() {
+        const indicator = document.getElementById('offline-indicator');
+        if (indicator) indicator.classList.remove('hidden');
+    },
+
+    setStatus(message) {
+        const status = document.getElementById('offline-status');
+        if (status) status.textContent = message;
+    }
+};
+
+// API settings: the server used by the playground and the map explorer
+const apiSettingsManager = {
+    init() {
+        const selector = document.getElementById('api-environment');
+        if (selector) {
+            selector.addEventListener('change', (e) => this.choose(e.target.value));
+        }
+
+        const form = document.getElementById('api-custom-form');
+        if (form) {
+            form.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.setCustom(new FormData(form).get('url'));
+            });
+        }
+
+        const testButton = document.getElementById('api-test-connection');
+        if (testButton) {
+            testButton.addEventListener('click', () => this.testConnection());
+        }
+
+        const confirmButton = document.getElementById('api-confirm-button');
+        if (confirmButton) {
+            confirmButton.addEventListener('click', () => this.confirmLink());
+        }
+
+        this.render();
+    },
+
+    render() {
+        const selector = document.getElementById('api-environment');
+        if (selector) {
+            selector.innerHTML = '';
+            apiEnvironments.list().forEach(({ id, label, baseUrl }) => {
+                const option = document.createElement('option');
+                option.value = id;
+                option.textContent = baseUrl ? label : `${label} (belum diatur)`;
+                option.disabled = !baseUrl;
+                selector.appendChild(option);
+            });
+
+            // A URL given through ?api= that is not one of the listed servers
+            const listed = apiEnvironments.get(apiEnvironment.id);
+            if (!listed || listed.baseUrl !== apiEnvironment.baseUrl) {
+                const option = document.createElement('option');
+                option.value = '';
+                option.textContent = 'Dari tautan (?api=)';
+                selector.appendChild(option);
+                selector.value = '';
+            } else {
+                selector.value = apiEnvironment.id;
+            }
+        }
+
+        const baseUrlElement = document.getElementById('api-base-url');
+        if (baseUrlElement) {
+            baseUrlElement.textContent = apiEnvironment.baseUrl;
+            baseUrlElement.title = apiEnvironment.baseUrl;
+        }
+
+        const note = document.getElementById('api-environment-note');
+        if (note) {
+            note.classList.toggle('hidden', apiEnvironment.source !== 'query');
+        }
+
+        // A ?api= URL the user has not confirmed yet: the page stays on the
+        // server above until they do
+        const confirmation = document.getElementById('api-confirm');
+        if (confirmation) {
+            confirmation.classList.toggle('hidden', !apiEnvironment.unconfirmed);
+            document.getElementById('api-confirm-url').textContent = apiEnvironment.unconfirmed || '';
+        }
+
+        const hostLabel = document.getElementById('api-host-label');
+        if (hostLabel) {
+            hostLabel.textContent = new URL(apiEnvironment.baseUrl).host;
+        }
+    },
+
+    choose(id) {
+        if (!apiEnvironments.get(id)) return;
+        apiEnvironments.preferred = id;
+        this.reload();
+    },
+
+    setCustom(url) {
+        try {
+            apiEnvironments.setCustom(url);
+        } catch (error) {
+            this.setStatus(`URL tidak valid: ${error.message}`, true);
+            return;
+        }
+        this.reload();
+    },
+
+    // Trusts the ?api= URL of this page and loads it again, now with that server
+    confirmLink() {
+        if (!apiEnvironment.unconfirmed) return;
+        apiEnvironments.trust(apiEnvironment.unconfirmed);
+        this.navigate(window.location.href);
+    },
+
+    // The client, its cache and every loaded region belong to one server, so
+    // a switch starts the page over instead of patching them up. A ?api=
+    // override is dropped from the address: the new choice is remembered.
+    reload() {
+        const url = new URL(window.location.href);
+        url.searchParams.delete(API_PARAM);
+        this.navigate(url.href);
+    },
+
+    navigate(href) {
+        if (href === window.location.href) {
+            window.location.reload();
+        } else {
+            window.location.assign(href);
+        }
+    },
+
+    async testConnection() {
+        this.setStatus('Menghubungi server...');
+        try {
+            const response = await client.inspect('/test');
+            if (response.ok) {
+                this.setStatus(`Terhubung (${utils.formatNumber(Math.round(response.duration))} ms).`);
+            } else {
+                this.setStatus(`Server menjawab dengan status ${response.status}.`, true);
+            }
+        } catch (error) {
+            this.setStatus(`Tidak dapat terhubung: ${error.message}`, true);
+        }
+    },
+
+    setStatus(message, isError = false) {
+        const statusElement = document.getElementById('api-environment-status');
+        if (statusElement) {
+            statusElement.textContent = message;
+            statusElement.className = `text-xs mt-2 ${isError ? 'text-red-400' : 'text-gray-400'}`;
+        }
     }
 };
 
 // Map functionality
+const SELECTION_LEVELS = ['province', 'city', 'district', 'village'];
+
 const mapManager = {
+    requestControllers: {},
+    districtLocation: null,
+    currentJump: null,
+    isJumping: false,
+    tileRegistry: null,
+    // Leaflet layer per tile provider id, created on first use
+    baseLayers: {},
+    activeBaseLayer: null,
+    provincesLoaded: null,
+    // Parsed record of each selected level, with the coordinates and
+    // boundary the map shows for it (what the export panel downloads)
+    selectedRegions: {},
+
     init() {
         // Initialize map
         map = L.map('indonesia-map').setView(CONFIG.DEFAULT_COORDINATE, CONFIG.DEFAULT_ZOOM);
+        boundaryRenderer = createBoundaryRenderer({
+            map,
+            simplifier: CONFIG.SIMPLIFY_PIXELS > 0
+                ? createSimplifier({ method: CONFIG.SIMPLIFY_METHOD, pixels: CONFIG.SIMPLIFY_PIXELS })
+                : null,
+            canvasMinPolygons: CONFIG.CANVAS_MIN_POLYGONS
+        });
 
-        // Add base layers
-        const baseLayers = {
-            'OpenStreetMap': L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
-                attribution: '© OpenStreetMap contributors'
-            }),
-            'Satellite': L.tileLayer('https://{s}.google.com/vt/lyrs=s&x={x}&y={y}&z={z}', {
-                maxZoom: 20,
-                subdomains: ['mt0', 'mt1', 'mt2', 'mt3'],
-                attribution: '© Google'
-            }),
-            'Terrain': L.tileLayer('https://{s}.tile.opentopomap.org/{z}/{x}/{y}.png', {
-                attribution: '© OpenTopoMap contributors'
-            })
-        };
-
-        // Add default layer
-        baseLayers['OpenStreetMap'].addTo(map);
-
-        // Add layer control
-        L.control.layers(baseLayers).addTo(map);
+        // Base layer: the remembered choice, else the configured default
+        // (a layer in the URL is applied later by urlStateManager)
+        this.tileRegistry = createTileRegistry({ providers: CONFIG.TILE_PROVIDERS });
+        if (!this.setBaseLayer(this.tileRegistry.preferred, { persist: false })) {
+            this.setBaseLayer(CONFIG.DEFAULT_TILE_PROVIDER, { persist: false });
+        }
 
         // Set max bounds to Indonesia
         map.setMaxBounds(CONFIG.INDONESIA_BOUNDS);
 
         // Load only provinces list initially (not geo data)
-        this.loadProvincesListOnly();
+        this.provincesLoaded = this.loadProvincesListOnly();
+    },
+
+    // Switches to a tile provider by id (or legacy layer name); returns
+    // false when it is unknown. The 'none' provider leaves only boundaries.
+    setBaseLayer(id, { persist = true } = {}) {
+        const resolved = id ? this.tileRegistry.resolve(id) : null;
+        if (!resolved) return false;
+        if (resolved === this.activeBaseLayer) return true;
+
+        let layer = this.baseLayers[resolved];
+        if (!layer) {
+            try {
+                layer = createTileLayer(this.tileRegistry.get(resolved));
+            } catch (error) {
+                console.error(`Error creating base layer ${resolved}:`, error);
+                return false;
+            }
+            if (layer) {
+                layer.on('tileerror', () => baseLayerManager.onTileError(resolved));
+                this.baseLayers[resolved] = layer;
+            }
+        }
+
+        const current = this.baseLayers[this.activeBaseLayer];
+        if (current) {
+            map.removeLayer(current);
+        }
+        if (layer) {
+            layer.addTo(map);
+        }
+        map.getContainer().classList.toggle('no-base-layer', !layer);
+        this.activeBaseLayer = resolved;
+
+        if (persist) {
+            this.tileRegistry.preferred = resolved;
+        }
+        baseLayerManager.render();
+        map.fire('baselayerchange', { name: resolved, layer });
+        return true;
+    },
+
+    // Drops a custom provider's cached layer (after it is removed)
+    forgetBaseLayer(id) {
+        if (id === this.activeBaseLayer) {
+            this.setBaseLayer(CONFIG.DEFAULT_TILE_PROVIDER);
+        }
+        delete this.baseLayers[id];
     },
 
     async loadProvincesListOnly() {
@@ -205,6 +761,106 @@ const mapManager = {
         }
     },
 
+    // Each selector change aborts the in-flight requests of its own level and
+    // of every level below it, so a stale response from an earlier selection
+    // can never overwrite the newer one on the map.
+    beginRequest(level) {
+        SELECTION_LEVELS.slice(SELECTION_LEVELS.indexOf(level)).forEach(name => {
+            if (this.requestControllers[name]) {
+                this.requestControllers[name].abort();
+                this.requestControllers[name] = null;
+            }
+            delete this.selectedRegions[name];
+        });
+        const controller = new AbortController();
+        this.requestControllers[level] = controller;
+        this.onSelectionChange();
+        return controller.signal;
+    },
+
+    // Selects a hierarchy top-down (e.g. { province: '32', city: '32.04' }),
+    // waiting for each level's selector to fill before choosing the next.
+    // A newer jump cancels the remaining steps of an older one.
+    async jumpTo(codes) {
+        const jump = {};
+        this.currentJump = jump;
+        this.isJumping = true;
+
+        const steps = [
+            ['province', 'province-selector', 'selectProvince'],
+            ['city', 'city-selector', 'selectCity'],
+            ['district', 'district-selector', 'selectDistrict'],
+            ['village', 'village-selector', 'selectVillage']
+        ];
+        for (const [level, selectorId, method] of steps) {
+            const code = codes[level];
+            if (!code || this.currentJump !== jump) break;
+            this.setSelectorValue(selectorId, code);
+            await this[method](code);
+        }
+
+        if (this.currentJump !== jump) return false;
+        this.isJumping = false;
+        this.onSelectionChange();
+        return true;
+    },
+
+    // Sets a native selector without triggering its change handler; the
+    // `input` event lets the custom dropdown mirror the new value.
+    setSelectorValue(selectorId, value) {
+        const selector = document.getElementById(selectorId);
+        if (selector) {
+            selector.value = value;
+            selector.dispatchEvent(new Event('input'));
+        }
+    },
+
+    showIsland(island) {
+        if (currentIslandLayer) {
+            map.removeLayer(currentIslandLayer);
+            currentIslandLayer = null;
+        }
+        if (!Number.isFinite(island.latitude) || !Number.isFinite(island.longitude)) return;
+
+        currentIslandLayer = L.circleMarker([island.latitude, island.longitude], {
+            ...BOUNDARY_STYLES.island,
+            radius: 8
+        }).addTo(map);
+        currentIslandLayer.bindPopup(`
+            <div class="popup-content">
+                <h6 class="popup-title">${utils.escapeHtml(island.nama_pulau)}</h6>
+                <div class="popup-info">
+                    <div class="info-row">
+                        <span class="info-label">Island Code:</span>
+                        <span class="info-value">${utils.escapeHtml(island.kode_pulau)}</span>
+                    </div>
+                    <div class="info-row">
+                        <span class="info-label">Coordinates:</span>
+                        <span class="info-value">${island.latitude}, ${island.longitude}</span>
+                    </div>
+                    ${island.notes ? `
+                    <div class="info-row">
+                        <span class="info-label">Notes:</span>
+                        <span class="info-value">${utils.escapeHtml(island.notes)}</span>
+                    </div>` : ''}
+                </div>
+            </div>
+        `).openPopup();
+        map.setView([island.latitude, island.longitude], 12);
+    },
+
+    setSelectedRegion(level, record) {
+        this.selectedRegions[level] = record;
+        this.onSelectionChange();
+    },
+
+    onSelectionChange() {
+        exportManager.update();
+        chartManager.onSelectionChange();
+        treeManager.onSelectionChange();
+        urlStateManager.onStateChange();
+    },
+
     populateProvinceSelector() {
         const selector = document.getElementById('province-selector');
         if (selector) {
@@ -218,7 +874,7 @@ const mapManager = {
         }
     },
 
-    async populateCitySelector(provinceCode) {
+    async populateCitySelector(provinceCode, signal) {
         const selector = document.getElementById('city-selector');
         if (!selector) return;
 
@@ -233,24 +889,23 @@ const mapManager = {
             selector.innerHTML = '<option value="">Loading...</option>';
             selector.disabled = true;
 
-            const response = await apiService.getCities(provinceCode, 100);
-            if (response.success && response.data) {
-                selector.innerHTML = '<option value="">Select a city/regency...</option>';
-                response.data.forEach(city => {
-                    const option = document.createElement('option');
-                    option.value = city.kode_kabupaten_kota;
-                    option.textContent = city.nama_kabupaten_kota;
-                    selector.appendChild(option);
-                });
-                selector.disabled = false;
-            }
+            const cities = await apiService.getAllCities(provinceCode, { signal });
+            selector.innerHTML = '<option value="">Select a city/regency...</option>';
+            cities.forEach(city => {
+                const option = document.createElement('option');
+                option.value = city.kode_kabupaten_kota;
+                option.textContent = city.nama_kabupaten_kota;
+                selector.appendChild(option);
+            });
+            selector.disabled = false;
         } catch (error) {
+            if (isAbortError(error)) return;
             console.error('Error loading cities:', error);
             selector.innerHTML = '<option value="">Error loading cities</option>';
         }
     },
 
-    async populateDistrictSelector(cityCode) {
+    async populateDistrictSelector(cityCode, signal) {
         const selector = document.getElementById('district-selector');
         if (!selector) return;
 
@@ -265,24 +920,23 @@ const mapManager = {
             selector.innerHTML = '<option value="">Loading...</option>';
             selector.disabled = true;
 
-            const response = await apiService.getDistricts(cityCode, 100);
-            if (response.success && response.data) {
-                selector.innerHTML = '<option value="">Select a district...</option>';
-                response.data.forEach(district => {
-                    const option = document.createElement('option');
-                    option.value = district.kode_kecamatan;
-                    option.textContent = district.nama_kecamatan;
-                    selector.appendChild(option);
-                });
-                selector.disabled = false;
-            }
+            const districts = await apiService.getAllDistricts(cityCode, { signal });
+            selector.innerHTML = '<option value="">Select a district...</option>';
+            districts.forEach(district => {
+                const option = document.createElement('option');
+                option.value = district.kode_kecamatan;
+                option.textContent = district.nama_kecamatan;
+                selector.appendChild(option);
+            });
+            selector.disabled = false;
         } catch (error) {
+            if (isAbortError(error)) return;
             console.error('Error loading districts:', error);
             selector.innerHTML = '<option value="">Error loading districts</option>';
         }
     },
 
-    async populateVillageSelector(districtCode) {
+    async populateVillageSelector(districtCode, signal) {
         const selector = document.getElementById('village-selector');
         if (!selector) return;
 
@@ -296,18 +950,17 @@ const mapManager = {
             selector.innerHTML = '<option value="">Loading...</option>';
             selector.disabled = true;
 
-            const response = await apiService.getVillages(districtCode, 100);
-            if (response.success && response.data) {
-                selector.innerHTML = '<option value="">Select a village...</option>';
-                response.data.forEach(village => {
-                    const option = document.createElement('option');
-                    option.value = village.kode_desa_kelurahan;
-                    option.textContent = village.nama_desa_kelurahan;
-                    selector.appendChild(option);
-                });
-                selector.disabled = false;
-            }
+            const villages = await apiService.getAllVillages(districtCode, { signal });
+            selector.innerHTML = '<option value="">Select a village...</option>';
+            villages.forEach(village => {
+                const option = document.createElement('option');
+                option.value = village.kode_desa_kelurahan;
+                option.textContent = village.nama_desa_kelurahan;
+                selector.appendChild(option);
+            });
+            selector.disabled = false;
         } catch (error) {
+            if (isAbortError(error)) return;
             console.error('Error loading villages:', error);
             selector.innerHTML = '<option value="">Error loading villages</option>';
         }
@@ -361,11 +1014,11 @@ const mapManager = {
                     </div>
                     <div class="info-row">
                         <span class="info-label">Elevation:</span>
-                        <span class="info-value">${data.elv ? data.elv + 'm' : 'N/A'}</span>
+                        <span class="info-value">${utils.formatElevation(data.elv)}</span>
                     </div>
                     <div class="info-row">
                         <span class="info-label">Timezone:</span>
-                        <span class="info-value">UTC+${data.tz || 'N/A'}</span>
+                        <span class="info-value">${utils.formatTimezone(data.tz)}</span>
                     </div>
                 </div>
             </div>
@@ -373,6 +1026,7 @@ const mapManager = {
     },
 
     async selectProvince(provinceCode) {
+        const signal = this.beginRequest('province');
         if (!provinceCode) {
             this.resetMap();
             this.clearCitySelector();
@@ -396,13 +1050,12 @@ const mapManager = {
             selectedLocation.district = null;
             selectedLocation.village = null;
 
-            const geoResponse = await apiService.getProvinceGeo(provinceCode);
+            const geoResponse = await apiService.getProvinceGeo(provinceCode, { signal });
             if (geoResponse.success && geoResponse.data) {
                 const geoData = geoResponse.data;
-                const lat = parseFloat(geoData.lat);
-                const lng = parseFloat(geoData.lng);
+                const { lat, lng } = geoData;
 
-                if (!isNaN(lat) && !isNaN(lng)) {
+                if (Number.isFinite(lat) && Number.isFinite(lng)) {
                     // Remove existing province layer if any
                     if (currentProvinceLayer) {
                         map.removeLayer(currentProvinceLayer);
@@ -418,28 +1071,32 @@ const mapManager = {
                     this.showProvinceInfo(geoData);
 
                     // Automatically show province boundary
-                    this.showProvinceBoundary(geoData);
+                    this.showBoundary('province', geoData);
+                    this.setSelectedRegion('province', geoData);
 
                     // Load cities for this province
-                    await this.populateCitySelector(provinceCode);
+                    await this.populateCitySelector(provinceCode, signal);
                 }
             }
         } catch (error) {
+            if (isAbortError(error)) return;
             console.error('Error selecting province:', error);
             const contentElement = document.getElementById('province-info-content');
             if (contentElement) {
-                contentElement.innerHTML = '<div class="alert alert-danger alert-sm">Error loading province data</div>';
+                contentElement.innerHTML = `<div class="alert alert-danger alert-sm">Error loading province data: ${utils.escapeHtml(error.message)}</div>`;
             }
         }
     },
 
     async selectCity(cityCode) {
+        const signal = this.beginRequest('city');
         if (!cityCode) {
             // Remove city layers and clear child selectors
             if (currentCityLayer) {
                 map.removeLayer(currentCityLayer);
                 currentCityLayer = null;
             }
+            boundaryRenderer.clear('city');
             this.clearDistrictSelector();
             selectedLocation.city = null;
             selectedLocation.district = null;
@@ -452,13 +1109,12 @@ const mapManager = {
             selectedLocation.district = null;
             selectedLocation.village = null;
 
-            const geoResponse = await apiService.getCityGeo(cityCode);
+            const geoResponse = await apiService.getCityGeo(cityCode, { signal });
             if (geoResponse.success && geoResponse.data) {
                 const geoData = geoResponse.data;
-                const lat = parseFloat(geoData.lat);
-                const lng = parseFloat(geoData.lng);
+                const { lat, lng } = geoData;
 
-                if (!isNaN(lat) && !isNaN(lng)) {
+                if (Number.isFinite(lat) && Number.isFinite(lng)) {
                     // Remove existing city layer if any
                     if (currentCityLayer) {
                         map.removeLayer(currentCityLayer);
@@ -501,24 +1157,29 @@ const mapManager = {
                     map.setView([lat, lng], 10);
 
                     // Automatically show city boundary
-                    this.showCityBoundary(geoData);
+                    this.showBoundary('city', geoData);
+                    this.setSelectedRegion('city', geoData);
 
                     // Load districts for this city
-                    await this.populateDistrictSelector(cityCode);
+                    await this.populateDistrictSelector(cityCode, signal);
                 }
             }
         } catch (error) {
+            if (isAbortError(error)) return;
             console.error('Error selecting city:', error);
         }
     },
 
     async selectDistrict(districtCode) {
+        const signal = this.beginRequest('district');
         if (!districtCode) {
             // Remove district layers and clear child selectors
             if (currentDistrictLayer) {
                 map.removeLayer(currentDistrictLayer);
                 currentDistrictLayer = null;
             }
+            boundaryRenderer.clear('district');
+            this.districtLocation = null;
             this.clearVillageSelector();
             selectedLocation.district = null;
             selectedLocation.village = null;
@@ -528,86 +1189,86 @@ const mapManager = {
         try {
             selectedLocation.district = districtCode;
             selectedLocation.village = null;
+            this.districtLocation = null;
 
             // Get district detail from list endpoint
-            const detailResponse = await apiService.getDistrictDetail(districtCode);
-            if (detailResponse.success && detailResponse.data) {
+            const detailResponse = await apiService.getDistrictDetail(districtCode, { signal });
+            if (detailResponse.success && detailResponse.data && selectedLocation.city) {
                 const districtData = detailResponse.data;
+                const location = await this.locateRegion('district', districtCode, signal);
+                this.districtLocation = { ...location, name: districtData.nama_kecamatan };
 
-                // For districts, we'll place marker at city center with slight offset
-                // since district geo endpoint is not available
-                if (selectedLocation.city) {
-                    const cityGeoResponse = await apiService.getCityGeo(selectedLocation.city);
-                    if (cityGeoResponse.success && cityGeoResponse.data) {
-                        const cityLat = parseFloat(cityGeoResponse.data.lat);
-                        const cityLng = parseFloat(cityGeoResponse.data.lng);
-
-                        // Add small random offset for district marker
-                        const districtLat = cityLat + (Math.random() - 0.5) * 0.1;
-                        const districtLng = cityLng + (Math.random() - 0.5) * 0.1;
-
-                        // Remove existing district layer if any
-                        if (currentDistrictLayer) {
-                            map.removeLayer(currentDistrictLayer);
-                        }
+                // Remove existing district and village layers if any
+                if (currentDistrictLayer) {
+                    map.removeLayer(currentDistrictLayer);
+                }
+                if (currentVillageLayer) {
+                    map.removeLayer(currentVillageLayer);
+                    currentVillageLayer = null;
+                }
+                boundaryRenderer.clear('village');
+                const boundary = this.showBoundary('district', location);
+                this.setSelectedRegion('district', this.locatedRecord(districtData, location));
+
+                // Add marker for selected district
+                currentDistrictLayer = L.marker(location.point, {
+                    icon: L.icon({
+                        iconUrl: 'https://raw.githubusercontent.com/pointhi/leaflet-color-markers/master/img/marker-icon-2x-green.png',
+                        shadowUrl: 'https://cdnjs.cloudflare.com/ajax/libs/leaflet/0.7.7/images/marker-shadow.png',
+                        iconSize: [25, 41],
+                        iconAnchor: [12, 41],
+                        popupAnchor: [1, -34],
+                        shadowSize: [41, 41]
+                    })
+                }).addTo(map);
 
-                        // Add marker for selected district
-                        currentDistrictLayer = L.marker([districtLat, districtLng], {
-                            icon: L.icon({
-                                iconUrl: 'https://raw.githubusercontent.com/pointhi/leaflet-color-markers/master/img/marker-icon-2x-green.png',
-                                shadowUrl: 'https://cdnjs.cloudflare.com/ajax/libs/leaflet/0.7.7/images/marker-shadow.png',
-                                iconSize: [25, 41],
-                                iconAnchor: [12, 41],
-                                popupAnchor: [1, -34],
-                                shadowSize: [41, 41]
-                            })
-                        }).addTo(map);
-
-                        const popupContent = `
-                            <div class="popup-content">
-                                <h6 class="popup-title">${districtData.nama_kecamatan}</h6>
-                                <div class="popup-info">
-                                    <div class="info-row">
-                                        <span class="info-label">District Code:</span>
-                                        <span class="info-value">${districtData.kode_kecamatan}</span>
-                                    </div>
-                                    <div class="info-row">
-                                        <span class="info-label">City/Regency:</span>
-                                        <span class="info-value">${districtData.nama_kabupaten_kota || 'N/A'}</span>
-                                    </div>
-                                    <div class="info-row">
-                                        <span class="info-label">Province:</span>
-                                        <span class="info-value">${districtData.nama_provinsi || 'N/A'}</span>
-                                    </div>
-                                </div>
-                                <small class="text-muted">
-                                    <i class="fas fa-info-circle me-1"></i>
-                                    Approximate location (exact coordinates not available)
-                                </small>
+                const popupContent = `
+                    <div class="popup-content">
+                        <h6 class="popup-title">${districtData.nama_kecamatan}</h6>
+                        <div class="popup-info">
+                            <div class="info-row">
+                                <span class="info-label">District Code:</span>
+                                <span class="info-value">${districtData.kode_kecamatan}</span>
                             </div>
-                        `;
-                        currentDistrictLayer.bindPopup(popupContent).openPopup();
-
-                        // Pan to district with higher zoom
-                        map.setView([districtLat, districtLng], 12);
+                            <div class="info-row">
+                                <span class="info-label">City/Regency:</span>
+                                <span class="info-value">${districtData.nama_kabupaten_kota || 'N/A'}</span>
+                            </div>
+                            <div class="info-row">
+                                <span class="info-label">Province:</span>
+                                <span class="info-value">${districtData.nama_provinsi || 'N/A'}</span>
+                            </div>
+                        </div>
+                        ${this.describeLocation(location)}
+                    </div>
+                `;
+                currentDistrictLayer.bindPopup(popupContent).openPopup();
 
-                        // Load villages for this district
-                        await this.populateVillageSelector(districtCode);
-                    }
+                // Pan to district: its own boundary when known, else a fixed zoom
+                if (boundary) {
+                    map.fitBounds(boundary.getBounds());
+                } else {
+                    map.setView(location.point, 12);
                 }
+
+                // Load villages for this district
+                await this.populateVillageSelector(districtCode, signal);
             }
         } catch (error) {
+            if (isAbortError(error)) return;
             console.error('Error selecting district:', error);
         }
     },
 
     async selectVillage(villageCode) {
+        const signal = this.beginRequest('village');
         if (!villageCode) {
             // Remove village layer
             if (currentVillageLayer) {
                 map.removeLayer(currentVillageLayer);
                 currentVillageLayer = null;
             }
+            boundaryRenderer.clear('village');
             selectedLocation.village = null;
             return;
         }
@@ -616,77 +1277,137 @@ const mapManager = {
             selectedLocation.village = villageCode;
 
             // Get village detail from list endpoint
-            const detailResponse = await apiService.getVillageDetail(villageCode);
-            if (detailResponse.success && detailResponse.data) {
+            const detailResponse = await apiService.getVillageDetail(villageCode, { signal });
+            if (detailResponse.success && detailResponse.data && selectedLocation.city) {
                 const villageData = detailResponse.data;
+                const location = await this.locateRegion('village', villageCode, signal);
 
-                // For villages, we'll place marker near district center with slight offset
-                // since village geo endpoint is not available
-                if (selectedLocation.city) {
-                    const cityGeoResponse = await apiService.getCityGeo(selectedLocation.city);
-                    if (cityGeoResponse.success && cityGeoResponse.data) {
-                        const cityLat = parseFloat(cityGeoResponse.data.lat);
-                        const cityLng = parseFloat(cityGeoResponse.data.lng);
-
-                        // Add larger random offset for village marker
-                        const villageLat = cityLat + (Math.random() - 0.5) * 0.2;
-                        const villageLng = cityLng + (Math.random() - 0.5) * 0.2;
-
-                        // Remove existing village layer if any
-                        if (currentVillageLayer) {
-                            map.removeLayer(currentVillageLayer);
-                        }
+                // Remove existing village layer if any
+                if (currentVillageLayer) {
+                    map.removeLayer(currentVillageLayer);
+                }
+                const boundary = this.showBoundary('village', location);
+                this.setSelectedRegion('village', this.locatedRecord(villageData, location));
+
+                // Add marker for selected village
+                currentVillageLayer = L.marker(location.point, {
+                    icon: L.icon({
+                        iconUrl: 'https://raw.githubusercontent.com/pointhi/leaflet-color-markers/master/img/marker-icon-2x-orange.png',
+                        shadowUrl: 'https://cdnjs.cloudflare.com/ajax/libs/leaflet/0.7.7/images/marker-shadow.png',
+                        iconSize: [25, 41],
+                        iconAnchor: [12, 41],
+                        popupAnchor: [1, -34],
+                        shadowSize: [41, 41]
+                    })
+                }).addTo(map);
 
-                        // Add marker for selected village
-                        currentVillageLayer = L.marker([villageLat, villageLng], {
-                            icon: L.icon({
-                                iconUrl: 'https://raw.githubusercontent.com/pointhi/leaflet-color-markers/master/img/marker-icon-2x-orange.png',
-                                shadowUrl: 'https://cdnjs.cloudflare.com/ajax/libs/leaflet/0.7.7/images/marker-shadow.png',
-                                iconSize: [25, 41],
-                                iconAnchor: [12, 41],
-                                popupAnchor: [1, -34],
-                                shadowSize: [41, 41]
-                            })
-                        }).addTo(map);
-
-                        const popupContent = `
-                            <div class="popup-content">
-                                <h6 class="popup-title">${villageData.nama_desa_kelurahan}</h6>
-                                <div class="popup-info">
-                                    <div class="info-row">
-                                        <span class="info-label">Village Code:</span>
-                                        <span class="info-value">${villageData.kode_desa_kelurahan}</span>
-                                    </div>
-                                    <div class="info-row">
-                                        <span class="info-label">District:</span>
-                                        <span class="info-value">${villageData.nama_kecamatan || 'N/A'}</span>
-                                    </div>
-                                    <div class="info-row">
-                                        <span class="info-label">City/Regency:</span>
-                                        <span class="info-value">${villageData.nama_kabupaten_kota || 'N/A'}</span>
-                                    </div>
-                                    <div class="info-row">
-                                        <span class="info-label">Province:</span>
-                                        <span class="info-value">${villageData.nama_provinsi || 'N/A'}</span>
-                                    </div>
-                                </div>
-                                <small class="text-muted">
-                                    <i class="fas fa-info-circle me-1"></i>
-                                    Approximate location (exact coordinates not available)
-                                </small>
+                const popupContent = `
+                    <div class="popup-content">
+                        <h6 class="popup-title">${villageData.nama_desa_kelurahan}</h6>
+                        <div class="popup-info">
+                            <div class="info-row">
+                                <span class="info-label">Village Code:</span>
+                                <span class="info-value">${villageData.kode_desa_kelurahan}</span>
+                            </div>
+                            <div class="info-row">
+                                <span class="info-label">District:</span>
+                                <span class="info-value">${villageData.nama_kecamatan || 'N/A'}</span>
                             </div>
-                        `;
-                        currentVillageLayer.bindPopup(popupContent).openPopup();
+                            <div class="info-row">
+                                <span class="info-label">City/Regency:</span>
+                                <span class="info-value">${villageData.nama_kabupaten_kota || 'N/A'}</span>
+                            </div>
+                            <div class="info-row">
+                                <span class="info-label">Province:</span>
+                                <span class="info-value">${villageData.nama_provinsi || 'N/A'}</span>
+                            </div>
+                        </div>
+                        ${this.describeLocation(location)}
+                    </div>
+                `;
+                currentVillageLayer.bindPopup(popupContent).openPopup();
 
-                        // Pan to village with highest zoom
-                        map.setView([villageLat, villageLng], 14);
-                    }
+                // Pan to village: its own boundary when known, else the highest zoom
+                if (boundary) {
+                    map.fitBounds(boundary.getBounds());
+                } else {
+                    map.setView(location.point, 14);
                 }
             }
         } catch (error) {
+            if (isAbortError(error)) return;
             console.error('Error selecting village:', error);
         }
-    }, showProvinceInfo(data) {
+    },
+
+    // Resolves where to draw a kecamatan or desa. Real coordinates and
+    // boundary come from its /geo endpoint when the API provides one;
+    // otherwise we fall back to a deterministic, labelled approximation: the
+    // centre of the nearest parent that has real geometry (the kecamatan for
+    // a desa, then the kabupaten/kota).
+    async locateRegion(level, code, signal) {
+        let geo = null;
+        try {
+            const geoResponse = level === 'district'
+                ? await apiService.getDistrictGeo(code, { signal })
+                : await apiService.getVillageGeo(code, { signal });
+            geo = geoResponse.success ? geoResponse.data : null;
+        } catch (error) {
+            // 404: no geometry for this region (or level) on the API
+            if (!(error instanceof ApiError) || error.status !== 404) throw error;
+        }
+
+        if (geo) {
+            const point = Number.isFinite(geo.lat) && Number.isFinite(geo.lng)
+                ? [geo.lat, geo.lng]
+                : (geo.path ? centroid(geo.path) : null);
+            if (point) {
+                return { point, path: geo.path || null, approximate: false };
+            }
+        }
+
+        const district = this.districtLocation;
+        if (level === 'village' && district && !district.approximate) {
+            return {
+                point: (district.path && centroid(district.path)) || district.point,
+                path: null,
+                approximate: true,
+                source: `Kecamatan ${district.name}`
+            };
+        }
+
+        const cityGeoResponse = await apiService.getCityGeo(selectedLocation.city, { signal });
+        const cityGeo = cityGeoResponse.data;
+        return {
+            point: (cityGeo.path && centroid(cityGeo.path)) || [cityGeo.lat, cityGeo.lng],
+            path: null,
+            approximate: true,
+            source: cityGeo.nama_kabupaten_kota
+        };
+    },
+
+    // Detail record merged with where locateRegion() put it on the map
+    locatedRecord(record, location) {
+        return {
+            ...record,
+            lat: location.point[0],
+            lng: location.point[1],
+            path: location.path,
+            approximate: location.approximate
+        };
+    },
+
+    describeLocation(location) {
+        if (!location.approximate) return '';
+        return `
+            <small class="text-muted">
+                <i class="fas fa-info-circle me-1"></i>
+                Approximate location: centre of ${location.source} (exact coordinates not available)
+            </small>
+        `;
+    },
+
+    showProvinceInfo(data) {
         const infoElement = document.getElementById('province-info');
         const contentElement = document.getElementById('province-info-content');
 
@@ -714,11 +1435,11 @@ const mapManager = {
                 </div>
                 <div class="info-item">
                     <span class="info-label">Elevation:</span>
-                    <span class="info-value">${data.elv ? data.elv + 'm' : 'N/A'}</span>
+                    <span class="info-value">${utils.formatElevation(data.elv)}</span>
                 </div>
                 <div class="info-item">
                     <span class="info-label">Timezone:</span>
-                    <span class="info-value">UTC+${data.tz || 'N/A'}</span>
+                    <span class="info-value">${utils.formatTimezone(data.tz)}</span>
                 </div>
             `;
             infoElement.style.display = 'block';
@@ -726,6 +1447,9 @@ const mapManager = {
     },
 
     resetMap() {
+        // Cancel anything still loading for the previous selection
+        this.beginRequest('province');
+
         map.setView(CONFIG.DEFAULT_COORDINATE, CONFIG.DEFAULT_ZOOM);
 
         // Remove all current layers
@@ -745,16 +1469,17 @@ const mapManager = {
             map.removeLayer(currentVillageLayer);
             currentVillageLayer = null;
         }
+        if (currentIslandLayer) {
+            map.removeLayer(currentIslandLayer);
+            currentIslandLayer = null;
+        }
+        reverseGeocodeManager.clearMarker();
 
         // Remove boundary layers
-        if (provinceBoundaryLayer) {
-            map.removeLayer(provinceBoundaryLayer);
-            provinceBoundaryLayer = null;
-        }
-        if (cityBoundaryLayer) {
-            map.removeLayer(cityBoundaryLayer);
-            cityBoundaryLayer = null;
-        }
+        boundaryRenderer.clearAll();
+        this.districtLocation = null;
+        this.selectedRegions = {};
+        this.onSelectionChange();
 
         // Reset selected location
         selectedLocation = {
@@ -764,13 +1489,12 @@ const mapManager = {
             village: null
         };
 
-        // Reset all selectors
-        const provinceSelector = document.getElementById('province-select');
+        // Reset all selectors (re-populating the province list clears its selection)
+        this.populateProvinceSelector();
         const citySelector = document.getElementById('city-selector');
         const districtSelector = document.getElementById('district-selector');
         const villageSelector = document.getElementById('village-selector');
 
-        if (provinceSelector) provinceSelector.value = '';
         if (citySelector) {
             citySelector.innerHTML = '<option value="">Select a city/regency...</option>';
             citySelector.disabled = true;
@@ -789,235 +1513,2112 @@ const mapManager = {
         if (infoElement) {
             infoElement.style.display = 'none';
         }
+    },
 
-        // Clear boundary layers
-        if (provinceBoundaryLayer) {
-            map.removeLayer(provinceBoundaryLayer);
-            provinceBoundaryLayer = null;
+    // Draws the boundary of `geoData.path` for one level, replacing the
+    // previous one; returns the layer or null when there is nothing to draw.
+    // The region code keys its simplified versions.
+    showBoundary(level, geoData) {
+        try {
+            const code = geoData ? geoData[REGION_LEVELS[level].code] : null;
+            return boundaryRenderer.show(level, geoData && geoData.path, {}, { key: code ? `${level}:${code}` : undefined });
+        } catch (error) {
+            console.error(`Error showing ${level} boundary:`, error);
+            return null;
         }
-        if (cityBoundariesLayer) {
-            map.removeLayer(cityBoundariesLayer);
-            cityBoundariesLayer = null;
+    }
+};
+
+// Demo functionality
+const STATUS_TEXTS = {
+    200: 'OK',
+    400: 'Bad Request',
+    404: 'Not Found',
+    429: 'Too Many Requests',
+    500: 'Internal Server Error',
+    502: 'Bad Gateway',
+    503: 'Service Unavailable',
+    504: 'Gateway Timeout'
+};
+
+// Larger payloads (boundary paths) are cut before highlighting
+const MAX_DISPLAYED_RESPONSE = 200000;
+
+// API playground: endpoint catalog, parameter form, raw response, snippets and history
+const demoManager = {
+    history: createRequestHistory(),
+    requestController: null,
+    request: null,
+
+    init() {
+        const endpointSelect = document.getElementById('endpoint-select');
+        const form = document.getElementById('playground-params');
+        if (!endpointSelect || !form) return;
+
+        endpointSelect.innerHTML = ENDPOINTS
+            .map((endpoint) => `<option value="${endpoint.id}">${endpoint.group}: ${endpoint.summary}</option>`)
+            .join('');
+        endpointSelect.addEventListener('change', () => this.renderParams());
+
+        form.addEventListener('input', () => this.update());
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.tryEndpoint();
+        });
+
+        const tryButton = document.getElementById('try-endpoint');
+        if (tryButton) {
+            tryButton.addEventListener('click', () => this.tryEndpoint());
         }
-    },
 
-    showProvinceBoundary(geoData) {
-        try {
-            if (geoData && geoData.path) {
-                // Remove existing boundary
-                if (provinceBoundariesLayer) {
-                    map.removeLayer(provinceBoundariesLayer);
-                }
+        const snippetFormat = document.getElementById('snippet-format');
+        if (snippetFormat) {
+            snippetFormat.innerHTML = Object.entries(SNIPPET_FORMATS)
+                .map(([format, { label }]) => `<option value="${format}">${label}</option>`)
+                .join('');
+            snippetFormat.addEventListener('change', () => this.renderSnippet());
+        }
 
-                let pathProvinceCoordinates;
-                if (typeof geoData.path === 'string') {
-                    try {
-                        pathProvinceCoordinates = JSON.parse(geoData.path);
-                    } catch (e) {
-                        console.warn('Province path JSON parse failed:', e);
-                        return;
-                    }
-                } else if (Array.isArray(geoData.path)) {
-                    pathProvinceCoordinates = geoData.path;
-                } else {
-                    console.warn('Province path format not recognized:', geoData.path);
-                    return;
-                }
+        const copyButton = document.getElementById('copy-snippet');
+        if (copyButton) {
+            copyButton.addEventListener('click', () => this.copySnippet());
+        }
 
-                // If path is multi-polygon (array of arrays), render all polygons
-                let polygons = [];
-                if (Array.isArray(pathProvinceCoordinates[0][0])) {
-                    // Multi-polygon: array of polygons
-                    polygons = pathProvinceCoordinates.map(poly => {
-                        // Validate and clean coordinates
-                        let coords = poly.filter(pt => Array.isArray(pt) && pt.length === 2 && !isNaN(pt[0]) && !isNaN(pt[1]));
-                        coords = coords.map(pt => [parseFloat(pt[0]), parseFloat(pt[1])]);
-                        // Ensure polygon has at least 3 points
-                        if (coords.length < 3) return null;
-                        // Ensure polygon is closed
-                        const first = coords[0];
-                        const last = coords[coords.length - 1];
-                        if (first[0] !== last[0] || first[1] !== last[1]) {
-                            coords.push([first[0], first[1]]);
-                        }
-                        return coords;
-                    }).filter(Boolean);
-                } else {
-                    // Single polygon
-                    let coords = pathProvinceCoordinates.filter(pt => Array.isArray(pt) && pt.length === 2 && !isNaN(pt[0]) && !isNaN(pt[1]));
-                    coords = coords.map(pt => [parseFloat(pt[0]), parseFloat(pt[1])]);
-                    if (coords.length >= 3) {
-                        const first = coords[0];
-                        const last = coords[coords.length - 1];
-                        if (first[0] !== last[0] || first[1] !== last[1]) {
-                            coords.push([first[0], first[1]]);
-                        }
-                        polygons = [coords];
-                    }
+        const historyList = document.getElementById('request-history');
+        if (historyList) {
+            historyList.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-replay]');
+                if (button) {
+                    this.replay(button.dataset.replay);
                 }
+            });
+        }
 
-                if (polygons.length === 0) {
-                    console.warn('Province path is not a valid polygon or multi-polygon:', pathProvinceCoordinates);
-                    return;
-                }
+        const clearButton = document.getElementById('clear-history');
+        if (clearButton) {
+            clearButton.addEventListener('click', () => {
+                this.history.clear();
+                this.renderHistory();
+            });
+        }
 
-                provinceBoundariesLayer = L.polygon(polygons, {
-                    color: '#ff0000',
-                    weight: 2,
-                    opacity: 0.8,
-                    fillOpacity: 0.1,
-                    fillColor: '#ff0000'
-                }).addTo(map);
+        this.renderParams();
+        this.renderHistory();
+    },
+
+    currentEndpoint() {
+        const endpointSelect = document.getElementById('endpoint-select');
+        return findEndpoint(endpointSelect.value) || ENDPOINTS[0];
+    },
+
+    // One input per parameter; required ones start with their example so
+    // that every endpoint can be tried straight away
+    renderParams(values = null) {
+        const form = document.getElementById('playground-params');
+        const endpoint = this.currentEndpoint();
+
+        if (endpoint.params.length === 0) {
+            form.innerHTML = '<p class="text-sm text-gray-500 sm:col-span-2 md:col-span-3">Endpoint ini tidak memiliki parameter.</p>';
+        } else {
+            form.innerHTML = endpoint.params.map((param) => {
+                const value = values ? values[param.name] || '' : param.required ? param.example : '';
+                const limits = [
+                    param.minimum !== undefined ? `min="${param.minimum}"` : '',
+                    param.maximum !== undefined ? `max="${param.maximum}"` : ''
+                ].join(' ');
+                return `
+                    <div>
+                        <label for="param-${param.name}" class="block text-sm font-medium text-gray-700 mb-1">
+                            <code>${param.name}</code>${param.required ? ' <span class="text-red-600">*</span>' : ''}
+                            <span class="text-xs text-gray-400">${param.in}</span>
+                        </label>
+                        <input
+                            id="param-${param.name}"
+                            name="${param.name}"
+                            type="${param.type === 'integer' ? 'number' : 'text'}"
+                            ${limits}
+                            placeholder="${param.example || ''}"
+                            value="${utils.escapeHtml(value)}"
+                            aria-describedby="param-${param.name}-help"
+                            class="block w-full border border-gray-300 rounded-md shadow-sm sm:text-sm py-1 px-2"
+                        />
+                        <p id="param-${param.name}-help" data-help="${param.description || ''}" class="text-xs text-gray-500 mt-1">${param.description || ''}</p>
+                    </div>
+                `;
+            }).join('');
+        }
+        this.update();
+    },
+
+    // Validates the form and refreshes the URL preview and snippet
+    update() {
+        const form = document.getElementById('playground-params');
+        const endpoint = this.currentEndpoint();
+        const { values, errors, valid } = validateParams(endpoint, Object.fromEntries(new FormData(form)));
+
+        endpoint.params.forEach((param) => {
+            const input = document.getElementById(`param-${param.name}`);
+            const help = document.getElementById(`param-${param.name}-help`);
+            const error = errors[param.name];
+            if (input) {
+                input.setAttribute('aria-invalid', String(Boolean(error)));
+                input.classList.toggle('border-red-500', Boolean(error));
+            }
+            if (help) {
+                help.textContent = error || help.dataset.help;
+                help.className = `text-xs mt-1 ${error ? 'text-red-600' : 'text-gray-500'}`;
             }
+        });
+
+        const { path, query } = resolveRequest(endpoint, values);
+        this.request = { endpoint, values, valid, path, query, url: client.buildUrl(path, query) };
+
+        const endpointUrl = document.getElementById('endpoint-url');
+        if (endpointUrl) {
+            endpointUrl.value = this.request.url;
+        }
+        const tryButton = document.getElementById('try-endpoint');
+        if (tryButton) {
+            tryButton.disabled = !valid;
+        }
+        this.renderSnippet();
+    },
+
+    async tryEndpoint() {
+        const responseOutput = document.getElementById('response-output');
+        const responseStatus = document.getElementById('response-status');
+        if (!responseOutput || !responseStatus || !this.request) return;
+
+        const { endpoint, values, valid, path, query, url } = this.request;
+        if (!valid) {
+            responseStatus.innerHTML = this.badge('Parameter tidak valid', 'bg-yellow-100 text-yellow-800');
+            return;
+        }
+
+        if (this.requestController) {
+            this.requestController.abort();
+        }
+        this.requestController = new AbortController();
+
+        this.setOutput('Loading...');
+        responseStatus.innerHTML = this.badge('Loading', 'bg-gray-100 text-gray-700');
+        document.getElementById('response-meta').textContent = '';
+        document.getElementById('response-headers').classList.add('hidden');
+
+        try {
+            const result = await client.inspect(path, query, { signal: this.requestController.signal });
+            this.showResult(result);
+            this.history.add({
+                endpointId: endpoint.id,
+                values,
+                url: result.url,
+                status: result.status,
+                ok: result.ok,
+                duration: Math.round(result.duration),
+                size: result.size
+            });
         } catch (error) {
-            console.error('Error showing province boundary:', error);
+            if (isAbortError(error)) return;
+            this.setOutput(JSON.stringify({ error: error.message, timestamp: new Date().toISOString() }, null, 2));
+            responseStatus.innerHTML = this.badge(error.timedOut ? 'Timeout' : 'Network error', 'bg-red-100 text-red-800');
+            this.history.add({ endpointId: endpoint.id, values, url, error: error.message });
+        }
+        this.renderHistory();
+    },
+
+    showResult({ status, statusText, ok, headers, body, text, size, duration }) {
+        let color = 'bg-red-100 text-red-800';
+        if (ok) color = 'bg-green-100 text-green-800';
+        else if (status < 500) color = 'bg-yellow-100 text-yellow-800';
+        document.getElementById('response-status').innerHTML = this.badge(`${status} ${statusText || STATUS_TEXTS[status] || ''}`.trim(), color);
+
+        document.getElementById('response-meta').textContent = `${utils.formatNumber(Math.round(duration))} ms · ${utils.formatBytes(size)}`;
+
+        const headerEntries = Object.entries(headers);
+        const headersElement = document.getElementById('response-headers');
+        headersElement.classList.toggle('hidden', headerEntries.length === 0);
+        document.getElementById('response-headers-list').innerHTML = headerEntries
+            .map(([name, value]) => `<dt class="text-gray-500 truncate">${utils.escapeHtml(name)}</dt><dd class="col-span-2 break-all">${utils.escapeHtml(value)}</dd>`)
+            .join('');
+
+        const pretty = body !== null ? JSON.stringify(body, null, 2) : text;
+        this.setOutput(pretty.length > MAX_DISPLAYED_RESPONSE
+            ? `${pretty.slice(0, MAX_DISPLAYED_RESPONSE)}\n\n… (dipotong, ${utils.formatBytes(size)} total)`
+            : pretty);
+    },
+
+    // textContent keeps markup in API data from being interpreted
+    setOutput(content, language = 'json') {
+        const responseOutput = document.getElementById('response-output');
+        const code = document.createElement('code');
+        code.className = `language-${language}`;
+        code.textContent = content;
+        responseOutput.innerHTML = '';
+        responseOutput.appendChild(code);
+        if (window.Prism && content.length <= MAX_DISPLAYED_RESPONSE) {
+            Prism.highlightElement(code);
+        }
+    },
+
+    badge(text, color) {
+        return `<span class="px-2 py-1 rounded text-xs font-semibold ${color}">${text}</span>`;
+    },
+
+    renderSnippet() {
+        const snippetFormat = document.getElementById('snippet-format');
+        const output = document.getElementById('snippet-output');
+        if (!snippetFormat || !output || !this.request) return;
+
+        const format = snippetFormat.value || 'curl';
+        const code = document.createElement('code');
+        code.className = `language-${SNIPPET_FORMATS[format].language}`;
+        code.textContent = toSnippet(format, this.request.url);
+        output.innerHTML = '';
+        output.appendChild(code);
+        if (window.Prism) {
+            Prism.highlightElement(code);
         }
     },
 
-    showCityBoundary(geoData) {
+    async copySnippet() {
+        const output = document.getElementById('snippet-output');
+        const label = document.querySelector('#copy-snippet span');
         try {
-            if (geoData && geoData.path) {
-                // Remove existing boundary
-                if (cityBoundariesLayer) {
-                    map.removeLayer(cityBoundariesLayer);
-                }
+            await navigator.clipboard.writeText(output.textContent);
+            label.textContent = 'Tersalin!';
+        } catch (error) {
+            console.error('Error copying snippet:', error);
+            label.textContent = 'Gagal menyalin';
+        }
+        setTimeout(() => {
+            label.textContent = 'Salin';
+        }, 2000);
+    },
 
-                let pathCoordinates;
-                if (typeof geoData.path === 'string') {
-                    try {
-                        pathCoordinates = JSON.parse(geoData.path);
-                    } catch (e) {
-                        console.warn('City path JSON parse failed:', e);
-                        return;
-                    }
-                } else if (Array.isArray(geoData.path)) {
-                    pathCoordinates = geoData.path;
-                } else {
-                    console.warn('City path format not recognized:', geoData.path);
-                    return;
-                }
+    renderHistory() {
+        const list = document.getElementById('request-history');
+        if (!list) return;
 
-                // If path is multi-polygon (array of arrays), render all polygons
-                let polygons = [];
-                if (Array.isArray(pathCoordinates[0][0])) {
-                    // Multi-polygon: array of polygons
-                    polygons = pathCoordinates.map(poly => {
-                        // Validate and clean coordinates
-                        let coords = poly.filter(pt => Array.isArray(pt) && pt.length === 2 && !isNaN(pt[0]) && !isNaN(pt[1]));
-                        coords = coords.map(pt => [parseFloat(pt[0]), parseFloat(pt[1])]);
-                        // Ensure polygon has at least 3 points
-                        if (coords.length < 3) return null;
-                        // Ensure polygon is closed
-                        const first = coords[0];
-                        const last = coords[coords.length - 1];
-                        if (first[0] !== last[0] || first[1] !== last[1]) {
-                            coords.push([first[0], first[1]]);
-                        }
-                        return coords;
-                    }).filter(Boolean);
-                } else {
-                    // Single polygon
-                    let coords = pathCoordinates.filter(pt => Array.isArray(pt) && pt.length === 2 && !isNaN(pt[0]) && !isNaN(pt[1]));
-                    coords = coords.map(pt => [parseFloat(pt[0]), parseFloat(pt[1])]);
-                    if (coords.length >= 3) {
-                        const first = coords[0];
-                        const last = coords[coords.length - 1];
-                        if (first[0] !== last[0] || first[1] !== last[1]) {
-                            coords.push([first[0], first[1]]);
-                        }
-                        polygons = [coords];
-                    }
-                }
+        const entries = this.history.list();
+        if (entries.length === 0) {
+            list.innerHTML = '<li class="p-3 text-gray-500">Belum ada permintaan.</li>';
+            return;
+        }
 
-                if (polygons.length === 0) {
-                    console.warn('City path is not a valid polygon or multi-polygon:', pathCoordinates);
-                    return;
-                }
+        list.innerHTML = entries.map((entry) => {
+            const endpoint = findEndpoint(entry.endpointId);
+            let color = 'bg-red-100 text-red-800';
+            if (entry.ok) color = 'bg-green-100 text-green-800';
+            else if (entry.status && entry.status < 500) color = 'bg-yellow-100 text-yellow-800';
+            const meta = entry.status
+                ? `${utils.formatNumber(entry.duration)} ms · ${utils.formatBytes(entry.size)}`
+                : entry.error;
+            return `
+                <li class="p-2 flex items-center gap-2">
+                    ${this.badge(entry.status || 'ERR', color)}
+                    <div class="flex-1 min-w-0">
+                        <div class="truncate font-medium">${endpoint ? endpoint.summary : entry.endpointId}</div>
+                        <div class="truncate text-xs text-gray-500" title="${utils.escapeHtml(entry.url)}">${utils.escapeHtml(entry.url.replace(client.baseUrl, '') || '/')}</div>
+                        <div class="text-xs text-gray-400">${new Date(entry.timestamp).toLocaleString('id-ID')} · ${utils.escapeHtml(meta)}</div>
+                    </div>
+                    <button data-replay="${entry.id}" class="bg-white border text-xs rounded-md py-1 px-2 hover:bg-gray-100" ${endpoint ? '' : 'disabled'}>
+                        <i class="fas fa-redo mr-1"></i>Ulangi
+                    </button>
+                </li>
+            `;
+        }).join('');
+    },
 
-                cityBoundariesLayer = L.polygon(polygons, {
-                    color: '#0066cc',
-                    weight: 2,
-                    opacity: 0.8,
-                    fillOpacity: 0.15,
-                    fillColor: '#0066cc'
-                }).addTo(map);
+    // Restores the endpoint and parameters of a history entry and sends it again
+    replay(id) {
+        const entry = this.history.get(id);
+        if (!entry || !findEndpoint(entry.endpointId)) return;
+
+        const endpointSelect = document.getElementById('endpoint-select');
+        endpointSelect.value = entry.endpointId;
+        endpointSelect.dispatchEvent(new Event('input'));
+        this.renderParams(entry.values);
+        this.tryEndpoint();
+    }
+};
+
+// Region picker showcase: <id-region-picker> (js/region-picker.js) in a form
+const regionPickerManager = {
+    picker: null,
+
+    init() {
+        const slot = document.getElementById('region-picker-slot');
+        const form = document.getElementById('region-picker-form');
+        if (!slot || !form) return;
+
+        // The client is set before the element is connected, so the picker
+        // loads from the chosen API server and shares the page's cache
+        const picker = document.createElement('id-region-picker');
+        picker.name = 'wilayah';
+        picker.client = client;
+        this.picker = picker;
+        this.applyOptions();
+        slot.appendChild(picker);
+
+        ['region-picker-depth', 'region-picker-lang', 'region-picker-required'].forEach((id) => {
+            const control = document.getElementById(id);
+            if (control) control.addEventListener('change', () => this.applyOptions());
+        });
+
+        picker.addEventListener('change', (e) => this.show({ event: 'change', detail: e.detail }));
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            if (!picker.reportValidity()) {
+                this.show({ event: 'invalid', validationMessage: picker.validationMessage });
+                return;
             }
-        } catch (error) {
-            console.error('Error showing city boundary:', error);
+            this.show({ event: 'submit', formData: Object.fromEntries(new FormData(form)) });
+        });
+    },
+
+    applyOptions() {
+        const depth = document.getElementById('region-picker-depth');
+        const lang = document.getElementById('region-picker-lang');
+        const required = document.getElementById('region-picker-required');
+        if (depth) this.picker.depth = depth.value;
+        if (lang) this.picker.setAttribute('lang', lang.value);
+        if (required) this.picker.required = required.checked;
+    },
+
+    show(value) {
+        const output = document.getElementById('region-picker-output');
+        if (!output) return;
+        const code = document.createElement('code');
+        code.className = 'language-json';
+        code.textContent = JSON.stringify(value, null, 2);
+        output.innerHTML = '';
+        output.appendChild(code);
+        if (window.Prism) {
+            Prism.highlightElement(code);
         }
     }
 };
 
-// Demo functionality
-const demoManager = {
+// Address normalisation showcase: free text to region codes (js/address.js)
+const addressManager = {
+    resolver: null,
+    suggestController: null,
+    resolveController: null,
+    suggestions: [],
+    activeIndex: -1,
+
     init() {
-        const endpointSelect = document.getElementById('endpoint-select');
-        const endpointUrl = document.getElementById('endpoint-url');
-        const tryButton = document.getElementById('try-endpoint');
+        const form = document.getElementById('address-form');
+        const input = document.getElementById('address-input');
+        const list = document.getElementById('address-suggestions');
+        if (!form || !input || !list) return;
+
+        this.resolver = createAddressResolver({ client });
+        const runSuggest = utils.debounce((text) => this.suggest(text), 300);
+        input.addEventListener('input', (e) => runSuggest(e.target.value));
+        input.addEventListener('keydown', (e) => {
+            const count = this.suggestions.length;
+            if ((e.key === 'ArrowDown' || e.key === 'ArrowUp') && count > 0) {
+                e.preventDefault();
+                const step = e.key === 'ArrowDown' ? 1 : -1;
+                this.activeIndex = (this.activeIndex + step + count) % count;
+                this.renderSuggestions();
+            } else if (e.key === 'Enter' && this.activeIndex >= 0 && !list.classList.contains('hidden')) {
+                // Enter with the list closed submits the form
+                e.preventDefault();
+                this.choose(this.suggestions[this.activeIndex]);
+            } else if (e.key === 'Escape') {
+                this.hideSuggestions();
+            }
+        });
 
-        if (endpointSelect && endpointUrl) {
-            endpointSelect.addEventListener('change', (e) => {
-                endpointUrl.value = CONFIG.API_BASE_URL + e.target.value;
-            });
+        list.addEventListener('mousedown', (e) => {
+            const item = e.target.closest('[data-suggestion-index]');
+            if (item) {
+                e.preventDefault();
+                this.choose(this.suggestions[Number(item.dataset.suggestionIndex)]);
+            }
+        });
+        input.addEventListener('blur', () => this.hideSuggestions());
+
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.hideSuggestions();
+            this.resolve(input.value);
+        });
+    },
+
+    async suggest(text) {
+        if (this.suggestController) {
+            this.suggestController.abort();
+        }
+        this.suggestController = new AbortController();
+        const { signal } = this.suggestController;
+
+        // Nothing useful to suggest before a few letters of the current part
+        const current = text.split(/[,;\n]/).pop().trim();
+        if (current.length < 3) {
+            this.suggestions = [];
+            this.hideSuggestions();
+            return;
+        }
+
+        try {
+            const suggestions = await this.resolver.suggest(text, { limit: 8, signal });
+            if (signal.aborted) return;
+            this.suggestions = suggestions;
+            this.activeIndex = suggestions.length > 0 ? 0 : -1;
+            this.renderSuggestions();
+        } catch (error) {
+            if (isAbortError(error)) return;
+            console.error('Address suggestion error:', error);
+            this.hideSuggestions();
+        }
+    },
+
+    renderSuggestions() {
+        const list = document.getElementById('address-suggestions');
+        if (!list) return;
 
-            // Set initial value
-            endpointUrl.value = CONFIG.API_BASE_URL + endpointSelect.value;
-        } if (tryButton) {
-            tryButton.addEventListener('click', this.tryEndpoint);
+        if (this.suggestions.length === 0) {
+            this.hideSuggestions();
+            return;
         }
+
+        list.innerHTML = this.suggestions.map((suggestion, index) => `
+            <li data-suggestion-index="${index}" class="px-3 py-2 cursor-pointer ${index === this.activeIndex ? 'bg-blue-50' : 'hover:bg-gray-50'}">
+                <div class="flex items-center gap-2">
+                    <span class="text-xs font-semibold uppercase text-blue-700 bg-blue-100 rounded px-1">${SEARCH_LEVEL_LABELS[suggestion.level]}</span>
+                    <span class="font-medium text-gray-800">${utils.escapeHtml(suggestion.name)}</span>
+                </div>
+                ${suggestion.path.length > 0 ? `<div class="text-xs text-gray-500">${utils.escapeHtml(suggestion.path.join(' › '))}</div>` : ''}
+            </li>
+        `).join('');
+        list.classList.remove('hidden');
     },
 
-    async tryEndpoint() {
-        const endpointSelect = document.getElementById('endpoint-select');
-        const responseOutput = document.getElementById('response-output');
-        const responseStatus = document.getElementById('response-status');
+    hideSuggestions() {
+        const list = document.getElementById('address-suggestions');
+        if (list) {
+            list.classList.add('hidden');
+        }
+    },
+
+    choose(suggestion) {
+        const input = document.getElementById('address-input');
+        if (!input || !suggestion) return;
+        input.value = applySuggestion(input.value, suggestion);
+        this.suggestions = [];
+        this.hideSuggestions();
+        return this.resolve(input.value);
+    },
+
+    async resolve(text) {
+        if (this.resolveController) {
+            this.resolveController.abort();
+        }
+        this.resolveController = new AbortController();
+        const { signal } = this.resolveController;
+
+        if (!text.trim()) return null;
+        this.show('Mencocokkan...');
+        try {
+            const result = await this.resolver.resolve(text, { signal });
+            this.renderSummary(result);
+            this.show(JSON.stringify(result, null, 2), 'language-json');
+            return result;
+        } catch (error) {
+            if (isAbortError(error)) return null;
+            console.error('Address resolution error:', error);
+            this.renderSummary(null);
+            this.show(`Gagal mencocokkan alamat: ${error.message}`);
+            return null;
+        }
+    },
+
+    renderSummary(result) {
+        const summary = document.getElementById('address-summary');
+        if (!summary) return;
+        if (!result) {
+            summary.classList.add('hidden');
+            return;
+        }
+
+        const rows = ['village', 'district', 'city', 'province'].map((level) => {
+            const match = result[level];
+            const value = match
+                ? `<span class="font-mono">${utils.escapeHtml(match.code)}</span> ${utils.escapeHtml(match.name)}${match.inferred ? ' <span class="text-gray-400">(tersirat)</span>' : ''}`
+                : '<span class="text-gray-400">tidak ditemukan</span>';
+            return `<dt class="text-gray-500">${SEARCH_LEVEL_LABELS[level]}</dt><dd class="col-span-2">${value}</dd>`;
+        });
+        rows.push(`<dt class="text-gray-500">Keyakinan</dt><dd class="col-span-2">${Math.round(result.confidence * 100)}%</dd>`);
+        summary.innerHTML = rows.join('');
+        summary.classList.remove('hidden');
+    },
+
+    show(text, language = 'language-none') {
+        const output = document.getElementById('address-output');
+        if (!output) return;
+        const code = document.createElement('code');
+        code.className = language;
+        code.textContent = text;
+        output.innerHTML = '';
+        output.appendChild(code);
+        if (window.Prism) {
+            Prism.highlightElement(code);
+        }
+    }
+};
 
-        if (!endpointSelect || !responseOutput || !responseStatus) return;
+// URL state: selection, viewport and base layer in the query string
+const urlStateManager = {
+    isRestoring: false,
+    scheduleSync: null,
 
-        const endpoint = endpointSelect.value;
+    async init() {
+        this.scheduleSync = utils.debounce(() => this.sync(), 300);
+        map.on('moveend baselayerchange', () => this.onStateChange());
+        window.addEventListener('popstate', () => this.restore(parseMapState(window.location.search)));
 
-        // Show loading
-        responseOutput.innerHTML = '<code class="language-json">Loading...</code>';
-        responseStatus.innerHTML = '<span class="badge bg-warning">Loading</span>';
+        // Province options must exist before a selection can be replayed
+        await mapManager.provincesLoaded;
+        await this.restore(parseMapState(window.location.search));
+    },
+
+    // Called by mapManager on selection changes and by the map on pan/zoom
+    onStateChange() {
+        if (this.scheduleSync && !this.isRestoring && !mapManager.isJumping) {
+            this.scheduleSync();
+        }
+    },
+
+    currentState() {
+        const center = map.getCenter();
+        return {
+            ...selectedLocation,
+            center: [center.lat, center.lng],
+            zoom: map.getZoom(),
+            layer: mapManager.activeBaseLayer
+        };
+    },
+
+    // A new selection is a history entry (back/forward steps through
+    // selections); panning, zooming and layer changes only update the URL.
+    sync() {
+        if (this.isRestoring || mapManager.isJumping) return;
 
+        const state = this.currentState();
+        const query = serializeMapState(state, window.location.search);
+        if (query === window.location.search) return;
+
+        const url = `${window.location.pathname}${query}${window.location.hash}`;
+        if (sameSelection(state, parseMapState(window.location.search))) {
+            window.history.replaceState(null, '', url);
+        } else {
+            window.history.pushState(null, '', url);
+        }
+    },
+
+    // Replays selectProvince → selectCity → selectDistrict → selectVillage,
+    // then applies the saved viewport over the one the selection chose
+    async restore(state) {
+        this.isRestoring = true;
         try {
-            const data = await apiService.fetchData(endpoint);            // Show success response
-            responseOutput.innerHTML = `<code class="language-json">${JSON.stringify(data, null, 2)}</code>`;
-            responseStatus.innerHTML = '<span class="badge bg-success">200 OK</span>';
+            if (state.layer) {
+                mapManager.setBaseLayer(state.layer, { persist: false });
+            }
+
+            if (!sameSelection(state, selectedLocation)) {
+                if (state.province) {
+                    await mapManager.jumpTo(state);
+                } else {
+                    mapManager.resetMap();
+                }
+            }
 
-            // Re-highlight syntax
-            if (window.Prism) {
-                Prism.highlightAll();
+            if (state.center && state.zoom !== null) {
+                map.setView(state.center, state.zoom);
             }
         } catch (error) {
-            // Show error response
-            responseOutput.innerHTML = `<code class="language-json">${JSON.stringify({
-                error: error.message,
-                timestamp: new Date().toISOString()
-            }, null, 2)}</code>`;
-            responseStatus.innerHTML = '<span class="badge bg-danger">Error</span>';
+            console.error('Error restoring map state from URL:', error);
+        } finally {
+            this.isRestoring = false;
         }
     }
 };
 
-// Visualization functionality
-const visualizationManager = {
-    isInitialized: false,
+// Reverse geocoding: which province and kabupaten/kota contain a point
+const reverseGeocodeManager = {
+    active: false,
+    marker: null,
+    lookupController: null,
+    geocoder: createReverseGeocoder({
+        loadProvinces: (options) => apiService.getProvincesWithGeo(options),
+        loadCities: (provinceCode, options) => apiService.getCitiesWithGeo(provinceCode, options)
+    }),
 
     init() {
-        if (this.isInitialized) return; // Prevent double initialization
-        this.isInitialized = true;
+        const modeButton = document.getElementById('reverse-mode');
+        if (modeButton) {
+            modeButton.addEventListener('click', () => this.setActive(!this.active));
+        }
+
+        const form = document.getElementById('reverse-form');
+        if (form) {
+            form.addEventListener('submit', (e) => {
+                e.preventDefault();
+                const lat = parseFloat(document.getElementById('reverse-lat').value);
+                const lng = parseFloat(document.getElementById('reverse-lng').value);
+                if (!Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+                    this.setStatus('Masukkan latitude (-90..90) dan longitude (-180..180) yang valid.', true);
+                    return;
+                }
+                this.lookup([lat, lng]);
+            });
+        }
+
+        map.on('click', (e) => {
+            if (this.active) {
+                this.lookup([e.latlng.lat, e.latlng.lng]);
+            }
+        });
     },
-};
 
-// Event listeners
-document.addEventListener('DOMContentLoaded', function () {
-    // Initialize core components immediately
+    setActive(active) {
+        this.active = active;
+        map.getContainer().style.cursor = active ? 'crosshair' : '';
+
+        const modeButton = document.getElementById('reverse-mode');
+        if (modeButton) {
+            modeButton.setAttribute('aria-pressed', String(active));
+            modeButton.classList.toggle('bg-blue-100', active);
+            modeButton.querySelector('span').textContent = active
+                ? 'Mode identifikasi aktif (klik lagi untuk berhenti)'
+                : 'Klik peta untuk identifikasi';
+        }
+    },
+
+    async lookup(point) {
+        if (this.lookupController) {
+            this.lookupController.abort();
+        }
+        this.lookupController = new AbortController();
+        const { signal } = this.lookupController;
+
+        const [lat, lng] = point;
+        document.getElementById('reverse-lat').value = lat.toFixed(6);
+        document.getElementById('reverse-lng').value = lng.toFixed(6);
+        this.showMarker(point, 'Mencari wilayah...');
+        this.setStatus('Mencari wilayah yang memuat titik ini...');
+
+        try {
+            const { province, city } = await this.geocoder.locate(point, { signal });
+            if (signal.aborted) return;
+
+            if (!province) {
+                this.showMarker(point, 'Titik ini di luar batas provinsi mana pun.');
+                this.setStatus('Tidak ada provinsi yang memuat titik ini (mungkin di laut).', true);
+                return;
+            }
+
+            const names = [city && city.nama_kabupaten_kota, province.nama_provinsi].filter(Boolean);
+            this.setStatus(`Titik berada di ${names.join(', ')}.`);
+
+            // Selecting the regions also draws and highlights their boundaries
+            await mapManager.jumpTo({
+                province: String(province.kode_provinsi),
+                city: city ? String(city.kode_kabupaten_kota) : null
+            });
+            this.showMarker(point, `<strong>${names.map(utils.escapeHtml).join(', ')}</strong><br>${lat.toFixed(5)}, ${lng.toFixed(5)}`);
+        } catch (error) {
+            if (isAbortError(error)) return;
+            console.error('Reverse geocoding error:', error);
+            this.setStatus(`Gagal mengidentifikasi lokasi: ${error.message}`, true);
+        }
+    },
+
+    clearMarker() {
+        if (this.marker) {
+            map.removeLayer(this.marker);
+            this.marker = null;
+        }
+    },
+
+    showMarker(point, popupContent) {
+        this.clearMarker();
+        this.marker = L.circleMarker(point, {
+            radius: 7,
+            color: '#111827',
+            weight: 2,
+            fillColor: '#facc15',
+            fillOpacity: 1
+        }).addTo(map);
+        this.marker.bindPopup(popupContent).openPopup();
+    },
+
+    setStatus(message, isError = false) {
+        const statusElement = document.getElementById('reverse-status');
+        if (statusElement) {
+            statusElement.textContent = message;
+            statusElement.className = `text-xs mt-2 ${isError ? 'text-red-600' : 'text-gray-500'}`;
+        }
+    }
+};
+
+// Base map selector and custom (self-hosted) tile sources
+const baseLayerManager = {
+    // Providers whose tile errors were already reported
+    reportedErrors: new Set(),
+
+    init() {
+        const form = document.getElementById('tile-source-form');
+        if (form) {
+            form.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.addSource(Object.fromEntries(new FormData(form)), form);
+            });
+        }
+
+        const removeButton = document.getElementById('tile-source-remove');
+        if (removeButton) {
+            removeButton.addEventListener('click', () => this.removeSource(mapManager.activeBaseLayer));
+        }
+
+        this.render();
+    },
+
+    render() {
+        const selector = document.getElementById('map-layer');
+        if (!selector || !mapManager.tileRegistry) return;
+
+        const providers = mapManager.tileRegistry.list();
+        selector.innerHTML = '';
+        providers.forEach(({ id, label, custom }) => {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = custom ? `${label} (kustom)` : label;
+            selector.appendChild(option);
+        });
+        selector.value = mapManager.activeBaseLayer || '';
+
+        const active = providers.find(({ id }) => id === mapManager.activeBaseLayer);
+        const removeButton = document.getElementById('tile-source-remove');
+        if (removeButton) {
+            removeButton.classList.toggle('hidden', !(active && active.custom));
+        }
+    },
+
+    addSource({ label, type, url, layers, attribution }, form) {
+        let id;
+        try {
+            id = mapManager.tileRegistry.addCustom({
+                label,
+                type,
+                url: url.trim(),
+                layers,
+                options: attribution.trim() ? { attribution: attribution.trim() } : {}
+            });
+        } catch (error) {
+            this.setStatus(`Sumber tidak valid: ${error.message}`, true);
+            return;
+        }
+
+        form.reset();
+        this.reportedErrors.delete(id);
+        mapManager.setBaseLayer(id);
+        this.setStatus(`Sumber "${label.trim()}" ditambahkan.`);
+    },
+
+    removeSource(id) {
+        const provider = mapManager.tileRegistry.get(id);
+        if (!provider) return;
+
+        mapManager.tileRegistry.removeCustom(id);
+        mapManager.forgetBaseLayer(id);
+        this.render();
+        this.setStatus(`Sumber "${provider.label}" dihapus.`);
+    },
+
+    // Called for every failed tile; reports a source once so that an
+    // unreachable self-hosted server does not flood the status line
+    onTileError(id) {
+        if (this.reportedErrors.has(id)) return;
+        this.reportedErrors.add(id);
+        const provider = mapManager.tileRegistry.get(id);
+        this.setStatus(`Sebagian ubin "${provider ? provider.label : id}" gagal dimuat. Periksa URL atau koneksi, atau pilih mode tanpa peta dasar.`, true);
+    },
+
+    setStatus(message, isError = false) {
+        const statusElement = document.getElementById('tile-source-status');
+        if (statusElement) {
+            statusElement.textContent = message;
+            statusElement.className = `text-xs mt-2 ${isError ? 'text-red-600' : 'text-gray-500'}`;
+        }
+    }
+};
+
+// Region comparison: pinned provinces and kabupaten/kota side by side
+const COMPARISON_FORMATTERS = {
+    penduduk: (value) => (Number.isFinite(value) ? `${utils.formatNumber(value)} jiwa` : 'N/A'),
+    luas: utils.formatArea,
+    density: (value) => (Number.isFinite(value) ? `${utils.formatNumber(Math.round(value * 10) / 10)} jiwa/km²` : 'N/A'),
+    elv: utils.formatElevation,
+    tz: utils.formatTimezone,
+    ibukota: (value) => value || 'N/A',
+    children: (value) => (Number.isFinite(value) ? utils.formatNumber(value) : 'N/A')
+};
+
+const COMPARISON_CHILD_LABELS = {
+    province: 'kabupaten/kota',
+    city: 'kecamatan'
+};
+
+const comparisonManager = {
+    pinboard: createPinboard(),
+    // Leaflet layer per pinned region key
+    layers: {},
+    group: null,
+    loading: new Set(),
+
+    init() {
+        this.group = L.featureGroup().addTo(map);
+
+        const pinButton = document.getElementById('compare-pin');
+        if (pinButton) {
+            pinButton.addEventListener('click', () => this.pinSelection());
+        }
+
+        const clearButton = document.getElementById('compare-clear');
+        if (clearButton) {
+            clearButton.addEventListener('click', () => this.clear());
+        }
+
+        const table = document.getElementById('comparison-table');
+        if (table) {
+            table.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-unpin]');
+                if (button) {
+                    this.unpin(button.dataset.unpin);
+                }
+            });
+        }
+    },
+
+    // Pins the most specific selected province or kabupaten/kota
+    pinSelection() {
+        const level = selectedLocation.city ? 'city' : selectedLocation.province ? 'province' : null;
+        if (!level) {
+            this.setStatus('Pilih provinsi atau kabupaten/kota terlebih dahulu.', true);
+            return;
+        }
+        this.pin(level, selectedLocation[level]);
+    },
+
+    async pin(level, code) {
+        const key = regionKey(level, code);
+        if (this.pinboard.has(key) || this.loading.has(key)) {
+            this.setStatus('Wilayah ini sudah disematkan.');
+            return;
+        }
+        if (this.pinboard.size + this.loading.size >= this.pinboard.max) {
+            this.setStatus(`Maksimal ${this.pinboard.max} wilayah dapat dibandingkan.`, true);
+            return;
+        }
+
+        this.loading.add(key);
+        this.setStatus('Memuat data wilayah...');
+        try {
+            const entry = this.pinboard.add(await this.loadRegion(level, code));
+            this.draw(entry);
+            this.setStatus(`${entry.name} disematkan (${this.pinboard.size} wilayah).`);
+        } catch (error) {
+            console.error('Error pinning region:', error);
+            this.setStatus(`Gagal memuat wilayah: ${error.message}`, true);
+        } finally {
+            this.loading.delete(key);
+            this.render();
+        }
+    },
+
+    // Detail and geo fields merged, plus the number of child regions
+    async loadRegion(level, code) {
+        const [detail, geo, childCount] = await Promise.all([
+            level === 'province' ? apiService.getProvinceDetail(code) : apiService.getCityDetail(code),
+            level === 'province' ? apiService.getProvinceGeo(code) : apiService.getCityGeo(code),
+            apiService.getChildCount(level, code)
+        ]);
+
+        const record = { ...detail.data, ...geo.data };
+        return {
+            level,
+            code,
+            name: record[REGION_LEVELS[level].name] || code,
+            record,
+            childCount
+        };
+    },
+
+    unpin(key) {
+        this.pinboard.remove(key);
+        if (this.layers[key]) {
+            this.group.removeLayer(this.layers[key]);
+            delete this.layers[key];
+        }
+        this.setStatus('');
+        this.render();
+    },
+
+    clear() {
+        this.pinboard.clear();
+        this.group.clearLayers();
+        this.layers = {};
+        this.setStatus('');
+        this.render();
+    },
+
+    // Boundary in the region's color, or a marker when there is no path
+    draw(entry) {
+        const { record, color } = entry;
+        let layer = null;
+        if (record.path) {
+            try {
+                layer = L.geoJSON(pathToFeature(record.path, { name: entry.name }), {
+                    style: { color, weight: 3, fillColor: color, fillOpacity: 0.15 }
+                });
+            } catch (error) {
+                console.error('Error drawing comparison boundary:', error);
+            }
+        }
+        if (!layer && Number.isFinite(record.lat) && Number.isFinite(record.lng)) {
+            layer = L.circleMarker([record.lat, record.lng], { radius: 8, color, fillColor: color, fillOpacity: 0.7 });
+        }
+        if (!layer) return;
+
+        layer.bindTooltip(utils.escapeHtml(entry.name), { sticky: true });
+        this.layers[entry.key] = layer;
+        this.group.addLayer(layer);
+        map.fitBounds(this.group.getBounds(), { padding: [20, 20] });
+    },
+
+    render() {
+        const panel = document.getElementById('comparison-panel');
+        const container = document.getElementById('comparison-table');
+        if (!panel || !container) return;
+
+        const regions = this.pinboard.list();
+        panel.classList.toggle('hidden', regions.length === 0);
+        if (regions.length === 0) {
+            container.innerHTML = '';
+            return;
+        }
+
+        const header = regions.map((region) => `
+            <th class="px-3 py-2 text-left font-semibold whitespace-nowrap" style="border-bottom: 3px solid ${region.color}">
+                <span class="inline-block w-3 h-3 rounded-full mr-1" style="background: ${region.color}"></span>${utils.escapeHtml(region.name)}
+                <span class="block text-xs font-normal text-gray-500">${region.level === 'province' ? 'Provinsi' : 'Kab/Kota'} · ${utils.escapeHtml(region.code)}</span>
+                <button data-unpin="${utils.escapeHtml(region.key)}" class="text-xs text-red-600 hover:underline font-normal">Lepas</button>
+            </th>`).join('');
+
+        const rows = compareRegions(regions).map((row) => {
+            const label = row.key === 'children'
+                ? `${row.label} <span class="text-xs text-gray-500">(${[...new Set(regions.map((region) => COMPARISON_CHILD_LABELS[region.level]))].join(' / ')})</span>`
+                : row.label;
+            const cells = row.values.map((value, index) => {
+                let marker = '';
+                if (index === row.highest) marker = ' <span class="text-green-700" title="Tertinggi">▲</span>';
+                if (index === row.lowest) marker = ' <span class="text-red-600" title="Terendah">▼</span>';
+                return `<td class="px-3 py-2 whitespace-nowrap">${utils.escapeHtml(COMPARISON_FORMATTERS[row.key](value))}${marker}</td>`;
+            }).join('');
+            return `<tr class="border-t"><th class="px-3 py-2 text-left font-medium text-gray-700 whitespace-nowrap">${label}</th>${cells}</tr>`;
+        }).join('');
+
+        container.innerHTML = `
+            <table class="min-w-full">
+                <thead><tr><th></th>${header}</tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    },
+
+    setStatus(message, isError = false) {
+        const statusElement = document.getElementById('compare-status');
+        if (statusElement) {
+            statusElement.textContent = message;
+            statusElement.className = `text-xs ${isError ? 'text-red-600' : 'text-gray-500'}`;
+        }
+    }
+};
+
+// Hierarchy tree browser, kept in sync with the selectors both ways
+const treeManager = {
+    tree: null,
+    focusedCode: null,
+    renderPending: false,
+    revealedSelection: null,
+
+    init() {
+        const container = document.getElementById('hierarchy-tree');
+        const panel = document.getElementById('hierarchy-panel');
+        if (!container || !panel) return;
+
+        this.tree = createHierarchyTree({
+            loadChildren: (node, options) => this.loadChildren(node, options),
+            countChildren: (node) => apiService.getChildCount(node.level, node.code),
+            onChange: () => this.scheduleRender()
+        });
+
+        container.addEventListener('click', (e) => {
+            const item = e.target.closest('[role="treeitem"]');
+            if (!item) return;
+            this.focusedCode = item.dataset.code;
+            if (e.target.closest('[data-tree-toggle]')) {
+                this.run(this.tree.toggle(item.dataset.code));
+            } else {
+                this.select(item.dataset.code);
+            }
+        });
+        container.addEventListener('keydown', (e) => this.onKeyDown(e));
+
+        // Nothing is loaded until the panel is first opened
+        panel.addEventListener('toggle', () => {
+            if (panel.open) {
+                this.onSelectionChange();
+            }
+        });
+    },
+
+    isOpen() {
+        const panel = document.getElementById('hierarchy-panel');
+        return Boolean(this.tree && panel && panel.open);
+    },
+
+    loadChildren(node, options) {
+        switch (childLevel(node.level)) {
+            case 'province':
+                return apiService.fetchAll('getProvinces', {}, options);
+            case 'city':
+                return apiService.getAllCities(node.code, options);
+            case 'district':
+                return apiService.getAllDistricts(node.code, options);
+            default:
+                return apiService.getAllVillages(node.code, options);
+        }
+    },
+
+    // Failures are kept on the node (shown as a warning icon); expanding
+    // it again retries
+    run(promise) {
+        promise.catch((error) => {
+            console.error('Error loading tree level:', error);
+            this.setStatus(`Gagal memuat data: ${error.message}`, true);
+        });
+    },
+
+    selectedCode() {
+        const level = [...SELECTION_LEVELS].reverse().find((key) => selectedLocation[key]);
+        return level ? String(selectedLocation[level]) : null;
+    },
+
+    // Map → tree: expand down to the selected region and bring it into view
+    async onSelectionChange() {
+        if (!this.isOpen()) return;
+
+        const selection = { ...selectedLocation };
+        try {
+            this.setStatus('');
+            const code = await this.tree.reveal(selection);
+            const key = JSON.stringify(selection);
+            const changed = key !== this.revealedSelection;
+            this.revealedSelection = key;
+            if (code && changed) {
+                this.focusedCode = code;
+                this.render();
+                this.scrollToNode(code);
+            } else {
+                this.scheduleRender();
+            }
+        } catch (error) {
+            console.error('Error revealing selection in tree:', error);
+            this.setStatus(`Gagal memuat data: ${error.message}`, true);
+        }
+    },
+
+    // Tree → map: the selectors (and everything listening to them) follow
+    select(code) {
+        this.focusedCode = code;
+        this.scheduleRender();
+        mapManager.jumpTo(this.tree.pathOf(code));
+    },
+
+    onKeyDown(e) {
+        const item = e.target.closest('[role="treeitem"]');
+        if (!item || e.altKey || e.ctrlKey || e.metaKey) return;
+
+        const action = keyAction(e.key, item.dataset.code, this.tree.visible());
+        if (!action) return;
+        e.preventDefault();
+
+        switch (action.type) {
+            case 'focus':
+                this.focusNode(action.code);
+                break;
+            case 'expand':
+                this.run(this.tree.expand(action.code));
+                break;
+            case 'collapse':
+                this.tree.collapse(action.code);
+                break;
+            case 'select':
+                this.select(action.code);
+                break;
+            case 'expandSiblings': {
+                const node = this.tree.get(action.code);
+                const parent = node.parentCode === null ? this.tree.root : this.tree.get(node.parentCode);
+                parent.children.forEach((code) => this.run(this.tree.expand(code)));
+                break;
+            }
+        }
+    },
+
+    focusNode(code) {
+        this.focusedCode = code;
+        this.render();
+        const item = document.getElementById(`tree-node-${code}`);
+        if (item) {
+            item.focus();
+        }
+    },
+
+    scrollToNode(code) {
+        const container = document.getElementById('hierarchy-tree');
+        const item = document.getElementById(`tree-node-${code}`);
+        if (container && item) {
+            container.scrollTop = item.offsetTop - container.clientHeight / 2;
+        }
+    },
+
+    scheduleRender() {
+        if (this.renderPending) return;
+        this.renderPending = true;
+        requestAnimationFrame(() => {
+            this.renderPending = false;
+            this.render();
+        });
+    },
+
+    render() {
+        const container = document.getElementById('hierarchy-tree');
+        if (!container || !this.isOpen()) return;
+
+        const rows = this.tree.visible();
+        const selectedCode = this.selectedCode();
+        if (!rows.some(({ node }) => node.code === this.focusedCode)) {
+            this.focusedCode = rows.length > 0 ? rows[0].node.code : null;
+        }
+        const hadFocus = container.contains(document.activeElement);
+
+        if (rows.length === 0) {
+            const { root } = this.tree;
+            container.innerHTML = `<li class="p-2 text-gray-500">${root.error ? 'Gagal memuat provinsi.' : 'Memuat provinsi...'}</li>`;
+            return;
+        }
+
+        container.innerHTML = rows.map(({ node, depth, posInSet, setSize }) => {
+            const expandable = childLevel(node.level) !== null && node.count !== 0;
+            const selected = node.code === selectedCode;
+            let icon = '';
+            if (node.loading) icon = 'fa-spinner fa-spin';
+            else if (node.error) icon = 'fa-exclamation-triangle text-red-600';
+            else if (expandable) icon = node.expanded ? 'fa-chevron-down' : 'fa-chevron-right';
+
+            return `
+                <li
+                    role="treeitem"
+                    id="tree-node-${node.code}"
+                    data-code="${node.code}"
+                    aria-level="${depth}"
+                    aria-posinset="${posInSet}"
+                    aria-setsize="${setSize}"
+                    aria-selected="${selected}"
+                    ${expandable ? `aria-expanded="${node.expanded}"` : ''}
+                    tabindex="${node.code === this.focusedCode ? 0 : -1}"
+                    ${node.error ? `title="${utils.escapeHtml(node.error.message)}"` : ''}
+                    class="flex items-center py-0.5 pr-1 rounded cursor-pointer hover:bg-gray-100 focus:outline-none focus:ring-2 focus:ring-blue-400 ${selected ? 'bg-blue-100 font-semibold' : ''}"
+                    style="padding-left: ${(depth - 1) * 1}rem"
+                >
+                    <span data-tree-toggle class="w-5 text-center text-xs text-gray-500"><i class="fas ${icon}"></i></span>
+                    <span class="flex-1 truncate">${utils.escapeHtml(node.name)}</span>
+                    ${expandable && node.count !== null ? `<span class="ml-2 text-xs text-gray-500">${utils.formatNumber(node.count)}</span>` : ''}
+                </li>
+            `;
+        }).join('');
+
+        if (hadFocus && this.focusedCode) {
+            const item = document.getElementById(`tree-node-${this.focusedCode}`);
+            if (item) {
+                item.focus();
+            }
+        }
+    },
+
+    setStatus(message, isError = false) {
+        const statusElement = document.getElementById('hierarchy-status');
+        if (statusElement) {
+            statusElement.textContent = message;
+            statusElement.className = `text-xs mt-1 ${isError ? 'text-red-600' : 'text-gray-500'}`;
+        }
+    }
+};
+
+// Search functionality
+const SEARCH_LEVEL_LABELS = {
+    province: 'Provinsi',
+    city: 'Kab/Kota',
+    district: 'Kecamatan',
+    village: 'Desa/Kel',
+    island: 'Pulau'
+};
+
+const searchManager = {
+    index: null,
+    indexPromise: null,
+    codeResolver: null,
+    searchController: null,
+    provinceNames: new Map(),
+    cityNames: new Map(),
+    results: [],
+    activeIndex: -1,
+
+    init() {
+        const input = document.getElementById('region-search');
+        const list = document.getElementById('region-search-results');
+        if (!input || !list) return;
+
+        this.codeResolver = createCodeResolver({ client });
+        const runSearch = utils.debounce((query) => this.search(query), 250);
+        input.addEventListener('focus', () => this.ensureIndex().catch(() => {}));
+        input.addEventListener('input', (e) => runSearch(e.target.value));
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                e.preventDefault();
+                const step = e.key === 'ArrowDown' ? 1 : -1;
+                const count = this.results.length;
+                if (count > 0) {
+                    this.activeIndex = (this.activeIndex + step + count) % count;
+                    this.renderResults();
+                }
+            } else if (e.key === 'Enter') {
+                e.preventDefault();
+                const result = this.results[Math.max(0, this.activeIndex)];
+                if (result) this.choose(result);
+            } else if (e.key === 'Escape') {
+                this.hideResults();
+            }
+        });
+
+        list.addEventListener('mousedown', (e) => {
+            // mousedown rather than click: it fires before the input's blur
+            const item = e.target.closest('[data-result-index]');
+            if (item) {
+                e.preventDefault();
+                this.choose(this.results[Number(item.dataset.resultIndex)]);
+            }
+        });
+        input.addEventListener('blur', () => this.hideResults());
+    },
+
+    // Provinces and kabupaten/kota are few enough (~550) to search locally
+    ensureIndex() {
+        if (!this.indexPromise) {
+            this.indexPromise = this.buildIndex().catch(error => {
+                this.indexPromise = null;
+                throw error;
+            });
+        }
+        return this.indexPromise;
+    },
+
+    async buildIndex() {
+        const [provinces, cities] = await Promise.all([
+            apiService.fetchAll('getProvinces'),
+            apiService.fetchAll('getCities')
+        ]);
+        this.provinceNames = new Map(provinces.map(province => [province.kode_provinsi, province.nama_provinsi]));
+        this.cityNames = new Map(cities.map(city => [city.kode_kabupaten_kota, city.nama_kabupaten_kota]));
+
+        this.index = createSearchIndex([
+            ...provinces.map(province => this.toEntry('province', province)),
+            ...cities.map(city => this.toEntry('city', city))
+        ]);
+        return this.index;
+    },
+
+    // SearchEntry for a record, with the names of its ancestors as the path
+    toEntry(level, record) {
+        const codes = {
+            province: record.kode_provinsi ? String(record.kode_provinsi) : null,
+            city: record.kode_kabupaten_kota ? String(record.kode_kabupaten_kota) : null,
+            district: record.kode_kecamatan ? String(record.kode_kecamatan) : null,
+            village: record.kode_desa_kelurahan ? String(record.kode_desa_kelurahan) : null
+        };
+        const path = [
+            level !== 'province' && this.provinceNames.get(codes.province),
+            level !== 'city' && level !== 'province' && this.cityNames.get(codes.city),
+            level === 'village' && record.nama_kecamatan
+        ].filter(Boolean);
+
+        if (level === 'island') {
+            return { level, code: String(record.id), name: record.nama_pulau, path, codes, record };
+        }
+        return {
+            level,
+            code: codes[level],
+            name: record[REGION_LEVELS[level].name],
+            path,
+            codes,
+            record
+        };
+    },
+
+    // The API only matches substrings, so a misspelt query is retried with
+    // a broader term and the candidates ranked locally
+    async searchRemote(method, level, query, signal) {
+        try {
+            for (const broad of [false, true]) {
+                const search = remoteSearchTerm(query, { broad });
+                if (search.length < 3) return [];
+                const response = await apiService.searchList(method, search, { limit: 100, signal });
+                const entries = (response.data || []).map(record => this.toEntry(level, record));
+                const ranked = rankEntries(entries, query, { limit: 5 });
+                if (ranked.length > 0) return ranked;
+            }
+            return [];
+        } catch (error) {
+            if (isAbortError(error)) throw error;
+            console.warn(`Search in ${method} failed:`, error);
+            return [];
+        }
+    },
+
+    async search(query) {
+        if (this.searchController) {
+            this.searchController.abort();
+        }
+        this.searchController = new AbortController();
+        const { signal } = this.searchController;
+
+        if (!query.trim()) {
+            this.results = [];
+            this.hideResults();
+            return;
+        }
+
+        try {
+            this.setStatus('Mencari...');
+            const index = await this.ensureIndex();
+            if (isValidCode(query)) {
+                await this.searchCode(query, signal);
+                return;
+            }
+
+            const local = index.search(query, { limit: 8 });
+            const remote = await Promise.all([
+                this.searchRemote('getDistricts', 'district', query, signal),
+                this.searchRemote('getVillages', 'village', query, signal),
+                this.searchRemote('getIslands', 'island', query, signal)
+            ]);
+
+            if (signal.aborted) return;
+            this.results = [...local, ...remote.flat()]
+                .sort((a, b) => b.score - a.score)
+                .slice(0, 12);
+            this.activeIndex = this.results.length > 0 ? 0 : -1;
+            this.renderResults();
+        } catch (error) {
+            if (isAbortError(error)) return;
+            console.error('Search error:', error);
+            this.setStatus(`Pencarian gagal: ${error.message}`);
+        }
+    },
+
+    // A code ("32.04.05" or "320405") is looked up rather than matched by name
+    async searchCode(query, signal) {
+        const [result] = await this.codeResolver.resolve([query], { signal });
+        if (signal.aborted) return;
+        this.results = result.exists ? [{ ...this.toEntry(result.level, result.record), score: 1 }] : [];
+        this.activeIndex = this.results.length > 0 ? 0 : -1;
+        if (this.results.length > 0) {
+            this.renderResults();
+        } else {
+            this.setStatus(result.error || 'Tidak ada hasil');
+        }
+    },
+
+    renderResults() {
+        const list = document.getElementById('region-search-results');
+        if (!list) return;
+
+        if (this.results.length === 0) {
+            this.setStatus('Tidak ada hasil');
+            return;
+        }
+
+        list.innerHTML = this.results.map((result, index) => `
+            <li data-result-index="${index}" class="px-3 py-2 cursor-pointer ${index === this.activeIndex ? 'bg-blue-50' : 'hover:bg-gray-50'}">
+                <div class="flex items-center gap-2">
+                    <span class="text-xs font-semibold uppercase text-blue-700 bg-blue-100 rounded px-1">${SEARCH_LEVEL_LABELS[result.level]}</span>
+                    <span class="font-medium text-gray-800">${utils.escapeHtml(result.name)}</span>
+                </div>
+                ${result.path.length > 0 ? `<div class="text-xs text-gray-500">${utils.escapeHtml(result.path.join(' › '))}</div>` : ''}
+            </li>
+        `).join('');
+        list.classList.remove('hidden');
+    },
+
+    setStatus(message) {
+        const list = document.getElementById('region-search-results');
+        if (list) {
+            list.innerHTML = `<li class="px-3 py-2 text-sm text-gray-500">${utils.escapeHtml(message)}</li>`;
+            list.classList.remove('hidden');
+        }
+    },
+
+    hideResults() {
+        const list = document.getElementById('region-search-results');
+        if (list) {
+            list.classList.add('hidden');
+        }
+    },
+
+    async choose(result) {
+        const input = document.getElementById('region-search');
+        if (input) {
+            input.value = result.name;
+        }
+        this.hideResults();
+
+        const { codes } = result;
+        const target = {};
+        for (const level of SELECTION_LEVELS) {
+            if (!codes[level]) break;
+            target[level] = codes[level];
+            if (level === result.level) break;
+        }
+
+        const completed = await mapManager.jumpTo(target);
+        if (completed && result.level === 'island') {
+            mapManager.showIsland(result.record);
+        }
+    }
+};
+
+// Export functionality
+const exportManager = {
+    // What the list button downloads for the deepest selected level
+    childLists: {
+        none: { label: 'provinsi', load: () => apiService.fetchAll('getProvinces') },
+        province: { label: 'kabupaten/kota', load: (code) => apiService.getAllCities(code) },
+        city: { label: 'kecamatan', load: (code) => apiService.getAllDistricts(code) },
+        district: { label: 'desa/kelurahan', load: (code) => apiService.getAllVillages(code) }
+    },
+
+    init() {
+        document.querySelectorAll('[data-export-format]').forEach(button => {
+            button.addEventListener('click', () => this.exportSelection(button.dataset.exportFormat));
+        });
+
+        const listButton = document.getElementById('export-list');
+        if (listButton) {
+            listButton.addEventListener('click', () => this.exportChildList());
+        }
+
+        this.update();
+    },
+
+    getRegions() {
+        return SELECTION_LEVELS
+            .filter(level => mapManager.selectedRegions[level])
+            .map(level => toRegion(level, mapManager.selectedRegions[level]));
+    },
+
+    deepestLevel() {
+        const levels = SELECTION_LEVELS.filter(level => mapManager.selectedRegions[level]);
+        return levels.length > 0 ? levels[levels.length - 1] : 'none';
+    },
+
+    // Enables the buttons according to the current map selection
+    update() {
+        const hasSelection = this.getRegions().length > 0;
+        document.querySelectorAll('[data-export-format]').forEach(button => {
+            button.disabled = !hasSelection;
+        });
+
+        const listButton = document.getElementById('export-list');
+        if (listButton) {
+            const childList = this.childLists[this.deepestLevel()];
+            listButton.disabled = !childList;
+            listButton.querySelector('span').textContent = childList
+                ? `Daftar ${childList.label} (CSV)`
+                : 'Tidak ada wilayah turunan';
+        }
+    },
+
+    filenameFor(level, code, name) {
+        const slug = String(name || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+        return ['indonesian-maps', level, code, slug].filter(Boolean).join('-');
+    },
+
+    exportSelection(format) {
+        const regions = this.getRegions();
+        if (regions.length === 0) return;
+
+        const deepest = regions[regions.length - 1];
+        const { extension, mimeType } = EXPORT_FORMATS[format];
+        try {
+            downloadFile(
+                `${this.filenameFor(deepest.level, deepest.code, deepest.name)}.${extension}`,
+                serializeRegions(format, regions),
+                mimeType
+            );
+            this.setStatus(`${regions.length} wilayah diekspor sebagai ${format.toUpperCase()}.`);
+        } catch (error) {
+            console.error('Error exporting selection:', error);
+            this.setStatus(`Ekspor gagal: ${error.message}`, true);
+        }
+    },
+
+    async exportChildList() {
+        const level = this.deepestLevel();
+        const childList = this.childLists[level];
+        if (!childList) return;
+
+        const parent = mapManager.selectedRegions[level];
+        const parentCode = parent ? parent[REGION_LEVELS[level].code] : null;
+        const parentName = parent ? parent[REGION_LEVELS[level].name] : 'indonesia';
+
+        try {
+            this.setStatus(`Mengunduh daftar ${childList.label}...`);
+            const rows = await childList.load(parentCode);
+            downloadFile(
+                `${this.filenameFor(childList.label.replace('/', '-'), parentCode, parentName)}.csv`,
+                toCSV(rows),
+                EXPORT_FORMATS.csv.mimeType
+            );
+            this.setStatus(`${rows.length} ${childList.label} diekspor sebagai CSV.`);
+        } catch (error) {
+            console.error('Error exporting list:', error);
+            this.setStatus(`Ekspor gagal: ${error.message}`, true);
+        }
+    },
+
+    setStatus(message, isError = false) {
+        const statusElement = document.getElementById('export-status');
+        if (statusElement) {
+            statusElement.textContent = message;
+            statusElement.className = `text-xs mt-2 ${isError ? 'text-red-600' : 'text-gray-500'}`;
+        }
+    }
+};
+
+// Visualization functionality
+const CHOROPLETH_METRICS = {
+    penduduk: {
+        label: 'Penduduk',
+        unit: 'jiwa',
+        palette: 'YlOrRd',
+        value: (record) => record.penduduk
+    },
+    luas: {
+        label: 'Luas',
+        unit: 'km²',
+        palette: 'Greens',
+        value: (record) => record.luas
+    },
+    density: {
+        label: 'Kepadatan',
+        unit: 'jiwa/km²',
+        palette: 'Blues',
+        value: density
+    }
+};
+
+const visualizationManager = {
+    isInitialized: false,
+    choroplethMap: null,
+    choroplethLayer: null,
+    choroplethCanvas: null,
+    legendControl: null,
+    loadController: null,
+    provinces: [],
+    records: [],
+    scope: null, // null for all provinces, else the province code whose kabupaten/kota are shown
+
+    init() {
+        if (this.isInitialized) return; // Prevent double initialization
+        this.isInitialized = true;
+
+        const container = document.getElementById('choropleth-map');
+        if (!container) return;
+
+        this.choroplethMap = L.map(container, { scrollWheelZoom: false }).fitBounds(CONFIG.INDONESIA_BOUNDS);
+        createTileLayer(CONFIG.TILE_PROVIDERS.light).addTo(this.choroplethMap);
+
+        this.legendControl = L.control({ position: 'bottomright' });
+        this.legendControl.onAdd = () => L.DomUtil.create('div', 'choropleth-legend bg-white rounded shadow p-2 text-xs');
+        this.legendControl.addTo(this.choroplethMap);
+
+        ['choropleth-metric', 'choropleth-method'].forEach(id => {
+            const select = document.getElementById(id);
+            if (select) {
+                select.addEventListener('change', () => this.renderChoropleth());
+            }
+        });
+
+        const scopeSelect = document.getElementById('choropleth-scope');
+        if (scopeSelect) {
+            scopeSelect.addEventListener('change', (e) => this.loadScope(e.target.value || null));
+        }
+
+        this.loadScope(null);
+        chartManager.init();
+    },
+
+    async loadScope(provinceCode) {
+        if (this.loadController) {
+            this.loadController.abort();
+        }
+        this.loadController = new AbortController();
+        const { signal } = this.loadController;
+
+        this.setStatus(provinceCode ? 'Memuat data kabupaten/kota...' : 'Memuat data provinsi...');
+        try {
+            const records = provinceCode
+                ? await apiService.getCitiesWithGeo(provinceCode, { signal })
+                : await apiService.getProvincesWithGeo({ signal });
+
+            if (!provinceCode) {
+                this.provinces = records;
+                this.populateScopeSelector();
+            }
+            this.scope = provinceCode;
+            this.records = records;
+            this.syncScopeSelector();
+            this.renderChoropleth({ fit: true });
+            this.setStatus('');
+        } catch (error) {
+            if (isAbortError(error)) return;
+            console.error('Error loading choropleth data:', error);
+            this.setStatus(`Gagal memuat data: ${error.message}`, true);
+        }
+    },
+
+    populateScopeSelector() {
+        const selector = document.getElementById('choropleth-scope');
+        if (!selector) return;
+
+        selector.innerHTML = '<option value="">Semua provinsi</option>';
+        this.provinces.forEach(province => {
+            const option = document.createElement('option');
+            option.value = province.kode_provinsi;
+            option.textContent = province.nama_provinsi;
+            selector.appendChild(option);
+        });
+    },
+
+    syncScopeSelector() {
+        const selector = document.getElementById('choropleth-scope');
+        if (selector) {
+            selector.value = this.scope || '';
+        }
+    },
+
+    currentMetric() {
+        const select = document.getElementById('choropleth-metric');
+        return CHOROPLETH_METRICS[select ? select.value : 'penduduk'] || CHOROPLETH_METRICS.penduduk;
+    },
+
+    currentMethod() {
+        const select = document.getElementById('choropleth-method');
+        return select ? select.value : 'quantile';
+    },
+
+    renderChoropleth({ fit = false } = {}) {
+        if (!this.choroplethMap) return;
+
+        const level = this.scope ? 'city' : 'province';
+        const metric = this.currentMetric();
+        const classification = createClassification(this.records.map(metric.value), {
+            method: this.currentMethod(),
+            palette: metric.palette
+        });
+
+        const features = this.records
+            .map(record => {
+                const { path, ...properties } = record;
+                return pathToFeature(path, properties);
+            })
+            .filter(Boolean);
+
+        if (this.choroplethLayer) {
+            this.choroplethMap.removeLayer(this.choroplethLayer);
+        }
+        // All provinces at once come to hundreds of islands: those go on a canvas
+        const collection = { type: 'FeatureCollection', features };
+        const options = {};
+        if (polygonCount(collection) >= CONFIG.CANVAS_MIN_POLYGONS) {
+            this.choroplethCanvas = this.choroplethCanvas || L.canvas({ padding: 0.5 });
+            options.renderer = this.choroplethCanvas;
+        }
+        this.choroplethLayer = L.geoJSON(collection, {
+            ...options,
+            style: (feature) => ({
+                fillColor: classification.colorFor(metric.value(feature.properties)),
+                fillOpacity: 0.8,
+                color: '#ffffff',
+                weight: 1
+            }),
+            onEachFeature: (feature, layer) => {
+                const fields = REGION_LEVELS[level];
+                const value = metric.value(feature.properties);
+                layer.bindTooltip(`
+                    <strong>${utils.escapeHtml(feature.properties[fields.name])}</strong><br>
+                    ${metric.label}: ${this.formatMetricValue(value, metric)}
+                `, { sticky: true });
+
+                layer.on({
+                    mouseover: (e) => {
+                        e.target.setStyle({ weight: 3, color: '#374151' });
+                        e.target.bringToFront();
+                    },
+                    mouseout: (e) => this.choroplethLayer.resetStyle(e.target),
+                    click: () => {
+                        // Drill down from a province into its kabupaten/kota
+                        if (level === 'province') {
+                            this.loadScope(String(feature.properties[fields.code]));
+                        }
+                    }
+                });
+            }
+        }).addTo(this.choroplethMap);
+
+        if (fit && features.length > 0) {
+            this.choroplethMap.fitBounds(this.choroplethLayer.getBounds());
+        }
+
+        const missing = this.records.length - this.records.filter(record => Number.isFinite(metric.value(record))).length;
+        this.renderLegend(classification, metric, missing);
+    },
+
+    renderLegend(classification, metric, missing) {
+        const container = this.legendControl && this.legendControl.getContainer();
+        if (!container) return;
+
+        const rows = classification.legend().map(({ from, to, color }) => `
+            <div class="flex items-center gap-2">
+                <span style="background:${color}" class="inline-block w-4 h-3 border border-gray-300"></span>
+                <span>${this.formatMetricValue(from, metric)} – ${this.formatMetricValue(to, metric)}</span>
+            </div>
+        `);
+        if (missing > 0) {
+            rows.push(`
+                <div class="flex items-center gap-2">
+                    <span style="background:${NO_DATA_COLOR}" class="inline-block w-4 h-3 border border-gray-300"></span>
+                    <span>Tidak ada data (${missing})</span>
+                </div>
+            `);
+        }
+
+        container.innerHTML = `<div class="font-semibold mb-1">${metric.label} (${metric.unit})</div>${rows.join('')}`;
+    },
+
+    formatMetricValue(value, metric) {
+        if (!Number.isFinite(value)) return 'N/A';
+        const rounded = metric === CHOROPLETH_METRICS.density ? Math.round(value * 10) / 10 : Math.round(value);
+        return utils.formatNumber(rounded);
+    },
+
+    setStatus(message, isError = false) {
+        const statusElement = document.getElementById('choropleth-status');
+        if (statusElement) {
+            statusElement.textContent = message;
+            statusElement.className = `text-sm ${isError ? 'text-red-600' : 'text-gray-500'}`;
+        }
+    }
+};
+
+// Statistics dashboard
+const CHART_COLORS = ['#2563eb', '#16a34a', '#ea580c', '#7c3aed', '#db2777', '#0891b2', '#9ca3af'];
+
+const chartManager = {
+    isInitialized: false,
+    loadController: null,
+    scheduleRefresh: null,
+    // Country-wide data, loaded once and re-scoped in memory
+    provinces: null,
+    cities: null,
+    islands: null,
+
+    init() {
+        if (this.isInitialized) return;
+        if (!window.Chart || !document.getElementById('stats-dashboard')) return;
+        this.isInitialized = true;
+
+        this.scheduleRefresh = utils.debounce(() => this.refresh(), 300);
+        this.refresh();
+    },
+
+    // Called by mapManager whenever the map selection changes
+    onSelectionChange() {
+        if (this.isInitialized) {
+            this.scheduleRefresh();
+        }
+    },
+
+    async refresh() {
+        if (this.loadController) {
+            this.loadController.abort();
+        }
+        this.loadController = new AbortController();
+        const { signal } = this.loadController;
+        const provinceCode = selectedLocation.province;
+
+        this.setStatus('Memuat statistik...');
+        try {
+            if (!this.provinces) {
+                this.provinces = await apiService.getProvincesWithGeo({ signal });
+            }
+            if (!this.cities) {
+                this.cities = await apiService.fetchAll('getCities', {}, { signal });
+            }
+
+            const province = provinceCode
+                ? this.provinces.find(item => item.kode_provinsi === provinceCode)
+                : null;
+            const regions = province
+                ? await apiService.getCitiesWithGeo(provinceCode, { signal })
+                : this.provinces;
+            const scope = { province, regions, level: province ? 'city' : 'province' };
+
+            const scopeElement = document.getElementById('stats-scope');
+            if (scopeElement) {
+                scopeElement.textContent = province ? province.nama_provinsi : 'Seluruh Indonesia';
+            }
+
+            this.renderPopulationRanking(scope);
+            this.renderAreaPopulation(scope);
+            this.renderCityTypes(scope);
+            this.renderTimezones(scope);
+            this.setStatus('');
+
+            // Islands are the heaviest list (17K+ rows); render them last so
+            // a failure there leaves the other charts in place.
+            await this.refreshIslands(scope, signal);
+        } catch (error) {
+            if (isAbortError(error)) return;
+            console.error('Error loading statistics:', error);
+            this.setStatus(`Gagal memuat statistik: ${error.message}`, true);
+        }
+    },
+
+    async refreshIslands(scope, signal) {
+        try {
+            if (!this.islands) {
+                this.islands = await apiService.fetchAll('getIslands', {}, { signal });
+            }
+            this.renderIslandCounts(scope);
+        } catch (error) {
+            if (isAbortError(error)) throw error;
+            console.error('Error loading islands:', error);
+            this.setStatus(`Gagal memuat data pulau: ${error.message}`, true);
+        }
+    },
+
+    // Destroys the previous chart on `canvasId` (its type may change with the scope)
+    renderChart(canvasId, config) {
+        const canvas = document.getElementById(canvasId);
+        if (!canvas) return;
+
+        if (chartInstances[canvasId]) {
+            chartInstances[canvasId].destroy();
+        }
+        chartInstances[canvasId] = new Chart(canvas, {
+            ...config,
+            options: { responsive: true, maintainAspectRatio: false, ...config.options }
+        });
+    },
+
+    nameOf(record, level) {
+        return record[REGION_LEVELS[level].name];
+    },
+
+    renderPopulationRanking({ regions, level }) {
+        const ranking = rankBy(regions, record => record.penduduk);
+        this.renderChart('chart-population-ranking', {
+            type: 'bar',
+            data: {
+                labels: ranking.map(({ record }) => this.nameOf(record, level)),
+                datasets: [{
+                    label: 'Penduduk',
+                    data: ranking.map(({ value }) => value),
+                    backgroundColor: CHART_COLORS[0]
+                }]
+            },
+            options: {
+                indexAxis: 'y',
+                plugins: {
+                    legend: { display: false },
+                    tooltip: { callbacks: { label: (context) => `${utils.formatNumber(context.parsed.x)} jiwa` } }
+                },
+                scales: { y: { ticks: { autoSkip: false, font: { size: 10 } } } }
+            }
+        });
+    },
+
+    renderAreaPopulation({ regions, level }) {
+        const points = regions
+            .filter(record => record.luas > 0 && record.penduduk > 0)
+            .map(record => ({ x: record.luas, y: record.penduduk, name: this.nameOf(record, level) }));
+
+        this.renderChart('chart-area-population', {
+            type: 'scatter',
+            data: {
+                datasets: [{
+                    label: level === 'province' ? 'Provinsi' : 'Kabupaten/Kota',
+                    data: points,
+                    backgroundColor: CHART_COLORS[1]
+                }]
+            },
+            options: {
+                plugins: {
+                    legend: { display: false },
+                    tooltip: {
+                        callbacks: {
+                            label: (context) => `${context.raw.name}: ${utils.formatArea(context.raw.x)}, ${utils.formatPopulation(context.raw.y)} jiwa`
+                        }
+                    }
+                },
+                scales: {
+                    x: { type: 'logarithmic', title: { display: true, text: 'Luas (km²)' } },
+                    y: { type: 'logarithmic', title: { display: true, text: 'Penduduk' } }
+                }
+            }
+        });
+    },
+
+    renderCityTypes({ province }) {
+        const counts = cityTypesByProvince(this.cities);
+
+        if (province) {
+            const entry = counts.get(province.kode_provinsi) || { kabupaten: 0, kota: 0, other: 0 };
+            this.renderChart('chart-city-types', {
+                type: 'doughnut',
+                data: {
+                    labels: ['Kabupaten', 'Kota'],
+                    datasets: [{ data: [entry.kabupaten, entry.kota], backgroundColor: CHART_COLORS.slice(0, 2) }]
+                }
+            });
+            return;
+        }
+
+        const provinces = this.provinces.filter(item => counts.has(item.kode_provinsi));
+        this.renderChart('chart-city-types', {
+            type: 'bar',
+            data: {
+                labels: provinces.map(item => item.nama_provinsi),
+                datasets: [
+                    {
+                        label: 'Kabupaten',
+                        data: provinces.map(item => counts.get(item.kode_provinsi).kabupaten),
+                        backgroundColor: CHART_COLORS[0]
+                    },
+                    {
+                        label: 'Kota',
+                        data: provinces.map(item => counts.get(item.kode_provinsi).kota),
+                        backgroundColor: CHART_COLORS[1]
+                    }
+                ]
+            },
+            options: {
+                scales: {
+                    x: { stacked: true, ticks: { autoSkip: false, font: { size: 9 } } },
+                    y: { stacked: true }
+                }
+            }
+        });
+    },
+
+    renderIslandCounts({ province }) {
+        // Per province country-wide, per kabupaten/kota inside a province
+        const islands = province
+            ? this.islands.filter(island => island.kode_provinsi === province.kode_provinsi)
+            : this.islands;
+        const counts = countBy(islands, island => (province ? island.kode_kabupaten_kota : island.kode_provinsi));
+
+        const names = new Map(province
+            ? this.cities.map(city => [city.kode_kabupaten_kota, city.nama_kabupaten_kota])
+            : this.provinces.map(item => [item.kode_provinsi, item.nama_provinsi]));
+        const rows = Array.from(counts.entries()).sort((a, b) => b[1] - a[1]);
+
+        this.renderChart('chart-island-counts', {
+            type: 'bar',
+            data: {
+                labels: rows.map(([code]) => (code === null ? 'Tidak diketahui' : names.get(code) || code)),
+                datasets: [{
+                    label: 'Jumlah pulau',
+                    data: rows.map(([, count]) => count),
+                    backgroundColor: CHART_COLORS[2]
+                }]
+            },
+            options: {
+                plugins: { legend: { display: false } },
+                scales: { x: { ticks: { autoSkip: false, font: { size: 9 } } } }
+            }
+        });
+    },
+
+    renderTimezones({ regions }) {
+        const distribution = timezoneDistribution(regions);
+        this.renderChart('chart-timezones', {
+            type: 'pie',
+            data: {
+                labels: distribution.map(entry => entry.label),
+                datasets: [{
+                    data: distribution.map(entry => entry.count),
+                    backgroundColor: distribution.map((entry, index) => (entry.tz === null ? CHART_COLORS[6] : CHART_COLORS[index]))
+                }]
+            }
+        });
+    },
+
+    setStatus(message, isError = false) {
+        const statusElement = document.getElementById('stats-status');
+        if (statusElement) {
+            statusElement.textContent = message;
+            statusElement.className = `text-sm ${isError ? 'text-red-600' : 'text-gray-500'}`;
+        }
+    }
+};
+
+// Event listeners
+document.addEventListener('DOMContentLoaded', function () {
+    // Initialize core components immediately
+    apiSettingsManager.init();
+    offlineManager.init();
+
     if (document.getElementById('indonesia-map')) {
         mapManager.init();
+        baseLayerManager.init();
+        comparisonManager.init();
+        treeManager.init();
+        reverseGeocodeManager.init();
+        urlStateManager.init();
     }
 
     demoManager.init();
+    regionPickerManager.init();
+    addressManager.init();
+    searchManager.init();
+    exportManager.init();
 
     // Initialize visualization with lazy loading
     const visualizationSection = document.getElementById('visualization');
@@ -1084,8 +3685,7 @@ document.addEventListener('DOMContentLoaded', function () {
     const mapLayerSelector = document.getElementById('map-layer');
     if (mapLayerSelector) {
         mapLayerSelector.addEventListener('change', (e) => {
-            // This would be implemented if we had multiple tile layers
-            console.log('Map layer changed to:', e.target.value);
+            mapManager.setBaseLayer(e.target.value);
         });
     }
 
@@ -1095,7 +3695,8 @@ document.addEventListener('DOMContentLoaded', function () {
             e.preventDefault();
             const target = document.querySelector(this.getAttribute('href'));
             if (target) {
-                const navHeight = document.querySelector('.navbar').offsetHeight;
+                const navbar = document.querySelector('.navbar');
+                const navHeight = navbar ? navbar.offsetHeight : 0;
                 const targetPosition = target.offsetTop - navHeight - 20;
                 window.scrollTo({
                     top: targetPosition,
@@ -1140,7 +3741,19 @@ window.addEventListener('resize', utils.debounce(() => {
 }, 250));
 
 // Export for global access
+window.apiSettingsManager = apiSettingsManager;
+window.offlineManager = offlineManager;
 window.mapManager = mapManager;
 window.demoManager = demoManager;
+window.regionPickerManager = regionPickerManager;
+window.addressManager = addressManager;
+window.exportManager = exportManager;
+window.searchManager = searchManager;
+window.reverseGeocodeManager = reverseGeocodeManager;
+window.baseLayerManager = baseLayerManager;
+window.comparisonManager = comparisonManager;
+window.treeManager = treeManager;
+window.urlStateManager = urlStateManager;
 window.visualizationManager = visualizationManager;
+window.chartManager = chartManager;
 window.apiService = apiService;
\ No newline at end of file
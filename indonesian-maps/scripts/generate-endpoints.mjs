@@ -0,0 +1,207 @@
+// Indonesian Maps API - Endpoint catalog generator
+//
+// docs/openapi.json is the single description of the API. This script turns
+// it into js/endpoint-catalog.js, which the playground and the client SDK
+// import, so neither needs a JSON loader or a copy of the spec:
+//
+//   node scripts/generate-endpoints.mjs           # rewrite js/endpoint-catalog.js
+//   node scripts/generate-endpoints.mjs --check   # fail if stale or if the Postman collection drifted
+//
+// The check compares every request of the Postman collection with the spec:
+// unknown paths, query keys the operation does not take, example values
+// that fail a parameter's pattern, and operations without any request.
+
+import { readFile, writeFile } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+
+const root = new URL('../', import.meta.url);
+const SPEC_FILE = new URL('docs/openapi.json', root);
+const CATALOG_FILE = new URL('js/endpoint-catalog.js', root);
+const POSTMAN_FILE = new URL('docs/Indonesian_Maps_API.postman_collection.json', root);
+
+// Keys of a path item that are operations; the others (`parameters`,
+// `summary`, `servers`, ...) apply to all of them
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'patch', 'head', 'options', 'trace'];
+
+// Parameter keywords copied from the JSON schema into the catalog
+const SCHEMA_KEYWORDS = ['type', 'pattern', 'minimum', 'maximum', 'maxLength'];
+
+const readJSONFile = async (url) => JSON.parse(await readFile(url, 'utf8'));
+
+// Follows local `#/components/...` references
+const resolveRef = (spec, node) => {
+    if (!node || !node.$ref) return node;
+    if (!node.$ref.startsWith('#/')) throw new Error(`Only local references are supported: ${node.$ref}`);
+    const target = node.$ref.slice(2).split('/').reduce((value, key) => (value ? value[key] : undefined), spec);
+    if (!target) throw new Error(`Unresolved reference: ${node.$ref}`);
+    return resolveRef(spec, target);
+};
+
+const toParam = (spec, node) => {
+    const param = resolveRef(spec, node);
+    const schema = resolveRef(spec, param.schema) || {};
+    const entry = { name: param.name, in: param.in };
+    SCHEMA_KEYWORDS.forEach((keyword) => {
+        if (schema[keyword] !== undefined) entry[keyword] = schema[keyword];
+    });
+    if (param.required) entry.required = true;
+    const example = param.example !== undefined ? param.example : schema.example;
+    if (example !== undefined) entry.example = String(example);
+    if (param.description) entry.description = param.description;
+    return entry;
+};
+
+/** The catalog entries (see the Endpoint typedef in js/endpoints.js), in spec order. */
+export function buildCatalog(spec) {
+    const endpoints = [];
+    Object.entries(spec.paths).forEach(([path, item]) => {
+        HTTP_METHODS.filter((method) => item[method]).forEach((method) => {
+            const operation = item[method];
+            if (!operation.operationId) throw new Error(`${method.toUpperCase()} ${path} has no operationId`);
+            // An operation's own parameter replaces the path's one of the same name and location
+            const own = (operation.parameters || []).map((param) => resolveRef(spec, param));
+            const shared = (item.parameters || [])
+                .map((param) => resolveRef(spec, param))
+                .filter((param) => !own.some((other) => other.name === param.name && other.in === param.in));
+            const params = [...shared, ...own];
+            endpoints.push({
+                id: operation.operationId,
+                group: operation.tags && operation.tags.length > 0 ? operation.tags[0] : '',
+                summary: operation.summary || operation.operationId,
+                method: method.toUpperCase(),
+                // Paths are relative to the server URL, whose root is `/`
+                path: path === '/' ? '' : path,
+                entity: operation['x-entity'] || null,
+                params: params.map((param) => toParam(spec, param))
+            });
+        });
+    });
+    return endpoints;
+}
+
+export function renderCatalog(endpoints) {
+    const body = endpoints.map((endpoint) => `    ${JSON.stringify(endpoint)}`).join(',\n');
+    return `// Indonesian Maps API - Endpoint catalog (generated)
+//
+// Generated from docs/openapi.json by scripts/generate-endpoints.mjs. Do not
+// edit by hand: change the spec and run \`node scripts/generate-endpoints.mjs\`.
+
+/** @type {import('./endpoints.js').Endpoint[]} */
+export const ENDPOINTS = [
+${body}
+];
+`;
+}
+
+const postmanRequests = (items, folder = '') => items.flatMap((item) => (item.item
+    ? postmanRequests(item.item, item.name)
+    : [{ name: folder ? `${folder} / ${item.name}` : item.name, request: item.request }]));
+
+/**
+ * The endpoint whose template matches a concrete path (relative to the
+ * server URL) with its path parameter values, or null. The most specific
+ * template wins: `/provinsi/complete` is that literal path, not
+ * `/provinsi/{kode_provinsi}`.
+ * @returns {{ endpoint: object, values: Object<string, string>, literals: number }|null}
+ */
+export function matchEndpoint(endpoints, path) {
+    const segments = path.split('/').filter(Boolean);
+    let best = null;
+    endpoints.forEach((endpoint) => {
+        const template = endpoint.path.split('/').filter(Boolean);
+        if (template.length !== segments.length) return;
+        const values = {};
+        let literals = 0;
+        const matches = template.every((segment, index) => {
+            const name = /^\{(.+)\}$/.exec(segment);
+            if (name) {
+                values[name[1]] = decodeURIComponent(segments[index]);
+                return true;
+            }
+            literals++;
+            return segment === segments[index];
+        });
+        if (matches && (!best || literals > best.literals)) best = { endpoint, values, literals };
+    });
+    return best;
+}
+
+/** Differences between the Postman collection and the catalog, one message each. */
+export async function postmanDrift(collection, endpoints, serverPath = '/indonesian-maps') {
+    const { validateParams } = await import('../js/endpoints.js');
+    const problems = [];
+    const covered = new Set();
+
+    postmanRequests(collection.item).forEach(({ name, request }) => {
+        const raw = typeof request.url === 'string' ? request.url : request.url.raw;
+        const url = new URL(raw.replace(/^\{\{base_url\}\}/, 'http://postman.invalid'));
+        const path = url.pathname.startsWith(serverPath) ? url.pathname.slice(serverPath.length) : null;
+        const match = path === null ? null : matchEndpoint(endpoints, path);
+        if (!match) {
+            problems.push(`${name}: ${request.method} ${url.pathname} is not in docs/openapi.json`);
+            return;
+        }
+
+        const { endpoint } = match;
+        covered.add(endpoint.id);
+        if (request.method !== endpoint.method) {
+            problems.push(`${name}: method ${request.method}, the spec says ${endpoint.method}`);
+        }
+
+        const values = { ...match.values };
+        url.searchParams.forEach((value, key) => {
+            if (!endpoint.params.some((param) => param.in === 'query' && param.name === key)) {
+                problems.push(`${name}: ${endpoint.id} takes no query parameter "${key}"`);
+                return;
+            }
+            values[key] = value;
+        });
+        const { errors } = validateParams(endpoint, values);
+        Object.entries(errors).forEach(([key, message]) => {
+            problems.push(`${name}: ${key}=${values[key] === undefined ? '' : values[key]} (${message})`);
+        });
+    });
+
+    endpoints.forEach((endpoint) => {
+        if (!covered.has(endpoint.id)) problems.push(`${endpoint.id}: ${endpoint.method} ${endpoint.path || '/'} has no request in the collection`);
+    });
+    return problems;
+}
+
+const readCurrentCatalog = async () => {
+    try {
+        return await readFile(CATALOG_FILE, 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    }
+};
+
+async function main(args) {
+    const spec = await readJSONFile(SPEC_FILE);
+    const source = renderCatalog(buildCatalog(spec));
+    const catalogPath = fileURLToPath(CATALOG_FILE);
+
+    if (!args.includes('--check')) {
+        await writeFile(CATALOG_FILE, source);
+        console.log(`Wrote ${catalogPath}`);
+        return 0;
+    }
+
+    if ((await readCurrentCatalog()) !== source) {
+        console.error(`${catalogPath} is out of date with docs/openapi.json; run node scripts/generate-endpoints.mjs`);
+        return 1;
+    }
+
+    const serverPath = new URL(spec.servers[0].url).pathname.replace(/\/+$/, '');
+    const problems = await postmanDrift(await readJSONFile(POSTMAN_FILE), buildCatalog(spec), serverPath);
+    problems.forEach((problem) => console.error(`Postman drift: ${problem}`));
+    if (problems.length > 0) return 1;
+
+    console.log('Endpoint catalog and Postman collection match docs/openapi.json');
+    return 0;
+}
+
+if (process.argv[1] && fileURLToPath(import.meta.url) === process.argv[1]) {
+    process.exitCode = await main(process.argv.slice(2));
+}
@@ -0,0 +1,112 @@
+// Indonesian Maps API - Service worker
+//
+// Keeps the site usable without a connection. The site's own files are
+// fetched from the network while it answers and from Cache Storage when it
+// does not; the CDN libraries (versioned URLs) come from the cache first.
+// API data is not cached here: the page answers API requests from its
+// offline dataset in IndexedDB when they fail (js/offline.js), and map
+// tiles still need the network.
+
+const VERSION = 'v2';
+const SHELL_CACHE = `indonesian-maps-shell-${VERSION}`;
+const CDN_CACHE = `indonesian-maps-cdn-${VERSION}`;
+
+// Relative to the worker's scope; test/offline.test.js checks that every
+// module in js/ is listed
+const SHELL_FILES = [
+    './',
+    'index.html',
+    'styles.css',
+    'script.js',
+    'js/address.js',
+    'js/boundary.js',
+    'js/cache.js',
+    'js/classify.js',
+    'js/client.js',
+    'js/codes.js',
+    'js/compare.js',
+    'js/endpoint-catalog.js',
+    'js/endpoints.js',
+    'js/environments.js',
+    'js/errors.js',
+    'js/export.js',
+    'js/geometry.js',
+    'js/offline.js',
+    'js/pagination.js',
+    'js/region-picker.js',
+    'js/request-history.js',
+    'js/reverse-geocode.js',
+    'js/schema.js',
+    'js/search.js',
+    'js/simplify-worker.js',
+    'js/simplify.js',
+    'js/snippets.js',
+    'js/stats.js',
+    'js/storage.js',
+    'js/tile-providers.js',
+    'js/tree.js',
+    'js/url-state.js'
+];
+
+const CDN_HOSTS = ['cdn.tailwindcss.com', 'unpkg.com', 'cdnjs.cloudflare.com', 'cdn.jsdelivr.net'];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then((cache) => cache.addAll(SHELL_FILES))
+            .then(() => self.skipWaiting())
+    );
+});
+
+// Caches of earlier versions are dropped once this one takes over
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then((keys) => Promise.all(keys
+                .filter((key) => key.startsWith('indonesian-maps-') && key !== SHELL_CACHE && key !== CDN_CACHE)
+                .map((key) => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+const networkFirst = async (request, fallbackUrl) => {
+    const cache = await caches.open(SHELL_CACHE);
+    try {
+        const response = await fetch(request);
+        if (response.ok) cache.put(request, response.clone());
+        return response;
+    } catch (error) {
+        // Pages keep their map state in the query string: any URL of the
+        // page is served by the cached page
+        const cached = await cache.match(request, { ignoreSearch: true }) || (fallbackUrl && await cache.match(fallbackUrl));
+        if (cached) return cached;
+        throw error;
+    }
+};
+
+const cacheFirst = async (request) => {
+    const cache = await caches.open(CDN_CACHE);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+    const response = await fetch(request);
+    // Opaque (no-cors) responses report status 0 but are still usable
+    if (response.ok || response.type === 'opaque') cache.put(request, response.clone());
+    return response;
+};
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+    const url = new URL(request.url);
+
+    if (url.origin === self.location.origin) {
+        if (request.mode === 'navigate') {
+            event.respondWith(networkFirst(request, 'index.html'));
+        } else if (request.destination) {
+            // Scripts, styles and images; fetch() calls (a local API) have no destination
+            event.respondWith(networkFirst(request));
+        }
+    } else if (CDN_HOSTS.includes(url.hostname)) {
+        event.respondWith(cacheFirst(request));
+    }
+});
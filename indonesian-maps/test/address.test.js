@@ -0,0 +1,159 @@
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { applySuggestion, createAddressResolver, formatAddress, parseAddress } from '../js/address.js';
+import { createResponseCache } from '../js/cache.js';
+import { createIndonesianMapsClient } from '../js/client.js';
+import { isAbortError } from '../js/errors.js';
+import { loadApp, waitFor } from './helpers/app.js';
+import { startMockServer } from './mock-server.js';
+
+const codesOf = (result) => [result.kode_provinsi, result.kode_kabupaten_kota, result.kode_kecamatan, result.kode_desa_kelurahan];
+
+describe('parseAddress', () => {
+    test('types parts by their prefixes and expands province abbreviations', () => {
+        const { parts, street, postalCode } = parseAddress('Ds. Pasirkaliki, Kec. Cicendo, Kota Bandung, Jabar');
+        assert.deepEqual(parts.map(({ level, kind, text }) => [level, kind, text]), [
+            ['village', 'desa', 'pasirkaliki'],
+            ['district', 'kecamatan', 'cicendo'],
+            ['city', 'kota', 'bandung'],
+            [null, null, 'jawa barat']
+        ]);
+        assert.deepEqual(street, []);
+        assert.equal(postalCode, null);
+    });
+
+    test('splits at type words and sets aside street, country and postal code', () => {
+        const { parts, street, postalCode } = parseAddress('Jl. Merdeka No. 5 RT 02/RW 03; Kel Cimekar Kecamatan Cileunyi\nKab Bandung, Indonesia 40623');
+        assert.deepEqual(parts.map(({ raw }) => raw), ['Kel Cimekar', 'Kecamatan Cileunyi', 'Kab Bandung']);
+        assert.deepEqual(street, ['Jl. Merdeka No. 5 RT 02/RW 03']);
+        assert.equal(postalCode, '40623');
+    });
+
+    test('formatAddress joins street, names and postal code', () => {
+        assert.equal(
+            formatAddress({ street: ['Jl. Merdeka 5'], names: ['Cimekar', 'Kecamatan Cileunyi'], postalCode: '40623' }),
+            'Jl. Merdeka 5, Cimekar, Kecamatan Cileunyi 40623'
+        );
+        assert.equal(formatAddress({}), '');
+    });
+});
+
+describe('address resolver', () => {
+    let server;
+    let resolver;
+
+    before(async () => {
+        server = await startMockServer({ port: 0 });
+        const client = createIndonesianMapsClient({ baseUrl: server.baseUrl, cache: createResponseCache() });
+        resolver = createAddressResolver({ client });
+    });
+
+    after(() => server.close());
+
+    test('resolves an abbreviated checkout address to every level', async () => {
+        const result = await resolver.resolve('Jl. Raya Cinunuk No. 12, Ds. Cimekar, Kec. Cileunyi, Kab. Bandung, Jabar 40623');
+
+        assert.deepEqual(codesOf(result), ['32', '32.04', '32.04.05', '32.04.05.2005']);
+        assert.equal(result.confidence, 1);
+        assert.deepEqual(result.city, { code: '32.04', name: 'Kabupaten Bandung', score: 1, alternatives: [], part: 'Kab. Bandung' });
+        assert.deepEqual(result.unmatched, []);
+        assert.equal(result.formatted, 'Jl. Raya Cinunuk No. 12, Cimekar, Kecamatan Cileunyi, Kabupaten Bandung, Jawa Barat 40623');
+    });
+
+    test('tolerates typos and infers the levels left out', async () => {
+        const result = await resolver.resolve('Cibiru Wetn, Cileunyi');
+
+        assert.deepEqual(codesOf(result), ['32', '32.04', '32.04.05', '32.04.05.2002']);
+        assert.equal(result.city.inferred, true);
+        assert.ok(result.village.score < 1);
+        assert.ok(result.confidence > 0.6 && result.confidence < 1, String(result.confidence));
+    });
+
+    test('an ambiguous name is settled by the part below it', async () => {
+        // "Bandung" names both Kabupaten Bandung and Kota Bandung; only the
+        // first has a kecamatan Cileunyi
+        const result = await resolver.resolve('Cileunyi Kulon, Cileunyi, Bandung, Jawa Barat');
+
+        assert.deepEqual(codesOf(result), ['32', '32.04', '32.04.05', '32.04.05.2003']);
+        assert.equal(result.confidence, 1);
+    });
+
+    test('stops at the deepest level named', async () => {
+        const result = await resolver.resolve('Kota Bandung');
+        assert.deepEqual(codesOf(result), ['32', '32.73', null, null]);
+        assert.equal(result.village, null);
+    });
+
+    test('suggests regions for the part being typed, favouring earlier parts', async () => {
+        const suggestions = await resolver.suggest('Jl. Mawar 3, cileunyi');
+
+        assert.equal(suggestions[0].level, 'district');
+        assert.equal(suggestions[0].code, '32.04.05');
+        assert.deepEqual(suggestions[0].path, ['Jawa Barat', 'Kabupaten Bandung']);
+        assert.deepEqual(suggestions[1].codes, {
+            kode_provinsi: '32',
+            kode_kabupaten_kota: '32.04',
+            kode_kecamatan: '32.04.05',
+            kode_desa_kelurahan: '32.04.05.2003'
+        });
+        assert.equal(
+            applySuggestion('Jl. Mawar 3, cileunyi 40623', suggestions[0]),
+            'Jl. Mawar 3, Kecamatan Cileunyi, Kabupaten Bandung, Jawa Barat 40623'
+        );
+        assert.deepEqual(await resolver.suggest(''), []);
+    });
+
+    test('an aborted resolution rejects with an AbortError', async () => {
+        const controller = new AbortController();
+        controller.abort();
+        await assert.rejects(resolver.resolve('Cimekar, Cileunyi', { signal: controller.signal }), isAbortError);
+    });
+});
+
+describe('address showcase', () => {
+    let server;
+    let app;
+    let document;
+
+    before(async () => {
+        server = await startMockServer({ port: 0 });
+        app = await loadApp({ apiBaseUrl: server.baseUrl });
+        ({ document } = app.window);
+    });
+
+    after(async () => {
+        await app.close();
+        await server.close();
+    });
+
+    test('choosing a suggestion completes the address and resolves it', async () => {
+        const { addressManager } = app.window;
+        const input = document.getElementById('address-input');
+        input.value = 'Jl. Mawar 3, cimek';
+        await addressManager.suggest(input.value);
+        const item = document.querySelector('#address-suggestions [data-suggestion-index="0"]');
+        assert.ok(item, 'no suggestion shown');
+
+        item.dispatchEvent(new app.window.MouseEvent('mousedown', { bubbles: true }));
+        assert.equal(input.value, 'Jl. Mawar 3, Cimekar, Kecamatan Cileunyi, Kabupaten Bandung, Jawa Barat');
+        await waitFor(() => document.getElementById('address-output').textContent.includes('"kode_desa_kelurahan": "32.04.05.2005"'), { message: 'resolved address' });
+        assert.match(document.getElementById('address-summary').textContent, /Keyakinan\s*100%/);
+    });
+
+    test('shows names from the API as text', () => {
+        const { addressManager } = app.window;
+        const name = '<img src=x onerror="window.injected = true">';
+        addressManager.suggestions = [{ level: 'village', name, path: [name] }];
+        addressManager.renderSuggestions();
+        const suggestions = document.getElementById('address-suggestions');
+        assert.equal(suggestions.querySelector('img'), null);
+        assert.equal(suggestions.querySelector('.font-medium').textContent, name);
+
+        addressManager.renderSummary({ village: { code: name, name }, confidence: 0.5 });
+        const summary = document.getElementById('address-summary');
+        assert.equal(summary.querySelector('img'), null);
+        assert.equal(summary.querySelector('.font-mono').textContent, name);
+        addressManager.hideSuggestions();
+    });
+});
@@ -0,0 +1,327 @@
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createBoundaryRenderer } from '../js/boundary.js';
+import { centroid } from '../js/geometry.js';
+import { FULL_DETAIL_ZOOM, createSimplifier } from '../js/simplify.js';
+import { loadApp, waitFor } from './helpers/app.js';
+import { startMockServer } from './mock-server.js';
+
+describe('map explorer in a headless DOM', () => {
+    let server;
+    let app;
+    let window;
+    let document;
+
+    const options = (id) => Array.from(document.getElementById(id).options).map((option) => option.value).filter(Boolean);
+    const boundaries = () => document.querySelectorAll('#indonesia-map path.leaflet-interactive').length;
+
+    before(async () => {
+        server = await startMockServer({ port: 0 });
+        app = await loadApp({ apiBaseUrl: server.baseUrl });
+        ({ window } = app);
+        ({ document } = window);
+        await window.mapManager.provincesLoaded;
+    });
+
+    after(async () => {
+        await app.close();
+        await server.close();
+    });
+
+    describe('apiService', () => {
+        test('loads every kabupaten/kota of a province across pages', async () => {
+            const cities = await window.apiService.getAllCities('32');
+            assert.equal(cities.length, 27);
+            assert.equal(cities[0].nama_kabupaten_kota, 'Kabupaten Bogor');
+        });
+
+        test('counts children from the list total', async () => {
+            assert.equal(await window.apiService.getChildCount('province', '32'), 27);
+            assert.equal(await window.apiService.getChildCount('district', '32.04.05'), 6);
+            assert.equal(await window.apiService.getChildCount('village', '32.04.05.2001'), null);
+        });
+
+        test('searches one list with the API search', async () => {
+            const { data } = await window.apiService.searchList('getCities', 'bandung');
+            assert.ok(data.every((city) => /bandung/i.test(city.nama_kabupaten_kota)));
+        });
+
+        test('rebuilds /complete from the list and per-record /geo while it fails', async () => {
+            const cities = await window.apiService.getCitiesWithGeo('32');
+            assert.equal(cities.length, 27);
+            const bandung = cities.find((city) => city.kode_kabupaten_kota === '32.04');
+            assert.equal(bandung.ibukota, 'Soreang');
+            assert.ok(Array.isArray(bandung.path));
+            assert.equal(cities.find((city) => city.kode_kabupaten_kota === '32.01').path, undefined);
+            assert.ok(app.warnings.some((message) => message.includes('Complete endpoint unavailable')));
+        });
+
+        test('asks a failing /complete once, without retries', async () => {
+            const complete = () => server.requests.filter((url) => url.includes('/provinsi/complete')).length;
+            await window.apiService.getProvincesWithGeo();
+            const provinces = await window.apiService.getProvincesWithGeo();
+            assert.equal(provinces.length, 38);
+            assert.equal(complete(), 1);
+        });
+    });
+
+    describe('apiSettingsManager', () => {
+        test('shows the server chosen with ?api= for this visit', () => {
+            assert.equal(document.getElementById('api-environment').value, '');
+            assert.equal(document.getElementById('api-base-url').textContent, server.baseUrl);
+            assert.equal(document.getElementById('api-environment-note').classList.contains('hidden'), false);
+            assert.equal(document.getElementById('api-host-label').textContent, new URL(server.baseUrl).host);
+        });
+
+        test('tests the connection to the chosen server', async () => {
+            await window.apiSettingsManager.testConnection();
+            assert.match(document.getElementById('api-environment-status').textContent, /^Terhubung/);
+        });
+
+        test('remembers a new choice and reloads without the override', () => {
+            const visited = [];
+            const { navigate } = window.apiSettingsManager;
+            window.apiSettingsManager.navigate = (href) => visited.push(href);
+            try {
+                window.apiSettingsManager.setCustom('not a url');
+                assert.match(document.getElementById('api-environment-status').textContent, /URL tidak valid/);
+
+                window.apiSettingsManager.choose('staging');
+                window.apiSettingsManager.choose('local');
+            } finally {
+                window.apiSettingsManager.navigate = navigate;
+            }
+            assert.equal(visited.length, 1);
+            assert.equal(new URL(visited[0]).searchParams.has('api'), false);
+            assert.equal(JSON.parse(window.localStorage.getItem('indonesian-maps:api')).preferred, 'local');
+        });
+    });
+
+    describe('mapManager', () => {
+        test('fills the province selector on load', () => {
+            assert.equal(options('province-selector').length, 38);
+            assert.deepEqual(options('city-selector'), []);
+        });
+
+        test('selecting a province shows its info, boundary and kabupaten/kota', async () => {
+            await window.mapManager.selectProvince('32');
+
+            const province = window.mapManager.selectedRegions.province;
+            assert.equal(province.nama_provinsi, 'Jawa Barat');
+            assert.equal(province.penduduk, 51316378);
+            assert.ok(Array.isArray(province.path));
+
+            assert.match(document.getElementById('province-info-content').textContent, /Jawa Barat[\s\S]*Bandung/);
+            assert.equal(boundaries(), 1);
+            assert.equal(options('city-selector').length, 27);
+            assert.equal(document.getElementById('city-selector').disabled, false);
+        });
+
+        test('jumping down the hierarchy places kecamatan and desa without /geo at the city centre', async () => {
+            assert.equal(await window.mapManager.jumpTo({ province: '32', city: '32.04', district: '32.04.05', village: '32.04.05.2003' }), true);
+
+            const { city, district, village } = window.mapManager.selectedRegions;
+            assert.equal(city.nama_kabupaten_kota, 'Kabupaten Bandung');
+            assert.deepEqual(options('village-selector'), [
+                '32.04.05.2001', '32.04.05.2002', '32.04.05.2003', '32.04.05.2004', '32.04.05.2005', '32.04.05.2006'
+            ]);
+
+            // Neither level has a /geo endpoint: both fall back to the city's centroid
+            const expected = centroid(city.path);
+            assert.equal(district.approximate, true);
+            assert.deepEqual([district.lat, district.lng], expected);
+            assert.equal(village.nama_desa_kelurahan, 'Cileunyi Kulon');
+            assert.equal(village.approximate, true);
+            assert.deepEqual([village.lat, village.lng], expected);
+
+            // Province and city boundaries; the approximations draw none
+            assert.equal(boundaries(), 2);
+        });
+
+        test('a province without geo data reports the error in its info panel', async () => {
+            await window.mapManager.selectProvince('11');
+            assert.match(document.getElementById('province-info-content').textContent, /Error loading province data/);
+            assert.ok(app.errors.some((message) => message.includes('Error selecting province')));
+        });
+
+        test('an error from the server is shown as text', async (t) => {
+            const body = '<img src=x onerror="window.injected = true">';
+            t.mock.method(window.apiService, 'getProvinceGeo', () => Promise.reject(new Error(`HTTP error! status: 404 (${body})`)));
+            await window.mapManager.selectProvince('32');
+            const content = document.getElementById('province-info-content');
+            assert.equal(content.querySelector('img'), null);
+            assert.ok(content.textContent.includes(body));
+        });
+
+        test('an island popup shows its fields as text', () => {
+            const name = '<img src=x onerror="window.injected = true">';
+            window.mapManager.showIsland({ nama_pulau: name, kode_pulau: name, notes: name, latitude: -6.2, longitude: 106.8 });
+            const popup = document.querySelector('#indonesia-map .leaflet-popup-content');
+            assert.equal(popup.querySelector('img'), null);
+            assert.equal(popup.querySelector('.popup-title').textContent, name);
+            assert.equal(popup.textContent.split(name).length - 1, 3);
+        });
+
+        test('resetting clears the selection and the boundaries', async () => {
+            await window.mapManager.selectProvince('32');
+            window.mapManager.resetMap();
+            assert.deepEqual(window.mapManager.selectedRegions, {});
+            assert.equal(boundaries(), 0);
+            assert.equal(document.getElementById('city-selector').disabled, true);
+        });
+    });
+
+    describe('visualizationManager', () => {
+        test('choropleth tooltips show region names as text', async (t) => {
+            const { visualizationManager, L } = window;
+            const container = document.createElement('div');
+            document.body.append(container);
+            const name = '<img src=x onerror="window.injected = true">';
+            const city = await window.apiService.getCityGeo('32.04');
+            t.mock.method(visualizationManager, 'renderLegend', () => {});
+            Object.assign(visualizationManager, {
+                choroplethMap: L.map(container).setView([-7, 107.6], 8),
+                scope: null,
+                records: [{ kode_provinsi: '32', nama_provinsi: name, penduduk: 1, luas: 1, path: city.data.path }]
+            });
+            try {
+                visualizationManager.renderChoropleth();
+                const [layer] = visualizationManager.choroplethLayer.getLayers();
+                layer.openTooltip();
+                const tooltip = layer.getTooltip().getElement();
+                assert.equal(tooltip.querySelector('img'), null);
+                assert.equal(tooltip.querySelector('strong').textContent, name);
+            } finally {
+                visualizationManager.choroplethMap.remove();
+                Object.assign(visualizationManager, { choroplethMap: null, choroplethLayer: null, records: [] });
+            }
+        });
+    });
+
+    describe('reverseGeocodeManager', () => {
+        test('shows the names of the regions found as text', async (t) => {
+            const { reverseGeocodeManager } = window;
+            const name = '<img src=x onerror="window.injected = true">';
+            t.mock.method(reverseGeocodeManager.geocoder, 'locate', async () => ({
+                province: { kode_provinsi: '32', nama_provinsi: name },
+                city: { kode_kabupaten_kota: '32.04', nama_kabupaten_kota: 'Kabupaten Bandung' }
+            }));
+            t.mock.method(window.mapManager, 'jumpTo', async () => true);
+
+            await reverseGeocodeManager.lookup([-7, 107.6]);
+            const popup = reverseGeocodeManager.marker.getPopup().getElement();
+            assert.equal(popup.querySelector('img'), null);
+            assert.equal(popup.querySelector('strong').textContent, `Kabupaten Bandung, ${name}`);
+            reverseGeocodeManager.clearMarker();
+        });
+    });
+
+    describe('boundary renderer', () => {
+        test('redraws a boundary simplified for the zoom, in full from FULL_DETAIL_ZOOM', async () => {
+            const { L } = window;
+            const container = document.createElement('div');
+            document.body.append(container);
+            const map = L.map(container).setView([-7, 107.6], 7);
+            const renderer = createBoundaryRenderer({ map, leaflet: L, simplifier: createSimplifier({ createWorker: () => null }) });
+            const points = () => renderer.get('city').getLayers()[0].getLatLngs().flat(Infinity).length;
+
+            const city = await window.apiService.getCityGeo('32.04');
+            renderer.show('city', city.data.path, {}, { key: 'city:32.04' });
+            const full = points();
+            await waitFor(() => points() < full / 10, { message: 'simplified boundary' });
+
+            map.setZoom(FULL_DETAIL_ZOOM);
+            await waitFor(() => points() === full, { message: 'full boundary' });
+
+            // Shown again at a zoom already simplified for, it draws the cached version
+            map.setZoom(7);
+            renderer.show('city', city.data.path, {}, { key: 'city:32.04' });
+            assert.ok(points() < full / 10);
+            map.remove();
+        });
+    });
+
+    describe('comparisonManager', () => {
+        test('shows region names, codes and values from the API as text', (t) => {
+            const { comparisonManager } = window;
+            const name = '<img src=x onerror="window.injected = true">';
+            t.mock.method(comparisonManager.pinboard, 'list', () => [
+                { key: 'city:"x', level: 'city', code: name, name, color: '#2563eb', record: { ibukota: name }, childCount: null }
+            ]);
+            comparisonManager.render();
+
+            const table = document.getElementById('comparison-table');
+            assert.equal(table.querySelector('img'), null);
+            assert.match(table.querySelector('thead th:nth-child(2)').textContent, /<img src=x[\s\S]*Kab\/Kota · <img/);
+            assert.equal(table.querySelector('[data-unpin]').dataset.unpin, 'city:"x');
+            assert.ok(Array.from(table.querySelectorAll('td'), (cell) => cell.textContent).includes(name));
+
+            t.mock.reset();
+            comparisonManager.render();
+        });
+
+        test('labels a pinned region on the map with its name as text', () => {
+            const { comparisonManager } = window;
+            const name = '<img src=x onerror="window.injected = true">';
+            comparisonManager.draw({ key: 'city:test', name, color: '#2563eb', record: { lat: -7, lng: 107.6 } });
+            const layer = comparisonManager.layers['city:test'];
+            try {
+                layer.openTooltip();
+                const tooltip = layer.getTooltip().getElement();
+                assert.equal(tooltip.querySelector('img'), null);
+                assert.equal(tooltip.textContent, name);
+            } finally {
+                comparisonManager.group.removeLayer(layer);
+                delete comparisonManager.layers['city:test'];
+            }
+        });
+    });
+
+    describe('treeManager', () => {
+        test('shows names and load errors from the API as text', (t) => {
+            const { treeManager } = window;
+            const name = '<img src=x onerror="window.injected = true">';
+            const error = new Error('Server said "no" <b>');
+            t.mock.method(treeManager, 'isOpen', () => true);
+            t.mock.method(treeManager.tree, 'visible', () => [
+                { node: { code: '32', level: 'province', name, error, count: null }, depth: 1, posInSet: 1, setSize: 1 }
+            ]);
+            treeManager.render();
+
+            const item = document.querySelector('#hierarchy-tree [role="treeitem"]');
+            assert.equal(item.querySelector('img'), null);
+            assert.equal(item.querySelector('.truncate').textContent, name);
+            assert.equal(item.title, error.message);
+            assert.equal(item.dataset.code, '32');
+        });
+    });
+
+    describe('searchManager', () => {
+        test('looks up region codes written dotted or compact', async () => {
+            const list = document.getElementById('region-search-results');
+            await window.searchManager.search('320405');
+            assert.deepEqual(window.searchManager.results.map(({ level, code, path }) => [level, code, path]), [
+                ['district', '32.04.05', ['Jawa Barat', 'Kabupaten Bandung']]
+            ]);
+            assert.match(list.textContent, /Cileunyi/);
+
+            await window.searchManager.search('32.04.99');
+            assert.deepEqual(window.searchManager.results, []);
+            assert.match(list.textContent, /Kode kecamatan 32\.04\.99 tidak ditemukan/);
+        });
+
+        test('shows names from the API as text', () => {
+            const list = document.getElementById('region-search-results');
+            const name = '<img src=x onerror="window.injected = true">';
+            window.searchManager.results = [{ level: 'city', code: '32.04', name, path: [name] }];
+            window.searchManager.renderResults();
+            assert.equal(list.querySelector('img'), null);
+            assert.equal(list.querySelector('.font-medium').textContent, name);
+
+            window.searchManager.setStatus(name);
+            assert.equal(list.querySelector('img'), null);
+            assert.equal(list.textContent.trim(), name);
+        });
+    });
+});
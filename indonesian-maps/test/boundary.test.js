@@ -0,0 +1,78 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { pathToFeature, pathToGeometry, validateGeometry } from '../js/boundary.js';
+import { ringArea } from '../js/geometry.js';
+
+// Open [lat, lng] square, counter-clockwise with lng as x and lat as y
+const square = (lat, lng, size) => [[lat, lng], [lat, lng + size], [lat + size, lng + size], [lat + size, lng]];
+
+// The GeoJSON ring expected for an open [lat, lng] ring kept in its order
+const positions = (ring) => [...ring, ring[0]].map(([lat, lng]) => [lng, lat]);
+
+// The same for a counter-clockwise ring that becomes a hole, so is turned around
+const holePositions = (ring) => positions([...ring].reverse());
+
+// ringArea() of GeoJSON [lng, lat] positions: positive when counter-clockwise
+const winding = (ring) => Math.sign(ringArea(ring.map(([lng, lat]) => [lat, lng])));
+
+describe('pathToGeometry', () => {
+    test('converts a ring to a closed [lng, lat] Polygon, from a string or an array', () => {
+        const ring = square(-7, 107, 1);
+        const expected = { type: 'Polygon', coordinates: [positions(ring)] };
+        assert.deepEqual(pathToGeometry([ring]), expected);
+        assert.deepEqual(pathToGeometry(JSON.stringify(ring)), expected);
+
+        // An already closed ring is not closed a second time
+        assert.deepEqual(pathToGeometry([[...ring, ring[0]]]), expected);
+        assert.deepEqual(pathToFeature([ring], { name: 'Test' }), { type: 'Feature', properties: { name: 'Test' }, geometry: expected });
+    });
+
+    test('winds shells counter-clockwise and holes clockwise, whatever the input order', () => {
+        const shell = square(0, 0, 4);
+        const hole = square(1, 1, 2);
+        [[shell, hole], [[...shell].reverse(), [...hole].reverse()]].forEach((path) => {
+            const geometry = pathToGeometry(path);
+            assert.deepEqual(geometry.coordinates.map(winding), [1, -1]);
+            assert.deepEqual(validateGeometry(geometry), []);
+        });
+        assert.deepEqual(pathToGeometry([shell, hole]).coordinates[1], holePositions(hole));
+    });
+
+    test('finds holes by containment, not by their place in the path', () => {
+        const geometry = pathToGeometry([square(1, 1, 2), square(0, 0, 4)]);
+        assert.equal(geometry.type, 'Polygon');
+        assert.deepEqual(geometry.coordinates[0], positions(square(0, 0, 4)));
+        assert.deepEqual(geometry.coordinates[1], holePositions(square(1, 1, 2)));
+
+        // Inside the triangle's bounding box but outside the triangle itself
+        const triangle = [[0, 0], [0, 10], [10, 0]];
+        const beside = pathToGeometry([triangle, square(8, 8, 1)]);
+        assert.equal(beside.type, 'MultiPolygon');
+        assert.deepEqual(beside.coordinates.map((polygon) => polygon.length), [1, 1]);
+    });
+
+    test('an island in a lake is a polygon of its own, with holes going to the smallest shell around them', () => {
+        const geometry = pathToGeometry([
+            square(3, 3, 4), // lake on the island
+            square(0, 0, 10), // mainland
+            square(20, 20, 1), // separate islet
+            square(2, 2, 6), // island in the lake below
+            square(1, 1, 8) // lake in the mainland
+        ]);
+        assert.equal(geometry.type, 'MultiPolygon');
+        assert.deepEqual(geometry.coordinates, [
+            [positions(square(0, 0, 10)), holePositions(square(1, 1, 8))],
+            [positions(square(20, 20, 1))],
+            [positions(square(2, 2, 6)), holePositions(square(3, 3, 4))]
+        ]);
+        assert.deepEqual(validateGeometry(geometry), []);
+    });
+
+    test('null without a usable ring', () => {
+        [[], '[]', [[[1, 2], [3, 4]]], [[['a', 'b'], [1, 2], [3, 4]]], null].forEach((path) => {
+            assert.equal(pathToGeometry(path), null, JSON.stringify(path));
+        });
+        assert.equal(pathToFeature([]), null);
+    });
+});
@@ -0,0 +1,121 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { DEFAULT_TTL, createResponseCache } from '../js/cache.js';
+
+// A CacheStore kept in a Map, recording what reached it
+const memoryStore = () => {
+    const entries = new Map();
+    return {
+        entries,
+        get: (key) => entries.get(key),
+        set: (key, entry) => entries.set(key, entry),
+        delete: (key) => entries.delete(key),
+        keys: () => Array.from(entries.keys()),
+        clear: () => entries.clear()
+    };
+};
+
+// Date.now() under the test's control, starting at 0
+const clock = (t) => {
+    const time = { now: 0 };
+    t.mock.method(Date, 'now', () => time.now);
+    return time;
+};
+
+describe('response cache', () => {
+    test('entries expire after their time-to-live', async (t) => {
+        const time = clock(t);
+        const store = memoryStore();
+        const cache = createResponseCache({ store });
+
+        await cache.set('https://api.test/provinsi', 'list');
+        await cache.set('https://api.test/provinsi/32/geo', 'geo');
+        await cache.set('https://api.test/custom', 'short', 1000);
+        await cache.set('https://api.test/test', 'ping');
+        assert.equal(cache.size, 3);
+        assert.equal(store.entries.has('https://api.test/test'), false);
+
+        time.now = 999;
+        assert.equal(await cache.get('https://api.test/custom'), 'short');
+        time.now = 1000;
+        assert.equal(await cache.get('https://api.test/custom'), undefined);
+        assert.equal(store.entries.has('https://api.test/custom'), false);
+
+        time.now = DEFAULT_TTL;
+        assert.equal(await cache.get('https://api.test/provinsi'), undefined);
+        assert.equal(await cache.get('https://api.test/provinsi/32/geo'), 'geo');
+    });
+
+    test('evicts the least recently used entry beyond maxEntries', async () => {
+        const cache = createResponseCache({ maxEntries: 2 });
+        await cache.set('a', 1);
+        await cache.set('b', 2);
+        assert.equal(await cache.get('a'), 1);
+        await cache.set('c', 3);
+
+        assert.equal(cache.size, 2);
+        assert.equal(await cache.get('b'), undefined);
+        assert.deepEqual([await cache.get('a'), await cache.get('c')], [1, 3]);
+    });
+
+    test('an evicted entry is read back from the store', async () => {
+        const cache = createResponseCache({ maxEntries: 1, store: memoryStore() });
+        await cache.set('a', 1);
+        await cache.set('b', 2);
+        assert.equal(cache.size, 1);
+        assert.equal(await cache.get('a'), 1);
+    });
+
+    test('invalidate() drops matching entries from memory and the store', async () => {
+        const store = memoryStore();
+        const cache = createResponseCache({ store });
+        const keys = ['/provinsi/32', '/provinsi/32/geo', '/provinsi/33', '/kabupaten-kota/32.04'];
+        await Promise.all(keys.map((key) => cache.set(key, key)));
+
+        await cache.invalidate('/provinsi/32');
+        assert.deepEqual(store.keys(), ['/provinsi/33', '/kabupaten-kota/32.04']);
+        await cache.invalidate(/^\/kabupaten-kota\//);
+        await cache.invalidate((key) => key.endsWith('/33'));
+
+        assert.equal(cache.size, 0);
+        assert.deepEqual(store.keys(), []);
+        assert.equal(await cache.get('/provinsi/32'), undefined);
+    });
+
+    test('wrap() runs one loader for concurrent requests of a key', async () => {
+        const cache = createResponseCache();
+        let calls = 0;
+        const loader = async () => {
+            calls++;
+            return { calls };
+        };
+
+        const [first, second] = await Promise.all([cache.wrap('/provinsi', loader), cache.wrap('/provinsi', loader)]);
+        assert.equal(first, second);
+        assert.equal(await cache.wrap('/provinsi', loader), first);
+        assert.equal(calls, 1);
+
+        // Never cached, but still shared while in flight
+        await Promise.all([cache.wrap('/test', loader), cache.wrap('/test', loader)]);
+        await cache.wrap('/test', loader);
+        assert.equal(calls, 3);
+    });
+
+    test('wrap() does not keep a failure', async () => {
+        const cache = createResponseCache();
+        let calls = 0;
+        const failing = async () => {
+            calls++;
+            throw new Error('HTTP error! status: 500');
+        };
+
+        await Promise.all([
+            assert.rejects(cache.wrap('/provinsi/complete', failing), /status: 500/),
+            assert.rejects(cache.wrap('/provinsi/complete', failing), /status: 500/)
+        ]);
+        assert.equal(calls, 1);
+        assert.equal(await cache.wrap('/provinsi/complete', async () => 'ok'), 'ok');
+        assert.equal(cache.size, 1);
+    });
+});
@@ -0,0 +1,64 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    NO_DATA_COLOR, PALETTES, classIndex, createClassification, equalIntervalBreaks, quantileBreaks
+} from '../js/classify.js';
+
+describe('classification', () => {
+    test('quantile breaks put as many values in every class, ignoring missing ones', () => {
+        const values = [7, 3, 0, 10, 1, 2, NaN, 4, 5, 6, 8, 9, null, Infinity];
+        assert.deepEqual(quantileBreaks(values, 5), [0, 2, 4, 6, 8, 10]);
+
+        // Skewed values: the classes follow the values, not the range
+        assert.deepEqual(quantileBreaks([1, 2, 3, 4, 1000], 4), [1, 2, 3, 4, 1000]);
+        assert.deepEqual(quantileBreaks([0, 10], 4), [0, 2.5, 5, 7.5, 10]);
+    });
+
+    test('equal-interval breaks split the range into equally wide classes', () => {
+        assert.deepEqual(equalIntervalBreaks([100, 0, 40], 4), [0, 25, 50, 75, 100]);
+        assert.deepEqual(equalIntervalBreaks([1, 2, 3, 4, 1000], 3).map(Math.round), [1, 334, 667, 1000]);
+    });
+
+    test('no values give no breaks, and every value lands outside the classes', () => {
+        assert.deepEqual(quantileBreaks([], 5), []);
+        assert.deepEqual(equalIntervalBreaks([NaN, null], 5), []);
+
+        const empty = createClassification([]);
+        assert.deepEqual(empty.breaks, []);
+        assert.equal(empty.colorFor(5), NO_DATA_COLOR);
+        assert.deepEqual(empty.legend(), []);
+    });
+
+    test('all-equal values form a single class', () => {
+        assert.deepEqual(quantileBreaks([5, 5, 5], 5), [5]);
+        assert.deepEqual(equalIntervalBreaks([5, 5], 3), [5]);
+
+        const flat = createClassification([5, 5, 5]);
+        assert.equal(flat.colors.length, 1);
+        assert.equal(flat.colorFor(5), flat.colors[0]);
+        assert.equal(flat.colorFor(6), NO_DATA_COLOR);
+        assert.deepEqual(flat.legend(), [{ from: 5, to: 5, color: flat.colors[0] }]);
+
+        // Repeated values collapse their breaks instead of leaving empty classes
+        assert.deepEqual(quantileBreaks([1, 1, 1, 1, 2], 4), [1, 2]);
+    });
+
+    test('upper bounds are inclusive, values outside the breaks have no class', () => {
+        const breaks = [0, 2, 4, 6];
+        assert.deepEqual([0, 2, 2.1, 4, 6].map((value) => classIndex(value, breaks)), [0, 0, 1, 1, 2]);
+        assert.deepEqual([-1, 7, NaN, null].map((value) => classIndex(value, breaks)), [-1, -1, -1, -1]);
+    });
+
+    test('colours come from the palette for the class count', () => {
+        const values = [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10];
+        const classification = createClassification(values, { method: 'equalInterval', classes: 4, palette: 'Blues' });
+        assert.deepEqual(classification.colors, PALETTES.Blues[4]);
+        assert.equal(classification.colorFor(10), PALETTES.Blues[4][3]);
+        assert.deepEqual(classification.legend()[0], { from: 0, to: 2.5, color: PALETTES.Blues[4][0] });
+
+        assert.equal(createClassification(values, { classes: 12 }).colors.length, 7);
+        assert.equal(createClassification(values, { classes: 1 }).colors.length, 3);
+        assert.throws(() => createClassification(values, { method: 'jenks' }), /Unknown classification method: jenks/);
+    });
+});
@@ -0,0 +1,150 @@
+import { after, afterEach, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createResponseCache } from '../js/cache.js';
+import { LIST_METHODS, createIndonesianMapsClient } from '../js/client.js';
+import { ApiError } from '../js/errors.js';
+import { startMockServer } from './mock-server.js';
+
+describe('client SDK against the mock server', () => {
+    let server;
+    let client;
+
+    before(async () => {
+        server = await startMockServer({ port: 0 });
+        client = createIndonesianMapsClient({ baseUrl: server.baseUrl, retryDelay: 1 });
+    });
+
+    afterEach(() => {
+        server.requests.length = 0;
+    });
+
+    after(() => server.close());
+
+    test('generates one method per operation of the spec', () => {
+        ['getInfo', 'test', 'getProvinces', 'getProvinceDetail', 'getProvinceGeo', 'getCityGeo', 'getIslandDetail'].forEach((method) => {
+            assert.equal(typeof client[method], 'function', method);
+        });
+        assert.deepEqual(LIST_METHODS, [
+            'getProvinces',
+            'getProvincesComplete',
+            'getCities',
+            'getCitiesComplete',
+            'getDistricts',
+            'getVillages',
+            'getIslands'
+        ]);
+    });
+
+    describe('pagination', () => {
+        test('fetchAll walks every page', async () => {
+            const provinces = await client.fetchAll('getProvinces', {}, { limit: 5 });
+            assert.equal(provinces.length, 38);
+            assert.equal(new Set(provinces.map((province) => province.kode_provinsi)).size, 38);
+            assert.equal(server.requests.length, 8);
+            assert.equal(server.requests[7], '/indonesian-maps/provinsi?page=8&limit=5');
+        });
+
+        test('fetchAll with concurrency keeps the order of the pages', async () => {
+            const sequential = await client.fetchAll('getProvinces', {}, { limit: 5 });
+            const concurrent = await client.fetchAll('getProvinces', {}, { limit: 5, concurrency: 3 });
+            assert.deepEqual(concurrent, sequential);
+        });
+
+        test('iterate stops at maxItems', async () => {
+            const names = [];
+            for await (const province of client.iterate('getProvinces', {}, { limit: 5, maxItems: 7 })) {
+                names.push(province.nama_provinsi);
+            }
+            assert.equal(names.length, 7);
+            assert.equal(server.requests.length, 2);
+        });
+
+        test('rejects methods that are not paginated', async () => {
+            await assert.rejects(client.fetchAll('getProvinceDetail'), TypeError);
+        });
+    });
+
+    describe('filtering', () => {
+        test('kode_provinsi scopes kabupaten/kota, with codes normalised', async () => {
+            const cities = await client.fetchAll('getCities', { kode_provinsi: 32 });
+            assert.equal(cities.length, 27);
+            assert.ok(cities.some((city) => city.kode_kabupaten_kota === '32.10'));
+            assert.ok(cities.every((city) => city.kode_provinsi === '32'));
+        });
+
+        test('search is passed through to the API', async () => {
+            const { data, total } = await client.getProvinces({ search: 'jawa', limit: 5 });
+            assert.equal(total, 3);
+            assert.deepEqual(data.map((province) => province.nama_provinsi).sort(), ['Jawa Barat', 'Jawa Tengah', 'Jawa Timur']);
+        });
+
+        test('empty filters are dropped from the query', async () => {
+            await client.getDistricts({ kode_kabupaten_kota: '32.04', kode_provinsi: '', search: null, limit: 10 });
+            assert.deepEqual(server.requests, ['/indonesian-maps/kecamatan?kode_kabupaten_kota=32.04&limit=10']);
+        });
+    });
+
+    describe('models', () => {
+        test('geo responses are parsed (numbers coerced, path decoded)', async () => {
+            const { data } = await client.getCityGeo('32.04');
+            assert.equal(data.kode_kabupaten_kota, '32.04');
+            assert.equal(typeof data.penduduk, 'number');
+            assert.ok(Array.isArray(data.path) && data.path.length > 2);
+        });
+
+        test('validate: false returns the raw envelope', async () => {
+            const raw = createIndonesianMapsClient({ baseUrl: server.baseUrl, validate: false });
+            const { data } = await raw.getCityGeo('32.04');
+            assert.equal(typeof data.path, 'string');
+        });
+    });
+
+    describe('errors', () => {
+        test('404 rejects with the API error body and is not retried', async () => {
+            await assert.rejects(client.getProvinceDetail('999'), (error) => {
+                assert.ok(error instanceof ApiError);
+                assert.equal(error.status, 404);
+                assert.equal(error.body.error, 'Province not found');
+                assert.equal(error.attempts, 1);
+                return true;
+            });
+            assert.equal(server.requests.length, 1);
+        });
+
+        test('500 is retried before rejecting', async () => {
+            await assert.rejects(client.getProvincesComplete({ limit: 5 }, { retries: 2 }), (error) => error.status === 500 && error.attempts === 3);
+            assert.equal(server.requests.length, 3);
+        });
+
+        test('a 404 from the unlisted kecamatan and desa/kelurahan /geo is requested once per level', async () => {
+            const geoClient = createIndonesianMapsClient({ baseUrl: server.baseUrl });
+            const missing = (error) => error instanceof ApiError && error.status === 404;
+            await assert.rejects(geoClient.getDistrictGeo('32.04.05'), missing);
+            await assert.rejects(geoClient.getDistrictGeo('32.04.06'), (error) => missing(error) && error.endpoint.endsWith('/kecamatan/32.04.06/geo'));
+            assert.equal(server.requests.length, 1);
+
+            await assert.rejects(geoClient.getVillageGeo('32.04.05.2001'), missing);
+            assert.equal(server.requests.length, 2);
+        });
+
+        test('network failures reject with a status-less ApiError', async () => {
+            const offline = createIndonesianMapsClient({ baseUrl: 'http://127.0.0.1:9/indonesian-maps', retries: 0 });
+            await assert.rejects(offline.getInfo(), (error) => error instanceof ApiError && error.status === null);
+        });
+    });
+
+    describe('caching', () => {
+        test('identical requests share one download', async () => {
+            const cached = createIndonesianMapsClient({ baseUrl: server.baseUrl, cache: createResponseCache() });
+            const [first, second] = await Promise.all([cached.getProvinceGeo('32'), cached.getProvinceGeo(32)]);
+            await cached.getProvinceGeo('32');
+            assert.deepEqual(first, second);
+            assert.equal(server.requests.length, 1);
+
+            await cached.invalidate('/provinsi/32');
+            await cached.getProvinceGeo('32');
+            assert.equal(server.requests.length, 2);
+        });
+    });
+});
@@ -0,0 +1,109 @@
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createResponseCache } from '../js/cache.js';
+import { createIndonesianMapsClient } from '../js/client.js';
+import {
+    ancestorCodes, codeLevel, createCodeResolver, decodeCode, formatCode, normalizeCode, parentCode, validateCode
+} from '../js/codes.js';
+import { isAbortError } from '../js/errors.js';
+import { cityType } from '../js/stats.js';
+import { parseMapState } from '../js/url-state.js';
+import { startMockServer } from './mock-server.js';
+
+describe('region codes', () => {
+    test('normalizes dotted, compact and numeric codes', () => {
+        assert.equal(normalizeCode('32.04.05.2003'), '32.04.05.2003');
+        assert.equal(normalizeCode(' 3204052003 '), '32.04.05.2003');
+        assert.equal(normalizeCode('320405'), '32.04.05');
+        assert.equal(normalizeCode(32), '32');
+        assert.equal(normalizeCode(32.1), '32.10');
+        ['32.4', '32.04.05.203', '32040', '32-04', '', null, undefined, -1].forEach((value) => {
+            assert.equal(normalizeCode(value), null, String(value));
+        });
+    });
+
+    test('detects the level and derives parents', () => {
+        assert.deepEqual(['32', '3204', '32.04.05', '3204052003'].map(codeLevel), ['province', 'city', 'district', 'village']);
+        assert.equal(parentCode('3204052003'), '32.04.05');
+        assert.equal(parentCode('32'), null);
+        assert.deepEqual(ancestorCodes('32.04.05'), ['32', '32.04', '32.04.05']);
+        assert.deepEqual(ancestorCodes('32.x'), []);
+    });
+
+    test('validates the format per level', () => {
+        assert.deepEqual(validateCode('320405', 'district'), { valid: true, code: '32.04.05', level: 'district', error: null });
+        assert.deepEqual(validateCode('32.04', 'district'), {
+            valid: false, code: '32.04', level: 'city', error: 'Bukan kode kecamatan (kabupaten/kota), contoh: 32.04.05'
+        });
+        assert.equal(validateCode('32.4').error, 'Format kode tidak valid, contoh: 32.04.05');
+        assert.equal(validateCode(' ').error, 'Kode wajib diisi');
+    });
+
+    test('formats and decodes', () => {
+        assert.equal(formatCode('32.04.01.0001', { compact: true }), '3204010001');
+        assert.equal(formatCode('3204010001'), '32.04.01.0001');
+        assert.equal(formatCode('abc'), null);
+
+        assert.deepEqual(decodeCode('3204052003'), {
+            code: '32.04.05.2003',
+            compact: '3204052003',
+            level: 'village',
+            codes: { province: '32', city: '32.04', district: '32.04.05', village: '32.04.05.2003' },
+            kind: 'desa'
+        });
+        assert.equal(decodeCode('32.73').kind, 'kota');
+        assert.equal(decodeCode('32.73.01.1001').kind, 'kelurahan');
+        assert.equal(decodeCode('32.04.05').kind, null);
+        assert.equal(decodeCode('32.04.05.x'), null);
+    });
+
+    test('map links and city types use the same rules', () => {
+        assert.deepEqual(
+            Object.values(parseMapState('?provinsi=32&kabupaten_kota=3204&kecamatan=32.10.01')).slice(0, 3),
+            ['32', '32.04', null]
+        );
+        assert.equal(cityType({ kode_kabupaten_kota: 32.1 }), 'Kabupaten');
+        assert.equal(cityType({ kode_kabupaten_kota: '3273' }), 'Kota');
+    });
+});
+
+describe('code resolver', () => {
+    let server;
+    let resolver;
+
+    before(async () => {
+        server = await startMockServer({ port: 0 });
+        const client = createIndonesianMapsClient({ baseUrl: server.baseUrl, cache: createResponseCache() });
+        resolver = createCodeResolver({ client });
+    });
+
+    after(() => server.close());
+
+    test('resolves a batch in order with one request per parent', async () => {
+        const before = server.requests.length;
+        const results = await resolver.resolve(['3204052005', '32.04.05.2001', '32.04.05.9999', '32.04', 3273, '32.4']);
+
+        assert.deepEqual(results.map(({ code, exists, name }) => [code, exists, name]), [
+            ['32.04.05.2005', true, 'Cimekar'],
+            ['32.04.05.2001', true, 'Cibiru Hilir'],
+            ['32.04.05.9999', false, null],
+            ['32.04', true, 'Kabupaten Bandung'],
+            ['32.73', true, 'Kota Bandung'],
+            [null, null, null]
+        ]);
+        assert.equal(results[2].error, 'Kode desa/kelurahan 32.04.05.9999 tidak ditemukan');
+        assert.equal(results[5].valid, false);
+        assert.equal(server.requests.length - before, 2);
+    });
+
+    test('lists the codes that do not exist', async () => {
+        assert.deepEqual(await resolver.missing(['32', '99', '32.99.01', 'x']), ['99', '32.99.01']);
+    });
+
+    test('an aborted batch rejects with an AbortError', async () => {
+        const controller = new AbortController();
+        controller.abort();
+        await assert.rejects(resolver.resolve(['32.10'], { signal: controller.signal }), isAbortError);
+    });
+});
@@ -0,0 +1,99 @@
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+import { createIndonesianMapsClient } from '../js/client.js';
+import { ENDPOINTS } from '../js/endpoints.js';
+import { ApiError } from '../js/errors.js';
+import { parseEnvelope } from '../js/schema.js';
+import { buildCatalog, matchEndpoint, postmanDrift, renderCatalog } from '../scripts/generate-endpoints.mjs';
+import { API_PREFIX, startMockServer } from './mock-server.js';
+
+const readJSON = (path) => JSON.parse(readFileSync(new URL(path, import.meta.url), 'utf8'));
+const spec = readJSON('../docs/openapi.json');
+const responses = readJSON('../docs/response.json');
+const postman = readJSON('../docs/Indonesian_Maps_API.postman_collection.json');
+
+// Calls the client method of `endpoint` the way its signature expects:
+// path parameters, then the query params object, then the options
+const callEndpoint = (client, endpoint, pathValues, query) => {
+    const args = endpoint.params.filter((param) => param.in === 'path').map((param) => pathValues[param.name]);
+    if (endpoint.params.some((param) => param.in === 'query')) args.push(query);
+    args.push({ retries: 0 });
+    return client[endpoint.id](...args);
+};
+
+describe('OpenAPI spec', () => {
+    test('js/endpoint-catalog.js is generated from the current spec', () => {
+        const current = readFileSync(new URL('../js/endpoint-catalog.js', import.meta.url), 'utf8');
+        assert.equal(current, renderCatalog(buildCatalog(spec)));
+    });
+
+    test('path items may hold shared parameters, a summary and servers', () => {
+        const code = { name: 'kode', in: 'path', required: true, schema: { type: 'string' } };
+        const [endpoint] = buildCatalog({
+            paths: {
+                '/wilayah/{kode}': {
+                    summary: 'Wilayah',
+                    servers: [{ url: 'https://example.org' }],
+                    parameters: [code, { name: 'limit', in: 'query', schema: { type: 'integer' } }],
+                    get: {
+                        operationId: 'getRegion',
+                        parameters: [{ name: 'limit', in: 'query', schema: { type: 'integer', maximum: 10 } }]
+                    }
+                }
+            }
+        });
+        assert.equal(endpoint.id, 'getRegion');
+        assert.deepEqual(endpoint.params, [
+            { name: 'kode', in: 'path', type: 'string', required: true },
+            { name: 'limit', in: 'query', type: 'integer', maximum: 10 }
+        ]);
+    });
+
+    test('the Postman collection has not drifted from the spec', async () => {
+        assert.deepEqual(await postmanDrift(postman, ENDPOINTS), []);
+    });
+
+    test('every operation example parses into its js/schema.js model', () => {
+        ENDPOINTS.filter((endpoint) => endpoint.entity).forEach((endpoint) => {
+            const operation = spec.paths[endpoint.path || '/'].get;
+            const { example } = operation.responses['200'].content['application/json'];
+            assert.doesNotThrow(() => parseEnvelope(endpoint.entity, example), endpoint.id);
+        });
+    });
+});
+
+describe('client against the recorded responses', () => {
+    let server;
+    let client;
+
+    before(async () => {
+        server = await startMockServer({ port: 0 });
+        client = createIndonesianMapsClient({ baseUrl: server.baseUrl });
+    });
+
+    after(() => server.close());
+
+    Object.entries(responses.endpoints).forEach(([name, entry]) => {
+        test(`${name}: ${entry.url}`, async () => {
+            const url = new URL(entry.url, 'http://recorded.invalid');
+            const match = matchEndpoint(ENDPOINTS, url.pathname.slice(API_PREFIX.length));
+            assert.ok(match, `no operation in docs/openapi.json for ${url.pathname}`);
+
+            const query = Object.fromEntries(url.searchParams);
+            const call = callEndpoint(client, match.endpoint, match.values, query);
+
+            if (entry.status_code >= 400) {
+                await assert.rejects(call, (error) => error instanceof ApiError && error.status === entry.status_code);
+                return;
+            }
+            const response = await call;
+            assert.equal(response.success, true);
+            if (Array.isArray(entry.sample_response.data)) {
+                assert.equal(response.data.length, entry.sample_response.data.length);
+                assert.equal(response.total, entry.sample_response.total);
+            }
+        });
+    });
+});
@@ -0,0 +1,63 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { buildQuery } from '../js/client.js';
+import { ENDPOINTS, findEndpoint, resolveRequest, validateParams } from '../js/endpoints.js';
+
+describe('endpoint catalog', () => {
+    test('finds endpoints by operation id', () => {
+        assert.equal(findEndpoint('getCityGeo').path, '/kabupaten-kota/{kode_kabupaten_kota}/geo');
+        assert.equal(findEndpoint('getDistrictGeo'), null);
+        assert.ok(ENDPOINTS.every((endpoint) => endpoint.method === 'GET'));
+    });
+
+    test('keeps trimmed values of known parameters and reports the rest', () => {
+        const result = validateParams(findEndpoint('getCities'), {
+            kode_provinsi: ' 32 ',
+            search: '',
+            page: null,
+            limit: '100',
+            unknown: 'dropped'
+        });
+        assert.deepEqual(result, { values: { kode_provinsi: '32', limit: '100' }, errors: {}, valid: true });
+
+        assert.deepEqual(validateParams(findEndpoint('getCityDetail')).errors, { kode_kabupaten_kota: 'Wajib diisi' });
+    });
+
+    test('checks integers, bounds, length and patterns', () => {
+        const { errors, valid } = validateParams(findEndpoint('getVillages'), {
+            kode_provinsi: '3',
+            kode_kecamatan: '32.04.1',
+            search: 'x'.repeat(101),
+            page: '0',
+            limit: '1.5'
+        });
+        assert.equal(valid, false);
+        assert.deepEqual(errors, {
+            kode_provinsi: 'Format tidak valid, contoh: 32',
+            kode_kecamatan: 'Format tidak valid, contoh: 32.04.01',
+            search: 'Maksimal 100 karakter',
+            page: 'Minimal 1',
+            limit: 'Harus berupa bilangan bulat'
+        });
+        assert.deepEqual(validateParams(findEndpoint('getIslands'), { limit: '1001' }).errors, { limit: 'Maksimal 1000' });
+        assert.deepEqual(validateParams(findEndpoint('getIslandDetail'), { id: '-1' }).errors, { id: 'Minimal 1' });
+    });
+
+    test('fills in path parameters encoded and leaves the rest as query', () => {
+        assert.deepEqual(resolveRequest(findEndpoint('getDistricts'), { kode_kabupaten_kota: '32.04', search: 'cileunyi' }), {
+            path: '/kecamatan',
+            query: { kode_kabupaten_kota: '32.04', search: 'cileunyi' }
+        });
+        assert.deepEqual(resolveRequest(findEndpoint('getCityGeo'), { kode_kabupaten_kota: '32.04' }), {
+            path: '/kabupaten-kota/32.04/geo',
+            query: {}
+        });
+
+        // Nothing in a value can change the path or add parameters
+        const { path } = resolveRequest(findEndpoint('getIslandDetail'), { id: '1/../../test?x=1#y' });
+        assert.equal(path, '/pulau/1%2F..%2F..%2Ftest%3Fx%3D1%23y');
+        const { query } = resolveRequest(findEndpoint('getIslands'), { search: 'a&limit=1000 b' });
+        assert.equal(buildQuery(query), 'search=a%26limit%3D1000+b');
+    });
+});
@@ -0,0 +1,135 @@
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { DEFAULT_BASE_URL } from '../js/client.js';
+import { API_ENVIRONMENTS, createEnvironmentRegistry, normalizeBaseUrl } from '../js/environments.js';
+import { loadApp } from './helpers/app.js';
+import { startMockServer } from './mock-server.js';
+
+const createStorage = (entries = {}) => {
+    const values = new Map(Object.entries(entries));
+    return {
+        getItem: (key) => (values.has(key) ? values.get(key) : null),
+        setItem: (key, value) => values.set(key, String(value)),
+        values
+    };
+};
+
+const LOCAL = 'http://localhost:3001/indonesian-maps';
+
+describe('API environments', () => {
+    test('normalizeBaseUrl accepts absolute http(s) URLs only', () => {
+        assert.equal(normalizeBaseUrl(' http://localhost:3001/indonesian-maps/ '), LOCAL);
+        assert.equal(normalizeBaseUrl('https://api.example.org'), 'https://api.example.org');
+        assert.throws(() => normalizeBaseUrl('localhost:3001'), /http\(s\)/);
+        assert.throws(() => normalizeBaseUrl('/indonesian-maps'), /Invalid API base URL/);
+        assert.throws(() => normalizeBaseUrl('https://api.example.org/?key=1'), /query string/);
+    });
+
+    test('defaults to production and lists unconfigured environments without a URL', () => {
+        const registry = createEnvironmentRegistry({ storage: createStorage() });
+        assert.deepEqual(registry.active(''), { id: 'production', label: 'Produksi', baseUrl: DEFAULT_BASE_URL, source: 'default' });
+        assert.deepEqual(registry.list().map(({ id, baseUrl }) => [id, baseUrl]), [
+            ['production', DEFAULT_BASE_URL],
+            ['staging', null],
+            ['local', LOCAL]
+        ]);
+        assert.equal(registry.get('staging'), null);
+        assert.equal(registry.get('toString'), null);
+    });
+
+    test('remembers the chosen environment and the custom URL', () => {
+        const storage = createStorage();
+        const registry = createEnvironmentRegistry({ storage });
+        registry.preferred = 'local';
+        assert.equal(createEnvironmentRegistry({ storage }).active('').id, 'local');
+
+        registry.setCustom('http://192.168.1.20:3001/indonesian-maps/');
+        const reloaded = createEnvironmentRegistry({ storage });
+        assert.deepEqual(reloaded.active(''), { id: 'custom', label: 'Kustom', baseUrl: 'http://192.168.1.20:3001/indonesian-maps', source: 'saved' });
+        assert.equal(reloaded.list().length, 4);
+    });
+
+    test('?api= overrides the remembered choice without replacing it', () => {
+        const storage = createStorage({ 'indonesian-maps:api': JSON.stringify({ preferred: 'local' }) });
+        const registry = createEnvironmentRegistry({ storage });
+
+        assert.equal(registry.active('?api=production').id, 'production');
+        assert.deepEqual(registry.active(`?api=${LOCAL}/`), { ...registry.get('local'), source: 'query' });
+        registry.setCustom('http://192.168.1.20:3001/indonesian-maps');
+        registry.preferred = 'local';
+        assert.equal(registry.active('?api=http://192.168.1.20:3001/indonesian-maps').source, 'query');
+        assert.equal(registry.preferred, 'local');
+        assert.equal(registry.list().length, 4);
+    });
+
+    test('?api= with any other URL waits for the user to confirm it', (t) => {
+        const warn = t.mock.method(console, 'warn', () => {});
+        const storage = createStorage({ 'indonesian-maps:api': JSON.stringify({ preferred: 'local' }) });
+        const registry = createEnvironmentRegistry({ storage });
+        const search = '?provinsi=32&api=https://attacker.example/';
+
+        assert.deepEqual(registry.active(search), { ...registry.get('local'), source: 'saved', unconfirmed: 'https://attacker.example' });
+        assert.match(warn.mock.calls[0].arguments[0], /until it is confirmed/);
+
+        assert.equal(registry.trust('https://attacker.example/'), 'https://attacker.example');
+        const reloaded = createEnvironmentRegistry({ storage });
+        assert.deepEqual(reloaded.active(search), { id: 'custom', label: 'Kustom', baseUrl: 'https://attacker.example', source: 'query' });
+        assert.equal(reloaded.preferred, 'local');
+        assert.throws(() => registry.trust('javascript:alert(1)'), /http\(s\)/);
+    });
+
+    test('ignores unusable choices', (t) => {
+        const warn = t.mock.method(console, 'warn', () => {});
+        const storage = createStorage({ 'indonesian-maps:api': JSON.stringify({ preferred: 'custom', custom: 'ftp://example.org' }) });
+        const registry = createEnvironmentRegistry({ storage, environments: { ...API_ENVIRONMENTS, production: { label: 'Produksi', baseUrl: null } } });
+
+        assert.equal(registry.preferred, null);
+        assert.equal(registry.active('?api=staging').source, 'default');
+        assert.equal(registry.active('').id, 'local');
+        assert.equal(warn.mock.callCount(), 2);
+    });
+});
+
+describe('a link to an unconfirmed server', () => {
+    let server;
+    let app;
+    let document;
+
+    before(async () => {
+        server = await startMockServer({ port: 0 });
+        app = await loadApp({
+            apiBaseUrl: server.baseUrl,
+            url: 'http://localhost/indonesian-maps/?api=https://attacker.example',
+            apiSetting: 'saved'
+        });
+        ({ document } = app.window);
+    });
+
+    after(async () => {
+        await app.close();
+        await server.close();
+    });
+
+    test('keeps the page on the saved server until the user confirms it', async () => {
+        const { window } = app;
+        assert.equal(document.getElementById('api-base-url').textContent, server.baseUrl);
+        await window.mapManager.provincesLoaded;
+        assert.ok(server.requests.length > 0);
+        assert.equal(document.getElementById('api-environment-note').classList.contains('hidden'), true);
+        assert.equal(document.getElementById('api-confirm').classList.contains('hidden'), false);
+        assert.equal(document.getElementById('api-confirm-url').textContent, 'https://attacker.example');
+        assert.ok(app.warnings.some((message) => message.includes('until it is confirmed')));
+
+        const visited = [];
+        const { navigate } = window.apiSettingsManager;
+        window.apiSettingsManager.navigate = (href) => visited.push(href);
+        try {
+            document.getElementById('api-confirm-button').click();
+        } finally {
+            window.apiSettingsManager.navigate = navigate;
+        }
+        assert.deepEqual(visited, [window.location.href]);
+        assert.ok(JSON.parse(window.localStorage.getItem('indonesian-maps:api')).trusted.includes('https://attacker.example'));
+    });
+});
@@ -0,0 +1,78 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { regionsToCSV, serializeRegions, toCSV, toGeoJSON, toRegion } from '../js/export.js';
+
+// A kabupaten/kota record as parsed by js/schema.js, with a square boundary
+const city = {
+    kode_kabupaten_kota: '32.04',
+    kode_provinsi: '32',
+    nama_kabupaten_kota: 'Kabupaten Bandung',
+    ibukota: 'Soreang',
+    lat: -7.02,
+    lng: 107.52,
+    penduduk: 3623790,
+    path: [[-7, 107], [-7, 108], [-6, 108], [-6, 107]]
+};
+
+const ring = [[107, -7], [108, -7], [108, -6], [107, -6], [107, -7]];
+
+describe('exports', () => {
+    test('a region keeps the scalar fields of its record', () => {
+        const region = toRegion('city', city);
+        assert.equal(region.code, '32.04');
+        assert.equal(region.name, 'Kabupaten Bandung');
+        assert.deepEqual(region.point, [-7.02, 107.52]);
+        assert.deepEqual(region.geometry, { type: 'Polygon', coordinates: [ring] });
+        assert.equal(region.properties.level, 'city');
+        assert.equal('path' in region.properties, false);
+
+        assert.equal(toRegion('city', { ...city, lat: null, path: null }).point, null);
+        assert.throws(() => toRegion('country', city), /Unknown region level: country/);
+    });
+
+    test('GeoJSON has a marker and a boundary Feature per region', () => {
+        const collection = JSON.parse(toGeoJSON([toRegion('city', city), toRegion('city', { ...city, path: null })]));
+        assert.equal(collection.type, 'FeatureCollection');
+        assert.deepEqual(collection.features.map((feature) => [feature.properties.role, feature.geometry.type]), [
+            ['marker', 'Point'],
+            ['boundary', 'Polygon'],
+            ['marker', 'Point']
+        ]);
+
+        const [marker, boundary] = collection.features;
+        assert.deepEqual(marker.geometry.coordinates, [107.52, -7.02]);
+        assert.deepEqual(boundary.geometry.coordinates, [ring]);
+        assert.equal(boundary.properties.nama_kabupaten_kota, 'Kabupaten Bandung');
+        assert.equal(serializeRegions('geojson', [toRegion('city', city)]), toGeoJSON([toRegion('city', city)]));
+    });
+
+    test('CSV quotes commas, quotes, semicolons and line breaks', () => {
+        const csv = toCSV([
+            { kode: '11.01', nama: 'Kabupaten Aceh Selatan, Aceh', catatan: 'disebut "Tapaktuan"' },
+            { kode: '11.02', nama: 'Baris\nbaru', catatan: 'a;b' },
+            { kode: '11.03', nama: null, extra: 0 }
+        ], { bom: false });
+        assert.equal(csv, [
+            'kode,nama,catatan,extra',
+            '11.01,"Kabupaten Aceh Selatan, Aceh","disebut ""Tapaktuan""",',
+            '11.02,"Baris\nbaru","a;b",',
+            '11.03,,,0',
+            ''
+        ].join('\r\n'));
+    });
+
+    test('CSV starts with a BOM, skips nested values and serialises listed ones', () => {
+        const rows = [{ kode: '32', nama: 'Bireuën', path: [[1, 2]] }];
+        assert.equal(toCSV(rows), '\uFEFFkode,nama\r\n32,Bireuën\r\n');
+        assert.equal(toCSV(rows, { columns: ['kode', 'path'], bom: false }), 'kode,path\r\n32,"[[1,2]]"\r\n');
+    });
+
+    test('region CSV ends with lat, lng and the boundary as WKT', () => {
+        const csv = regionsToCSV([toRegion('city', { ...city, nama_kabupaten_kota: 'Bandung, "Kabupaten"' })], { bom: false });
+        const [header, row] = csv.split('\r\n');
+        assert.equal(header, 'level,kode_kabupaten_kota,kode_provinsi,nama_kabupaten_kota,ibukota,lat,lng,penduduk,wkt');
+        assert.equal(row, 'city,32.04,32,"Bandung, ""Kabupaten""",Soreang,-7.02,107.52,3623790,"POLYGON ((107 -7, 108 -7, 108 -6, 107 -6, 107 -7))"');
+        assert.throws(() => serializeRegions('shp', []), /Unknown export format: shp/);
+    });
+});
@@ -0,0 +1,118 @@
+// Indonesian Maps API - Headless page for tests
+//
+// Loads index.html into jsdom, installs its window as the global scope
+// (with Leaflet from node_modules instead of the CDN) and imports script.js,
+// so the managers it puts on `window` run against the mock server, chosen
+// with the page's `?api=` parameter and confirmed as a user would in the
+// settings panel. Any non-local request fails, so a test can never reach
+// the network. script.js is a module and runs once per
+// process: load one page per test file.
+
+import { readFile } from 'node:fs/promises';
+import { JSDOM, VirtualConsole } from 'jsdom';
+
+import { createEnvironmentRegistry } from '../../js/environments.js';
+
+const INDEX_FILE = new URL('../../index.html', import.meta.url);
+const SCRIPT_FILE = new URL('../../script.js', import.meta.url);
+
+// jsdom's own versions must win over Node's globals of the same name:
+// events dispatched on DOM nodes have to be jsdom events
+const DOM_GLOBALS = ['window', 'document', 'navigator', 'location', 'history', 'localStorage', 'sessionStorage',
+    'Event', 'CustomEvent', 'KeyboardEvent', 'MouseEvent', 'FocusEvent', 'InputEvent', 'FormData'];
+
+class NoopIntersectionObserver {
+    observe() {}
+    unobserve() {}
+    disconnect() {}
+}
+
+// Longer than the debounce of the URL state sync, which must not run
+// against a closed window
+const SETTLE_DELAY = 400;
+
+const isLocal = (url) => ['localhost', '127.0.0.1'].includes(new URL(url).hostname);
+
+const defineGlobal = (name, value) => {
+    Object.defineProperty(globalThis, name, { value, configurable: true, writable: true });
+};
+
+/**
+ * @param {object} options
+ * @param {string} options.apiBaseUrl The mock server's base URL (with `/indonesian-maps`).
+ * @param {string} [options.url] Page URL, e.g. with map state in the query string;
+ *   `api` is set to `apiBaseUrl` unless it is already there.
+ * @param {'confirmed'|'saved'} [options.apiSetting] How the user set `apiBaseUrl` up
+ *   in the settings panel: confirmed for `?api=` links, or saved as their server.
+ * @returns {Promise<{ window: Window, errors: string[], warnings: string[], close: () => Promise<void> }>}
+ *   `errors` and `warnings` collect what the page logged through
+ *   console.error and console.warn, which stay off the test output until close().
+ */
+export async function loadApp({ apiBaseUrl, url = 'http://localhost/indonesian-maps/', apiSetting = 'confirmed' }) {
+    const errors = [];
+    const warnings = [];
+    const virtualConsole = new VirtualConsole();
+    virtualConsole.on('jsdomError', (error) => errors.push(error.message));
+    const { error: consoleError, warn: consoleWarn } = console;
+    console.error = (...args) => errors.push(args.map(String).join(' '));
+    console.warn = (...args) => warnings.push(args.map(String).join(' '));
+
+    const pageUrl = new URL(url);
+    if (!pageUrl.searchParams.has('api')) pageUrl.searchParams.set('api', apiBaseUrl);
+    const dom = new JSDOM(await readFile(INDEX_FILE, 'utf8'), { url: pageUrl.href, pretendToBeVisual: true, virtualConsole });
+    const { window } = dom;
+    await new Promise((resolve) => {
+        if (window.document.readyState === 'complete') resolve();
+        else window.addEventListener('load', resolve, { once: true });
+    });
+
+    Object.getOwnPropertyNames(window).forEach((name) => {
+        if (!(name in globalThis)) defineGlobal(name, window[name]);
+    });
+    DOM_GLOBALS.forEach((name) => defineGlobal(name, window[name]));
+    window.IntersectionObserver = NoopIntersectionObserver;
+    defineGlobal('IntersectionObserver', NoopIntersectionObserver);
+
+    const nodeFetch = globalThis.fetch;
+    const fetch = (input, init) => {
+        const target = String(input);
+        if (!isLocal(target)) return Promise.reject(new TypeError(`Test tried to reach ${target}`));
+        return nodeFetch(target, init);
+    };
+    window.fetch = fetch;
+    defineGlobal('fetch', fetch);
+
+    // Leaflet only enables its SVG renderer (needed for boundaries) where
+    // createSVGRect exists; jsdom draws nothing anyway
+    window.SVGSVGElement.prototype.createSVGRect = () => ({ x: 0, y: 0, width: 0, height: 0 });
+    const leaflet = await import('leaflet');
+    window.L = leaflet.default || leaflet;
+    defineGlobal('L', window.L);
+
+    const environments = createEnvironmentRegistry({ storage: window.localStorage });
+    if (apiSetting === 'saved') environments.setCustom(apiBaseUrl);
+    else environments.trust(apiBaseUrl);
+    await import(SCRIPT_FILE.href);
+    window.document.dispatchEvent(new window.Event('DOMContentLoaded'));
+
+    return {
+        window,
+        errors,
+        warnings,
+        async close() {
+            await new Promise((resolve) => setTimeout(resolve, SETTLE_DELAY));
+            window.close();
+            console.error = consoleError;
+            console.warn = consoleWarn;
+        }
+    };
+}
+
+/** Resolves once `predicate()` is truthy, polling every 10 ms. */
+export async function waitFor(predicate, { timeout = 5000, message = 'condition' } = {}) {
+    const started = Date.now();
+    while (!predicate()) {
+        if (Date.now() - started > timeout) throw new Error(`Timed out waiting for ${message}`);
+        await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+}
@@ -0,0 +1,282 @@
+// Indonesian Maps API - Mock server
+//
+// Serves the recorded responses of docs/response.json on localhost, so the
+// test suite (and the site itself) can run without api.sukmaaji.my.id:
+//
+//   npm run mock                      # http://localhost:3001/indonesian-maps
+//   node test/mock-server.js --port 4000
+//
+// A request whose URL was recorded gets the recording verbatim, status code
+// included (the /complete endpoints answer 500 like the real API). Other
+// list, detail and /geo requests are answered from every record found in
+// the recordings plus test/fixtures/records.json, following the API's rules
+// for the kode_* filters, `search`, `page` and `limit`.
+
+import { createServer } from 'node:http';
+import { readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+
+export const API_PREFIX = '/indonesian-maps';
+export const DEFAULT_PORT = 3001;
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 1000;
+const AUTHOR = 'Sukma Aji Digital || sukmaaji.my.id || instagram.com/sukmaaji.digital || github.com/sukmaajidigital';
+
+const RESPONSE_FILE = new URL('../docs/response.json', import.meta.url);
+const RECORDS_FILE = new URL('./fixtures/records.json', import.meta.url);
+
+// List endpoints by path segment: the record key, the name searched by
+// `search`, the filters they accept and the wording of their messages
+export const COLLECTIONS = {
+    provinsi: { key: 'kode_provinsi', name: 'nama_provinsi', filters: [], singular: 'province', plural: 'provinces' },
+    'kabupaten-kota': {
+        key: 'kode_kabupaten_kota',
+        name: 'nama_kabupaten_kota',
+        filters: ['kode_provinsi'],
+        singular: 'regency/city',
+        plural: 'regencies/cities'
+    },
+    kecamatan: {
+        key: 'kode_kecamatan',
+        name: 'nama_kecamatan',
+        filters: ['kode_provinsi', 'kode_kabupaten_kota'],
+        singular: 'district',
+        plural: 'districts'
+    },
+    'desa-kelurahan': {
+        key: 'kode_desa_kelurahan',
+        name: 'nama_desa_kelurahan',
+        filters: ['kode_provinsi', 'kode_kabupaten_kota', 'kode_kecamatan'],
+        singular: 'village',
+        plural: 'villages'
+    },
+    pulau: { key: 'id', name: 'nama_pulau', filters: ['kode_provinsi', 'kode_kabupaten_kota'], singular: 'island', plural: 'islands' }
+};
+
+// The test endpoint's sample rows, by collection
+const TEST_TABLES = {
+    provinsi: 'provinsi',
+    kabupaten_kota: 'kabupaten-kota',
+    kecamatan: 'kecamatan',
+    desa_kelurahan: 'desa-kelurahan',
+    pulau_locations: 'pulau'
+};
+
+// Codes compare as the API means them: 32 and "32" are the same province,
+// 32.1 (a number) and "32.10" the same kabupaten/kota
+export const normalizeCode = (value) => {
+    if (typeof value === 'number') return Number.isInteger(value) ? String(value) : value.toFixed(2);
+    return String(value).trim();
+};
+
+// Path and query with the parameters sorted, so recordings match whatever
+// order the client writes them in
+export const requestKey = (url) => {
+    const parsed = new URL(url, 'http://mock.invalid');
+    parsed.searchParams.sort();
+    const query = parsed.searchParams.toString();
+    return `${parsed.pathname.replace(/\/+$/, '') || '/'}${query ? `?${query}` : ''}`;
+};
+
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+
+const envelope = (message, data, extra = {}) => ({ success: true, message, author: AUTHOR, ...extra, data });
+const failure = (status, error) => ({ status, body: { success: false, error, message: 'Request failed', author: AUTHOR } });
+
+/**
+ * Reads the recordings and records the mock answers from.
+ * @param {object} [options]
+ * @param {object} [options.responses] Contents of docs/response.json.
+ * @param {object} [options.records] Extra records by collection, as in test/fixtures/records.json.
+ */
+export function loadFixtures({
+    responses = JSON.parse(readFileSync(RESPONSE_FILE, 'utf8')),
+    records: extraRecords = JSON.parse(readFileSync(RECORDS_FILE, 'utf8'))
+} = {}) {
+    const recordings = new Map();
+    const records = {};
+    const geo = {};
+    Object.keys(COLLECTIONS).forEach((name) => {
+        records[name] = new Map();
+        geo[name] = new Map();
+    });
+
+    const addRecord = (collection, record) => {
+        if (!record || !records[collection]) return;
+        const code = normalizeCode(record[COLLECTIONS[collection].key]);
+        const { path, ibukota, lat, lng, elv, tz, luas, penduduk, status, ...base } = record;
+        if (!records[collection].has(code)) records[collection].set(code, base);
+    };
+
+    const record = (url, status, body) => {
+        const key = requestKey(url);
+        recordings.set(key, { status, body });
+
+        const [collection, code, suffix] = key.split('?')[0].slice(API_PREFIX.length + 1).split('/');
+        if (!COLLECTIONS[collection] || status !== 200 || !body || !body.data) return;
+        if (code === 'complete') return;
+        if (suffix === 'geo') {
+            geo[collection].set(normalizeCode(code), body.data);
+            addRecord(collection, body.data);
+        } else if (Array.isArray(body.data)) {
+            body.data.forEach((item) => addRecord(collection, item));
+        } else {
+            addRecord(collection, body.data);
+        }
+    };
+
+    Object.values(responses.endpoints || {}).forEach((entry) => {
+        record(entry.url, entry.status_code, entry.sample_response);
+    });
+    Object.values(responses.error_responses || {}).forEach((entry) => {
+        (entry.sample_urls || []).forEach((url) => record(url, entry.status_code, entry.sample_response));
+    });
+
+    // The connection test shows one row of every table
+    const test = recordings.get(`${API_PREFIX}/test`);
+    const tables = test && test.body.data ? test.body.data.tables || {} : {};
+    Object.entries(TEST_TABLES).forEach(([table, collection]) => {
+        if (tables[table]) addRecord(collection, tables[table].adminSampleData);
+    });
+
+    Object.keys(COLLECTIONS).forEach((collection) => {
+        (extraRecords[collection] || []).forEach((item) => addRecord(collection, item));
+    });
+
+    return { recordings, records, geo };
+}
+
+const sortByCode = (collection, list) => {
+    const { key } = COLLECTIONS[collection];
+    return list.sort((a, b) => (key === 'id'
+        ? a.id - b.id
+        : normalizeCode(a[key]).localeCompare(normalizeCode(b[key]), 'en', { numeric: true })));
+};
+
+const positiveInteger = (value, fallback) => {
+    const number = Number(value);
+    return Number.isInteger(number) && number >= 1 ? number : fallback;
+};
+
+const listResponse = (fixtures, collection, query) => {
+    const config = COLLECTIONS[collection];
+    const search = (query.get('search') || '').trim().toLowerCase();
+    const filters = config.filters
+        .filter((name) => query.get(name))
+        .map((name) => [name, normalizeCode(query.get(name))]);
+
+    const matches = sortByCode(collection, Array.from(fixtures.records[collection].values()).filter((item) => (
+        filters.every(([name, code]) => item[name] !== undefined && normalizeCode(item[name]) === code)
+        && (!search || String(item[config.name]).toLowerCase().includes(search))
+    )));
+
+    const page = positiveInteger(query.get('page'), 1);
+    const limit = Math.min(positiveInteger(query.get('limit'), DEFAULT_LIMIT), MAX_LIMIT);
+    const data = matches.slice((page - 1) * limit, page * limit);
+    return {
+        status: 200,
+        body: envelope(`Successfully retrieved ${data.length} ${config.plural}`, data, {
+            total: matches.length,
+            page,
+            limit,
+            totalPages: Math.ceil(matches.length / limit)
+        })
+    };
+};
+
+// The recorded 500 of /provinsi/complete or /kabupaten-kota/complete,
+// whatever the query
+const completeResponse = (fixtures, collection) => {
+    const prefix = `${API_PREFIX}/${collection}/complete`;
+    for (const [key, recording] of fixtures.recordings) {
+        if (key === prefix || key.startsWith(`${prefix}?`)) return recording;
+    }
+    return failure(404, 'Endpoint not found');
+};
+
+/**
+ * Answers one request from the fixtures; exposed for tests that do not need
+ * a socket.
+ * @returns {{ status: number, body: object }}
+ */
+export function handleRequest(fixtures, method, url) {
+    if (method !== 'GET') return failure(405, 'Method not allowed');
+
+    const key = requestKey(url);
+    if (fixtures.recordings.has(key)) return fixtures.recordings.get(key);
+
+    const parsed = new URL(url, 'http://mock.invalid');
+    const path = parsed.pathname.replace(/\/+$/, '');
+    if (path !== API_PREFIX && !path.startsWith(`${API_PREFIX}/`)) return failure(404, 'Endpoint not found');
+
+    const [collection, code, suffix, ...rest] = path.slice(API_PREFIX.length + 1).split('/').map(decodeURIComponent);
+    const config = COLLECTIONS[collection];
+    if (!config || rest.length > 0) return failure(404, 'Endpoint not found');
+
+    if (code === undefined) return listResponse(fixtures, collection, parsed.searchParams);
+    if (code === 'complete' && suffix === undefined) return completeResponse(fixtures, collection);
+
+    const record = fixtures.records[collection].get(normalizeCode(code));
+    if (suffix === undefined) {
+        if (!record) return failure(404, `${capitalize(config.singular)} not found`);
+        return { status: 200, body: envelope(`Successfully retrieved ${config.singular} ${record[config.name]}`, record) };
+    }
+
+    // Only provinsi and kabupaten/kota have /geo on the API
+    if (suffix !== 'geo' || !['provinsi', 'kabupaten-kota'].includes(collection)) return failure(404, 'Endpoint not found');
+    const geoRecord = fixtures.geo[collection].get(normalizeCode(code));
+    if (!geoRecord) return failure(404, `${capitalize(config.singular)} geo data not found`);
+    return {
+        status: 200,
+        body: envelope(`Successfully retrieved geo data for ${config.singular} ${geoRecord[config.name]}`, geoRecord)
+    };
+}
+
+/**
+ * Starts the mock API. Port 0 picks a free port.
+ * @returns {Promise<{ url: string, baseUrl: string, requests: string[], close: () => Promise<void> }>}
+ *   `baseUrl` includes the `/indonesian-maps` prefix; `requests` lists every
+ *   request path (with query) received, oldest first.
+ */
+export function startMockServer({ port = DEFAULT_PORT, host = '127.0.0.1', fixtures = loadFixtures() } = {}) {
+    const requests = [];
+    const server = createServer((req, res) => {
+        res.setHeader('Access-Control-Allow-Origin', '*');
+        if (req.method === 'OPTIONS') {
+            res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+            res.setHeader('Access-Control-Allow-Headers', 'Accept, Content-Type');
+            res.writeHead(204);
+            res.end();
+            return;
+        }
+
+        requests.push(req.url);
+        const { status, body } = handleRequest(fixtures, req.method, req.url);
+        res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+        res.end(JSON.stringify(body));
+    });
+
+    return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, () => {
+            const url = `http://${host}:${server.address().port}`;
+            resolve({
+                url,
+                baseUrl: `${url}${API_PREFIX}`,
+                requests,
+                close: () => new Promise((done) => {
+                    server.closeAllConnections();
+                    server.close(() => done());
+                })
+            });
+        });
+    });
+}
+
+if (process.argv[1] && fileURLToPath(import.meta.url) === process.argv[1]) {
+    const portIndex = process.argv.indexOf('--port');
+    const port = portIndex === -1 ? Number(process.env.PORT || DEFAULT_PORT) : Number(process.argv[portIndex + 1]);
+    const { baseUrl } = await startMockServer({ port, host: 'localhost' });
+    console.log(`Mock Indonesian Maps API listening on ${baseUrl}`);
+}
@@ -0,0 +1,94 @@
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+import { handleRequest, loadFixtures, normalizeCode, requestKey, startMockServer } from './mock-server.js';
+
+const responses = JSON.parse(readFileSync(new URL('../docs/response.json', import.meta.url), 'utf8'));
+const fixtures = loadFixtures();
+const get = (url) => handleRequest(fixtures, 'GET', url);
+
+describe('mock server', () => {
+    test('replays every recording of docs/response.json verbatim', () => {
+        Object.entries(responses.endpoints).forEach(([name, entry]) => {
+            const { status, body } = get(entry.url);
+            assert.equal(status, entry.status_code, name);
+            assert.deepEqual(body, entry.sample_response, name);
+        });
+    });
+
+    test('matches recordings whatever the query parameter order', () => {
+        assert.equal(requestKey('/indonesian-maps/provinsi?page=2&limit=5'), requestKey('/indonesian-maps/provinsi?limit=5&page=2'));
+        assert.deepEqual(get('/indonesian-maps/provinsi?limit=5&page=2').body, responses.endpoints.pagination_test.sample_response);
+    });
+
+    test('pages through records the way the recordings do', () => {
+        const recorded = responses.endpoints.pagination_test.sample_response;
+        const emulated = get('/indonesian-maps/provinsi?page=2&limit=5&search=').body;
+        assert.deepEqual(emulated.data, recorded.data);
+        assert.equal(emulated.total, recorded.total);
+        assert.equal(emulated.totalPages, recorded.totalPages);
+
+        const last = get('/indonesian-maps/provinsi?page=8&limit=5').body;
+        assert.equal(last.data.length, 3);
+        assert.equal(get('/indonesian-maps/provinsi?page=9&limit=5').body.data.length, 0);
+    });
+
+    test('applies the default and maximum page size', () => {
+        assert.equal(get('/indonesian-maps/pulau?page=1').body.limit, 50);
+        assert.equal(get('/indonesian-maps/provinsi?limit=5000').body.limit, 1000);
+        assert.equal(get('/indonesian-maps/provinsi?limit=abc').body.limit, 50);
+    });
+
+    test('filters by parent codes, numeric or dotted', () => {
+        const cities = get('/indonesian-maps/kabupaten-kota?kode_provinsi=32&limit=1000').body;
+        assert.equal(cities.total, 27);
+        assert.ok(cities.data.every((city) => normalizeCode(city.kode_provinsi) === '32'));
+
+        // 32.10 is serialised as the number 32.1
+        const majalengka = get('/indonesian-maps/kabupaten-kota/32.10');
+        assert.equal(majalengka.status, 200);
+        assert.equal(majalengka.body.data.nama_kabupaten_kota, 'Kabupaten Majalengka');
+
+        const villages = get('/indonesian-maps/desa-kelurahan?kode_kecamatan=32.04.05').body;
+        assert.deepEqual(villages.data.map((desa) => desa.kode_desa_kelurahan).slice(0, 2), ['32.04.05.2001', '32.04.05.2002']);
+    });
+
+    test('searches names case-insensitively', () => {
+        const { body } = get('/indonesian-maps/kabupaten-kota?kode_provinsi=32&search=BANDUNG');
+        assert.deepEqual(body.data.map((city) => city.nama_kabupaten_kota), ['Kabupaten Bandung', 'Kabupaten Bandung Barat', 'Kota Bandung']);
+    });
+
+    test('answers like the API for missing regions and endpoints', () => {
+        assert.deepEqual(get('/indonesian-maps/provinsi/999'), { status: 404, body: responses.error_responses['404_not_found'].sample_response });
+        assert.equal(get('/indonesian-maps/kecamatan/32.04.99').body.error, 'District not found');
+        assert.equal(get('/indonesian-maps/kecamatan/32.04.05/geo').status, 404);
+        assert.equal(get('/indonesian-maps/kabupaten-kota/complete?kode_provinsi=32').status, 500);
+        assert.equal(handleRequest(fixtures, 'POST', '/indonesian-maps/provinsi').status, 405);
+    });
+
+    describe('over HTTP', () => {
+        let server;
+
+        before(async () => {
+            server = await startMockServer({ port: 0 });
+        });
+
+        after(() => server.close());
+
+        test('serves JSON with CORS headers and logs requests', async () => {
+            const response = await fetch(`${server.baseUrl}/provinsi/32`);
+            assert.equal(response.status, 200);
+            assert.equal(response.headers.get('access-control-allow-origin'), '*');
+            assert.match(response.headers.get('content-type'), /^application\/json/);
+            assert.equal((await response.json()).data.nama_provinsi, 'Jawa Barat');
+            assert.deepEqual(server.requests, ['/indonesian-maps/provinsi/32']);
+        });
+
+        test('answers CORS preflights', async () => {
+            const response = await fetch(`${server.baseUrl}/provinsi`, { method: 'OPTIONS' });
+            assert.equal(response.status, 204);
+            assert.match(response.headers.get('access-control-allow-methods'), /GET/);
+        });
+    });
+});
@@ -0,0 +1,229 @@
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync, readdirSync } from 'node:fs';
+
+import { createIndonesianMapsClient } from '../js/client.js';
+import { ApiError, isAbortError } from '../js/errors.js';
+import {
+    OFFLINE_HEADER, createMemoryDatasetStore, createOfflineFetch, createOfflineResponder, downloadDataset
+} from '../js/offline.js';
+import { loadApp, waitFor } from './helpers/app.js';
+import { startMockServer } from './mock-server.js';
+
+const networkDown = () => Promise.reject(new TypeError('fetch failed'));
+
+// Records with the fields of their /geo response, where there is one
+const withGeo = (records, loadGeo) => Promise.all(records.map(async (record) => {
+    try {
+        return { ...record, ...(await loadGeo(record)).data };
+    } catch (error) {
+        return record;
+    }
+}));
+
+describe('offline dataset', () => {
+    let server;
+    let online;
+    let store;
+    let responder;
+    let offline;
+    let manifest;
+    const progress = [];
+
+    before(async () => {
+        server = await startMockServer({ port: 0 });
+        online = createIndonesianMapsClient({ baseUrl: server.baseUrl, retries: 0 });
+        store = createMemoryDatasetStore();
+        responder = createOfflineResponder({ store });
+        offline = createIndonesianMapsClient({
+            baseUrl: server.baseUrl,
+            retries: 0,
+            fetch: createOfflineFetch({ responder, baseUrl: server.baseUrl, fetch: networkDown })
+        });
+
+        manifest = await downloadDataset({
+            store,
+            baseUrl: server.baseUrl,
+            provinces: ['32'],
+            onProgress: (step) => progress.push(step),
+            sources: {
+                provinces: async () => withGeo(await online.fetchAll('getProvinces'), (province) => online.getProvinceGeo(province.kode_provinsi)),
+                cities: async (code) => withGeo(
+                    await online.fetchAll('getCities', { kode_provinsi: code }),
+                    (city) => online.getCityGeo(city.kode_kabupaten_kota)
+                ),
+                districts: (code) => online.fetchAll('getDistricts', { kode_provinsi: code }),
+                villages: (code) => online.fetchAll('getVillages', { kode_provinsi: code })
+            }
+        });
+    });
+
+    after(() => server.close());
+
+    test('downloads every provinsi and kabupaten/kota, and the chosen provinces in full', () => {
+        assert.equal(manifest.counts.provinsi, 38);
+        assert.equal(manifest.counts['desa-kelurahan'] > 0, true);
+        assert.deepEqual(manifest.provinces, ['32']);
+        assert.equal(manifest.baseUrl, server.baseUrl);
+
+        const last = progress[progress.length - 1];
+        assert.equal(last.done, last.total);
+        assert.equal(last.total, 1 + 38 + 2);
+        assert.ok(progress.some(({ label }) => label === 'desa/kelurahan Jawa Barat'));
+    });
+
+    test('answers lists, filters, search, pages, details and /geo as the API does', async () => {
+        const calls = [
+            (client) => client.getProvinces({ limit: 10, page: 4 }),
+            (client) => client.getCities({ kode_provinsi: 32, limit: 10, page: 2 }),
+            (client) => client.getCities({ search: 'bandung' }),
+            (client) => client.getDistricts({ kode_kabupaten_kota: '32.04' }),
+            (client) => client.getVillages({ kode_kecamatan: '32.04.05', search: 'cibiru' }),
+            (client) => client.getProvinceDetail('32'),
+            (client) => client.getVillageDetail('32.04.05.2003')
+        ];
+        for (const call of calls) {
+            const [expected, actual] = await Promise.all([call(online), call(offline)]);
+            assert.deepEqual(actual.data, expected.data, String(call));
+            assert.equal(actual.total, expected.total);
+            assert.equal(actual.totalPages, expected.totalPages);
+        }
+
+        const [expected, actual] = await Promise.all([online.getCityGeo('32.04'), offline.getCityGeo('32.04')]);
+        assert.deepEqual(actual.data.path, expected.data.path);
+        assert.equal(actual.data.ibukota, 'Soreang');
+        await assert.rejects(offline.getCityGeo('32.01'), (error) => error instanceof ApiError && error.status === 404);
+    });
+
+    test('what was not downloaded fails with a 404, without retries', async () => {
+        const unavailable = (error) => error instanceof ApiError && error.status === 404 && !error.retryable;
+        await assert.rejects(offline.getDistricts({ kode_provinsi: 11 }), unavailable);
+        await assert.rejects(offline.getVillageDetail('11.01.01.2001'), unavailable);
+        await assert.rejects(offline.getIslands(), unavailable);
+        await assert.rejects(offline.request('/test'), unavailable);
+
+        let attempts = 0;
+        const countedNetworkDown = () => {
+            attempts++;
+            return networkDown();
+        };
+        const retrying = createIndonesianMapsClient({
+            baseUrl: server.baseUrl,
+            retries: 2,
+            fetch: createOfflineFetch({ responder, baseUrl: server.baseUrl, fetch: countedNetworkDown })
+        });
+        await assert.rejects(retrying.getIslands(), unavailable);
+        assert.equal(attempts, 1);
+    });
+
+    test('goes to the network while it answers', async () => {
+        const requests = server.requests.length;
+        const answered = [];
+        const fetch = createOfflineFetch({
+            responder,
+            baseUrl: server.baseUrl,
+            fetch: globalThis.fetch,
+            onOfflineAnswer: (url) => answered.push(url)
+        });
+
+        const response = await fetch(`${server.baseUrl}/provinsi/32`);
+        assert.equal(response.headers.get(OFFLINE_HEADER), null);
+        assert.equal(server.requests.length, requests + 1);
+
+        const offlineFetch = createOfflineFetch({ responder, baseUrl: server.baseUrl, fetch: networkDown, isOnline: () => false });
+        const local = await offlineFetch(`${server.baseUrl}/provinsi/32`);
+        assert.equal(local.headers.get(OFFLINE_HEADER), manifest.createdAt);
+        assert.deepEqual(answered, []);
+    });
+
+    test('answers a stalled request once the client gives up on it, unless the caller aborted', async () => {
+        const stalled = createIndonesianMapsClient({
+            baseUrl: server.baseUrl,
+            timeout: 50,
+            fetch: createOfflineFetch({ responder, baseUrl: server.baseUrl, fetch: () => new Promise(() => {}) })
+        });
+
+        const started = Date.now();
+        const { data } = await stalled.getProvinceDetail('32', { retries: 2 });
+        assert.equal(data.nama_provinsi, 'Jawa Barat');
+        assert.ok(Date.now() - started < 1000);
+
+        const controller = new AbortController();
+        setTimeout(() => controller.abort(), 20);
+        await assert.rejects(stalled.getCityDetail('32.04', { signal: controller.signal, timeout: 5000 }), isAbortError);
+    });
+
+    test('fails as the network did outside the API or without a dataset', async () => {
+        const fetch = createOfflineFetch({ responder, baseUrl: server.baseUrl, fetch: networkDown });
+        await assert.rejects(fetch('http://127.0.0.1:9/elsewhere'), /fetch failed/);
+
+        const empty = createOfflineFetch({ responder: createOfflineResponder({ store: createMemoryDatasetStore() }), baseUrl: server.baseUrl, fetch: networkDown });
+        await assert.rejects(empty(`${server.baseUrl}/provinsi`), /fetch failed/);
+
+        // Same path, another server: the snapshot is not its data
+        const elsewhere = 'http://127.0.0.1:9/indonesian-maps';
+        const other = createOfflineFetch({ responder, baseUrl: elsewhere, fetch: networkDown, isOnline: () => false });
+        await assert.rejects(other(`${elsewhere}/provinsi/32`), /no offline dataset/);
+
+        const controller = new AbortController();
+        controller.abort();
+        await assert.rejects(fetch(`${server.baseUrl}/provinsi`, { signal: controller.signal }), isAbortError);
+    });
+
+    test('the service worker caches every module of the page', () => {
+        const worker = readFileSync(new URL('../sw.js', import.meta.url), 'utf8');
+        const listed = new Set(Array.from(worker.matchAll(/'(js\/[\w-]+\.js)'/g), (match) => match[1]));
+        const modules = readdirSync(new URL('../js/', import.meta.url)).filter((file) => file.endsWith('.js')).map((file) => `js/${file}`);
+        assert.deepEqual(modules.filter((file) => !listed.has(file)), []);
+        ['index.html', 'styles.css', 'script.js'].forEach((file) => assert.ok(worker.includes(`'${file}'`), file));
+    });
+});
+
+describe('offline mode in the page', () => {
+    let server;
+    let app;
+    let window;
+    let document;
+
+    before(async () => {
+        server = await startMockServer({ port: 0 });
+        app = await loadApp({ apiBaseUrl: server.baseUrl });
+        ({ window } = app);
+        ({ document } = window);
+    });
+
+    after(async () => {
+        delete window.navigator.onLine;
+        await app.close();
+        await server.close();
+    });
+
+    test('downloads the chosen provinces and answers from them once offline', async (t) => {
+        const { apiService, offlineManager } = window;
+        // Geometry is covered above; without it the download skips the
+        // retried 500s of /complete
+        t.mock.method(apiService, 'getProvincesWithGeo', () => apiService.fetchAll('getProvinces'));
+        t.mock.method(apiService, 'getCitiesWithGeo', (code) => apiService.getAllCities(code));
+
+        const selector = document.getElementById('offline-provinces');
+        await waitFor(() => selector.options.length === 38, { message: 'province options' });
+        selector.querySelector('option[value="32"]').selected = true;
+
+        const manifest = await offlineManager.download();
+        assert.deepEqual(manifest.provinces, ['32']);
+        assert.match(document.getElementById('offline-summary').textContent, /38 provinsi, .* kecamatan/);
+        assert.equal(document.getElementById('offline-progress').classList.contains('hidden'), true);
+
+        Object.defineProperty(window.navigator, 'onLine', { configurable: true, get: () => false });
+        window.dispatchEvent(new window.Event('offline'));
+        await apiService.invalidate();
+        const requests = server.requests.length;
+
+        const districts = await apiService.getAllDistricts('32.04');
+        assert.ok(districts.some((district) => district.nama_kecamatan === 'Cileunyi'));
+        assert.equal(server.requests.length, requests);
+        assert.equal(document.getElementById('offline-indicator').classList.contains('hidden'), false);
+        assert.equal((await offlineManager.download()), null);
+        assert.equal(document.getElementById('offline-status').textContent, 'Tidak ada koneksi internet.');
+    });
+});
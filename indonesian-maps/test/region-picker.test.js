@@ -0,0 +1,134 @@
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createIndonesianMapsClient } from '../js/client.js';
+import { loadApp, waitFor } from './helpers/app.js';
+import { startMockServer } from './mock-server.js';
+
+describe('<id-region-picker>', () => {
+    let server;
+    let app;
+    let window;
+    let document;
+
+    const selectOf = (picker, level) => picker.shadowRoot.querySelector(`select[data-level="${level}"]`);
+    const optionCount = (picker, level) => selectOf(picker, level).options.length - 1;
+
+    // A picker in a form of its own, once its initial value is selected
+    const mount = async (attributes) => {
+        const form = document.createElement('form');
+        form.innerHTML = `<id-region-picker base-url="${server.baseUrl}" ${attributes}></id-region-picker>`;
+        document.body.appendChild(form);
+        const picker = form.querySelector('id-region-picker');
+        await picker.ready;
+        return { form, picker };
+    };
+
+    before(async () => {
+        server = await startMockServer({ port: 0 });
+        app = await loadApp({ apiBaseUrl: server.baseUrl });
+        ({ window } = app);
+        ({ document } = window);
+    });
+
+    after(async () => {
+        await app.close();
+        await server.close();
+    });
+
+    test('selects the initial value with its parents and submits the deepest code', async () => {
+        const { form, picker } = await mount('name="wilayah" value="32.04.05.2003"');
+
+        assert.equal(picker.value, '32.04.05.2003');
+        assert.equal(picker.complete, true);
+        assert.deepEqual(picker.path.map(({ name }) => name), ['Jawa Barat', 'Kabupaten Bandung', 'Cileunyi', 'Cileunyi Kulon']);
+        assert.equal(optionCount(picker, 'village'), 6);
+        assert.equal(selectOf(picker, 'city').value, '32.04');
+        assert.equal(new window.FormData(form).get('wilayah'), '32.04.05.2003');
+    });
+
+    test('depth limits the levels offered and the value', async () => {
+        const { form, picker } = await mount('depth="city" value="32.04.05"');
+
+        assert.equal(picker.value, '32.04');
+        assert.equal(picker.complete, true);
+        assert.equal(selectOf(picker, 'district').closest('label').hidden, true);
+        assert.equal(optionCount(picker, 'district'), 0);
+        assert.deepEqual(Array.from(new window.FormData(form).keys()), []);
+    });
+
+    test('a user selection clears the levels below and fires change with the path', async () => {
+        const { picker } = await mount('value="32.04.05.2003"');
+        const events = [];
+        picker.addEventListener('change', (e) => events.push(e.detail));
+
+        const city = selectOf(picker, 'city');
+        city.value = '32.10';
+        city.dispatchEvent(new window.Event('change'));
+
+        assert.deepEqual(events, [{
+            value: '32.10',
+            complete: false,
+            path: [
+                { level: 'province', code: '32', name: 'Jawa Barat' },
+                { level: 'city', code: '32.10', name: 'Kabupaten Majalengka' }
+            ]
+        }]);
+        assert.equal(selectOf(picker, 'village').disabled, true);
+        await waitFor(() => !selectOf(picker, 'district').disabled, { message: 'kecamatan of 32.10' });
+        assert.equal(picker.value, '32.10');
+    });
+
+    test('required reports the first missing level, in the chosen language', async () => {
+        const { picker } = await mount('required depth="district" lang="en" value="32.04"');
+        let invalid = 0;
+        picker.addEventListener('invalid', () => invalid++);
+
+        assert.equal(picker.shadowRoot.querySelector('span').textContent, 'Province');
+        assert.equal(picker.checkValidity(), false);
+        assert.equal(picker.validationMessage, 'Select a district.');
+        assert.equal(invalid, 1);
+
+        assert.equal(await picker.select('32.04.05'), true);
+        assert.equal(picker.checkValidity(), true);
+        assert.equal(picker.validationMessage, '');
+    });
+
+    test('resetting the form restores the initial value', async () => {
+        const { form, picker } = await mount('name="wilayah" value="32.04"');
+        await picker.select('32.04.05');
+        assert.equal(new window.FormData(form).get('wilayah'), '32.04.05');
+
+        form.reset();
+        await picker.ready;
+        assert.equal(picker.value, '32.04');
+        assert.equal(new window.FormData(form).get('wilayah'), '32.04');
+    });
+
+    test('unknown codes select as far as they are listed', async () => {
+        const { picker } = await mount('');
+        assert.equal(await picker.select('32.99.01'), false);
+        assert.equal(picker.value, '32');
+        assert.equal(selectOf(picker, 'city').value, '');
+        assert.equal(await picker.select(''), true);
+        assert.equal(picker.value, '');
+    });
+
+    test('a list that fails to load says so', async () => {
+        const { picker } = await mount('');
+        picker.client = createIndonesianMapsClient({ baseUrl: 'http://127.0.0.1:9/indonesian-maps', retries: 0 });
+        assert.equal(await picker.ready, false);
+
+        const province = selectOf(picker, 'province');
+        assert.equal(province.disabled, true);
+        assert.equal(province.options[0].textContent, 'Gagal memuat data');
+        assert.ok(app.errors.some((message) => message.includes('Error loading province options')));
+    });
+
+    test('the showcase uses the page client', async () => {
+        const { picker } = window.regionPickerManager;
+        await picker.ready;
+        assert.equal(picker.client, window.apiService.client);
+        assert.equal(optionCount(picker, 'province'), 38);
+    });
+});
@@ -0,0 +1,66 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createSearchIndex, editDistance, parseName, rankEntries, remoteSearchTerm, scoreMatch } from '../js/search.js';
+
+const entry = (level, name) => ({ level, code: name, name });
+
+// Listed worst match first, so the order can only come from the ranking
+const entries = [
+    entry('city', 'Kota Bogor'),
+    entry('city', 'Kabupaten Cibandung'),
+    entry('city', 'Kabupaten Sumber Bandungan'),
+    entry('city', 'Kabupaten Bandung Barat'),
+    entry('district', 'Bandung'),
+    entry('city', 'Kabupaten Bandung'),
+    entry('city', 'Kota Bandung')
+];
+
+const names = (results) => results.map((result) => result.name);
+
+describe('region name search', () => {
+    test('ranks exact names, then prefixes, then word prefixes, then substrings', () => {
+        const results = rankEntries(entries, 'bandung');
+        assert.deepEqual(names(results), [
+            'Kota Bandung',
+            'Kabupaten Bandung',
+            'Bandung',
+            'Kabupaten Bandung Barat',
+            'Kabupaten Sumber Bandungan',
+            'Kabupaten Cibandung'
+        ]);
+        assert.deepEqual(results.map((result) => result.score), [1, 1, 1, 0.9, 0.8, 0.7]);
+    });
+
+    test('breaks ties by the type named in the query, then the level, then the shorter name', () => {
+        assert.deepEqual(names(rankEntries(entries, 'Kabupaten Bandung')).slice(0, 3), ['Kabupaten Bandung', 'Kota Bandung', 'Bandung']);
+        assert.deepEqual(names(rankEntries(entries, 'Kec. Bandung')).slice(0, 3), ['Kota Bandung', 'Kabupaten Bandung', 'Bandung']);
+        assert.deepEqual(names(rankEntries(entries, 'bandung', { limit: 2 })), ['Kota Bandung', 'Kabupaten Bandung']);
+    });
+
+    test('typos score below every substring match', () => {
+        const results = rankEntries(entries, 'bandng');
+        assert.deepEqual(names(results).slice(0, 4), ['Kota Bandung', 'Kabupaten Bandung', 'Kabupaten Bandung Barat', 'Bandung']);
+        assert.ok(results.every((result) => result.score < scoreMatch('bandung', 'cibandung')));
+        assert.equal(scoreMatch('bandung', 'bogor'), 0);
+        assert.deepEqual(rankEntries(entries, 'xyz'), []);
+        assert.deepEqual(rankEntries(entries, '  '), []);
+    });
+
+    test('normalises prefixes, diacritics, old spelling and nicknames', () => {
+        assert.deepEqual(parseName('Kab. Bireuën'), { kind: 'kabupaten', text: 'bireuen' });
+        assert.deepEqual(['Soerabaja', 'Tjirebon', 'Djakarta', 'Jogja', 'Jabar'].map((name) => parseName(name).text), [
+            'surabaya', 'cirebon', 'jakarta', 'yogyakarta', 'jawa barat'
+        ]);
+        assert.deepEqual(parseName('Kota'), { kind: null, text: 'kota' });
+        assert.equal(editDistance('bandung', 'bnadung'), 1);
+        assert.equal(remoteSearchTerm('Kab. Bandng Barat', { broad: true }), 'band');
+    });
+
+    test('an index ranks what was added to it', () => {
+        const index = createSearchIndex(entries.slice(0, 3));
+        index.add(entries.slice(3));
+        assert.equal(index.size, entries.length);
+        assert.deepEqual(names(index.search('bandung', { limit: 1 })), ['Kota Bandung']);
+    });
+});
@@ -0,0 +1,132 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+import { pathToGeometry, polygonCount, validateGeometry } from '../js/boundary.js';
+import {
+    FULL_DETAIL_ZOOM, createSimplifier, douglasPeucker, simplifyGeometry, toleranceForZoom, visvalingam, zoomBand
+} from '../js/simplify.js';
+
+const recorded = JSON.parse(readFileSync(new URL('../docs/response.json', import.meta.url), 'utf8'));
+// Kabupaten Bandung: one ring of about a thousand points
+const bandungPath = recorded.endpoints['9_kabupaten_kota_geo'].sample_response.data.path;
+const bandung = pathToGeometry(bandungPath);
+
+const positions = (geometry) => (geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates)
+    .reduce((sum, polygon) => sum + polygon.reduce((count, ring) => count + ring.length, 0), 0);
+
+// Closed [lng, lat] ring: a square with `size` sides
+const square = (x, y, size) => [[x, y], [x + size, y], [x + size, y + size], [x, y + size], [x, y]];
+
+// Stands in for the module worker, answering on the next tick
+class FakeWorker extends EventTarget {
+    constructor() {
+        super();
+        this.messages = [];
+        this.terminated = false;
+    }
+
+    postMessage(data) {
+        this.messages.push(data);
+        setTimeout(() => {
+            const event = new Event('message');
+            event.data = { id: data.id, geometry: simplifyGeometry(data.geometry, data.tolerance, { method: data.method }) };
+            this.dispatchEvent(event);
+        });
+    }
+
+    terminate() {
+        this.terminated = true;
+    }
+}
+
+describe('line simplification', () => {
+    const line = [[0, 0], [1, 0.01], [2, -0.01], [3, 5], [4, 6], [5, 7.02], [6, 8]];
+
+    test('Douglas–Peucker keeps the ends and the points beyond the tolerance', () => {
+        assert.deepEqual(douglasPeucker(line, 0.1), [[0, 0], [2, -0.01], [3, 5], [6, 8]]);
+        assert.equal(douglasPeucker(line, 0), line);
+    });
+
+    test('Visvalingam drops the smallest triangles first', () => {
+        assert.deepEqual(visvalingam(line, 0.1), [[0, 0], [2, -0.01], [3, 5], [6, 8]]);
+        assert.deepEqual(visvalingam(line, 100), [[0, 0], [6, 8]]);
+        const short = line.slice(0, 3);
+        assert.equal(visvalingam(short, 1), short);
+    });
+});
+
+describe('geometry simplification', () => {
+    test('fewer positions, still valid GeoJSON, for both methods', () => {
+        ['douglas-peucker', 'visvalingam'].forEach((method) => {
+            const simplified = simplifyGeometry(bandung, toleranceForZoom(7), { method });
+            assert.ok(positions(simplified) < positions(bandung) / 2, method);
+            assert.deepEqual(validateGeometry(simplified), [], method);
+        });
+        assert.equal(simplifyGeometry(bandung, 0), bandung);
+        assert.throws(() => simplifyGeometry(bandung, 0.1, { method: 'random' }), /Unknown simplification method/);
+    });
+
+    test('leaves out islands and holes below the tolerance but keeps the largest polygon', () => {
+        const archipelago = {
+            type: 'MultiPolygon',
+            coordinates: [
+                [square(0, 0, 1), square(0.4, 0.4, 0.001).reverse()],
+                [square(5, 5, 0.001)]
+            ]
+        };
+        const simplified = simplifyGeometry(archipelago, 0.01);
+        assert.deepEqual(simplified, { type: 'Polygon', coordinates: [square(0, 0, 1)] });
+        assert.equal(polygonCount(simplifyGeometry(archipelago, 10)), 1);
+    });
+
+    test('zoom bands and their tolerance', () => {
+        assert.deepEqual([3.2, 6, 6.9, -1, 20].map(zoomBand), [3, 6, 6, 0, FULL_DETAIL_ZOOM]);
+        assert.equal(toleranceForZoom(6.5), toleranceForZoom(7) * 2);
+        assert.equal(toleranceForZoom(6, { pixels: 2 }), toleranceForZoom(5));
+        assert.equal(toleranceForZoom(FULL_DETAIL_ZOOM), 0);
+    });
+});
+
+describe('simplifier', () => {
+    test('simplifies in the worker once per zoom band and key', async () => {
+        const workers = [];
+        const simplifier = createSimplifier({ createWorker: () => workers[workers.push(new FakeWorker()) - 1] });
+
+        const [first, again] = await Promise.all([
+            simplifier.simplify(bandung, 6.2, { key: 'city:32.04' }),
+            simplifier.simplify(pathToGeometry(bandungPath), 6.8, { key: 'city:32.04' })
+        ]);
+        assert.equal(first, again);
+        assert.equal(simplifier.peek(bandung, 6, { key: 'city:32.04' }), first);
+        assert.equal(simplifier.peek(bandung, 7, { key: 'city:32.04' }), null);
+        assert.equal(await simplifier.simplify(bandung, FULL_DETAIL_ZOOM), bandung);
+
+        const closer = await simplifier.simplify(bandung, 9);
+        assert.ok(positions(closer) > positions(first));
+        assert.equal(workers.length, 1);
+        assert.deepEqual(workers[0].messages.map(({ tolerance }) => tolerance), [toleranceForZoom(6), toleranceForZoom(9)]);
+
+        simplifier.terminate();
+        assert.equal(workers[0].terminated, true);
+    });
+
+    test('falls back to the main thread without a worker or when it fails', async () => {
+        const inline = createSimplifier({ createWorker: () => null });
+        assert.deepEqual(await inline.simplify(bandung, 6), simplifyGeometry(bandung, toleranceForZoom(6)));
+
+        const broken = new FakeWorker();
+        broken.postMessage = () => setTimeout(() => broken.dispatchEvent(Object.assign(new Event('error'), { message: 'boom' })));
+        const warnings = [];
+        const { warn } = console;
+        console.warn = (...args) => warnings.push(args.join(' '));
+        try {
+            const failing = createSimplifier({ createWorker: () => broken });
+            assert.deepEqual(await failing.simplify(bandung, 6), simplifyGeometry(bandung, toleranceForZoom(6)));
+        } finally {
+            console.warn = warn;
+        }
+        assert.equal(broken.terminated, true);
+        assert.match(warnings[0], /Simplification worker failed: boom/);
+    });
+});
@@ -0,0 +1,68 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFileSync } from 'node:child_process';
+
+import { SNIPPET_FORMATS, toSnippet } from '../js/snippets.js';
+
+const BASE = 'http://localhost:3001/indonesian-maps/pulau';
+// Quotes, a backslash and a space: everything the string literals must escape
+const SEARCH = 'Pulau "Nusa" d\'Kambing\\';
+const URL_WITH_QUERY = `${BASE}?search=${encodeURIComponent(SEARCH).replace(/%27/g, "'")}&limit=10&page-size=2`;
+
+const AsyncFunction = (async () => {}).constructor;
+
+// Runs a JavaScript snippet with `name` bound to `implementation` and returns its `data`
+const runJavaScript = (snippet, name, implementation) => new AsyncFunction(name, `${snippet.replace(/^import .*\n/, '')}\nreturn data;`)(implementation);
+
+describe('request snippets', () => {
+    test('cURL quotes the URL for the shell', () => {
+        const snippet = toSnippet('curl', URL_WITH_QUERY);
+        assert.equal(snippet.split('\n')[1], "  -H 'Accept: application/json'");
+
+        // What the shell passes on is the URL unchanged
+        const echoed = execFileSync('sh', ['-c', snippet.split('\n')[0].replace(/^curl -sS /, 'printf %s ').replace(/ \\$/, '')], { encoding: 'utf8' });
+        assert.equal(echoed, URL_WITH_QUERY);
+    });
+
+    test('fetch requests the URL as given', async () => {
+        const requested = [];
+        const fakeFetch = async (url, init) => {
+            requested.push([url, init]);
+            return { ok: true, status: 200, json: async () => ({ success: true }) };
+        };
+        assert.deepEqual(await runJavaScript(toSnippet('fetch', URL_WITH_QUERY), 'fetch', fakeFetch), { success: true });
+        assert.deepEqual(requested, [[URL_WITH_QUERY, { headers: { Accept: 'application/json' } }]]);
+
+        const failing = async () => ({ ok: false, status: 404 });
+        await assert.rejects(runJavaScript(toSnippet('fetch', URL_WITH_QUERY), 'fetch', failing), /HTTP 404/);
+    });
+
+    test('axios gets the decoded query as params', async () => {
+        const snippet = toSnippet('axios', URL_WITH_QUERY);
+        assert.match(snippet, /^import axios from 'axios';\n/);
+        assert.match(snippet, /'page-size': '2'/);
+
+        const axios = { get: async (url, config) => ({ data: { url, config } }) };
+        assert.deepEqual(await runJavaScript(snippet, 'axios', axios), {
+            url: BASE,
+            config: { params: { search: SEARCH, limit: '10', 'page-size': '2' }, headers: { Accept: 'application/json' } }
+        });
+        assert.equal(toSnippet('axios', BASE).includes('params'), false);
+    });
+
+    test('Python passes the decoded query as params', () => {
+        const snippet = toSnippet('python', URL_WITH_QUERY);
+        const lines = snippet.split('\n');
+        assert.deepEqual(lines.slice(0, 3), ['import requests', '', 'response = requests.get(']);
+        assert.equal(JSON.parse(lines[3].trim().replace(/,$/, '')), BASE);
+        // JSON string literals are Python string literals, so the dict reads back as JSON
+        assert.deepEqual(JSON.parse(lines[4].trim().replace(/^params=/, '').replace(/,$/, '')), { search: SEARCH, limit: '10', 'page-size': '2' });
+        assert.deepEqual(lines.slice(-4), ['    timeout=15,', ')', 'response.raise_for_status()', 'data = response.json()']);
+        assert.equal(toSnippet('python', BASE).includes('params'), false);
+    });
+
+    test('every listed format has a generator, and only those', () => {
+        Object.keys(SNIPPET_FORMATS).forEach((format) => assert.equal(typeof toSnippet(format, BASE), 'string', format));
+        assert.throws(() => toSnippet('php', BASE), /Unknown snippet format: php/);
+    });
+});
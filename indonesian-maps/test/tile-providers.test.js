@@ -0,0 +1,107 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { TILE_PROVIDERS, createTileLayer, createTileRegistry, validateProvider } from '../js/tile-providers.js';
+
+const createStorage = (entries = {}) => {
+    const values = new Map(Object.entries(entries));
+    return {
+        getItem: (key) => (values.has(key) ? values.get(key) : null),
+        setItem: (key, value) => values.set(key, String(value)),
+        values
+    };
+};
+
+const STORAGE_KEY = 'indonesian-maps:tiles';
+
+// Records the layers asked for instead of creating them
+const fakeLeaflet = () => {
+    const created = [];
+    const tileLayer = (url, options) => created[created.push({ kind: 'xyz', url, options }) - 1];
+    tileLayer.wms = (url, options) => created[created.push({ kind: 'wms', url, options }) - 1];
+    return { tileLayer, created };
+};
+
+const wms = { label: 'BIG', type: 'wms', url: 'https://geoservices.example.id/wms', layers: ' batas ' };
+
+describe('tile providers', () => {
+    test('every built-in provider is valid', () => {
+        Object.entries(TILE_PROVIDERS).forEach(([id, provider]) => {
+            assert.doesNotThrow(() => validateProvider(provider), id);
+        });
+    });
+
+    test('validation normalises a provider', () => {
+        assert.deepEqual(validateProvider({ label: ' Carto ', url: '//{s}.example.org/{z}/{x}/{y}.png' }), {
+            label: 'Carto',
+            type: 'xyz',
+            url: '//{s}.example.org/{z}/{x}/{y}.png',
+            options: {}
+        });
+        assert.deepEqual(validateProvider(wms), {
+            label: 'BIG', type: 'wms', url: wms.url, layers: 'batas', format: 'image/png', options: {}
+        });
+        assert.deepEqual(validateProvider({ label: 'Kosong', type: 'none', url: 'ignored' }), { label: 'Kosong', type: 'none' });
+    });
+
+    test('validation rejects what Leaflet could not draw', () => {
+        const xyz = { label: 'Tiles', url: 'https://tiles.example.org/{z}/{x}/{y}.png' };
+        [
+            [null, /must be an object/],
+            [{ ...xyz, type: 'vector' }, /Unknown tile provider type: vector/],
+            [{ ...xyz, label: ' ' }, /needs a label/],
+            [{ ...xyz, url: 'ftp://tiles.example.org/{z}/{x}/{y}.png' }, /absolute http\(s\)/],
+            [{ ...xyz, url: 'tiles/{z}/{x}/{y}.png' }, /absolute http\(s\)/],
+            [{ ...xyz, url: 'javascript:alert(1)//{z}{x}{y}' }, /absolute http\(s\)/],
+            [{ ...xyz, url: 'https://tiles.example.org/{z}/{x}.png' }, /must contain \{z\}, \{x\} and \{y\}/],
+            [{ ...wms, layers: '' }, /needs `layers`/]
+        ].forEach(([provider, message]) => {
+            assert.throws(() => validateProvider(provider), message, JSON.stringify(provider));
+        });
+    });
+
+    test('creates an XYZ or WMS layer, and none for the empty base map', () => {
+        const leaflet = fakeLeaflet();
+        createTileLayer(TILE_PROVIDERS.osm, leaflet);
+        createTileLayer({ ...validateProvider(wms), options: { opacity: 0.5 } }, leaflet);
+        assert.equal(createTileLayer(TILE_PROVIDERS.none, leaflet), null);
+
+        assert.deepEqual(leaflet.created, [
+            { kind: 'xyz', url: TILE_PROVIDERS.osm.url, options: TILE_PROVIDERS.osm.options },
+            { kind: 'wms', url: wms.url, options: { layers: 'batas', format: 'image/png', transparent: false, opacity: 0.5 } }
+        ]);
+    });
+
+    test('the registry keeps custom sources and the choice, and resolves old layer names', () => {
+        const storage = createStorage();
+        const registry = createTileRegistry({ storage });
+        const id = registry.addCustom(wms);
+        assert.equal(id, 'custom-big');
+        assert.equal(registry.addCustom(wms), 'custom-big-2');
+        registry.preferred = id;
+
+        const reloaded = createTileRegistry({ storage });
+        assert.deepEqual(reloaded.list().filter((provider) => provider.custom).map((provider) => provider.id), ['custom-big', 'custom-big-2']);
+        assert.equal(reloaded.preferred, 'custom-big');
+        assert.equal(reloaded.resolve('Satellite'), 'satellite');
+        assert.equal(reloaded.resolve('custom-big-2'), 'custom-big-2');
+        assert.equal(reloaded.resolve('Mapbox'), null);
+
+        reloaded.removeCustom('custom-big');
+        assert.equal(reloaded.preferred, null);
+        assert.equal(createTileRegistry({ storage }).get('custom-big'), null);
+    });
+
+    test('saved sources that are no longer valid are skipped', (t) => {
+        const warn = t.mock.method(console, 'warn', () => {});
+        const storage = createStorage({
+            [STORAGE_KEY]: JSON.stringify({ preferred: 'custom-bad', custom: { 'custom-bad': { label: 'Bad', url: 'ftp://x/{z}/{x}/{y}' } } })
+        });
+        const registry = createTileRegistry({ storage });
+        assert.equal(registry.get('custom-bad'), null);
+        assert.equal(registry.preferred, null);
+        assert.match(warn.mock.calls[0].arguments[0], /Ignoring saved tile provider custom-bad/);
+
+        assert.equal(createTileRegistry({ storage: createStorage({ [STORAGE_KEY]: '{not json' }) }).list().length, Object.keys(TILE_PROVIDERS).length);
+    });
+});
@@ -0,0 +1,141 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { childLevel, createHierarchyTree, keyAction } from '../js/tree.js';
+
+// Child records by parent code, '' for the root
+const RECORDS = {
+    '': [{ kode_provinsi: '32', nama_provinsi: 'Jawa Barat' }, { kode_provinsi: '11', nama_provinsi: 'Aceh' }],
+    '32': [
+        { kode_kabupaten_kota: '32.04', nama_kabupaten_kota: 'Kabupaten Bandung' },
+        { kode_kabupaten_kota: '32.73', nama_kabupaten_kota: 'Kota Bandung' }
+    ],
+    '32.04': [{ kode_kecamatan: '32.04.05', nama_kecamatan: 'Cileunyi' }],
+    '32.04.05': [{ kode_desa_kelurahan: '32.04.05.2003', nama_desa_kelurahan: 'Cileunyi Kulon' }]
+};
+
+// A tree over RECORDS that logs every load and count
+const createTree = ({ failing = new Set() } = {}) => {
+    const loads = [];
+    const counts = [];
+    let changes = 0;
+    const tree = createHierarchyTree({
+        loadChildren: async (node) => {
+            const key = node.code || '';
+            loads.push(key);
+            if (failing.has(key)) throw new Error(`Could not load ${key}`);
+            return RECORDS[key] || [];
+        },
+        countChildren: async (node) => {
+            counts.push(node.code);
+            return (RECORDS[node.code] || []).length;
+        },
+        onChange: () => {
+            changes++;
+        }
+    });
+    return { tree, loads, counts, changes: () => changes };
+};
+
+const rows = (tree) => tree.visible().map(({ node, depth, posInSet, setSize }) => [node.code, depth, posInSet, setSize]);
+
+describe('hierarchy tree', () => {
+    test('levels go from provinsi down to desa/kelurahan', () => {
+        assert.deepEqual([null, 'province', 'city', 'district', 'village'].map(childLevel), ['province', 'city', 'district', 'village', null]);
+    });
+
+    test('loads children only when a node is expanded, and only once', async () => {
+        const { tree, loads, changes } = createTree();
+        assert.deepEqual(tree.visible(), []);
+        assert.equal(loads.length, 0);
+
+        await tree.load();
+        assert.deepEqual(rows(tree), [['32', 1, 1, 2], ['11', 1, 2, 2]]);
+        assert.equal(tree.get('32').name, 'Jawa Barat');
+        assert.equal(tree.get('32').expanded, false);
+
+        await Promise.all([tree.expand('32'), tree.expand('32'), tree.load('32')]);
+        await tree.toggle('32');
+        await tree.toggle('32');
+        assert.deepEqual(loads, ['', '32']);
+        assert.deepEqual(rows(tree), [['32', 1, 1, 2], ['32.04', 2, 1, 2], ['32.73', 2, 2, 2], ['11', 1, 2, 2]]);
+        assert.equal(tree.get('32.04').parentCode, '32');
+        assert.ok(changes() > 0);
+
+        tree.collapse('32');
+        assert.deepEqual(rows(tree), [['32', 1, 1, 2], ['11', 1, 2, 2]]);
+        await assert.rejects(tree.load('99'), /Unknown tree node: 99/);
+    });
+
+    test('counts the children of loaded nodes without loading them', async () => {
+        const { tree, loads, counts } = createTree();
+        await tree.load();
+        await tree.expand('32');
+        await tree.expand('32.04');
+
+        await new Promise((resolve) => setImmediate(resolve));
+        assert.deepEqual(counts, ['32', '11', '32.04', '32.73', '32.04.05']);
+        assert.equal(tree.get('11').count, 0);
+        assert.equal(tree.get('32.04.05').count, 1);
+        assert.equal(tree.get('32').count, 2);
+        assert.deepEqual(loads, ['', '32', '32.04']);
+
+        // Desa/kelurahan have no level below, so nothing to load or count
+        await tree.expand('32.04.05');
+        assert.deepEqual(tree.get('32.04.05.2003').children, []);
+        assert.equal(tree.get('32.04.05.2003').count, 0);
+    });
+
+    test('a failed load is kept on the node, collapses it and can be retried', async () => {
+        const failing = new Set(['32']);
+        const { tree, loads } = createTree({ failing });
+        await tree.load();
+
+        await assert.rejects(tree.expand('32'), /Could not load 32/);
+        const node = tree.get('32');
+        assert.equal(node.expanded, false);
+        assert.equal(node.loading, false);
+        assert.equal(node.children, null);
+        assert.match(node.error.message, /Could not load 32/);
+
+        failing.clear();
+        await tree.expand('32');
+        assert.equal(node.error, null);
+        assert.deepEqual(loads, ['', '32', '32']);
+    });
+
+    test('reveals a selection by loading and expanding its ancestors', async () => {
+        const { tree, loads } = createTree();
+        const selection = { province: '32', city: '32.04', district: '32.04.05', village: '32.04.05.2003' };
+        assert.equal(await tree.reveal(selection), '32.04.05.2003');
+        assert.deepEqual(loads, ['', '32', '32.04', '32.04.05']);
+        assert.deepEqual(rows(tree).map(([code, depth]) => [code, depth]), [
+            ['32', 1], ['32.04', 2], ['32.04.05', 3], ['32.04.05.2003', 4], ['32.73', 2], ['11', 1]
+        ]);
+        assert.deepEqual(tree.pathOf('32.04.05'), { province: '32', city: '32.04', district: '32.04.05' });
+
+        assert.equal(await tree.reveal({ province: '32', city: '32.99' }), '32');
+        assert.equal(await tree.reveal({}), null);
+    });
+
+    test('keys move, expand, collapse and select following the tree view pattern', async () => {
+        const { tree } = createTree();
+        await tree.reveal({ province: '32', city: '32.04' });
+        const visible = tree.visible();
+
+        assert.deepEqual(keyAction('ArrowDown', '32', visible), { type: 'focus', code: '32.04' });
+        assert.deepEqual(keyAction('End', '32', visible), { type: 'focus', code: '11' });
+        assert.deepEqual(keyAction('ArrowLeft', '32', visible), { type: 'collapse', code: '32' });
+        assert.deepEqual(keyAction('ArrowLeft', '32.04', visible), { type: 'focus', code: '32' });
+        assert.deepEqual(keyAction('ArrowRight', '32.04', visible), { type: 'expand', code: '32.04' });
+        assert.deepEqual(keyAction('ArrowRight', '32', visible), { type: 'focus', code: '32.04' });
+        assert.deepEqual(keyAction('Enter', '32.73', visible), { type: 'select', code: '32.73' });
+        assert.deepEqual(keyAction('*', '32.73', visible), { type: 'expandSiblings', code: '32.73' });
+
+        // Type-ahead ignores the "Kabupaten"/"Kota" prefix and wraps around
+        assert.deepEqual(keyAction('b', '32.04', visible), { type: 'focus', code: '32.73' });
+        assert.deepEqual(keyAction('J', '11', visible), { type: 'focus', code: '32' });
+        assert.equal(keyAction('ArrowUp', '32', visible), null);
+        assert.deepEqual(keyAction('ArrowDown', 'missing', visible), { type: 'focus', code: '32' });
+    });
+});
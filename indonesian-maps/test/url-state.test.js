@@ -0,0 +1,69 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { parseMapState, sameSelection, serializeMapState } from '../js/url-state.js';
+
+const full = {
+    province: '32',
+    city: '32.04',
+    district: '32.04.05',
+    village: '32.04.05.2003',
+    center: [-7.02, 107.53],
+    zoom: 11,
+    layer: 'osm'
+};
+
+describe('map state in the URL', () => {
+    test('a state survives serialising and parsing', () => {
+        const search = serializeMapState(full);
+        assert.equal(search, '?provinsi=32&kabupaten_kota=32.04&kecamatan=32.04.05&desa_kelurahan=32.04.05.2003&center=-7.02,107.53&zoom=11&layer=osm');
+        assert.deepEqual(parseMapState(search), full);
+
+        const partial = { ...full, district: null, village: null, center: null, zoom: null, layer: null };
+        assert.deepEqual(parseMapState(serializeMapState(partial)), partial);
+        assert.equal(serializeMapState(parseMapState('')), '');
+    });
+
+    test('keeps unrelated parameters and replaces its own', () => {
+        const search = serializeMapState({ ...full, village: null, layer: null }, '?api=http://localhost:3001&kecamatan=11.01.01&layer=satellite');
+        const params = new URLSearchParams(search);
+        assert.equal(params.get('api'), 'http://localhost:3001');
+        assert.equal(params.get('kecamatan'), '32.04.05');
+        assert.equal(params.has('layer'), false);
+        assert.equal(params.has('desa_kelurahan'), false);
+    });
+
+    test('rounds the centre to 5 decimals and drops levels below a missing one', () => {
+        assert.match(serializeMapState({ ...full, center: [-7.0212345678, 107.5398765432] }), /center=-7.02123,107.53988/);
+        assert.equal(serializeMapState({ province: '32', city: null, district: '32.04.05' }), '?provinsi=32');
+    });
+
+    test('reads compact codes as dotted ones', () => {
+        assert.deepEqual(
+            Object.values(parseMapState('?provinsi=32&kabupaten_kota=3204&kecamatan=320405&desa_kelurahan=3204052003')).slice(0, 4),
+            ['32', '32.04', '32.04.05', '32.04.05.2003']
+        );
+    });
+
+    test('drops invalid values and everything below an invalid code', () => {
+        const parsed = parseMapState('?provinsi=32&kabupaten_kota=33.01&kecamatan=33.01.01&center=-100,107&zoom=25&layer=');
+        assert.deepEqual(parsed, { province: '32', city: null, district: null, village: null, center: null, zoom: null, layer: null });
+
+        assert.equal(parseMapState('?provinsi=32.04').province, null);
+        assert.equal(parseMapState('?provinsi=abc').province, null);
+        assert.equal(parseMapState('?center=-7.02').center, null);
+        assert.equal(parseMapState('?center=a,b').center, null);
+        assert.equal(parseMapState('?center=,').center, null);
+        assert.equal(parseMapState('?center=-7,181').center, null);
+        assert.equal(parseMapState('?zoom=').zoom, null);
+        assert.equal(parseMapState('?zoom=7.5').zoom, null);
+        assert.equal(parseMapState('?zoom=0').zoom, 0);
+        assert.equal(parseMapState(new URLSearchParams({ layer: 'terrain' })).layer, 'terrain');
+    });
+
+    test('compares selections only', () => {
+        assert.equal(sameSelection(full, { ...full, center: null, zoom: 3, layer: 'none' }), true);
+        assert.equal(sameSelection(full, { ...full, village: null }), false);
+        assert.equal(sameSelection({ province: '32' }, { province: '32', city: null }), true);
+    });
+});